@@ -0,0 +1,259 @@
+// controllers/bookingCheckIns.js
+const Booking = require("../models/Booking");
+const { postSystemMessage } = require("./chat");
+const { bookingRoleFor } = require("../utils/bookingTransitions");
+const {
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const { generateCode, hashCode, verifyCode } = require("../utils/oneTimeCode");
+const {
+  MAX_CHECK_IN_ATTEMPTS,
+  checkInWindowOf,
+  parseCoordinates,
+} = require("../utils/checkIn");
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+// Load the booking and work out how the caller takes part in it
+const loadBooking = async (req, res) => {
+  if (!ensureAuth(req, res)) return null;
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ success: false, message: "Booking not found" });
+    return null;
+  }
+  const role = bookingRoleFor(booking, req.user);
+  if (!role) {
+    res.status(403).json({ success: false, message: "Forbidden" });
+    return null;
+  }
+  return { booking, role };
+};
+
+const postCheckInMessage = async (booking, text) => {
+  try {
+    await postSystemMessage(booking, text);
+  } catch (chatError) {
+    console.error("Failed to post check-in message for booking:", chatError);
+  }
+};
+
+/**
+ * The customer issues the code they show the provider when they meet.
+ * Issuing again replaces the previous code and resets the attempts.
+ */
+exports.issueCheckInCode = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+    const { booking, role } = loaded;
+
+    if (role !== "customer") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the customer of this booking can get its check-in code",
+      });
+    }
+    if (booking.status !== "confirmed") {
+      return res.status(422).json({
+        success: false,
+        message: "Check-in codes are only issued for confirmed bookings",
+      });
+    }
+    if (booking.checkedInAt) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking has already been checked in",
+      });
+    }
+    const window = checkInWindowOf(booking);
+    if (!window || new Date() >= window.closesAt) {
+      return res.status(422).json({
+        success: false,
+        message: "This booking has already ended",
+      });
+    }
+
+    const code = generateCode();
+    booking.checkInCodeHash = await hashCode(code);
+    booking.checkInCodeExpiresAt = window.closesAt;
+    booking.checkInAttempts = 0;
+    await booking.save();
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        code,
+        expiresAt: window.closesAt.toISOString(),
+        checkInOpensAt: window.opensAt.toISOString(),
+      },
+    });
+  } catch (err) {
+    console.error("issueCheckInCode error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * The provider enters the customer's code when they meet.
+ */
+exports.checkInBooking = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+    const { booking, role } = loaded;
+
+    if (role !== "provider") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the provider of this booking can check in",
+      });
+    }
+    const { location, error } = parseCoordinates(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!req.body.code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "code is required" });
+    }
+    if (booking.status !== "confirmed") {
+      return res.status(422).json({
+        success: false,
+        message: "Only confirmed bookings can be checked in",
+      });
+    }
+    if (booking.checkedInAt) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking has already been checked in",
+      });
+    }
+
+    const now = new Date();
+    const window = checkInWindowOf(booking);
+    if (!window || now < window.opensAt || now >= window.closesAt) {
+      return res.status(422).json({
+        success: false,
+        message: "Check-in is only possible shortly before and during the booking",
+        checkInOpensAt: window ? window.opensAt.toISOString() : null,
+      });
+    }
+
+    // Take an attempt before comparing so parallel guesses are counted too
+    const attempt = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        checkedInAt: null,
+        checkInCodeHash: { $ne: null },
+        checkInCodeExpiresAt: { $gt: now },
+        checkInAttempts: { $lt: MAX_CHECK_IN_ATTEMPTS },
+      },
+      { $inc: { checkInAttempts: 1 } },
+      { new: true }
+    ).select("+checkInCodeHash");
+    if (!attempt) {
+      return res.status(422).json({
+        success: false,
+        message:
+          "There is no valid check-in code for this booking; the customer needs to issue a new one",
+      });
+    }
+
+    const matches = await verifyCode(req.body.code, attempt.checkInCodeHash);
+    if (!matches) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid check-in code",
+        attemptsRemaining: MAX_CHECK_IN_ATTEMPTS - attempt.checkInAttempts,
+      });
+    }
+
+    const before = snapshotBooking(attempt);
+    attempt.checkedInAt = now;
+    attempt.checkInLocation = location;
+    // The code is single use
+    attempt.checkInCodeHash = null;
+    attempt.checkInCodeExpiresAt = null;
+    await attempt.save();
+    await recordBookingHistory({
+      booking: attempt,
+      before,
+      actor: { id: currentUserId(req), role },
+      action: "checked_in",
+    });
+    await postCheckInMessage(attempt, "ผู้ให้บริการเช็คอินพบลูกค้าเรียบร้อยแล้ว");
+
+    return res.json({ success: true, data: attempt.toJSON() });
+  } catch (err) {
+    console.error("checkInBooking error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Either participant closes the session once they part.
+ */
+exports.checkOutBooking = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+    const { booking, role } = loaded;
+
+    if (role !== "customer" && role !== "provider") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the participants of this booking can check out",
+      });
+    }
+    const { location, error } = parseCoordinates(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!booking.checkedInAt) {
+      return res.status(422).json({
+        success: false,
+        message: "This booking has not been checked in",
+      });
+    }
+    if (booking.checkedOutAt) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking has already been checked out",
+      });
+    }
+
+    const before = snapshotBooking(booking);
+    booking.checkedOutAt = new Date();
+    booking.checkedOutBy = role;
+    booking.checkOutLocation = location;
+    await booking.save();
+    await recordBookingHistory({
+      booking,
+      before,
+      actor: { id: currentUserId(req), role },
+      action: "checked_out",
+    });
+    await postCheckInMessage(
+      booking,
+      `${role === "customer" ? "ลูกค้า" : "ผู้ให้บริการ"}เช็คเอาท์ สิ้นสุดการนัดหมายแล้ว`
+    );
+
+    return res.json({ success: true, data: booking.toJSON() });
+  } catch (err) {
+    console.error("checkOutBooking error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
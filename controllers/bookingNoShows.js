@@ -0,0 +1,253 @@
+// controllers/bookingNoShows.js
+const { randomUUID } = require("crypto");
+const Booking = require("../models/Booking");
+const Dispute = require("../models/Dispute");
+const { postSystemMessage } = require("./chat");
+const { bookingRoleFor } = require("../utils/bookingTransitions");
+const {
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const {
+  getNoShowContestHours,
+  PARTY_LABELS,
+  noShowReason,
+  otherParty,
+  checkNoShowReport,
+} = require("../utils/noShow");
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+const textOrEmpty = (value, max) =>
+  typeof value === "string" ? value.trim().slice(0, max) : "";
+
+// Load the booking and work out how the caller takes part in it
+const loadBooking = async (req, res) => {
+  if (!ensureAuth(req, res)) return null;
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ success: false, message: "Booking not found" });
+    return null;
+  }
+  const role = bookingRoleFor(booking, req.user);
+  if (!role) {
+    res.status(403).json({ success: false, message: "Forbidden" });
+    return null;
+  }
+  return { booking, role };
+};
+
+const postNoShowMessage = async (booking, text) => {
+  try {
+    await postSystemMessage(booking, text);
+  } catch (chatError) {
+    console.error("Failed to post no-show message for booking:", chatError);
+  }
+};
+
+/**
+ * One party reports that the other never turned up. The absent party has
+ * NO_SHOW_CONTEST_HOURS to contest it before the no-show is upheld.
+ */
+exports.reportNoShow = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+    const { booking, role } = loaded;
+
+    const now = new Date();
+    const rejected = checkNoShowReport({ booking, role, now });
+    if (rejected) {
+      return res.status(rejected.status).json(rejected.body);
+    }
+
+    const absentParty = otherParty(role);
+    const contestHours = getNoShowContestHours();
+    const noShow = {
+      absentParty,
+      reportedBy: currentUserId(req),
+      reportedAt: now,
+      note: textOrEmpty(req.body.note, 1000),
+      contestDeadline: new Date(now.getTime() + contestHours * 60 * 60 * 1000),
+      status: "reported",
+    };
+    // Conditional so a check-in or a second report cannot slip in between
+    const reported = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: "confirmed",
+        paymentStatus: "paid",
+        openDisputeId: null,
+        checkedInAt: null,
+        noShow: null,
+      },
+      { $set: { noShow } },
+      { new: true, runValidators: true }
+    );
+    if (!reported) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking changed while the no-show was being reported",
+      });
+    }
+
+    await recordBookingHistory({
+      booking: reported,
+      before: snapshotBooking(booking),
+      actor: { id: currentUserId(req), role },
+      action: "no_show_reported",
+      reason: noShow.note || noShowReason(absentParty),
+    });
+    await postNoShowMessage(
+      reported,
+      `${PARTY_LABELS[role]}แจ้งว่า${noShowReason(absentParty)} หาก${PARTY_LABELS[absentParty]}ไม่โต้แย้งภายใน ${contestHours} ชั่วโมง ระบบจะยกเลิกการจองและดำเนินการเรื่องเงินตามนโยบาย`
+    );
+
+    return res.status(201).json({ success: true, data: reported.toJSON() });
+  } catch (err) {
+    console.error("reportNoShow error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * The party reported absent disagrees. The report turns into a no_show
+ * dispute with both sides' statements, and the admin's resolution of it
+ * settles the booking.
+ */
+exports.contestNoShow = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+    const { booking, role } = loaded;
+
+    if (!booking.noShow) {
+      return res.status(404).json({
+        success: false,
+        message: "No no-show has been reported for this booking",
+      });
+    }
+    if (role !== booking.noShow.absentParty) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the party reported absent can contest the no-show",
+      });
+    }
+    if (booking.noShow.status !== "reported") {
+      return res.status(409).json({
+        success: false,
+        message: `This no-show has already been ${booking.noShow.status}`,
+      });
+    }
+    const now = new Date();
+    if (now >= booking.noShow.contestDeadline) {
+      return res.status(422).json({
+        success: false,
+        message: "The time to contest this no-show has passed",
+      });
+    }
+    const statement = textOrEmpty(req.body.statement, 2000);
+    if (!statement) {
+      return res
+        .status(400)
+        .json({ success: false, message: "statement is required" });
+    }
+
+    // Hold the booking for the dispute first, as openDispute does
+    const disputeId = randomUUID();
+    const held = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: "confirmed",
+        openDisputeId: null,
+        "noShow.status": "reported",
+      },
+      {
+        $set: {
+          openDisputeId: disputeId,
+          "noShow.status": "contested",
+          "noShow.disputeId": disputeId,
+        },
+      },
+      { new: true }
+    );
+    if (!held) {
+      return res.status(409).json({
+        success: false,
+        message: "This no-show has already been contested or settled",
+      });
+    }
+
+    const reporterRole = otherParty(role);
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        _id: disputeId,
+        bookingId: booking._id,
+        customerId: booking.customerId,
+        providerId: booking.providerId,
+        openedBy: currentUserId(req),
+        openedByRole: role,
+        category: "no_show",
+        [`${role}Statement`]: { text: statement },
+        ...(booking.noShow.note
+          ? {
+              [`${reporterRole}Statement`]: {
+                text: booking.noShow.note,
+                submittedAt: booking.noShow.reportedAt,
+              },
+            }
+          : {}),
+      });
+    } catch (createError) {
+      await Booking.updateOne(
+        { _id: booking._id, openDisputeId: disputeId },
+        {
+          $set: {
+            openDisputeId: null,
+            "noShow.status": "reported",
+            "noShow.disputeId": null,
+          },
+        }
+      );
+      throw createError;
+    }
+
+    await recordBookingHistory({
+      booking: held,
+      before: snapshotBooking(booking),
+      actor: { id: currentUserId(req), role },
+      action: "no_show_contested",
+      reason: statement,
+    });
+    await postNoShowMessage(
+      held,
+      `${PARTY_LABELS[role]}โต้แย้งการแจ้งไม่มาตามนัด ระบบเปิดข้อพิพาทให้ผู้ดูแลระบบพิจารณา`
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: { dispute, booking: held.toJSON() },
+    });
+  } catch (err) {
+    console.error("contestNoShow error:", err);
+    if (err && err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
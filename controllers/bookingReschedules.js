@@ -0,0 +1,420 @@
+// controllers/bookingReschedules.js
+const Booking = require("../models/Booking");
+const Payment = require("../models/Payment");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const { toSatang } = require("../models/JournalEntry");
+const { postSystemMessage } = require("./chat");
+const {
+  checkProviderAvailability,
+  bookProviderSlot,
+} = require("../utils/availability");
+const { bookingRoleFor } = require("../utils/bookingTransitions");
+const { calculateBookingPrice } = require("../utils/pricing");
+const { bookingStartsAt, resolveEndDate } = require("../utils/bookingTime");
+const {
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const { releaseBookingSlot } = require("../utils/waitlist");
+
+const DEFAULT_PROPOSAL_TTL_HOURS = 24;
+const RESCHEDULABLE_STATUSES = ["pending", "confirmed"];
+
+const getProposalTtlHours = () => {
+  const value = Number(process.env.RESCHEDULE_PROPOSAL_TTL_HOURS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_PROPOSAL_TTL_HOURS;
+};
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+const textOrEmpty = (value) =>
+  typeof value === "string" ? value.trim().slice(0, 500) : "";
+
+// Add-ons keep the unit price they were booked at
+const addOnsOf = (booking) =>
+  (booking.addOns || []).map((line) => ({
+    addOn: {
+      _id: line.addOnId,
+      name: line.name,
+      unit: line.unit,
+      price: line.unitPrice,
+    },
+    quantity: line.quantity,
+  }));
+
+/**
+ * Price the booking as if it had been made for `slot`, with the
+ * service's current rates. Add-ons keep their booked prices, a coupon
+ * keeps the discount it gave and a price agreed in a chat offer stays
+ * agreed. Null when the service is gone or the slot cannot be priced.
+ */
+const quoteSlot = async (booking, slot) => {
+  const service = await Service.findById(booking.serviceId);
+  if (!service) return null;
+  const breakdown = booking.priceBreakdown || {};
+  const discountAmount = Number(breakdown.discountAmount) || 0;
+  return calculateBookingPrice({
+    service,
+    ...slot,
+    addOns: addOnsOf(booking),
+    coupon:
+      discountAmount > 0
+        ? {
+            code: breakdown.couponCode,
+            discountType: "fixed",
+            discountValue: discountAmount,
+          }
+        : null,
+    agreedAmount: booking.offerId ? breakdown.subtotal : null,
+    depositPercent: breakdown.depositPercent ?? undefined,
+    platformFeePercent: breakdown.platformFeePercent ?? undefined,
+  });
+};
+
+const priceChanges = (booking, quote) =>
+  toSatang(quote.totalAmount) !== toSatang(booking.totalAmount);
+
+/**
+ * Why the booking cannot move to a slot priced `quote`, or null. Money
+ * already paid, or being paid, is for the current price.
+ */
+const priceChangeProblem = async (booking, quote) => {
+  if (!quote) return "The new slot cannot be priced";
+  if (!priceChanges(booking, quote)) return null;
+  if (booking.paymentStatus !== "pending") {
+    return `Booking is already paid; the new slot would cost ${quote.totalAmount} instead of ${booking.totalAmount}`;
+  }
+  if (await Payment.exists({ bookingId: booking._id, status: "pending" })) {
+    return "A payment for the current price is in progress";
+  }
+  return null;
+};
+
+/**
+ * Mark pending proposals whose expiresAt has passed as expired.
+ * Returns true when something changed and the booking needs saving.
+ */
+const expireStaleProposals = (booking, now = new Date()) => {
+  let changed = false;
+  booking.rescheduleRequests.forEach((proposal) => {
+    if (proposal.status === "pending" && proposal.expiresAt <= now) {
+      proposal.status = "expired";
+      changed = true;
+    }
+  });
+  return changed;
+};
+
+// Load the booking, check the caller takes part in it and settle expiries
+const loadBooking = async (req, res) => {
+  if (!ensureAuth(req, res)) return null;
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ success: false, message: "Booking not found" });
+    return null;
+  }
+
+  const role = bookingRoleFor(booking, req.user);
+  if (!role) {
+    res.status(403).json({ success: false, message: "Forbidden" });
+    return null;
+  }
+
+  if (expireStaleProposals(booking)) {
+    await booking.save();
+  }
+  return { booking, role };
+};
+
+// Only the party that did not make the proposal may answer it
+const loadPendingProposalForResponder = async (req, res) => {
+  const loaded = await loadBooking(req, res);
+  if (!loaded) return null;
+  const { booking, role } = loaded;
+
+  const proposal = booking.rescheduleRequests.find(
+    (entry) => entry._id === req.params.requestId
+  );
+  if (!proposal) {
+    res
+      .status(404)
+      .json({ success: false, message: "Reschedule request not found" });
+    return null;
+  }
+  if (role === "admin" || role === proposal.proposedByRole) {
+    res.status(403).json({
+      success: false,
+      message: "Only the other party can respond to this reschedule request",
+    });
+    return null;
+  }
+  if (proposal.status !== "pending") {
+    res.status(422).json({
+      success: false,
+      message: `Reschedule request is already ${proposal.status}`,
+    });
+    return null;
+  }
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    res.status(422).json({
+      success: false,
+      message: `Cannot reschedule a ${booking.status} booking`,
+    });
+    return null;
+  }
+  return { booking, role, proposal };
+};
+
+exports.listRescheduleRequests = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    return res.json({
+      success: true,
+      data: loaded.booking.toJSON().rescheduleRequests,
+    });
+  } catch (err) {
+    console.error("listRescheduleRequests error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.createRescheduleRequest = async (req, res) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+    const { booking, role } = loaded;
+
+    if (role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Admins change booking times directly with PUT /bookings/{id}",
+      });
+    }
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      return res.status(422).json({
+        success: false,
+        message: `Cannot reschedule a ${booking.status} booking`,
+      });
+    }
+
+    const now = new Date();
+    const currentStart = bookingStartsAt(booking);
+    if (currentStart && now >= currentStart) {
+      return res.status(422).json({
+        success: false,
+        message: "Booking has already started and can no longer be rescheduled",
+      });
+    }
+
+    if (booking.rescheduleRequests.some((entry) => entry.status === "pending")) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking already has a pending reschedule request",
+      });
+    }
+
+    // The new slot is read in the booking's own timezone
+    const slot = {
+      date: req.body.date,
+      endDate: resolveEndDate(req.body),
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      timezone: booking.timezone,
+    };
+
+    const unavailable = await checkProviderAvailability({
+      BookingModel: Booking,
+      UserModel: User,
+      customerId: booking.customerId,
+      providerId: booking.providerId,
+      excludeBookingId: booking._id,
+      ...slot,
+    });
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    // Shown to the other party; priced again when they accept
+    const quote = await quoteSlot(booking, slot);
+    const priceProblem = await priceChangeProblem(booking, quote);
+    if (priceProblem) {
+      return res.status(422).json({ success: false, message: priceProblem });
+    }
+
+    const newStart = bookingStartsAt(slot);
+    if (newStart <= now) {
+      return res
+        .status(422)
+        .json({ success: false, message: "The new slot must be in the future" });
+    }
+
+    // Expire at the TTL, or earlier if either slot would start first
+    const ttlExpiry = new Date(now.getTime() + getProposalTtlHours() * 60 * 60 * 1000);
+    const expiresAt = new Date(
+      Math.min(
+        ...[ttlExpiry, newStart, currentStart]
+          .filter(Boolean)
+          .map((instant) => instant.getTime())
+      )
+    );
+
+    booking.rescheduleRequests.push({
+      proposedBy: currentUserId(req),
+      proposedByRole: role,
+      ...slot,
+      totalAmount: quote.totalAmount,
+      reason: textOrEmpty(req.body.reason),
+      expiresAt,
+    });
+    await booking.save();
+
+    const proposal = booking.rescheduleRequests[booking.rescheduleRequests.length - 1];
+
+    try {
+      await postSystemMessage(
+        booking,
+        `${role === "customer" ? "ลูกค้า" : "ผู้ให้บริการ"}ขอเลื่อนนัดเป็นวันที่ ${slot.date} เวลา ${slot.startTime}-${slot.endTime}`
+      );
+    } catch (chatError) {
+      console.error("Failed to post reschedule message for booking:", chatError);
+    }
+
+    return res.status(201).json({ success: true, data: proposal.toJSON() });
+  } catch (err) {
+    console.error("createRescheduleRequest error:", err);
+    if (err && err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.acceptRescheduleRequest = async (req, res) => {
+  try {
+    const loaded = await loadPendingProposalForResponder(req, res);
+    if (!loaded) return;
+    const { booking, role, proposal } = loaded;
+
+    const slot = {
+      date: proposal.date,
+      endDate: proposal.endDate || null,
+      startTime: proposal.startTime,
+      endTime: proposal.endTime,
+    };
+
+    // The calendar may have changed since the proposal was made
+    const availability = {
+      BookingModel: Booking,
+      UserModel: User,
+      customerId: booking.customerId,
+      providerId: booking.providerId,
+      excludeBookingId: booking._id,
+      ...slot,
+      timezone: booking.timezone,
+    };
+    const unavailable = await checkProviderAvailability(availability);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    // So may the rates, and a different number of days changes what the
+    // day rate comes to
+    const quote = await quoteSlot(booking, slot);
+    const priceProblem = await priceChangeProblem(booking, quote);
+    if (priceProblem) {
+      return res.status(422).json({ success: false, message: priceProblem });
+    }
+
+    const before = snapshotBooking(booking);
+    const vacated = {
+      _id: booking._id,
+      providerId: booking.providerId,
+      date: booking.date,
+      endDate: booking.endDate,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      timezone: booking.timezone,
+    };
+    // Checked again under the provider's lock, so a parallel booking
+    // cannot take the new slot between the check and the save
+    const moved = await bookProviderSlot({
+      ...availability,
+      write: async () => {
+        Object.assign(booking, slot, {
+          totalHours: quote.totalHours,
+          totalAmount: quote.totalAmount,
+          depositAmount: quote.depositAmount,
+          priceBreakdown: quote.breakdown,
+          addOns: quote.addOns,
+        });
+        proposal.status = "accepted";
+        proposal.respondedBy = currentUserId(req);
+        proposal.respondedAt = new Date();
+        proposal.responseNote = textOrEmpty(req.body.note);
+        await booking.save();
+      },
+    });
+    if (moved.unavailable) {
+      return res.status(moved.unavailable.status).json(moved.unavailable.body);
+    }
+
+    await recordBookingHistory({
+      booking,
+      before,
+      actor: { id: currentUserId(req), role },
+      action: "rescheduled",
+      reason: proposal.reason || proposal.responseNote,
+    });
+    await releaseBookingSlot(vacated);
+
+    try {
+      await postSystemMessage(
+        booking,
+        `เลื่อนนัดเรียบร้อย: วันที่ ${booking.date} เวลา ${booking.startTime}-${booking.endTime}`
+      );
+    } catch (chatError) {
+      console.error("Failed to post reschedule message for booking:", chatError);
+    }
+
+    return res.json({ success: true, data: booking.toJSON() });
+  } catch (err) {
+    console.error("acceptRescheduleRequest error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.declineRescheduleRequest = async (req, res) => {
+  try {
+    const loaded = await loadPendingProposalForResponder(req, res);
+    if (!loaded) return;
+    const { booking, proposal } = loaded;
+
+    proposal.status = "declined";
+    proposal.respondedBy = currentUserId(req);
+    proposal.respondedAt = new Date();
+    proposal.responseNote = textOrEmpty(req.body.note);
+    await booking.save();
+
+    return res.json({ success: true, data: proposal.toJSON() });
+  } catch (err) {
+    console.error("declineRescheduleRequest error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
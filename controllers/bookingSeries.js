@@ -0,0 +1,353 @@
+// controllers/bookingSeries.js
+const Booking = require("../models/Booking");
+const BookingSeries = require("../models/BookingSeries");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const { bookProviderSlot } = require("../utils/availability");
+const { calculateBookingPrice } = require("../utils/pricing");
+const { bookingRoleFor } = require("../utils/bookingTransitions");
+const { toInstant, resolveEndDate } = require("../utils/bookingTime");
+const {
+  seriesDates,
+  occurrencePaymentDueAt,
+} = require("../utils/bookingSeries");
+const {
+  createServiceBooking,
+  cancelBooking,
+} = require("../utils/bookingLifecycle");
+const { getHoldMinutes } = require("../jobs/expirePendingBookings");
+
+const CANCELLABLE_STATUSES = ["pending", "confirmed"];
+const CANCELLED_BY_ENUM = Booking.schema.path("cancelledBy").enumValues;
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const num = Number(value);
+  return Number.isNaN(num) ? undefined : num;
+};
+
+const loadSeries = async (req, res) => {
+  if (!ensureAuth(req, res)) return null;
+
+  const series = await BookingSeries.findById(req.params.id);
+  if (!series) {
+    res
+      .status(404)
+      .json({ success: false, message: "Booking series not found" });
+    return null;
+  }
+
+  const role = bookingRoleFor(series, req.user);
+  if (!role) {
+    res.status(403).json({ success: false, message: "Forbidden" });
+    return null;
+  }
+  return { series, role };
+};
+
+exports.listBookingSeries = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const userId = currentUserId(req);
+    const filter = {};
+    if (req.user.type === "admin") {
+      if (req.query.customerId) filter.customerId = req.query.customerId;
+      if (req.query.providerId) filter.providerId = req.query.providerId;
+    } else if (req.user.type === "provider") {
+      filter.providerId = userId;
+    } else {
+      filter.customerId = userId;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+
+    const [total, series] = await Promise.all([
+      BookingSeries.countDocuments(filter),
+      BookingSeries.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      success: true,
+      meta: { page, limit, total },
+      data: series,
+    });
+  } catch (err) {
+    console.error("listBookingSeries error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getBookingSeries = async (req, res) => {
+  try {
+    const loaded = await loadSeries(req, res);
+    if (!loaded) return;
+
+    const bookings = await Booking.find({ seriesId: loaded.series._id }).sort({
+      startAt: 1,
+    });
+
+    return res.json({
+      success: true,
+      data: { ...loaded.series.toJSON(), bookings },
+    });
+  } catch (err) {
+    console.error("getBookingSeries error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.createBookingSeries = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const userId = currentUserId(req);
+    const isAdmin = req.user.type === "admin";
+    if (!isAdmin && req.user.type !== "customer") {
+      return res.status(403).json({
+        success: false,
+        message: "Only customers or admins can create booking series",
+      });
+    }
+
+    const service = await Service.findById(req.body.serviceId);
+    if (!service) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Service not found" });
+    }
+
+    const customerId =
+      isAdmin && req.body.customerId ? req.body.customerId : userId;
+    if (service.providerId === customerId) {
+      return res.status(400).json({
+        success: false,
+        message: "Providers cannot book their own services",
+      });
+    }
+
+    const { startDate, startTime, endTime, frequency } = req.body;
+    const untilDate = req.body.untilDate ?? undefined;
+    const count = toNumber(req.body.count);
+    const schedule = seriesDates({ startDate, frequency, untilDate, count });
+    if (schedule.error) {
+      return res.status(400).json({ success: false, message: schedule.error });
+    }
+
+    // Overnight occurrences (22:00-02:00) end the day after their date
+    const slotOn = (date) => ({
+      date,
+      endDate: resolveEndDate({ date, startTime, endTime }),
+      startTime,
+      endTime,
+    });
+
+    // Every occurrence has the same length, so they share one price
+    const quote = calculateBookingPrice({ service, ...slotOn(startDate) });
+    if (!quote) {
+      return res.status(400).json({
+        success: false,
+        message: "startTime and endTime must be HH:mm",
+      });
+    }
+
+    const now = new Date();
+    const firstStart = toInstant(startDate, startTime);
+    if (!firstStart || firstStart <= now) {
+      return res.status(400).json({
+        success: false,
+        message: "The first occurrence must be in the future",
+      });
+    }
+
+    const series = new BookingSeries({
+      customerId,
+      providerId: service.providerId,
+      serviceId: service._id,
+      serviceName: service.name,
+      frequency,
+      startDate,
+      untilDate: untilDate || null,
+      count: count ?? null,
+      startTime,
+      endTime,
+      specialRequests: req.body.specialRequests,
+    });
+    // Saved before any occurrence is booked, so every booking made
+    // points at a series that exists
+    await series.save();
+
+    const holdMinutes = getHoldMinutes();
+    const actor = { id: userId, role: isAdmin ? "admin" : "customer" };
+    const bookings = [];
+
+    try {
+      for (const date of schedule.dates) {
+        const slot = slotOn(date);
+        const { unavailable, result } = await bookProviderSlot({
+          BookingModel: Booking,
+          UserModel: User,
+          customerId,
+          providerId: service.providerId,
+          ...slot,
+          write: () =>
+            createServiceBooking({
+              service,
+              customerId,
+              ...slot,
+              quote,
+              specialRequests: req.body.specialRequests,
+              extra: {
+                seriesId: series._id,
+                // Later occurrences are paid ahead of each date, not all at once
+                paymentDueAt: occurrencePaymentDueAt({
+                  date,
+                  startTime,
+                  now,
+                  holdMinutes,
+                }),
+              },
+              actor,
+            }),
+        });
+        if (unavailable) {
+          series.occurrences.push({
+            date,
+            status: "conflict",
+            reason: unavailable.body.message,
+            conflict: unavailable.body.conflict,
+          });
+          continue;
+        }
+
+        const { booking } = result;
+        bookings.push(booking);
+        series.occurrences.push({ date, status: "booked", bookingId: booking._id });
+        await series.save();
+      }
+    } catch (bookingError) {
+      // A series nothing was booked under is not kept
+      if (!bookings.length) await series.deleteOne();
+      throw bookingError;
+    }
+
+    const conflicts = series.occurrences.filter(
+      (occurrence) => occurrence.status === "conflict"
+    );
+    if (!bookings.length) {
+      await series.deleteOne();
+      return res.status(409).json({
+        success: false,
+        message: "None of the occurrences are available",
+        conflicts,
+      });
+    }
+
+    await series.save();
+
+    return res.status(201).json({
+      success: true,
+      data: { ...series.toJSON(), bookings },
+      conflicts,
+    });
+  } catch (err) {
+    console.error("createBookingSeries error:", err);
+    if (err && err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.cancelBookingSeries = async (req, res) => {
+  try {
+    const loaded = await loadSeries(req, res);
+    if (!loaded) return;
+    const { series, role } = loaded;
+
+    if (series.status === "cancelled") {
+      return res.status(409).json({
+        success: false,
+        message: "Booking series is already cancelled",
+      });
+    }
+
+    // Participants always cancel as themselves; admins may say on whose behalf
+    const cancelledBy =
+      role !== "admin"
+        ? role
+        : CANCELLED_BY_ENUM.includes(req.body.cancelledBy)
+        ? req.body.cancelledBy
+        : "customer";
+
+    const bookings = await Booking.find({
+      seriesId: series._id,
+      status: { $in: CANCELLABLE_STATUSES },
+    }).sort({ startAt: 1 });
+
+    const cancelled = [];
+    const skipped = [];
+    for (const booking of bookings) {
+      const result = await cancelBooking({
+        booking,
+        role,
+        cancelledBy,
+        reason: req.body.reason,
+        actor: { id: currentUserId(req), role },
+        action: "series_cancelled",
+      });
+      if (result.rejected) {
+        skipped.push({
+          bookingId: booking._id,
+          date: booking.date,
+          message: result.rejected.body.message,
+        });
+        continue;
+      }
+      cancelled.push({
+        bookingId: booking._id,
+        date: booking.date,
+        paymentStatus: booking.paymentStatus,
+        refundAmount: result.quote.refundAmount,
+        refundPercent: result.quote.refundPercent,
+      });
+    }
+
+    series.status = "cancelled";
+    series.cancelledBy = role;
+    series.cancelledAt = new Date();
+    await series.save();
+
+    return res.json({
+      success: true,
+      data: series,
+      cancelled,
+      skipped,
+    });
+  } catch (err) {
+    console.error("cancelBookingSeries error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
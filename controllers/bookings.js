@@ -1,12 +1,60 @@
 // controllers/bookings.js
+const { randomUUID } = require("crypto");
 const Booking = require("../models/Booking");
 const Service = require("../models/Service");
 const Chat = require("../models/Chat");
-const Transaction = require("../models/Transaction");
-const Payment = require("../models/Payment");
 const User = require("../models/User");
 const Review = require("../models/Review");
-const { ensureChatForBooking } = require("./chat");
+const BookingHistory = require("../models/BookingHistory");
+const EscrowHold = require("../models/EscrowHold");
+const { postSystemMessage } = require("./chat");
+const {
+  checkProviderAvailability,
+  bookProviderSlot,
+} = require("../utils/availability");
+const {
+  resolveAddOnSelections,
+  calculateBookingPrice,
+  findPriceMismatches,
+} = require("../utils/pricing");
+const {
+  bookingRoleFor,
+  transitionStateOf,
+  allowedNextStates,
+  checkBookingTransition,
+} = require("../utils/bookingTransitions");
+const { quoteCancellation } = require("../utils/cancellationPolicy");
+const {
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const {
+  processCancellationRefund,
+  releaseProviderEarning,
+} = require("../utils/bookingSettlement");
+const {
+  createServiceBooking,
+  applyCancellation,
+} = require("../utils/bookingLifecycle");
+const { releaseBookingSlot } = require("../utils/waitlist");
+const { escrowRemainingOf } = require("../utils/escrow");
+const { holdConfirmedPayment } = require("../utils/payments");
+const {
+  findUsableCoupon,
+  reserveCouponUsage,
+  unreserveCouponUsage,
+  recordCouponRedemption,
+  abandonCouponRedemption,
+  releaseCouponUsage,
+} = require("../utils/coupons");
+const { autoCompleteDueAt } = require("../jobs/autoCompleteBookings");
+const {
+  DEFAULT_TIMEZONE,
+  isValidDate,
+  toInstant,
+  addDays,
+  resolveEndDate,
+} = require("../utils/bookingTime");
 
 const STATUS_ENUM = Booking.schema.path("status").enumValues;
 const PAYMENT_STATUS_ENUM = Booking.schema.path("paymentStatus").enumValues;
@@ -109,15 +157,23 @@ exports.listBookings = async (req, res) => {
       }
       filter.paymentStatus = req.query.paymentStatus;
     }
-    if (req.query.dateFrom || req.query.dateTo) {
-      filter.date = {};
-      if (req.query.dateFrom) {
-        filter.date.$gte = req.query.dateFrom;
-      }
-      if (req.query.dateTo) {
-        filter.date.$lte = req.query.dateTo;
+    // Bookings that overlap the days from dateFrom to dateTo, Thailand time
+    for (const field of ["dateFrom", "dateTo"]) {
+      if (req.query[field] && !isValidDate(req.query[field])) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be in YYYY-MM-DD format`,
+        });
       }
     }
+    if (req.query.dateFrom) {
+      filter.endAt = { $gt: toInstant(req.query.dateFrom, "00:00") };
+    }
+    if (req.query.dateTo) {
+      filter.startAt = {
+        $lt: toInstant(addDays(req.query.dateTo, 1), "00:00"),
+      };
+    }
 
     const page = Math.max(1, parseInt(req.query.page || "1", 10));
     const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
@@ -261,59 +317,166 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    const totalHours = toNumber(req.body.totalHours);
-    const totalAmount = toNumber(req.body.totalAmount);
-    const depositAmount = toNumber(req.body.depositAmount);
+    // Bookings within one day do not store an endDate; overnight ones end the next day
+    const endDate = resolveEndDate(req.body);
+    const timezone = req.body.timezone || DEFAULT_TIMEZONE;
 
-    if (totalHours === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: "totalHours is required and must be numeric",
+    const slot = {
+      BookingModel: Booking,
+      UserModel: User,
+      customerId,
+      providerId: service.providerId,
+      date: req.body.date,
+      endDate,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      timezone,
+    };
+    const unavailable = await checkProviderAvailability(slot);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const selected = resolveAddOnSelections({
+      service,
+      selections: req.body.addOns,
+    });
+    if (selected.error) {
+      return res.status(400).json({ success: false, message: selected.error });
+    }
+
+    // Totals are computed here; client values are only checked against them
+    const priceInput = {
+      service,
+      date: req.body.date,
+      endDate,
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      addOns: selected.addOns,
+    };
+    let quote = calculateBookingPrice(priceInput);
+
+    let coupon = null;
+    if (req.body.couponCode) {
+      const found = await findUsableCoupon({
+        code: req.body.couponCode,
+        service,
+        customerId,
+        subtotal: quote.breakdown.subtotal,
       });
+      if (found.rejected) {
+        return res.status(found.rejected.status).json(found.rejected.body);
+      }
+      coupon = found.coupon;
+      quote = calculateBookingPrice({ ...priceInput, coupon });
     }
-    if (totalAmount === undefined) {
+
+    const submitted = {};
+    for (const field of ["totalHours", "totalAmount", "depositAmount"]) {
+      if (req.body[field] === undefined || req.body[field] === null) continue;
+      submitted[field] = toNumber(req.body[field]);
+      if (submitted[field] === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be numeric`,
+        });
+      }
+    }
+    const mismatches = findPriceMismatches(submitted, quote);
+    if (mismatches.length) {
       return res.status(400).json({
         success: false,
-        message: "totalAmount is required and must be numeric",
+        message: `Submitted ${mismatches.join(", ")} do not match the service price`,
+        expected: {
+          totalHours: quote.totalHours,
+          totalAmount: quote.totalAmount,
+          depositAmount: quote.depositAmount,
+          addOns: quote.addOns,
+          priceBreakdown: quote.breakdown,
+        },
       });
     }
-    if (depositAmount === undefined) {
-      return res.status(400).json({
+
+    if (coupon && !(await reserveCouponUsage(coupon))) {
+      return res.status(422).json({
         success: false,
-        message: "depositAmount is required and must be numeric",
+        reason: "usage_limit_reached",
+        message: "This coupon has been fully used",
       });
     }
 
-    const bookingPayload = {
-      customerId,
-      providerId: service.providerId,
-      serviceId: service.id || service._id,
-      serviceName: service.name,
-      date: req.body.date,
-      startTime: req.body.startTime,
-      endTime: req.body.endTime,
-      totalHours,
-      totalAmount,
-      depositAmount,
-      specialRequests: req.body.specialRequests,
-      status:
-        req.body.status && STATUS_ENUM.includes(req.body.status)
-          ? req.body.status
-          : undefined,
-      paymentStatus:
-        req.body.paymentStatus &&
-        PAYMENT_STATUS_ENUM.includes(req.body.paymentStatus)
-          ? req.body.paymentStatus
-          : undefined,
-    };
+    // The redemption is written before the booking, so it needs the id now
+    const bookingId = randomUUID();
+    if (coupon) {
+      let redemption;
+      try {
+        redemption = await recordCouponRedemption({
+          coupon,
+          customerId,
+          bookingId,
+          discountAmount: quote.breakdown.discountAmount,
+        });
+      } catch (redemptionError) {
+        await unreserveCouponUsage(coupon);
+        throw redemptionError;
+      }
+      if (!redemption) {
+        await unreserveCouponUsage(coupon);
+        return res.status(422).json({
+          success: false,
+          reason: "per_user_limit_reached",
+          message: "You have already used this coupon the maximum number of times",
+        });
+      }
+    }
 
-    const booking = await Booking.create(bookingPayload);
-    let chat = null;
+    let booked;
     try {
-      chat = await ensureChatForBooking(booking);
-    } catch (chatError) {
-      console.error("Failed to auto-create chat for booking:", chatError);
+      // Checked again under the provider's lock: the slot may have been
+      // booked by a parallel request since
+      booked = await bookProviderSlot({
+        ...slot,
+        write: () =>
+          createServiceBooking({
+            service,
+            customerId,
+            date: req.body.date,
+            endDate,
+            startTime: req.body.startTime,
+            endTime: req.body.endTime,
+            timezone,
+            quote,
+            specialRequests: req.body.specialRequests,
+            // Only admins may create a booking in a state other than the defaults
+            extra: {
+              _id: bookingId,
+              status:
+                isAdmin && req.body.status && STATUS_ENUM.includes(req.body.status)
+                  ? req.body.status
+                  : undefined,
+              paymentStatus:
+                isAdmin &&
+                req.body.paymentStatus &&
+                PAYMENT_STATUS_ENUM.includes(req.body.paymentStatus)
+                  ? req.body.paymentStatus
+                  : undefined,
+            },
+            actor: { id: userId, role: isAdmin ? "admin" : "customer" },
+          }),
+      });
+    } catch (createError) {
+      if (coupon) await abandonCouponRedemption({ coupon, bookingId });
+      throw createError;
+    }
+    if (booked.unavailable) {
+      if (coupon) await abandonCouponRedemption({ coupon, bookingId });
+      return res.status(booked.unavailable.status).json(booked.unavailable.body);
     }
+    const { booking, chat } = booked.result;
+    if (booking.paymentStatus === "paid") {
+      await holdConfirmedPayment(booking);
+    }
+
     return res
       .status(201)
       .json({ success: true, data: formatBookingResponse(booking, chat?._id) });
@@ -345,12 +508,77 @@ exports.updateBooking = async (req, res) => {
       return res.status(403).json({ success: false, message: "Forbidden" });
     }
 
+    if (
+      req.body.status !== undefined &&
+      !STATUS_ENUM.includes(req.body.status)
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid status value" });
+    }
+    if (
+      req.body.paymentStatus !== undefined &&
+      !PAYMENT_STATUS_ENUM.includes(req.body.paymentStatus)
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid paymentStatus value" });
+    }
+
+    const cancelling =
+      req.body.status === "cancelled" && booking.status !== "cancelled";
+    if (cancelling && req.body.paymentStatus !== undefined) {
+      return res.status(422).json({
+        success: false,
+        message:
+          "paymentStatus is set from the cancellation policy when a booking is cancelled",
+      });
+    }
+
+    const before = snapshotBooking(booking);
+    const role = bookingRoleFor(booking, req.user);
+    const rejected = checkBookingTransition({
+      booking,
+      role,
+      changes: {
+        status: req.body.status,
+        paymentStatus: req.body.paymentStatus,
+      },
+    });
+    if (rejected) {
+      return res.status(rejected.status).json(rejected.body);
+    }
+
     const numericFields = [
       "totalHours",
       "totalAmount",
       "depositAmount",
       "refundAmount",
     ];
+    // Amounts come from the service price; only admins may correct them
+    if (
+      req.user.type !== "admin" &&
+      numericFields.some((field) => req.body[field] !== undefined)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change booking amounts",
+      });
+    }
+    // Participants move a booking through /reschedule-requests instead
+    if (
+      req.user.type !== "admin" &&
+      ["date", "endDate", "startTime", "endTime"].some(
+        (field) => req.body[field] !== undefined && req.body[field] !== booking[field]
+      )
+    ) {
+      return res.status(422).json({
+        success: false,
+        message:
+          "Use POST /bookings/{id}/reschedule-requests to propose a new time",
+      });
+    }
+
     numericFields.forEach((field) => {
       if (req.body[field] !== undefined) {
         const num = toNumber(req.body[field]);
@@ -361,157 +589,68 @@ exports.updateBooking = async (req, res) => {
       }
     });
 
-    const stringFields = ["date", "startTime", "endTime", "specialRequests"];
+    const stringFields = [
+      "date",
+      "endDate",
+      "startTime",
+      "endTime",
+      "specialRequests",
+    ];
     stringFields.forEach((field) => {
       if (req.body[field] !== undefined) {
         booking[field] = req.body[field];
       }
     });
 
-    if (req.body.status !== undefined) {
-      if (!STATUS_ENUM.includes(req.body.status)) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Invalid status value" });
-      }
-      booking.status = req.body.status;
-      if (booking.status === "cancelled") {
-        const inferred =
-          req.body.cancelledBy &&
-          CANCELLED_BY_ENUM.includes(req.body.cancelledBy)
-            ? req.body.cancelledBy
-            : req.user.type === "provider"
-            ? "provider"
-            : "customer";
-        booking.cancelledBy = inferred;
-      } else {
-        booking.cancelledBy = undefined;
-      }
-    }
-
     if (req.body.paymentStatus !== undefined) {
-      if (!PAYMENT_STATUS_ENUM.includes(req.body.paymentStatus)) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Invalid paymentStatus value" });
-      }
       booking.paymentStatus = req.body.paymentStatus;
     }
 
-    // Process refund if booking is cancelled and was paid
-    if (
-      booking.status === "cancelled" &&
-      booking.cancelledBy &&
-      (booking.paymentStatus === "refunded" ||
-        booking.paymentStatus === "partially_refunded")
+    let cancellationQuote = null;
+    if (cancelling) {
+      // Participants always cancel as themselves; admins may say on whose behalf
+      cancellationQuote = applyCancellation(booking, {
+        cancelledBy:
+          role !== "admin"
+            ? role
+            : req.body.cancelledBy &&
+              CANCELLED_BY_ENUM.includes(req.body.cancelledBy)
+            ? req.body.cancelledBy
+            : "customer",
+        reason: req.body.reason,
+      });
+    } else if (
+      req.body.status !== undefined &&
+      req.body.status !== booking.status
     ) {
-      // Check if this booking already has refund processed
-      // by checking if refundAmount was already set
-      const alreadyProcessed = booking.refundAmount && booking.refundAmount > 0;
-
-      if (!alreadyProcessed) {
-        // Calculate refund amount
-        let refundAmount = 0;
-        let providerCompensation = 0;
-
-        if (booking.cancelledBy === "provider") {
-          // Provider cancellation: 100% refund to customer
-          refundAmount = booking.totalAmount;
-          booking.refundAmount = refundAmount;
-        } else if (booking.cancelledBy === "customer") {
-          // Customer cancellation: 50% refund to customer, 50% to provider
-          refundAmount = Math.floor(booking.totalAmount * 0.5);
-          providerCompensation = booking.totalAmount - refundAmount;
-          booking.refundAmount = refundAmount;
-        }
-
-        // Create refund transaction if refund amount > 0
-        if (refundAmount > 0) {
-          await Transaction.create({
-            customerId: booking.customerId,
-            amount: refundAmount,
-            currency: "THB",
-            method: "refund",
-            type: "refund",
-            status: "completed",
-            note: `คืนเงิน - ${booking.serviceName} (ยกเลิกโดย${
-              booking.cancelledBy === "provider" ? "ผู้ให้บริการ" : "ลูกค้า"
-            })`,
-          });
-
-          // Update payment record if exists
-          const payment = await Payment.findOne({ bookingId: booking._id });
-          if (payment && !payment.refundedAt) {
-            payment.status = booking.paymentStatus;
-            payment.refundAmount = refundAmount;
-            payment.refundReason = `ยกเลิกโดย${
-              booking.cancelledBy === "provider" ? "ผู้ให้บริการ" : "ลูกค้า"
-            }`;
-            payment.refundedAt = new Date();
-            await payment.save();
-          }
-        }
-
-        // Give provider compensation if customer cancelled
-        if (providerCompensation > 0) {
-          await Transaction.create({
-            customerId: booking.providerId,
-            amount: providerCompensation,
-            currency: "THB",
-            method: "compensation",
-            type: "topup",
-            status: "completed",
-            note: `ค่าชดเชยการยกเลิก - ${booking.serviceName} (ลูกค้ายกเลิก)`,
-          });
-        }
+      booking.status = req.body.status;
+      if (booking.status === "completed") {
+        booking.completedAt = new Date();
       }
     }
 
-    // Process provider earning if booking is completed and was paid
-    if (booking.status === "completed" && booking.paymentStatus === "paid") {
-      // Check if provider earning already processed
-      const existingEarning = await Transaction.findOne({
-        customerId: booking.providerId,
-        type: "topup",
-        note: { $regex: `รายได้จากการให้บริการ - ${booking.serviceName}` },
-      });
-
-      if (!existingEarning) {
-        // Calculate provider earning (90% after 10% platform commission)
-        const platformCommission = Math.floor(booking.totalAmount * 0.1);
-        const providerEarning = booking.totalAmount - platformCommission;
-
-        // Create earning transaction for provider
-        await Transaction.create({
-          customerId: booking.providerId,
-          amount: providerEarning,
-          currency: "THB",
-          method: "earning",
-          type: "topup",
-          status: "completed",
-          note: `รายได้จากการให้บริการ - ${booking.serviceName}`,
-        });
-      }
+    await processCancellationRefund(booking, cancellationQuote);
 
-      // Update service bookingCount (sync with actual completed bookings count)
-      const service = await Service.findById(booking.serviceId);
-
-      if (service) {
-        // Count total completed bookings for this service
-        const completedBookingsCount = await Booking.countDocuments({
-          serviceId: booking.serviceId,
-          status: "completed",
-        });
+    await booking.save();
+    await recordBookingHistory({
+      booking,
+      before,
+      actor: { id: currentUserId(req), role },
+      reason: req.body.reason,
+    });
 
-        // Always sync to actual count
-        if (completedBookingsCount !== service.bookingCount) {
-          service.bookingCount = completedBookingsCount;
-          await service.save();
-        }
-      }
+    // The customer's payment is held until the booking is settled
+    if (before.paymentStatus !== "paid" && booking.paymentStatus === "paid") {
+      await holdConfirmedPayment(booking);
+    }
+    if (before.status !== "completed" && booking.status === "completed") {
+      await releaseProviderEarning(booking);
+    }
+    if (cancellationQuote) {
+      await releaseBookingSlot(booking);
+      await releaseCouponUsage(booking);
     }
 
-    await booking.save();
     const chat = await Chat.findOne({ bookingId: booking._id }).select("_id");
 
     return res.json({
@@ -535,6 +674,187 @@ exports.updateBooking = async (req, res) => {
   }
 };
 
+exports.reportBookingIssue = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found" });
+    }
+
+    const role = bookingRoleFor(booking, req.user);
+    if (role !== "customer") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the customer of this booking can report a problem",
+      });
+    }
+
+    const description =
+      typeof req.body.description === "string"
+        ? req.body.description.trim()
+        : "";
+    if (!description) {
+      return res
+        .status(400)
+        .json({ success: false, message: "description is required" });
+    }
+
+    if (booking.status !== "confirmed") {
+      return res.status(422).json({
+        success: false,
+        message: "Problems can only be reported on confirmed bookings",
+      });
+    }
+    if (booking.issueReportedAt) {
+      return res.status(409).json({
+        success: false,
+        message: "A problem has already been reported for this booking",
+      });
+    }
+    const dueAt = autoCompleteDueAt(booking);
+    if (dueAt && new Date() >= dueAt) {
+      return res.status(422).json({
+        success: false,
+        message: "The window to report a problem for this booking has closed",
+      });
+    }
+
+    const before = snapshotBooking(booking);
+    booking.issueReportedAt = new Date();
+    booking.issueDescription = description;
+    await booking.save();
+    await recordBookingHistory({
+      booking,
+      before,
+      actor: { id: currentUserId(req), role },
+      action: "issue_reported",
+      reason: description,
+    });
+
+    try {
+      await postSystemMessage(
+        booking,
+        "ลูกค้าแจ้งปัญหาเกี่ยวกับการจองนี้ ระบบจะระงับการยืนยันการให้บริการอัตโนมัติไว้ก่อน"
+      );
+    } catch (chatError) {
+      console.error("Failed to post issue message for booking:", chatError);
+    }
+
+    const chat = await Chat.findOne({ bookingId: booking._id }).select("_id");
+    return res.json({
+      success: true,
+      data: formatBookingResponse(booking, chat?._id),
+    });
+  } catch (err) {
+    console.error("reportBookingIssue error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getCancellationQuote = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found" });
+    }
+
+    const role = bookingRoleFor(booking, req.user);
+    if (!role) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    // Admins can preview a cancellation on behalf of either side
+    let cancelledBy = role;
+    if (role === "admin") {
+      cancelledBy = CANCELLED_BY_ENUM.includes(req.query.cancelledBy)
+        ? req.query.cancelledBy
+        : "customer";
+    }
+
+    const now = new Date();
+    const quote = quoteCancellation({ booking, cancelledBy, now });
+    const cancellable = allowedNextStates({
+      field: "status",
+      booking: transitionStateOf(booking),
+      role,
+      now,
+    }).includes("cancelled");
+
+    return res.json({
+      success: true,
+      data: { bookingId: booking._id, cancellable, quotedAt: now, ...quote },
+    });
+  } catch (err) {
+    console.error("getCancellationQuote error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getBookingHistory = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found" });
+    }
+    if (!canAccessBooking(booking, req)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    const entries = await BookingHistory.find({ bookingId: booking._id }).sort({
+      createdAt: 1,
+    });
+
+    return res.json({ success: true, data: entries });
+  } catch (err) {
+    console.error("getBookingHistory error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getBookingEscrow = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found" });
+    }
+    if (!canAccessBooking(booking, req)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    const hold = await EscrowHold.findOne({ bookingId: booking._id });
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: "No payment is held in escrow for this booking",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: { ...hold.toJSON(), remainingAmount: escrowRemainingOf(hold) },
+    });
+  } catch (err) {
+    console.error("getBookingEscrow error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
 exports.deleteBooking = async (req, res) => {
   try {
     if (!ensureAuth(req, res)) return;
@@ -0,0 +1,145 @@
+// controllers/cancellationPolicies.js
+const CancellationPolicy = require("../models/CancellationPolicy");
+const { BUILT_IN_POLICY } = require("../utils/cancellationPolicy");
+
+const EDITABLE_FIELDS = ["name", "description", "rules", "isDefault", "active"];
+
+const ensureAdmin = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  if (req.user.type !== "admin") {
+    res.status(403).json({
+      success: false,
+      message: "Only admins can manage cancellation policies",
+    });
+    return false;
+  }
+  return true;
+};
+
+const validationResponse = (res, err) => {
+  const messages = Object.values(err.errors).map((e) => e.message);
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: messages,
+  });
+};
+
+// Only one active policy can be the platform default
+const clearOtherDefaults = (policy) =>
+  CancellationPolicy.updateMany(
+    { _id: { $ne: policy._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+
+exports.listCancellationPolicies = async (req, res) => {
+  try {
+    const filter = req.user?.type === "admin" ? {} : { active: true };
+    const policies = await CancellationPolicy.find(filter).sort({
+      isDefault: -1,
+      name: 1,
+    });
+
+    return res.json({
+      success: true,
+      data: policies,
+      // What applies when no policy is marked as the default
+      builtInDefault: BUILT_IN_POLICY,
+    });
+  } catch (err) {
+    console.error("listCancellationPolicies error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy || (!policy.active && req.user?.type !== "admin")) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cancellation policy not found" });
+    }
+    return res.json({ success: true, data: policy });
+  } catch (err) {
+    console.error("getCancellationPolicy error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.createCancellationPolicy = async (req, res) => {
+  try {
+    if (!ensureAdmin(req, res)) return;
+
+    const payload = { createdBy: String(req.user.id || req.user._id) };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) payload[field] = req.body[field];
+    });
+
+    const policy = await CancellationPolicy.create(payload);
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy);
+    }
+
+    return res.status(201).json({ success: true, data: policy });
+  } catch (err) {
+    console.error("createCancellationPolicy error:", err);
+    if (err && err.name === "ValidationError") {
+      return validationResponse(res, err);
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.updateCancellationPolicy = async (req, res) => {
+  try {
+    if (!ensureAdmin(req, res)) return;
+
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cancellation policy not found" });
+    }
+
+    // Existing bookings keep the snapshot they were made under
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+    await policy.save();
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy);
+    }
+
+    return res.json({ success: true, data: policy });
+  } catch (err) {
+    console.error("updateCancellationPolicy error:", err);
+    if (err && err.name === "ValidationError") {
+      return validationResponse(res, err);
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.deleteCancellationPolicy = async (req, res) => {
+  try {
+    if (!ensureAdmin(req, res)) return;
+
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cancellation policy not found" });
+    }
+
+    // Services still pointing at it fall back to the platform default
+    await policy.deleteOne();
+    return res.json({ success: true, message: "Cancellation policy deleted" });
+  } catch (err) {
+    console.error("deleteCancellationPolicy error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -2,6 +2,7 @@ const Chat = require('../models/Chat');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Service = require('../models/Service');
+const {expireChatOffers} = require('../utils/chatOffers');
 
 const currentUserId = (user = {}) =>
   user?.id || user?._id ? String(user.id || user._id) : '';
@@ -23,6 +24,14 @@ const ensureChatForBookingInternal = async (booking, ChatModel) => {
   return ChatModel.create(payload);
 };
 
+const postSystemMessageInternal = async (booking, content, ChatModel) => {
+  const chat = await ensureChatForBookingInternal(booking, ChatModel);
+  if (!chat) return null;
+  chat.messages.push({senderType: 'system', content});
+  await chat.save();
+  return chat;
+};
+
 const buildChatController = ({ChatModel = Chat, BookingModel = Booking, UserModel = User, ServiceModel = Service} = {}) => {
   const canViewChat = (chat, user) => {
     if (!chat || !user) return false;
@@ -82,6 +91,7 @@ const buildChatController = ({ChatModel = Chat, BookingModel = Booking, UserMode
       
       return {
         bookingDate: booking.date,
+        bookingEndDate: booking.endDate || booking.date,
         startTime: booking.startTime,
         endTime: booking.endTime,
         serviceName: booking.serviceName || (service ? service.name : null),
@@ -94,6 +104,17 @@ const buildChatController = ({ChatModel = Chat, BookingModel = Booking, UserMode
     }
   };
 
+  // Offers past their expiry show as expired to both parties
+  const expireStaleOffers = async (chat) => {
+    try {
+      if (expireChatOffers(chat)) {
+        await chat.save();
+      }
+    } catch (err) {
+      console.error('expireStaleOffers error:', err);
+    }
+  };
+
   const listChats = async (req, res) => {
     try {
       const userId = currentUserId(req.user);
@@ -123,6 +144,7 @@ const buildChatController = ({ChatModel = Chat, BookingModel = Booking, UserMode
       // Return full chat details with participant names and booking details for regular users
       const chatsWithDetails = await Promise.all(
         chats.map(async (chat) => {
+          await expireStaleOffers(chat);
           const [participantNames, bookingDetails] = await Promise.all([
             resolveParticipantNames(chat),
             resolveBookingDetails(chat),
@@ -166,6 +188,7 @@ const buildChatController = ({ChatModel = Chat, BookingModel = Booking, UserMode
         return res.status(403).json({success: false, message: 'Forbidden'});
       }
 
+      await expireStaleOffers(chat);
       const [participantNames, bookingDetails] = await Promise.all([
         resolveParticipantNames(chat),
         resolveBookingDetails(chat),
@@ -385,6 +408,8 @@ const buildChatController = ({ChatModel = Chat, BookingModel = Booking, UserMode
     postMessage,
     ensureChatForBookingInternal: (booking) =>
       ensureChatForBookingInternal(booking, ChatModel),
+    postSystemMessage: (booking, content) =>
+      postSystemMessageInternal(booking, content, ChatModel),
   };
 };
 
@@ -0,0 +1,423 @@
+// controllers/chatOffers.js
+const Chat = require("../models/Chat");
+const Booking = require("../models/Booking");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const { postSystemMessage } = require("./chat");
+const {
+  checkProviderAvailability,
+  bookProviderSlot,
+} = require("../utils/availability");
+const { calculateBookingPrice, roundMoney } = require("../utils/pricing");
+const {
+  DEFAULT_TIMEZONE,
+  bookingStartsAt,
+  resolveEndDate,
+} = require("../utils/bookingTime");
+const {
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const { createServiceBooking } = require("../utils/bookingLifecycle");
+const { releaseBookingSlot } = require("../utils/waitlist");
+const { releaseCouponUsage } = require("../utils/coupons");
+const {
+  getOfferTtlHours,
+  findOfferMessage,
+  expireChatOffers,
+  offerSummary,
+} = require("../utils/chatOffers");
+const { getHoldMinutes } = require("../jobs/expirePendingBookings");
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+/**
+ * A chat's own booking takes the offer's terms while nothing has been paid
+ * for it; otherwise accepting the offer makes a new booking.
+ */
+const canTakeOfferTerms = (booking) =>
+  Boolean(booking) &&
+  booking.status === "pending" &&
+  booking.paymentStatus === "pending" &&
+  !booking.seriesId &&
+  !booking.openDisputeId;
+
+// Load the chat, expiring stale offers, and check the caller is `role` in it
+const loadChat = async (req, res, role) => {
+  if (!ensureAuth(req, res)) return null;
+
+  const chat = await Chat.findById(req.params.id);
+  if (!chat) {
+    res.status(404).json({ success: false, message: "Chat not found" });
+    return null;
+  }
+  const participantId = role === "provider" ? chat.providerId : chat.customerId;
+  if (participantId !== currentUserId(req)) {
+    res.status(403).json({
+      success: false,
+      message:
+        role === "provider"
+          ? "Only the provider in this chat can send offers"
+          : "Only the customer in this chat can respond to offers",
+    });
+    return null;
+  }
+  if (expireChatOffers(chat)) {
+    await chat.save();
+  }
+  return chat;
+};
+
+// Load the pending offer addressed by the route for the customer
+const loadPendingOffer = async (req, res) => {
+  const chat = await loadChat(req, res, "customer");
+  if (!chat) return null;
+
+  const message = findOfferMessage(chat, req.params.offerId);
+  if (!message) {
+    res.status(404).json({ success: false, message: "Offer not found" });
+    return null;
+  }
+  if (message.offer.status !== "pending") {
+    res.status(409).json({
+      success: false,
+      message: `This offer is already ${message.offer.status}`,
+    });
+    return null;
+  }
+  return { chat, offer: message.offer };
+};
+
+// Move the offer from pending to `status`; false when someone else got there first
+const claimOffer = async (chat, offer, status, now) => {
+  const claimed = await Chat.findOneAndUpdate(
+    {
+      _id: chat._id,
+      messages: { $elemMatch: { "offer._id": offer._id, "offer.status": "pending" } },
+    },
+    {
+      $set: {
+        "messages.$.offer.status": status,
+        "messages.$.offer.respondedAt": now,
+      },
+    },
+    { new: true }
+  );
+  return Boolean(claimed);
+};
+
+const postOfferMessage = async (booking, text) => {
+  try {
+    await postSystemMessage(booking, text);
+  } catch (chatError) {
+    console.error("Failed to post offer message for booking:", chatError);
+  }
+};
+
+/**
+ * The provider proposes a service, time and price in the chat.
+ * Only one offer can wait for an answer at a time.
+ */
+exports.createChatOffer = async (req, res) => {
+  try {
+    const chat = await loadChat(req, res, "provider");
+    if (!chat) return;
+
+    if (chat.messages.some((message) => message.offer?.status === "pending")) {
+      return res.status(409).json({
+        success: false,
+        message: "This chat already has an offer waiting for an answer",
+      });
+    }
+
+    const booking = await Booking.findById(chat.bookingId);
+    const service = await Service.findById(req.body.serviceId || booking?.serviceId);
+    if (!service || service.providerId !== chat.providerId) {
+      return res.status(404).json({ success: false, message: "Service not found" });
+    }
+
+    const totalAmount = roundMoney(Number(req.body.totalAmount));
+    if (!Number.isFinite(totalAmount) || totalAmount < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "totalAmount must be a number of at least 1",
+      });
+    }
+
+    const terms = {
+      date: req.body.date,
+      endDate: resolveEndDate(req.body),
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      timezone: req.body.timezone || DEFAULT_TIMEZONE,
+    };
+    if (!calculateBookingPrice({ service, ...terms, agreedAmount: totalAmount })) {
+      return res.status(400).json({
+        success: false,
+        message: "date, startTime and endTime must describe a valid time range",
+      });
+    }
+    const unavailable = await checkProviderAvailability({
+      BookingModel: Booking,
+      UserModel: User,
+      customerId: chat.customerId,
+      providerId: chat.providerId,
+      excludeBookingId: canTakeOfferTerms(booking) ? booking._id : undefined,
+      ...terms,
+    });
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const now = new Date();
+    const startsAt = bookingStartsAt(terms);
+    if (startsAt <= now) {
+      return res
+        .status(422)
+        .json({ success: false, message: "The offered time must be in the future" });
+    }
+
+    let expiresAt = new Date(now.getTime() + getOfferTtlHours() * 60 * 60 * 1000);
+    if (req.body.expiresAt !== undefined) {
+      expiresAt = new Date(req.body.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+        return res.status(400).json({
+          success: false,
+          message: "expiresAt must be a date-time in the future",
+        });
+      }
+    }
+    // Nobody can take up an offer for time that has already begun
+    if (expiresAt > startsAt) expiresAt = startsAt;
+
+    const offer = {
+      serviceId: service._id,
+      serviceName: service.name,
+      ...terms,
+      totalAmount,
+      note: typeof req.body.note === "string" ? req.body.note.trim() : "",
+      expiresAt,
+    };
+    chat.messages.push({
+      senderId: currentUserId(req),
+      senderType: "provider",
+      type: "offer",
+      content: offerSummary(offer),
+      offer,
+    });
+    await chat.save();
+
+    return res
+      .status(201)
+      .json({ success: true, data: chat.messages[chat.messages.length - 1] });
+  } catch (err) {
+    console.error("createChatOffer error:", err);
+    if (err && err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * The customer takes the offer. The chat's booking is changed to its
+ * terms while still unpaid; otherwise a new booking is made from it.
+ */
+exports.acceptChatOffer = async (req, res) => {
+  try {
+    const loaded = await loadPendingOffer(req, res);
+    if (!loaded) return;
+    const { chat, offer } = loaded;
+
+    const service = await Service.findById(offer.serviceId);
+    if (!service) {
+      return res.status(422).json({
+        success: false,
+        message: "The offered service no longer exists",
+      });
+    }
+    const booking = await Booking.findById(chat.bookingId);
+    const updating = canTakeOfferTerms(booking);
+
+    const terms = {
+      date: offer.date,
+      endDate: offer.endDate || null,
+      startTime: offer.startTime,
+      endTime: offer.endTime,
+      timezone: offer.timezone,
+    };
+    // The calendar may have changed since the offer was made
+    const availability = {
+      BookingModel: Booking,
+      UserModel: User,
+      customerId: chat.customerId,
+      providerId: chat.providerId,
+      excludeBookingId: updating ? booking._id : undefined,
+      ...terms,
+    };
+    const unavailable = await checkProviderAvailability(availability);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+    const quote = calculateBookingPrice({
+      service,
+      ...terms,
+      agreedAmount: offer.totalAmount,
+    });
+
+    const now = new Date();
+    if (!(await claimOffer(chat, offer, "accepted", now))) {
+      return res
+        .status(409)
+        .json({ success: false, message: "This offer has already been answered" });
+    }
+
+    const actor = { id: currentUserId(req), role: "customer" };
+    // Put the offer back so the customer can try again
+    const reopenOffer = () =>
+      Chat.updateOne(
+        { _id: chat._id, "messages.offer._id": offer._id },
+        {
+          $set: {
+            "messages.$.offer.status": "pending",
+            "messages.$.offer.respondedAt": null,
+          },
+        }
+      );
+    let applied;
+    try {
+      // Checked again under the provider's lock, so a parallel booking
+      // cannot take the time between the check and the write
+      applied = await bookProviderSlot({
+        ...availability,
+        write: async () => {
+          if (updating) {
+            const before = snapshotBooking(booking);
+            const vacated = {
+              _id: booking._id,
+              providerId: booking.providerId,
+              date: booking.date,
+              endDate: booking.endDate,
+              startTime: booking.startTime,
+              endTime: booking.endTime,
+              timezone: booking.timezone,
+            };
+            // The agreed price replaces any coupon discount
+            await releaseCouponUsage(booking);
+            Object.assign(booking, terms, {
+              serviceId: service._id,
+              serviceName: service.name,
+              totalHours: quote.totalHours,
+              totalAmount: quote.totalAmount,
+              depositAmount: quote.depositAmount,
+              priceBreakdown: quote.breakdown,
+              addOns: [],
+              offerId: offer._id,
+              // A fresh payment hold from the moment the terms were agreed
+              paymentDueAt: new Date(now.getTime() + getHoldMinutes() * 60 * 1000),
+            });
+            await booking.save();
+            await recordBookingHistory({
+              booking,
+              before,
+              actor,
+              action: "offer_accepted",
+            });
+            await releaseBookingSlot(vacated);
+            return { booking, created: false };
+          } else {
+            const created = await createServiceBooking({
+              service,
+              customerId: chat.customerId,
+              ...terms,
+              quote,
+              specialRequests: offer.note,
+              extra: { offerId: offer._id },
+              actor,
+            });
+            return { booking: created.booking, created: true };
+          }
+        },
+      });
+    } catch (applyError) {
+      await reopenOffer();
+      throw applyError;
+    }
+    if (applied.unavailable) {
+      await reopenOffer();
+      return res.status(applied.unavailable.status).json(applied.unavailable.body);
+    }
+    const result = applied.result;
+
+    await Chat.updateOne(
+      { _id: chat._id, "messages.offer._id": offer._id },
+      { $set: { "messages.$.offer.bookingId": result.booking._id } }
+    );
+    await postOfferMessage(
+      booking || result.booking,
+      result.created
+        ? `ลูกค้ายอมรับข้อเสนอแล้ว สร้างการจองใหม่ วันที่ ${offer.date} เวลา ${offer.startTime}-${offer.endTime}`
+        : `ลูกค้ายอมรับข้อเสนอแล้ว การจองเปลี่ยนเป็นวันที่ ${offer.date} เวลา ${offer.startTime}-${offer.endTime} ราคา ${offer.totalAmount} บาท`
+    );
+
+    return res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: {
+        offerId: offer._id,
+        created: result.created,
+        booking: result.booking.toJSON(),
+      },
+    });
+  } catch (err) {
+    console.error("acceptChatOffer error:", err);
+    if (err && err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.declineChatOffer = async (req, res) => {
+  try {
+    const loaded = await loadPendingOffer(req, res);
+    if (!loaded) return;
+    const { chat, offer } = loaded;
+
+    if (!(await claimOffer(chat, offer, "declined", new Date()))) {
+      return res
+        .status(409)
+        .json({ success: false, message: "This offer has already been answered" });
+    }
+
+    const booking = await Booking.findById(chat.bookingId);
+    if (booking) {
+      await postOfferMessage(booking, "ลูกค้าปฏิเสธข้อเสนอ");
+    }
+
+    return res.json({
+      success: true,
+      data: { offerId: offer._id, status: "declined" },
+    });
+  } catch (err) {
+    console.error("declineChatOffer error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,220 @@
+// controllers/coupons.js
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const Service = require("../models/Service");
+const {
+  resolveAddOnSelections,
+  calculateBookingPrice,
+} = require("../utils/pricing");
+const { normalizeCouponCode, findUsableCoupon } = require("../utils/coupons");
+const { resolveEndDate } = require("../utils/bookingTime");
+
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscountAmount",
+  "minSpend",
+  "validFrom",
+  "validUntil",
+  "usageLimit",
+  "perUserLimit",
+  "serviceIds",
+  "categories",
+  "active",
+];
+
+const validationResponse = (res, err) => {
+  const messages = Object.values(err.errors).map((e) => e.message);
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: messages,
+  });
+};
+
+const duplicateCodeResponse = (res) =>
+  res
+    .status(409)
+    .json({ success: false, message: "A coupon with this code already exists" });
+
+exports.listCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === "true";
+    }
+    if (req.query.code) {
+      filter.code = normalizeCouponCode(req.query.code);
+    }
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    return res.json({ success: true, count: coupons.length, data: coupons });
+  } catch (err) {
+    console.error("listCoupons error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+    return res.json({ success: true, data: coupon });
+  } catch (err) {
+    console.error("getCoupon error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.createCoupon = async (req, res) => {
+  try {
+    const payload = { createdBy: String(req.user.id || req.user._id) };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) payload[field] = req.body[field];
+    });
+
+    const coupon = await Coupon.create(payload);
+    return res.status(201).json({ success: true, data: coupon });
+  } catch (err) {
+    console.error("createCoupon error:", err);
+    if (err && err.name === "ValidationError") {
+      return validationResponse(res, err);
+    }
+    if (err && err.code === 11000) {
+      return duplicateCodeResponse(res);
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+
+    // Bookings already made keep the discount they were priced with
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+    await coupon.save();
+
+    return res.json({ success: true, data: coupon });
+  } catch (err) {
+    console.error("updateCoupon error:", err);
+    if (err && err.name === "ValidationError") {
+      return validationResponse(res, err);
+    }
+    if (err && err.code === 11000) {
+      return duplicateCodeResponse(res);
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Coupon not found" });
+    }
+
+    // Redeemed coupons stay so their bookings can still be traced to them
+    const redeemed = await CouponRedemption.exists({ couponId: coupon._id });
+    if (redeemed) {
+      return res.status(409).json({
+        success: false,
+        message: "This coupon has been used; set active to false instead",
+      });
+    }
+
+    await coupon.deleteOne();
+    return res.json({ success: true, message: "Coupon deleted" });
+  } catch (err) {
+    console.error("deleteCoupon error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Preview what a code would take off a booking before it is made.
+ * Runs the same checks createBooking does, except availability.
+ */
+exports.validateCoupon = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "code is required" });
+    }
+
+    const service = await Service.findById(req.body.serviceId);
+    if (!service) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Service not found" });
+    }
+
+    const selected = resolveAddOnSelections({
+      service,
+      selections: req.body.addOns,
+    });
+    if (selected.error) {
+      return res.status(400).json({ success: false, message: selected.error });
+    }
+
+    const priceInput = {
+      service,
+      date: req.body.date,
+      endDate: resolveEndDate(req.body),
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      addOns: selected.addOns,
+    };
+    const withoutCoupon = calculateBookingPrice(priceInput);
+    if (!withoutCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: "date, startTime and endTime must describe a valid time range",
+      });
+    }
+
+    const found = await findUsableCoupon({
+      code: req.body.code,
+      service,
+      customerId: String(req.user.id || req.user._id),
+      subtotal: withoutCoupon.breakdown.subtotal,
+    });
+    if (found.rejected) {
+      return res.status(found.rejected.status).json(found.rejected.body);
+    }
+
+    const quote = calculateBookingPrice({ ...priceInput, coupon: found.coupon });
+    return res.json({
+      success: true,
+      data: {
+        code: found.coupon.code,
+        description: found.coupon.description,
+        discountAmount: quote.breakdown.discountAmount,
+        totalHours: quote.totalHours,
+        totalAmount: quote.totalAmount,
+        depositAmount: quote.depositAmount,
+        addOns: quote.addOns,
+        priceBreakdown: quote.breakdown,
+      },
+    });
+  } catch (err) {
+    console.error("validateCoupon error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
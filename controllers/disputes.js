@@ -0,0 +1,450 @@
+// controllers/disputes.js
+const { randomUUID } = require("crypto");
+const Booking = require("../models/Booking");
+const Dispute = require("../models/Dispute");
+const {
+  DISPUTE_CATEGORY_ENUM,
+  DISPUTE_OUTCOME_ENUM,
+  MAX_EVIDENCE,
+} = require("../models/Dispute");
+const { postSystemMessage } = require("./chat");
+const { bookingRoleFor } = require("../utils/bookingTransitions");
+const {
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const {
+  planDisputeSettlement,
+  settleDisputedBooking,
+} = require("../utils/bookingSettlement");
+const { releaseCouponUsage } = require("../utils/coupons");
+const { validateBase64Image } = require("../utils/images");
+const { concludeContestedNoShow } = require("../utils/noShow");
+
+const MAX_EVIDENCE_BYTES = 5 * 1024 * 1024;
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+const textOrEmpty = (value, max = 2000) =>
+  typeof value === "string" ? value.trim().slice(0, max) : "";
+
+// Role of the caller on a dispute: the booking's parties, admins, or null
+const disputeRoleFor = (dispute, user) => {
+  if (!user) return null;
+  if (user.type === "admin") return "admin";
+  const id = String(user.id || user._id || "");
+  if (dispute.customerId === id) return "customer";
+  if (dispute.providerId === id) return "provider";
+  return null;
+};
+
+/**
+ * Validate evidence attachments `[{ image, caption }]` from a request.
+ * Returns `{ evidence }` ready to push onto a dispute, or `{ error }`.
+ */
+const parseEvidence = (input, { submittedBy, submittedByRole }) => {
+  if (input === undefined || input === null) return { evidence: [] };
+  const entries = Array.isArray(input) ? input : [input];
+  const evidence = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = typeof entries[i] === "string" ? { image: entries[i] } : entries[i];
+    const checked = validateBase64Image(entry && entry.image, {
+      maxBytes: MAX_EVIDENCE_BYTES,
+    });
+    if (!checked.ok) {
+      return { error: `evidence[${i}] invalid: ${checked.message}` };
+    }
+    evidence.push({
+      submittedBy,
+      submittedByRole,
+      image: checked.dataUri,
+      caption: textOrEmpty(entry.caption, 300),
+    });
+  }
+  return { evidence };
+};
+
+const postDisputeMessage = async (booking, text) => {
+  try {
+    await postSystemMessage(booking, text);
+  } catch (chatError) {
+    console.error("Failed to post dispute message for booking:", chatError);
+  }
+};
+
+const validationFailed = (res, err) => {
+  const messages = Object.values(err.errors).map((e) => e.message);
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: messages,
+  });
+};
+
+exports.listDisputes = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const filter = {};
+    if (req.user.type !== "admin") {
+      const userId = currentUserId(req);
+      filter.$or = [{ customerId: userId }, { providerId: userId }];
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.bookingId) filter.bookingId = req.query.bookingId;
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+
+    // Evidence images are only sent with a single dispute
+    const [total, disputes] = await Promise.all([
+      Dispute.countDocuments(filter),
+      Dispute.find(filter)
+        .select("-evidence.image")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      success: true,
+      meta: { page, limit, total },
+      data: disputes,
+    });
+  } catch (err) {
+    console.error("listDisputes error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.getDispute = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Dispute not found" });
+    }
+    if (!disputeRoleFor(dispute, req.user)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    return res.json({ success: true, data: dispute });
+  } catch (err) {
+    console.error("getDispute error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.openDispute = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const booking = await Booking.findById(req.body.bookingId);
+    if (!booking) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Booking not found" });
+    }
+    const role = bookingRoleFor(booking, req.user);
+    if (role !== "customer" && role !== "provider") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the customer or provider of this booking can open a dispute",
+      });
+    }
+
+    if (!DISPUTE_CATEGORY_ENUM.includes(req.body.category)) {
+      return res.status(400).json({
+        success: false,
+        message: `category must be one of ${DISPUTE_CATEGORY_ENUM.join(", ")}`,
+      });
+    }
+    const statement = textOrEmpty(req.body.statement);
+    if (!statement) {
+      return res
+        .status(400)
+        .json({ success: false, message: "statement is required" });
+    }
+    const userId = currentUserId(req);
+    const { evidence, error } = parseEvidence(req.body.evidence, {
+      submittedBy: userId,
+      submittedByRole: role,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Money has to be held for there to be something to decide about
+    if (booking.status !== "confirmed" || booking.paymentStatus !== "paid") {
+      return res.status(422).json({
+        success: false,
+        message: "Only confirmed, paid bookings can be disputed",
+      });
+    }
+
+    // Put the hold on first so one booking never gets two open disputes
+    const disputeId = randomUUID();
+    const held = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "confirmed", paymentStatus: "paid", openDisputeId: null },
+      { $set: { openDisputeId: disputeId } },
+      { new: true }
+    );
+    if (!held) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking already has an open dispute or has been settled",
+      });
+    }
+
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        _id: disputeId,
+        bookingId: booking._id,
+        customerId: booking.customerId,
+        providerId: booking.providerId,
+        openedBy: userId,
+        openedByRole: role,
+        category: req.body.category,
+        [`${role}Statement`]: { text: statement },
+        evidence,
+      });
+    } catch (createError) {
+      await Booking.updateOne(
+        { _id: booking._id, openDisputeId: disputeId },
+        { $set: { openDisputeId: null } }
+      );
+      throw createError;
+    }
+
+    await recordBookingHistory({
+      booking: held,
+      before: snapshotBooking(booking),
+      actor: { id: userId, role },
+      action: "dispute_opened",
+      reason: statement,
+    });
+    await postDisputeMessage(
+      held,
+      `${role === "customer" ? "ลูกค้า" : "ผู้ให้บริการ"}เปิดข้อพิพาทสำหรับการจองนี้ ระบบจะระงับการยืนยันการให้บริการและการโอนเงินไว้จนกว่าผู้ดูแลระบบจะพิจารณา`
+    );
+
+    return res.status(201).json({ success: true, data: dispute });
+  } catch (err) {
+    console.error("openDispute error:", err);
+    if (err && err.name === "ValidationError") return validationFailed(res, err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Each party gives (or rewrites) its own statement while the dispute is open.
+ */
+exports.submitDisputeStatement = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Dispute not found" });
+    }
+    const role = disputeRoleFor(dispute, req.user);
+    if (role !== "customer" && role !== "provider") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the customer or provider can give a statement",
+      });
+    }
+    if (dispute.status !== "open") {
+      return res
+        .status(422)
+        .json({ success: false, message: "Dispute has already been resolved" });
+    }
+    const statement = textOrEmpty(req.body.statement);
+    if (!statement) {
+      return res
+        .status(400)
+        .json({ success: false, message: "statement is required" });
+    }
+
+    dispute[`${role}Statement`] = { text: statement, submittedAt: new Date() };
+    await dispute.save();
+
+    return res.json({ success: true, data: dispute });
+  } catch (err) {
+    console.error("submitDisputeStatement error:", err);
+    if (err && err.name === "ValidationError") return validationFailed(res, err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.addDisputeEvidence = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Dispute not found" });
+    }
+    const role = disputeRoleFor(dispute, req.user);
+    if (!role) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+    if (dispute.status !== "open") {
+      return res
+        .status(422)
+        .json({ success: false, message: "Dispute has already been resolved" });
+    }
+
+    const { evidence, error } = parseEvidence(req.body.evidence || req.body, {
+      submittedBy: currentUserId(req),
+      submittedByRole: role,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (dispute.evidence.length + evidence.length > MAX_EVIDENCE) {
+      return res.status(422).json({
+        success: false,
+        message: `A dispute can have at most ${MAX_EVIDENCE} evidence attachments`,
+      });
+    }
+
+    dispute.evidence.push(...evidence);
+    await dispute.save();
+
+    return res.status(201).json({ success: true, data: dispute });
+  } catch (err) {
+    console.error("addDisputeEvidence error:", err);
+    if (err && err.name === "ValidationError") return validationFailed(res, err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Admin decision: refund the customer in full or in part, or release the
+ * payment to the provider. Moves the money and lifts the booking's hold.
+ */
+exports.resolveDispute = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Dispute not found" });
+    }
+    if (dispute.status !== "open") {
+      return res
+        .status(422)
+        .json({ success: false, message: "Dispute has already been resolved" });
+    }
+
+    const { outcome } = req.body;
+    if (!DISPUTE_OUTCOME_ENUM.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `outcome must be one of ${DISPUTE_OUTCOME_ENUM.join(", ")}`,
+      });
+    }
+
+    const booking = await Booking.findById(dispute.bookingId);
+    if (!booking || booking.openDisputeId !== dispute._id) {
+      return res.status(409).json({
+        success: false,
+        message: "The disputed booking is no longer held by this dispute",
+      });
+    }
+
+    const plan = planDisputeSettlement({
+      booking,
+      outcome,
+      refundAmount: req.body.refundAmount,
+    });
+    if (plan.error) {
+      return res.status(400).json({ success: false, message: plan.error });
+    }
+
+    const note = textOrEmpty(req.body.note);
+    const adminId = currentUserId(req);
+    // Close the dispute first so it can only be resolved once
+    const resolved = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: "open" },
+      {
+        $set: {
+          status: "resolved",
+          resolution: {
+            outcome,
+            refundAmount: plan.refundAmount,
+            note,
+            resolvedBy: adminId,
+            resolvedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!resolved) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Dispute has already been resolved" });
+    }
+
+    const before = snapshotBooking(booking);
+    try {
+      await settleDisputedBooking(booking, { outcome, plan, note });
+    } catch (settleError) {
+      // Reopen so the admin can try again
+      await Dispute.updateOne(
+        { _id: dispute._id, status: "resolved" },
+        { $set: { status: "open" }, $unset: { resolution: 1 } }
+      );
+      throw settleError;
+    }
+    // A contested no-show counts against the absent party if the outcome agrees
+    if (booking.noShow && booking.noShow.disputeId === dispute._id) {
+      await concludeContestedNoShow(booking, { outcome });
+    }
+
+    await recordBookingHistory({
+      booking,
+      before,
+      actor: { id: adminId, role: "admin" },
+      action: "dispute_resolved",
+      reason: note || outcome,
+    });
+    if (booking.status === "cancelled") {
+      await releaseCouponUsage(booking);
+    }
+    const refundText =
+      plan.refundAmount > 0 ? ` คืนเงินลูกค้า ${plan.refundAmount} บาท` : "";
+    await postDisputeMessage(
+      booking,
+      `ผู้ดูแลระบบพิจารณาข้อพิพาทแล้ว${refundText}${note ? ` หมายเหตุ: ${note}` : ""}`
+    );
+
+    return res.json({
+      success: true,
+      data: { dispute: resolved, booking: booking.toJSON() },
+    });
+  } catch (err) {
+    console.error("resolveDispute error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,71 @@
+// controllers/notifications.js
+const Notification = require("../models/Notification");
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+exports.listNotifications = async (req, res) => {
+  try {
+    const filter = { userId: currentUserId(req) };
+    if (req.query.unread === "true") {
+      filter.readAt = null;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+
+    const [total, unread, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: filter.userId, readAt: null }),
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      success: true,
+      meta: { page, limit, total, unread },
+      data: notifications,
+    });
+  } catch (err) {
+    console.error("listNotifications error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: currentUserId(req),
+    });
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found" });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return res.json({ success: true, data: notification });
+  } catch (err) {
+    console.error("markNotificationRead error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: currentUserId(req), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return res.json({ success: true, data: { updated: result.modifiedCount } });
+  } catch (err) {
+    console.error("markAllNotificationsRead error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -1,17 +1,8 @@
-const bcrypt = require('bcrypt');
 const User = require('../models/User'); // adjust import if your model exports differently
+const { generateCode, hashCode, verifyCode } = require('../utils/oneTimeCode');
 
-const SALT_ROUNDS = 10;
-const OTP_LENGTH = 6;
 const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-function generateOtpString(length = OTP_LENGTH) {
-  // produce zero-padded numeric string
-  const max = 10 ** length;
-  const n = Math.floor(Math.random() * max);
-  return String(n).padStart(length, '0');
-}
-
 // @desc Generate a new otp for user
 // @route POST /api/v1/auth/otp
 // @access Private
@@ -30,8 +21,8 @@ exports.requestOtp = async (req, res) => {
     }
 
     // generate OTP
-    const otpPlain = generateOtpString();
-    const otpHash = await bcrypt.hash(otpPlain, SALT_ROUNDS);
+    const otpPlain = generateCode();
+    const otpHash = await hashCode(otpPlain);
     const expires = new Date(Date.now() + OTP_TTL_MS);
 
     user.otp = otpHash;
@@ -81,7 +72,7 @@ exports.verifyOtp = async (req, res) => {
       return res.status(400).json({ success: false, message: 'OTP expired' });
     }
 
-    const match = await bcrypt.compare(otp, user.otp);
+    const match = await verifyCode(otp, user.otp);
     if (!match) {
       return res.status(401).json({ success: false, message: 'Invalid OTP' });
     }
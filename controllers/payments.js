@@ -1,5 +1,16 @@
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
+const { getConfiguredGateway } = require('../utils/paymentGateways');
+const { markBookingPaid, receiveGatewayEvent } = require('../utils/payments');
+const { recordTransaction, runInTransaction } = require('../utils/ledger');
+const {
+  QR_FORMATS,
+  getPromptPayId,
+  promptPayTargetOf,
+  buildPromptPayPayload,
+  paymentReferenceOf,
+  renderQrDataUrl,
+} = require('../utils/promptpay');
 
 // @desc    List payments
 // @route   GET /api/v1/payments
@@ -104,12 +115,7 @@ exports.createPayment = async (req, res, next) => {
   try {
     const {
       bookingId,
-      customerId,
-      providerId,
-      amount,
       paymentMethod,
-      status,
-      transactionId,
     } = req.body;
 
     // Verify booking exists
@@ -129,28 +135,109 @@ exports.createPayment = async (req, res, next) => {
       });
     }
 
+    if (booking.status === 'cancelled' || booking.paymentStatus !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking is not waiting for payment',
+      });
+    }
+
+    // Amount comes from the booking; status only ever from the gateway
     const paymentData = {
       bookingId,
-      customerId: customerId || booking.customerId,
-      providerId: providerId || booking.providerId,
-      amount,
+      customerId: booking.customerId,
+      providerId: booking.providerId,
+      amount: booking.totalAmount,
       paymentMethod,
-      status: status || 'pending',
-      transactionId: transactionId || '',
+      status: 'pending',
     };
 
-    // Set completedAt if status is completed
-    if (paymentData.status === 'completed') {
-      paymentData.completedAt = new Date();
+    if (paymentMethod === 'wallet') {
+      // Debit the wallet into escrow and record the payment together
+      const payment = await runInTransaction(async (session) => {
+        const tx = await recordTransaction({
+          customerId: booking.customerId,
+          bookingId: booking._id,
+          amount: booking.totalAmount,
+          currency: 'THB',
+          method: 'wallet',
+          type: 'payment',
+          status: 'completed',
+          note: `ชำระค่าบริการ - ${booking.serviceName}`,
+        }, { session });
+        const [created] = await Payment.create([{
+          ...paymentData,
+          status: 'completed',
+          transactionId: tx._id,
+          completedAt: new Date(),
+        }], { session });
+        return created;
+      });
+      await markBookingPaid(payment);
+
+      return res.status(201).json({
+        success: true,
+        data: await Payment.findById(payment._id),
+      });
+    }
+
+    const gateway = getConfiguredGateway();
+    if (!gateway) {
+      return res.status(503).json({
+        success: false,
+        message: 'No payment gateway is configured for card, PromptPay or bank transfer payments',
+      });
+    }
+    if (req.body.gateway !== undefined && req.body.gateway !== gateway.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown payment gateway',
+      });
+    }
+
+    let payment = await Payment.create({ ...paymentData, gateway: gateway.name });
+
+    let saved;
+    let charge;
+    try {
+      charge = await gateway.createCharge({
+        payment,
+        // Results delivered in-process wait until the charge id is stored
+        deliver: async (rawBody, headers) => {
+          await saved;
+          return receiveGatewayEvent({ provider: gateway.name, rawBody, headers });
+        },
+      });
+    } catch (chargeError) {
+      console.error('createCharge error:', chargeError);
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { status: 'failed', failureReason: 'The payment gateway could not start the charge' } }
+      );
+      return res.status(502).json({
+        success: false,
+        message: 'The payment gateway could not start the charge',
+      });
     }
 
-    const payment = await Payment.create(paymentData);
+    saved = Payment.findByIdAndUpdate(
+      payment._id,
+      { transactionId: charge.chargeId, nextAction: charge.nextAction },
+      { new: true }
+    );
+    payment = await saved;
 
     res.status(201).json({
       success: true,
       data: payment,
     });
   } catch (error) {
+    if (error.name === 'InsufficientBalanceError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance in wallet',
+      });
+    }
     res.status(400).json({
       success: false,
       message: error.message,
@@ -158,9 +245,119 @@ exports.createPayment = async (req, res, next) => {
   }
 };
 
-// @desc    Update payment
-// @route   PUT /api/v1/payments/:id
+// @desc    PromptPay QR code for a pending payment
+// @route   POST /api/v1/payments/:id/promptpay-qr
 // @access  Private
+exports.createPromptPayQr = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    // Only the paying customer needs the code
+    if (req.user.type !== 'admin' && payment.customerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay this payment',
+      });
+    }
+
+    if (payment.paymentMethod !== 'promptpay') {
+      return res.status(422).json({
+        success: false,
+        message: 'Only PromptPay payments have a PromptPay QR code',
+      });
+    }
+    if (payment.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${payment.status}`,
+      });
+    }
+
+    const format = req.body?.format || 'svg';
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of ${QR_FORMATS.join(', ')}`,
+      });
+    }
+
+    const promptpayId = getPromptPayId();
+    if (!promptPayTargetOf(promptpayId)) {
+      console.error('createPromptPayQr error: PROMPTPAY_ID is missing or invalid');
+      return res.status(503).json({
+        success: false,
+        message: 'PromptPay payments are not available',
+      });
+    }
+
+    const reference = payment.reference || paymentReferenceOf(payment);
+    const payload = buildPromptPayPayload({
+      promptpayId,
+      amount: payment.amount,
+      reference,
+    });
+    if (!payload) {
+      return res.status(422).json({
+        success: false,
+        message: 'This payment cannot be paid with PromptPay',
+      });
+    }
+
+    if (!payment.reference) {
+      await Payment.updateOne({ _id: payment._id }, { $set: { reference } });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        paymentId: payment._id,
+        reference,
+        amount: payment.amount,
+        currency: 'THB',
+        payload,
+        format,
+        image: await renderQrDataUrl(payload, format),
+      },
+    });
+  } catch (error) {
+    console.error('createPromptPayQr error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+// @desc    Receive a payment result from a gateway
+// @route   POST /api/v1/payments/webhooks/:provider
+// @access  Public (signed by the gateway)
+exports.handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const result = await receiveGatewayEvent({
+      provider: req.params.provider,
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('handlePaymentWebhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+// @desc    Correct a payment record (admin only); gateways set the status
+// @route   PUT /api/v1/payments/:id
+// @access  Private/Admin
 exports.updatePayment = async (req, res, next) => {
   try {
     let payment = await Payment.findById(req.params.id);
@@ -172,12 +369,8 @@ exports.updatePayment = async (req, res, next) => {
       });
     }
 
-    // Check authorization
-    if (
-      req.user.type !== 'admin' &&
-      payment.customerId !== req.user.id &&
-      payment.providerId !== req.user.id
-    ) {
+    // Only admin can correct payments; customers pay through a gateway
+    if (req.user.type !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this payment',
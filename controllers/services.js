@@ -1,5 +1,7 @@
 // controllers/services.js
 const Service = require('../models/Service');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { validateBase64Image } = require('../utils/images');
 
 const OWNERSHIP_ROLES = ['provider', 'admin'];
 
@@ -45,68 +47,6 @@ const boolOrUndefined = (value) => {
   return undefined;
 };
 
-/**
- * Validate a single base64 or data URI image.
- * Returns { ok: true, dataUri, size, mimeType } or { ok: false, message }.
- *
- * Accepts:
- *  - data URI: data:image/png;base64,AAAA...
- *  - raw base64 string: AAAA... (assumed image/png unless mimeHint provided)
- *
- * Options:
- *  - maxBytes (default 5MB)
- *  - mimeHint (optional)
- */
-function validateBase64Image(input, options = {}) {
-  const MAX_BYTES = options.maxBytes || 5 * 1024 * 1024; // 5 MB default
-  const mimeHint = options.mimeHint || null;
-
-  if (!input || typeof input !== 'string') {
-    return { ok: false, message: 'image must be a non-empty string' };
-  }
-
-  const trimmed = input.trim();
-
-  // Reject if looks like URL — we only accept inline base64/data URIs here
-  if (/^https?:\/\//i.test(trimmed)) {
-    return { ok: false, message: 'image must be base64 or data URI, not a remote URL' };
-  }
-
-  const dataUriMatch = trimmed.match(/^data:(image\/[a-zA-Z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/);
-  let mimeType = null;
-  let b64 = null;
-
-  if (dataUriMatch) {
-    mimeType = dataUriMatch[1].toLowerCase();
-    b64 = dataUriMatch[2].replace(/\s+/g, '');
-  } else {
-    // treat as raw base64
-    b64 = trimmed.replace(/\s+/g, '');
-    if (!/^[A-Za-z0-9+/=]+$/.test(b64)) {
-      return { ok: false, message: 'image must be valid base64 or a data URI' };
-    }
-    mimeType = mimeHint || 'image/png';
-  }
-
-  // Normalize common variant
-  if (mimeType === 'image/jpg') mimeType = 'image/jpeg';
-
-  const allowed = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
-  if (!allowed.has(mimeType)) {
-    return { ok: false, message: `unsupported image type: ${mimeType}. allowed: png, jpeg, gif, webp` };
-  }
-
-  // Estimate bytes from base64 length: bytes = (len * 3)/4 - padding
-  const padding = (b64.endsWith('==') ? 2 : (b64.endsWith('=') ? 1 : 0));
-  const approxBytes = Math.floor((b64.length * 3) / 4) - padding;
-  if (approxBytes > MAX_BYTES) {
-    return { ok: false, message: `image too large: ${approxBytes} bytes (max ${MAX_BYTES} bytes)` };
-  }
-
-  const dataUri = `data:${mimeType};base64,${b64}`;
-  return { ok: true, dataUri, size: approxBytes, mimeType };
-}
-
 /**
  * Validate images input which can be array or comma-separated string.
  * Returns { ok: true, dataUris } or { ok: false, message }.
@@ -197,6 +137,49 @@ exports.getService = async (req, res) => {
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 };
+/**
+ * Normalize add-on definitions from the request body. Entries that carry
+ * an `id` keep it so bookings made with them still point at the same add-on.
+ * Field values are checked by the schema on save.
+ * Returns { ok: true, value } or { ok: false, message }.
+ */
+function normalizeAddOns(input) {
+  if (input === null) return { ok: true, value: [] };
+  if (!Array.isArray(input)) {
+    return { ok: false, message: 'addOns must be an array' };
+  }
+  const value = [];
+  for (let i = 0; i < input.length; i++) {
+    const entry = input[i];
+    if (!entry || typeof entry !== 'object') {
+      return { ok: false, message: `addOns[${i}] must be an object` };
+    }
+    const id = entry.id || entry._id;
+    value.push({
+      ...(id ? { _id: String(id) } : {}),
+      name: entry.name,
+      description: entry.description,
+      price: numberOrUndefined(entry.price),
+      unit: entry.unit,
+      maxQuantity: numberOrUndefined(entry.maxQuantity),
+      active: boolOrUndefined(entry.active),
+    });
+  }
+  return { ok: true, value };
+}
+
+/**
+ * Resolve a cancellationPolicyId from the request body.
+ * Returns { ok: true, value } (null clears it) or { ok: false, message }.
+ */
+async function resolveCancellationPolicyId(input) {
+  if (input === null || input === '') return { ok: true, value: null };
+  const policy = await CancellationPolicy.findOne({ _id: String(input), active: true });
+  if (!policy) {
+    return { ok: false, message: 'cancellationPolicyId must reference an active cancellation policy' };
+  }
+  return { ok: true, value: policy._id };
+}
 
 exports.createService = async (req, res) => {
   try {
@@ -226,6 +209,24 @@ exports.createService = async (req, res) => {
       validatedImages = v.dataUris;
     }
 
+    let cancellationPolicyId;
+    if (req.body.cancellationPolicyId !== undefined) {
+      const p = await resolveCancellationPolicyId(req.body.cancellationPolicyId);
+      if (!p.ok) {
+        return res.status(400).json({ success: false, message: p.message });
+      }
+      cancellationPolicyId = p.value;
+    }
+
+    let addOns;
+    if (req.body.addOns !== undefined) {
+      const a = normalizeAddOns(req.body.addOns);
+      if (!a.ok) {
+        return res.status(400).json({ success: false, message: a.message });
+      }
+      addOns = a.value;
+    }
+
     const servicePayload = {
       providerId,
       name: req.body.name,
@@ -237,6 +238,8 @@ exports.createService = async (req, res) => {
       rating: numberOrUndefined(req.body.rating),
       reviewCount: numberOrUndefined(req.body.reviewCount),
       bookingCount: numberOrUndefined(req.body.bookingCount),
+      addOns,
+      cancellationPolicyId,
       active:
         boolOrUndefined(req.body.active) !== undefined
           ? boolOrUndefined(req.body.active)
@@ -325,6 +328,22 @@ exports.updateService = async (req, res) => {
       service.images = v.dataUris;
     }
 
+    if (req.body.cancellationPolicyId !== undefined) {
+      const p = await resolveCancellationPolicyId(req.body.cancellationPolicyId);
+      if (!p.ok) {
+        return res.status(400).json({ success: false, message: p.message });
+      }
+      service.cancellationPolicyId = p.value;
+    }
+
+    if (req.body.addOns !== undefined) {
+      const a = normalizeAddOns(req.body.addOns);
+      if (!a.ok) {
+        return res.status(400).json({ success: false, message: a.message });
+      }
+      service.addOns = a.value;
+    }
+
     await service.save();
 
     return res.json({ success: true, data: sanitizeService(service) });
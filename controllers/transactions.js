@@ -1,4 +1,10 @@
 const Transaction = require('../models/Transaction');
+const {buildLedger} = require('../utils/ledger');
+const {getConfiguredGateway} = require('../utils/paymentGateways');
+const {receiveGatewayEvent} = require('../utils/payments');
+
+// How a customer pays a top-up at the gateway
+const TOP_UP_METHODS = ['credit_card', 'promptpay', 'bank_transfer'];
 
 const ensureAuth = (req, res) => {
   if (!req.user) {
@@ -10,7 +16,11 @@ const ensureAuth = (req, res) => {
 
 const currentUserId = (req) => String(req.user?.id || req.user?._id || '');
 
-const buildTransactionController = (TransactionModel = Transaction) => {
+const buildTransactionController = (
+  TransactionModel = Transaction,
+  ledger = buildLedger({TransactionModel}),
+  gateways = {getConfiguredGateway, receiveGatewayEvent}
+) => {
   const listTransactions = async (req, res) => {
     try {
       if (!ensureAuth(req, res)) return;
@@ -62,22 +72,85 @@ const buildTransactionController = (TransactionModel = Transaction) => {
       const payload = {
         amount,
         currency: (req.body.currency || 'THB').toUpperCase(),
-        method: req.body.method || 'topup',
-        type: req.body.type || 'topup', // Add type field from request
-        status: req.body.status || 'completed',
         note: req.body.note,
       };
 
-      if (req.user.type === 'admin' && req.body.customerId) {
-        payload.customerId = req.body.customerId;
-      } else {
-        payload.customerId = currentUserId(req);
+      if (req.user.type === 'admin') {
+        // Admins record money that already moved, for anyone
+        payload.customerId = req.body.customerId || currentUserId(req);
+        payload.method = req.body.method || 'topup';
+        payload.type = req.body.type || 'topup';
+        payload.status = req.body.status || 'completed';
+
+        // Completed transactions are posted to the ledger with it
+        const tx = await ledger.recordTransaction(payload);
+        return res.status(201).json({success: true, data: tx});
       }
 
-      const tx = await TransactionModel.create(payload);
+      // Everyone else tops up through the gateway; the top-up stays pending,
+      // and out of the wallet, until the gateway's webhook reports it paid
+      const paymentMethod = req.body.paymentMethod || 'credit_card';
+      if (!TOP_UP_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: `paymentMethod must be one of ${TOP_UP_METHODS.join(', ')}`,
+        });
+      }
+      const gateway = gateways.getConfiguredGateway();
+      if (!gateway) {
+        return res.status(503).json({
+          success: false,
+          message: 'No payment gateway is configured to top up the wallet',
+        });
+      }
+      if (req.body.gateway !== undefined && req.body.gateway !== gateway.name) {
+        return res.status(400).json({success: false, message: 'Unknown payment gateway'});
+      }
+
+      let tx = await ledger.recordTransaction({
+        ...payload,
+        customerId: currentUserId(req),
+        method: 'topup',
+        type: 'topup',
+        status: 'pending',
+        gateway: gateway.name,
+      });
+
+      let saved;
+      let charge;
+      try {
+        charge = await gateway.createCharge({
+          payment: {_id: tx._id, amount: tx.amount, currency: tx.currency, paymentMethod},
+          // Results delivered in-process wait until the charge id is stored
+          deliver: async (rawBody, headers) => {
+            await saved;
+            return gateways.receiveGatewayEvent({provider: gateway.name, rawBody, headers});
+          },
+        });
+      } catch (chargeError) {
+        console.error('createCharge error:', chargeError);
+        await TransactionModel.updateOne(
+          {_id: tx._id},
+          {$set: {status: 'failed', failureReason: 'The payment gateway could not start the charge'}}
+        );
+        return res.status(502).json({
+          success: false,
+          message: 'The payment gateway could not start the charge',
+        });
+      }
+
+      saved = TransactionModel.findByIdAndUpdate(
+        tx._id,
+        {chargeId: charge.chargeId, nextAction: charge.nextAction},
+        {new: true}
+      );
+      tx = await saved;
       res.status(201).json({success: true, data: tx});
     } catch (err) {
       console.error('createTransaction error:', err);
+      if (err && err.name === 'InsufficientBalanceError') {
+        return res.status(400).json({success: false, message: 'Insufficient balance'});
+      }
       if (err && err.name === 'ValidationError') {
         const messages = Object.values(err.errors).map((e) => e.message);
         return res
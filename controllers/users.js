@@ -1,5 +1,12 @@
 // controllers/users.js
+const crypto = require("crypto");
 const User = require("../models/User");
+const Booking = require("../models/Booking");
+const { buildCalendar } = require("../utils/ical");
+const { validateBase64Image } = require("../utils/images");
+
+// How far back the calendar feed reaches
+const CALENDAR_HISTORY_DAYS = 90;
 
 /**
  * Helper: sanitize user object for responses
@@ -10,81 +17,11 @@ function sanitizeUser(userDoc) {
   if (u.password) delete u.password;
   if (u.otp) delete u.otp;
   if (u.otpExpires) delete u.otpExpires;
+  if (u.calendarTokenHash) delete u.calendarTokenHash;
   if (u.__v) delete u.__v;
   return u;
 }
 
-/**
- * Helper: validate and normalize base64 or data URI image string.
- * Returns { ok: true, dataUri } on success or { ok: false, message } on failure.
- *
- * Accepts:
- *  - full data URI: "data:image/png;base64,AAAA..."
- *  - raw base64 string: "AAAA..." (assumed image/png unless mimeHint provided)
- *
- * Allowed mime types: image/png, image/jpeg, image/jpg, image/gif, image/webp
- * Max size default: 5 MB (configurable).
- */
-function validateBase64Image(input, options = {}) {
-  const MAX_BYTES = options.maxBytes || 5 * 1024 * 1024; // default 5MB
-  const mimeHint = options.mimeHint || null; // optional forced mime if provided
-
-  if (!input || typeof input !== "string") {
-    return { ok: false, message: "image must be a string" };
-  }
-
-  const trimmed = input.trim();
-
-  // Try data URI match first
-  const dataUriMatch = trimmed.match(
-    /^data:(image\/[a-zA-Z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/
-  );
-  let mimeType = null;
-  let b64 = null;
-
-  if (dataUriMatch) {
-    mimeType = dataUriMatch[1].toLowerCase();
-    b64 = dataUriMatch[2].replace(/\s+/g, "");
-  } else {
-    // treat as raw base64
-    b64 = trimmed.replace(/\s+/g, "");
-    if (!/^[A-Za-z0-9+/=]+$/.test(b64)) {
-      return { ok: false, message: "image must be valid base64 or a data URI" };
-    }
-    mimeType = mimeHint || "image/png";
-  }
-
-  // Normalize jpeg mime (some clients use image/jpg)
-  if (mimeType === "image/jpg") mimeType = "image/jpeg";
-
-  const allowed = new Set([
-    "image/png",
-    "image/jpeg",
-    "image/gif",
-    "image/webp",
-  ]);
-  if (!allowed.has(mimeType)) {
-    return {
-      ok: false,
-      message: `unsupported image type: ${mimeType}. allowed: png, jpeg, gif, webp`,
-    };
-  }
-
-  // Estimate bytes from base64 length: bytes = (len * 3) / 4 - padding
-  const padding = b64.endsWith("==") ? 2 : b64.endsWith("=") ? 1 : 0;
-  const approxBytes = Math.floor((b64.length * 3) / 4) - padding;
-  if (approxBytes > MAX_BYTES) {
-    return {
-      ok: false,
-      message: `image too large: ${approxBytes} bytes. max ${MAX_BYTES} bytes`,
-    };
-  }
-
-  // Construct canonical data URI to store
-  const dataUri = `data:${mimeType};base64,${b64}`;
-  return { ok: true, dataUri, size: approxBytes, mimeType };
-}
-
 /**
  * GET /users
  * PUBLIC
@@ -396,7 +333,7 @@ exports.updateGeneralTimeSetting = async (req, res) => {
  */
 exports.getUserBalance = async (req, res) => {
   try {
-    const Transaction = require("../models/Transaction");
+    const { walletBalance } = require("../utils/ledger");
     const id = req.params.id;
     
     if (!req.user)
@@ -413,28 +350,11 @@ exports.getUserBalance = async (req, res) => {
         .status(404)
         .json({ success: false, message: "User not found" });
 
-    // Calculate balance from transactions based on transaction type
-    const transactions = await Transaction.find({ customerId: id });
-    
-    const balance = transactions.reduce((sum, t) => {
-      // Add for topup and refund, subtract for payment and withdrawal
-      if (t.type === "topup" || t.type === "refund") {
-        return sum + (t.amount || 0);
-      } else if (t.type === "payment" || t.type === "withdrawal") {
-        return sum - (t.amount || 0);
-      }
-      return sum;
-    }, 0);
-
-    // Calculate total earnings (topup and refund transactions)
-    const totalEarnings = transactions
-      .filter((t) => t.type === "topup" || t.type === "refund")
-      .reduce((sum, t) => sum + t.amount, 0);
-
-    // Calculate total spent (payment and withdrawal transactions)
-    const totalSpent = transactions
-      .filter((t) => t.type === "payment" || t.type === "withdrawal")
-      .reduce((sum, t) => sum + t.amount, 0);
+    // Everything credited to and debited from the user's wallet
+    const wallet = await walletBalance(id);
+    const balance = wallet.balance;
+    const totalEarnings = wallet.credits;
+    const totalSpent = wallet.debits;
 
     // Pending earnings (can be calculated from pending bookings if needed)
     const pendingEarnings = 0; // Placeholder - could be calculated from bookings
@@ -455,3 +375,106 @@ exports.getUserBalance = async (req, res) => {
     return res.status(500).json({ success: false, message: "Server error" });
   }
 };
+
+// The token is random, so a fast hash is enough to keep it out of the DB
+const hashCalendarToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const calendarTokenMatches = (token, storedHash) => {
+  if (!token || !storedHash) return false;
+  const given = Buffer.from(hashCalendarToken(token), "hex");
+  const stored = Buffer.from(storedHash, "hex");
+  return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+};
+
+const calendarFeedUrl = (req, userId, token) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/${encodeURIComponent(userId)}/calendar.ics?token=${token}`;
+
+/**
+ * POST /users/:id/calendar-token
+ * Issue a new calendar feed token; the previous feed URL stops working
+ * (self or admin)
+ */
+exports.regenerateCalendarToken = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!req.user)
+      return res
+        .status(401)
+        .json({ success: false, message: "Not authenticated" });
+    if (req.user.type !== "admin" && req.user.id !== id) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    const user = await User.findById(id);
+    if (!user)
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+
+    const token = crypto.randomBytes(24).toString("hex");
+    user.calendarTokenHash = hashCalendarToken(token);
+    await user.save();
+
+    // The token is only shown once; losing it means regenerating
+    return res.json({
+      success: true,
+      data: { token, url: calendarFeedUrl(req, id, token) },
+    });
+  } catch (err) {
+    console.error("regenerateCalendarToken", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * GET /users/:id/calendar.ics?token=...
+ * iCalendar feed of the user's bookings, authenticated by the feed token
+ * (PUBLIC, for calendar apps)
+ */
+exports.getUserCalendar = async (req, res) => {
+  try {
+    const id = req.params.id;
+    const user = await User.findById(id).select("+calendarTokenHash");
+    if (!user || !calendarTokenMatches(req.query.token, user.calendarTokenHash)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Calendar not found" });
+    }
+
+    const now = new Date();
+    const since = new Date(
+      now.getTime() - CALENDAR_HISTORY_DAYS * 24 * 60 * 60 * 1000
+    );
+    const bookings = await Booking.find({
+      $or: [{ providerId: id }, { customerId: id }],
+      endAt: { $gte: since },
+    }).sort({ startAt: 1 });
+
+    const events = bookings.map((booking) => {
+      const asProvider = booking.providerId === id;
+      const label = asProvider ? "งานบริการ" : "นัดหมาย";
+      return {
+        booking,
+        summary: `${booking.status === "pending" ? "(รอยืนยัน) " : ""}${label}: ${booking.serviceName}`,
+        description: [
+          `Booking: ${booking._id}`,
+          `Status: ${booking.status}`,
+          `Payment: ${booking.paymentStatus}`,
+          booking.specialRequests ? `Requests: ${booking.specialRequests}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      };
+    });
+
+    const name = [user.firstName, user.lastName].filter(Boolean).join(" ") || user.username;
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="calendar.ics"');
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(buildCalendar({ name: `Bookings - ${name}`, events, now }));
+  } catch (err) {
+    console.error("getUserCalendar", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -0,0 +1,310 @@
+// controllers/waitlist.js
+const Booking = require("../models/Booking");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const {
+  checkProviderAvailability,
+  bookProviderSlot,
+} = require("../utils/availability");
+const { calculateBookingPrice } = require("../utils/pricing");
+const { toInstant } = require("../utils/bookingTime");
+const { createServiceBooking } = require("../utils/bookingLifecycle");
+const { buildWaitlist, offeredSlotOf } = require("../utils/waitlist");
+
+const ACTIVE_STATUSES = ["waiting", "offered"];
+
+const ensureAuth = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({ success: false, message: "Not authenticated" });
+    return false;
+  }
+  return true;
+};
+
+const currentUserId = (req) => String(req.user?.id || req.user?._id || "");
+
+const openOfferOf = (entry) =>
+  entry.offers.find((offer) => offer.status === "open") || null;
+
+exports.listWaitlist = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const userId = currentUserId(req);
+    const filter = {};
+    // Providers see who is waiting for their time; customers their own entries
+    if (req.user.type === "provider") {
+      filter.providerId = userId;
+    } else if (req.user.type !== "admin") {
+      filter.customerId = userId;
+    }
+    if (req.query.serviceId) filter.serviceId = req.query.serviceId;
+    if (req.query.date) filter.date = req.query.date;
+    if (req.query.status) filter.status = req.query.status;
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+
+    const [total, entries] = await Promise.all([
+      WaitlistEntry.countDocuments(filter),
+      WaitlistEntry.find(filter)
+        .sort({ date: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return res.json({
+      success: true,
+      meta: { page, limit, total },
+      data: entries,
+    });
+  } catch (err) {
+    console.error("listWaitlist error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.joinWaitlist = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    if (req.user.type !== "customer") {
+      return res.status(403).json({
+        success: false,
+        message: "Only customers can join a waitlist",
+      });
+    }
+
+    const service = await Service.findById(req.body.serviceId);
+    if (!service || !service.active) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Service not found" });
+    }
+
+    const customerId = currentUserId(req);
+    const { date, startTime, endTime } = req.body;
+
+    const startsAt = toInstant(date, startTime);
+    if (startsAt && startsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "The waitlist window must be in the future",
+      });
+    }
+
+    // Only taken time can be waited for
+    const unavailable = await checkProviderAvailability({
+      BookingModel: Booking,
+      UserModel: User,
+      customerId,
+      providerId: service.providerId,
+      date,
+      startTime,
+      endTime,
+    });
+    if (!unavailable) {
+      return res.status(409).json({
+        success: false,
+        message: "This time is available, book it directly instead",
+      });
+    }
+    if (!["booking_conflict", "waitlist_hold"].includes(unavailable.body.reason)) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      customerId,
+      serviceId: service._id,
+      date,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You are already on the waitlist for this service on this date",
+        data: existing,
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      customerId,
+      providerId: service.providerId,
+      serviceId: service._id,
+      serviceName: service.name,
+      date,
+      startTime,
+      endTime,
+      note: typeof req.body.note === "string" ? req.body.note.trim() : "",
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      providerId: entry.providerId,
+      date: entry.date,
+      status: { $in: ACTIVE_STATUSES },
+      createdAt: { $lte: entry.createdAt },
+    });
+
+    return res.status(201).json({ success: true, data: entry, position });
+  } catch (err) {
+    console.error("joinWaitlist error:", err);
+    if (err && err.name === "ValidationError") {
+      const messages = Object.values(err.errors).map((e) => e.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: messages,
+      });
+    }
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist entry not found" });
+    }
+    if (req.user.type !== "admin" && entry.customerId !== currentUserId(req)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+    if (!ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(422).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`,
+      });
+    }
+
+    const openOffer = openOfferOf(entry);
+    entry.status = "cancelled";
+    if (openOffer) openOffer.status = "expired";
+    await entry.save();
+
+    // A declined offer goes straight to the next customer in line
+    if (openOffer) {
+      try {
+        await buildWaitlist().offerFreedSlot(offeredSlotOf(entry, openOffer));
+      } catch (offerError) {
+        console.error("Failed to pass on waitlist offer:", offerError);
+      }
+    }
+
+    return res.json({ success: true, data: entry });
+  } catch (err) {
+    console.error("leaveWaitlist error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+exports.claimWaitlistOffer = async (req, res) => {
+  try {
+    if (!ensureAuth(req, res)) return;
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist entry not found" });
+    }
+    if (entry.customerId !== currentUserId(req)) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    const offer = openOfferOf(entry);
+    if (entry.status !== "offered" || !offer || offer.expiresAt <= new Date()) {
+      return res.status(422).json({
+        success: false,
+        message: "There is no open offer to claim for this waitlist entry",
+      });
+    }
+
+    const service = await Service.findById(entry.serviceId);
+    if (!service) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Service not found" });
+    }
+
+    const slot = {
+      date: offer.date,
+      startTime: offer.startTime,
+      endTime: offer.endTime,
+    };
+    const availability = {
+      BookingModel: Booking,
+      UserModel: User,
+      customerId: entry.customerId,
+      providerId: entry.providerId,
+      ...slot,
+    };
+    const unavailable = await checkProviderAvailability(availability);
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    // Take the offer before booking so it can only be claimed once
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "offered", "offers.status": "open" },
+      { $set: { status: "claimed", "offers.$.status": "claimed" } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "This offer has already been claimed or has expired",
+      });
+    }
+
+    const quote = calculateBookingPrice({
+      service,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    });
+    // Give the offer back so the customer can try again before it expires
+    const reopenOffer = () =>
+      WaitlistEntry.updateOne(
+        { _id: entry._id, status: "claimed", "offers.status": "claimed" },
+        { $set: { status: "offered", "offers.$.status": "open" } }
+      );
+    let booked;
+    try {
+      booked = await bookProviderSlot({
+        ...availability,
+        write: () =>
+          createServiceBooking({
+            service,
+            customerId: entry.customerId,
+            ...slot,
+            quote,
+            specialRequests: entry.note,
+            actor: { id: entry.customerId, role: "customer" },
+          }),
+      });
+    } catch (bookingError) {
+      await reopenOffer();
+      throw bookingError;
+    }
+    if (booked.unavailable) {
+      await reopenOffer();
+      return res.status(booked.unavailable.status).json(booked.unavailable.body);
+    }
+    const { booking } = booked.result;
+
+    claimed.bookingId = booking._id;
+    await claimed.save();
+
+    return res.status(201).json({
+      success: true,
+      data: { waitlistEntry: claimed, booking },
+    });
+  } catch (err) {
+    console.error("claimWaitlistOffer error:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
@@ -1,5 +1,14 @@
 const Withdrawal = require('../models/Withdrawal');
-const Transaction = require('../models/Transaction');
+const {
+  walletBalance,
+  recordTransaction,
+  runInTransaction,
+} = require('../utils/ledger');
+
+const INSUFFICIENT_BALANCE = {
+  success: false,
+  message: 'Insufficient balance for withdrawal',
+};
 
 // @desc    List withdrawals
 // @route   GET /api/v1/withdrawals
@@ -110,23 +119,11 @@ exports.createWithdrawal = async (req, res, next) => {
       });
     }
 
-    // Calculate user balance from transactions based on transaction type
-    const transactions = await Transaction.find({ customerId: targetUserId });
-    const balance = transactions.reduce((sum, t) => {
-      // Add for topup and refund, subtract for payment and withdrawal
-      if (t.type === 'topup' || t.type === 'refund') {
-        return sum + (t.amount || 0);
-      } else if (t.type === 'payment' || t.type === 'withdrawal') {
-        return sum - (t.amount || 0);
-      }
-      return sum;
-    }, 0);
+    // Quick answer for the common case; the debit below is what enforces it
+    const { balance } = await walletBalance(targetUserId);
 
     if (balance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance for withdrawal',
-      });
+      return res.status(400).json(INSUFFICIENT_BALANCE);
     }
 
     const withdrawalData = {
@@ -140,17 +137,20 @@ exports.createWithdrawal = async (req, res, next) => {
       completedAt: new Date(),
     };
 
-    const withdrawal = await Withdrawal.create(withdrawalData);
-
-    // Create withdrawal transaction immediately
-    await Transaction.create({
-      customerId: targetUserId,
-      amount: amount,
-      currency: 'THB',
-      method: 'bank_transfer',
-      type: 'withdrawal',
-      status: 'completed',
-      note: `ถอนเงินไปบัญชี ${bankName} (${accountNumber})`,
+    // The withdrawal, its transaction and the wallet debit commit together,
+    // and the debit only goes through while the wallet still holds the amount
+    const withdrawal = await runInTransaction(async (session) => {
+      const [created] = await Withdrawal.create([withdrawalData], { session });
+      await recordTransaction({
+        customerId: targetUserId,
+        amount: amount,
+        currency: 'THB',
+        method: 'bank_transfer',
+        type: 'withdrawal',
+        status: 'completed',
+        note: `ถอนเงินไปบัญชี ${bankName} (${accountNumber})`,
+      }, { session });
+      return created;
     });
 
     res.status(201).json({
@@ -158,6 +158,9 @@ exports.createWithdrawal = async (req, res, next) => {
       data: withdrawal,
     });
   } catch (error) {
+    if (error.name === 'InsufficientBalanceError') {
+      return res.status(400).json(INSUFFICIENT_BALANCE);
+    }
     res.status(400).json({
       success: false,
       message: error.message,
@@ -193,40 +196,65 @@ exports.updateWithdrawal = async (req, res, next) => {
     } = req.body;
 
     const updateData = {};
+    let completing = false;
 
     // Only admin can change status
     if (status !== undefined && req.user.type === 'admin') {
       updateData.status = status;
       
-      if (status === 'completed') {
+      // Only pay out once, when the withdrawal first becomes completed
+      if (status === 'completed' && withdrawal.status !== 'completed') {
         updateData.completedAt = new Date();
-        
+        completing = true;
+      } else if (status === 'failed' && failureReason) {
+        updateData.failureReason = failureReason;
+      }
+    }
+
+    if (completing) {
+      // Mark it completed and debit the wallet together, once
+      withdrawal = await runInTransaction(async (session) => {
+        const completed = await Withdrawal.findOneAndUpdate(
+          { _id: req.params.id, status: { $ne: 'completed' } },
+          updateData,
+          { new: true, runValidators: true, session }
+        );
+        if (!completed) return null;
+
         // Create a transaction record for the withdrawal
-        await Transaction.create({
-          customerId: withdrawal.userId,
-          amount: withdrawal.amount,
+        await recordTransaction({
+          customerId: completed.userId,
+          amount: completed.amount,
           currency: 'THB',
           method: 'bank_transfer',
           type: 'withdrawal',
           status: 'completed',
-          note: `Withdrawal to ${withdrawal.bankName} (${withdrawal.accountNumber})`,
+          note: `Withdrawal to ${completed.bankName} (${completed.accountNumber})`,
+        }, { session });
+        return completed;
+      });
+      if (!withdrawal) {
+        return res.status(409).json({
+          success: false,
+          message: 'Withdrawal has already been completed',
         });
-      } else if (status === 'failed' && failureReason) {
-        updateData.failureReason = failureReason;
       }
+    } else {
+      withdrawal = await Withdrawal.findByIdAndUpdate(
+        req.params.id,
+        updateData,
+        { new: true, runValidators: true }
+      );
     }
 
-    withdrawal = await Withdrawal.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
-
     res.status(200).json({
       success: true,
       data: withdrawal,
     });
   } catch (error) {
+    if (error.name === 'InsufficientBalanceError') {
+      return res.status(400).json(INSUFFICIENT_BALANCE);
+    }
     res.status(400).json({
       success: false,
       message: error.message,
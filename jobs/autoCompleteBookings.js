@@ -0,0 +1,99 @@
+// jobs/autoCompleteBookings.js
+const Booking = require("../models/Booking");
+const { postSystemMessage } = require("../controllers/chat");
+const { releaseProviderEarning } = require("../utils/bookingSettlement");
+const { bookingEndsAt } = require("../utils/bookingTime");
+const {
+  SYSTEM_ACTOR,
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+
+const DEFAULT_GRACE_HOURS = 24;
+
+const getGraceHours = () => {
+  const value = Number(process.env.BOOKING_AUTO_COMPLETE_GRACE_HOURS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_GRACE_HOURS;
+};
+
+/**
+ * When a finished booking becomes eligible for auto-completion.
+ * Until then the customer can still report a problem with it.
+ */
+const autoCompleteDueAt = (booking, graceHours = getGraceHours()) => {
+  const endsAt = bookingEndsAt(booking);
+  return endsAt ? new Date(endsAt.getTime() + graceHours * 60 * 60 * 1000) : null;
+};
+
+const COMPLETION_REASON = "ระบบยืนยันการให้บริการเสร็จสิ้นอัตโนมัติ";
+
+/**
+ * Completes confirmed, paid bookings once their end time plus the grace
+ * period has passed and no problem report, dispute or no-show report
+ * holds them, then releases the provider's earning through the same path
+ * as a manual completion.
+ */
+const buildBookingAutoCompleteJob = ({
+  BookingModel = Booking,
+  settle = releaseProviderEarning,
+  notify = postSystemMessage,
+  recordHistory = recordBookingHistory,
+  now = () => new Date(),
+  graceHours = getGraceHours(),
+} = {}) => {
+  const eligible = {
+    status: "confirmed",
+    paymentStatus: "paid",
+    issueReportedAt: null,
+    openDisputeId: null,
+    "noShow.status": { $ne: "reported" },
+  };
+
+  const run = async () => {
+    const current = now();
+    const cutoff = new Date(current.getTime() - graceHours * 60 * 60 * 1000);
+
+    const candidates = await BookingModel.find({
+      ...eligible,
+      endAt: { $lte: cutoff },
+    });
+
+    const completed = [];
+    for (const booking of candidates) {
+      const before = snapshotBooking(booking);
+      const updated = await BookingModel.findOneAndUpdate(
+        { _id: booking._id, ...eligible },
+        { $set: { status: "completed", completedAt: current } },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      await recordHistory({
+        booking: updated,
+        before,
+        actor: SYSTEM_ACTOR,
+        action: "auto_completed",
+        reason: COMPLETION_REASON,
+      });
+      await settle(updated);
+
+      try {
+        await notify(updated, COMPLETION_REASON);
+      } catch (err) {
+        console.error("Failed to post completion message for booking:", err);
+      }
+
+      completed.push(updated);
+    }
+
+    return completed;
+  };
+
+  return { run };
+};
+
+module.exports = {
+  buildBookingAutoCompleteJob,
+  autoCompleteDueAt,
+  getGraceHours,
+};
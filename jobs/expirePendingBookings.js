@@ -0,0 +1,102 @@
+// jobs/expirePendingBookings.js
+const Booking = require("../models/Booking");
+const { postSystemMessage } = require("../controllers/chat");
+const {
+  SYSTEM_ACTOR,
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+const { releaseBookingSlot } = require("../utils/waitlist");
+const { releaseCouponUsage } = require("../utils/coupons");
+
+const DEFAULT_HOLD_MINUTES = 30;
+
+const getHoldMinutes = () => {
+  const value = Number(process.env.BOOKING_PAYMENT_HOLD_MINUTES);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_HOLD_MINUTES;
+};
+
+const expiryReason = (holdMinutes) =>
+  `ยกเลิกอัตโนมัติ: ไม่ได้ชำระเงินภายใน ${holdMinutes} นาทีหลังการจอง`;
+
+const OVERDUE_REASON = "ยกเลิกอัตโนมัติ: ไม่ได้ชำระเงินภายในกำหนด";
+
+/**
+ * Cancels pending bookings that are still unpaid once the hold window
+ * (or their own paymentDueAt, when set) has passed, so they stop blocking
+ * the provider's calendar.
+ * `now` is injectable so the job can be driven by a fake clock.
+ */
+const buildBookingExpiryJob = ({
+  BookingModel = Booking,
+  notify = postSystemMessage,
+  recordHistory = recordBookingHistory,
+  onSlotFreed = releaseBookingSlot,
+  releaseCoupon = releaseCouponUsage,
+  now = () => new Date(),
+  holdMinutes = getHoldMinutes(),
+} = {}) => {
+  const run = async () => {
+    const current = now();
+    const cutoff = new Date(current.getTime() - holdMinutes * 60 * 1000);
+    const unpaid = { status: "pending", paymentStatus: "pending" };
+
+    const [stale, overdue] = await Promise.all([
+      BookingModel.find({
+        ...unpaid,
+        paymentDueAt: null,
+        createdAt: { $lte: cutoff },
+      }),
+      BookingModel.find({ ...unpaid, paymentDueAt: { $lte: current } }),
+    ]);
+
+    const expired = [];
+    for (const booking of [...stale, ...overdue]) {
+      const reason = booking.paymentDueAt
+        ? OVERDUE_REASON
+        : expiryReason(holdMinutes);
+      const before = snapshotBooking(booking);
+
+      // Conditional update: a payment or cancellation that lands first wins
+      const updated = await BookingModel.findOneAndUpdate(
+        { _id: booking._id, status: "pending", paymentStatus: "pending" },
+        {
+          $set: {
+            status: "cancelled",
+            cancelledBy: "system",
+            cancellationReason: reason,
+          },
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      await recordHistory({
+        booking: updated,
+        before,
+        actor: SYSTEM_ACTOR,
+        action: "expired",
+        reason,
+      });
+
+      try {
+        await notify(updated, reason);
+      } catch (err) {
+        console.error("Failed to post expiry message for booking:", err);
+      }
+      await releaseCoupon(updated);
+      await onSlotFreed(updated);
+
+      expired.push(updated);
+    }
+
+    return expired;
+  };
+
+  return { run };
+};
+
+module.exports = {
+  buildBookingExpiryJob,
+  getHoldMinutes,
+};
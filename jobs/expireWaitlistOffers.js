@@ -0,0 +1,15 @@
+// jobs/expireWaitlistOffers.js
+const { buildWaitlist } = require("../utils/waitlist");
+
+/**
+ * Expires waitlist offers nobody claimed in time and passes each freed
+ * slot on to the next customer waiting for it.
+ */
+const buildWaitlistOfferExpiryJob = (options = {}) => {
+  const waitlist = buildWaitlist(options);
+  return { run: waitlist.expireOffers };
+};
+
+module.exports = {
+  buildWaitlistOfferExpiryJob,
+};
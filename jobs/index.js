@@ -0,0 +1,47 @@
+// jobs/index.js
+const { buildBookingExpiryJob } = require("./expirePendingBookings");
+const { buildBookingAutoCompleteJob } = require("./autoCompleteBookings");
+const { buildWaitlistOfferExpiryJob } = require("./expireWaitlistOffers");
+const { buildNoShowSettlementJob } = require("./settleNoShows");
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+const getIntervalMs = () => {
+  const value = Number(process.env.BOOKING_JOBS_INTERVAL_MS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_INTERVAL_MS;
+};
+
+/**
+ * Run `job.run()` every `intervalMs`, skipping a tick while the previous
+ * run is still busy. The timer does not keep the process alive.
+ */
+const schedule = (name, job, intervalMs) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (err) {
+      console.error(`${name} job error:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+const startJobs = ({ intervalMs = getIntervalMs() } = {}) => [
+  schedule("expirePendingBookings", buildBookingExpiryJob(), intervalMs),
+  schedule("autoCompleteBookings", buildBookingAutoCompleteJob(), intervalMs),
+  schedule("expireWaitlistOffers", buildWaitlistOfferExpiryJob(), intervalMs),
+  schedule("settleNoShows", buildNoShowSettlementJob(), intervalMs),
+];
+
+module.exports = {
+  schedule,
+  startJobs,
+};
@@ -0,0 +1,98 @@
+// jobs/settleNoShows.js
+const Booking = require("../models/Booking");
+const { postSystemMessage } = require("../controllers/chat");
+const { settleNoShow } = require("../utils/bookingSettlement");
+const { releaseCouponUsage } = require("../utils/coupons");
+const {
+  noShowReason,
+  absentUserIdOf,
+  recordNoShow,
+} = require("../utils/noShow");
+const {
+  SYSTEM_ACTOR,
+  snapshotBooking,
+  recordBookingHistory,
+} = require("../utils/bookingHistory");
+
+/**
+ * Upholds no-show reports the absent party did not contest in time:
+ * cancels the booking, refunds the customer or compensates the provider,
+ * and counts the no-show against the absent party. Contested reports are
+ * held by their dispute and left alone.
+ */
+const buildNoShowSettlementJob = ({
+  BookingModel = Booking,
+  settle = settleNoShow,
+  recordReliability = recordNoShow,
+  releaseCoupon = releaseCouponUsage,
+  notify = postSystemMessage,
+  recordHistory = recordBookingHistory,
+  now = () => new Date(),
+} = {}) => {
+  const eligible = {
+    status: "confirmed",
+    openDisputeId: null,
+    "noShow.status": "reported",
+  };
+
+  const run = async () => {
+    const current = now();
+    const candidates = await BookingModel.find({
+      ...eligible,
+      "noShow.contestDeadline": { $lte: current },
+    });
+
+    const upheld = [];
+    for (const booking of candidates) {
+      const before = snapshotBooking(booking);
+      const claimed = await BookingModel.findOneAndUpdate(
+        { _id: booking._id, ...eligible },
+        { $set: { "noShow.status": "upheld", "noShow.settledAt": current } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await settle(claimed);
+      } catch (err) {
+        // Leave it reported so the next run tries again
+        await BookingModel.updateOne(
+          { _id: claimed._id, "noShow.status": "upheld" },
+          { $set: { "noShow.status": "reported", "noShow.settledAt": null } }
+        );
+        console.error("Failed to settle no-show for booking:", err);
+        continue;
+      }
+
+      const reason = noShowReason(claimed.noShow.absentParty);
+      await recordHistory({
+        booking: claimed,
+        before,
+        actor: SYSTEM_ACTOR,
+        action: "no_show_upheld",
+        reason,
+      });
+      await recordReliability({ userId: absentUserIdOf(claimed), at: current });
+      await releaseCoupon(claimed);
+
+      try {
+        await notify(
+          claimed,
+          `${reason} และไม่ได้โต้แย้งภายในเวลาที่กำหนด ระบบยกเลิกการจองและดำเนินการเรื่องเงินตามนโยบายแล้ว`
+        );
+      } catch (err) {
+        console.error("Failed to post no-show message for booking:", err);
+      }
+
+      upheld.push(claimed);
+    }
+
+    return upheld;
+  };
+
+  return { run };
+};
+
+module.exports = {
+  buildNoShowSettlementJob,
+};
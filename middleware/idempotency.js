@@ -0,0 +1,139 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const DEFAULT_TTL_HOURS = 24;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const getIdempotencyTtlHours = () => {
+  const value = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TTL_HOURS;
+};
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const requestHashOf = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body ?? {})}`)
+    .digest('hex');
+
+/**
+ * Honour an `Idempotency-Key` header on a POST route, after protect.
+ * The first response for a user and key is stored and sent again,
+ * unchanged, for every retry with the same key and body. A retry with a
+ * different body gets 422, one that arrives while the first request is
+ * still running gets 409. Requests without the header are not affected.
+ * Server errors are not stored, so the client can retry them.
+ */
+const buildIdempotency = ({
+  KeyModel = IdempotencyKey,
+  now = () => new Date(),
+  ttlHours,
+} = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1-255 visible ASCII characters',
+    });
+  }
+  const userId = String(req.user?.id || req.user?._id || '');
+  if (!userId) return next();
+
+  try {
+    const requestHash = requestHashOf(req);
+    const current = now();
+    const hours = ttlHours ?? getIdempotencyTtlHours();
+    const record = {
+      userId,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(current.getTime() + hours * 60 * 60 * 1000),
+    };
+
+    let claimed = null;
+    // Two tries: the first may find an expired record MongoDB has not removed yet
+    for (let attempt = 0; attempt < 2 && !claimed; attempt += 1) {
+      try {
+        claimed = await KeyModel.create(record);
+      } catch (err) {
+        if (!err || err.code !== 11000) throw err;
+
+        const existing = await KeyModel.findOne({ userId, key });
+        if (!existing) continue;
+        if (existing.expiresAt <= current) {
+          await KeyModel.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+          continue;
+        }
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'This Idempotency-Key was already used with a different request',
+          });
+        }
+        if (existing.status !== 'completed') {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed',
+          });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed',
+      });
+    }
+
+    // Store the response before it goes out so a retry never sees a gap
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const stored =
+        res.statusCode >= 500
+          ? KeyModel.deleteOne({ _id: claimed._id })
+          : KeyModel.updateOne(
+              { _id: claimed._id },
+              {
+                $set: {
+                  status: 'completed',
+                  responseStatus: res.statusCode,
+                  responseBody: JSON.parse(JSON.stringify(body ?? null)),
+                },
+              }
+            );
+      Promise.resolve(stored)
+        .catch((err) => console.error('Failed to store idempotent response:', err))
+        .finally(() => send(body));
+      return res;
+    };
+    return next();
+  } catch (err) {
+    console.error('idempotency error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.buildIdempotency = buildIdempotency;
+exports.idempotency = buildIdempotency();
+exports.getIdempotencyTtlHours = getIdempotencyTtlHours;
@@ -1,6 +1,14 @@
 // models/Booking.js
 const mongoose = require('mongoose');
 const {randomUUID} = require('crypto');
+const {CancellationRuleSchema} = require('./CancellationPolicy');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  bookingStartsAt,
+  bookingEndsAt,
+  resolveEndDate,
+} = require('../utils/bookingTime');
 
 const STATUS_ENUM = ['pending', 'confirmed', 'completed', 'cancelled'];
 const PAYMENT_STATUS_ENUM = [
@@ -9,11 +17,167 @@ const PAYMENT_STATUS_ENUM = [
   'refunded',
   'partially_refunded',
 ];
-const CANCELLED_BY_ENUM = ['customer', 'provider'];
+const CANCELLED_BY_ENUM = ['customer', 'provider', 'system'];
+const PARTY_ENUM = ['customer', 'provider'];
+const NO_SHOW_STATUS_ENUM = ['reported', 'contested', 'upheld', 'overturned'];
 
 const isoDateRegex =
   /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD to align with frontend interface
 
+const PriceLineSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Snapshot of how the server priced the booking at creation time
+const PriceBreakdownSchema = new mongoose.Schema(
+  {
+    unit: { type: String, enum: ['hour', 'day'] },
+    unitPrice: { type: Number, min: 0 },
+    units: { type: Number, min: 0 },
+    baseAmount: { type: Number, min: 0 },
+    addOnsAmount: { type: Number, min: 0, default: 0 },
+    surcharges: { type: [PriceLineSchema], default: [] },
+    // Before the coupon discount
+    subtotal: { type: Number, min: 0 },
+    discountAmount: { type: Number, min: 0, default: 0 },
+    couponCode: { type: String, default: null },
+    depositPercent: { type: Number, min: 0, max: 100 },
+    depositAmount: { type: Number, min: 0 },
+    platformFeePercent: { type: Number, min: 0, max: 100 },
+    platformFee: { type: Number, min: 0 },
+    totalAmount: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// A service add-on as priced when the booking was made
+const BookingAddOnSchema = new mongoose.Schema(
+  {
+    addOnId: { type: String, required: true },
+    name: { type: String, required: true, trim: true },
+    unit: { type: String, enum: ['booking', 'hour', 'day'], required: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, required: true, min: 1 },
+    // Hours or days the unit price applies to; 1 for per-booking add-ons
+    units: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Where a participant was when checking in or out
+const GeoPointSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    accuracy: { type: Number, min: 0, default: null },
+  },
+  { _id: false }
+);
+
+// Cancellation terms the booking was made under
+const CancellationPolicySnapshotSchema = new mongoose.Schema(
+  {
+    policyId: { type: String, ref: 'CancellationPolicy', default: null },
+    name: { type: String, trim: true },
+    rules: { type: [CancellationRuleSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const RESCHEDULE_STATUS_ENUM = [
+  'pending',
+  'accepted',
+  'declined',
+  'expired',
+];
+
+const RescheduleRequestSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+    },
+    proposedBy: {
+      type: String,
+      ref: 'User',
+      required: true,
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['customer', 'provider'],
+      required: true,
+    },
+    date: {
+      type: String,
+      required: true,
+      validate: {
+        validator: (value) => isoDateRegex.test(value),
+        message: 'date must be in YYYY-MM-DD format',
+      },
+    },
+    endDate: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) => value === null || isoDateRegex.test(value),
+        message: 'endDate must be in YYYY-MM-DD format',
+      },
+    },
+    startTime: { type: String, required: true, trim: true },
+    endTime: { type: String, required: true, trim: true },
+    // Price of the booking in the new slot when proposed; quoted again on accept
+    totalAmount: { type: Number, min: 0, default: null },
+    reason: {
+      type: String,
+      default: '',
+      maxlength: [500, 'reason must be 500 characters or less'],
+    },
+    status: {
+      type: String,
+      enum: RESCHEDULE_STATUS_ENUM,
+      default: 'pending',
+    },
+    expiresAt: { type: Date, required: true },
+    respondedBy: { type: String, ref: 'User', default: null },
+    respondedAt: { type: Date, default: null },
+    responseNote: {
+      type: String,
+      default: '',
+      maxlength: [500, 'responseNote must be 500 characters or less'],
+    },
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+// One party's report that the other never turned up. Uncontested reports
+// are upheld once contestDeadline passes; contested ones go to a dispute.
+const NoShowSchema = new mongoose.Schema(
+  {
+    absentParty: { type: String, enum: PARTY_ENUM, required: true },
+    reportedBy: { type: String, ref: 'User', required: true },
+    reportedAt: { type: Date, default: Date.now },
+    note: {
+      type: String,
+      default: '',
+      maxlength: [1000, 'note must be 1000 characters or less'],
+    },
+    contestDeadline: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: NO_SHOW_STATUS_ENUM,
+      default: 'reported',
+    },
+    disputeId: { type: String, ref: 'Dispute', default: null },
+    settledAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const BookingSchema = new mongoose.Schema(
   {
     _id: {
@@ -53,6 +217,17 @@ const BookingSchema = new mongoose.Schema(
         message: 'date must be in YYYY-MM-DD format',
       },
     },
+    // Last day of a multi-day booking; null for bookings within one day
+    endDate: {
+      type: String,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return value === null || (isoDateRegex.test(value) && value >= this.date);
+        },
+        message: 'endDate must be in YYYY-MM-DD format and not before date',
+      },
+    },
     startTime: {
       type: String,
       required: [true, 'startTime is required'],
@@ -63,6 +238,24 @@ const BookingSchema = new mongoose.Schema(
       required: [true, 'endTime is required'],
       trim: true,
     },
+    // IANA zone the date and time strings above are read in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'timezone must be an IANA timezone such as Asia/Bangkok',
+      },
+    },
+    // UTC instants derived from the strings on every save; queries use these
+    startAt: {
+      type: Date,
+      default: null,
+    },
+    endAt: {
+      type: Date,
+      default: null,
+    },
     totalHours: {
       type: Number,
       required: [true, 'totalHours is required'],
@@ -84,6 +277,24 @@ const BookingSchema = new mongoose.Schema(
         message: 'depositAmount cannot be greater than totalAmount',
       },
     },
+    priceBreakdown: {
+      type: PriceBreakdownSchema,
+      default: undefined,
+    },
+    addOns: {
+      type: [BookingAddOnSchema],
+      default: [],
+    },
+    cancellationPolicy: {
+      type: CancellationPolicySnapshotSchema,
+      default: undefined,
+    },
+    seriesId: {
+      type: String,
+      ref: 'BookingSeries',
+      default: null,
+      index: true,
+    },
     status: {
       type: String,
       enum: STATUS_ENUM,
@@ -95,6 +306,12 @@ const BookingSchema = new mongoose.Schema(
       enum: PAYMENT_STATUS_ENUM,
       default: 'pending',
     },
+    // Unpaid bookings are cancelled once this passes; when null the
+    // payment hold counts from createdAt instead
+    paymentDueAt: {
+      type: Date,
+      default: null,
+    },
     specialRequests: {
       type: String,
       default: '',
@@ -104,10 +321,84 @@ const BookingSchema = new mongoose.Schema(
       type: String,
       enum: CANCELLED_BY_ENUM,
     },
+    cancellationReason: {
+      type: String,
+      default: '',
+      maxlength: [500, 'cancellationReason must be 500 characters or less'],
+    },
     refundAmount: {
       type: Number,
       min: [0, 'refundAmount cannot be negative'],
     },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // A customer-reported problem holds the booking back from auto-completion
+    issueReportedAt: {
+      type: Date,
+      default: null,
+    },
+    issueDescription: {
+      type: String,
+      default: '',
+      maxlength: [2000, 'issueDescription must be 2000 characters or less'],
+    },
+    rescheduleRequests: {
+      type: [RescheduleRequestSchema],
+      default: [],
+    },
+    // While set, the booking is neither completed nor paid out; the
+    // dispute resolution settles it instead
+    openDisputeId: {
+      type: String,
+      ref: 'Dispute',
+      default: null,
+    },
+    // Chat offer whose terms the booking was made or changed to
+    offerId: {
+      type: String,
+      default: null,
+    },
+    // One-time code the customer shows the provider when they meet
+    checkInCodeHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    checkInCodeExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    checkInAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    checkInLocation: {
+      type: GeoPointSchema,
+      default: undefined,
+    },
+    checkedOutAt: {
+      type: Date,
+      default: null,
+    },
+    checkedOutBy: {
+      type: String,
+      enum: PARTY_ENUM,
+    },
+    checkOutLocation: {
+      type: GeoPointSchema,
+      default: undefined,
+    },
+    noShow: {
+      type: NoShowSchema,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -117,6 +408,20 @@ const BookingSchema = new mongoose.Schema(
 BookingSchema.index({ customerId: 1, createdAt: -1 });
 BookingSchema.index({ providerId: 1, createdAt: -1 });
 BookingSchema.index({ serviceId: 1, date: -1 });
+BookingSchema.index({ providerId: 1, startAt: 1, endAt: 1 });
+BookingSchema.index({ status: 1, endAt: 1 });
+BookingSchema.index({ 'noShow.status': 1, 'noShow.contestDeadline': 1 });
+
+BookingSchema.pre('validate', function (next) {
+  // An end time not after the start time runs into the next day
+  this.endDate = resolveEndDate(this);
+  this.startAt = bookingStartsAt(this);
+  this.endAt = bookingEndsAt(this);
+  if (this.startAt && this.endAt && this.endAt <= this.startAt) {
+    this.invalidate('endTime', 'endTime must be after startTime');
+  }
+  next();
+});
 
 BookingSchema.virtual('id').get(function () {
   return this._id;
@@ -125,6 +430,7 @@ BookingSchema.virtual('id').get(function () {
 BookingSchema.methods.toJSON = function () {
   const obj = this.toObject({ virtuals: true });
   delete obj.__v;
+  delete obj.checkInCodeHash;
   if (obj.createdAt instanceof Date) {
     obj.createdAt = obj.createdAt.toISOString();
   }
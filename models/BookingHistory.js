@@ -0,0 +1,81 @@
+// models/BookingHistory.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const ACTOR_ROLE_ENUM = ['customer', 'provider', 'admin', 'system'];
+
+const ChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {_id: false}
+);
+
+const BookingHistorySchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    bookingId: {
+      type: String,
+      ref: 'Booking',
+      required: [true, 'bookingId is required'],
+      index: true,
+    },
+    actorId: {
+      type: String,
+      ref: 'User',
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      enum: ACTOR_ROLE_ENUM,
+      required: [true, 'actorRole is required'],
+    },
+    action: {
+      type: String,
+      required: [true, 'action is required'],
+      trim: true,
+      maxlength: 60,
+    },
+    changes: {
+      type: [ChangeSchema],
+      default: [],
+    },
+    reason: {
+      type: String,
+      default: '',
+      maxlength: [500, 'reason must be 500 characters or less'],
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+BookingHistorySchema.index({bookingId: 1, createdAt: 1});
+
+BookingHistorySchema.virtual('id').get(function () {
+  return this._id;
+});
+
+BookingHistorySchema.methods.toJSON = function () {
+  const obj = this.toObject({virtuals: true});
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('BookingHistory', BookingHistorySchema);
@@ -0,0 +1,133 @@
+// models/BookingSeries.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const FREQUENCY_ENUM = ['weekly', 'biweekly'];
+const SERIES_STATUS_ENUM = ['active', 'cancelled'];
+const OCCURRENCE_STATUS_ENUM = ['booked', 'conflict'];
+
+const isoDateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+const isoDate = (field) => ({
+  validator: (value) => value == null || isoDateRegex.test(value),
+  message: `${field} must be in YYYY-MM-DD format`,
+});
+
+// One generated date of the series and what happened to it
+const OccurrenceSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, validate: isoDate('date') },
+    status: { type: String, enum: OCCURRENCE_STATUS_ENUM, required: true },
+    bookingId: { type: String, ref: 'Booking', default: null },
+    reason: { type: String, default: '' },
+    conflict: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  },
+  { _id: false }
+);
+
+const BookingSeriesSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    customerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'customerId is required'],
+      index: true,
+    },
+    providerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'providerId is required'],
+      index: true,
+    },
+    serviceId: {
+      type: String,
+      ref: 'Service',
+      required: [true, 'serviceId is required'],
+    },
+    serviceName: {
+      type: String,
+      required: [true, 'serviceName is required'],
+      trim: true,
+    },
+    frequency: {
+      type: String,
+      enum: FREQUENCY_ENUM,
+      required: [true, 'frequency is required'],
+    },
+    startDate: {
+      type: String,
+      required: [true, 'startDate is required'],
+      validate: isoDate('startDate'),
+    },
+    // Either untilDate or count bounds the series
+    untilDate: {
+      type: String,
+      default: null,
+      validate: isoDate('untilDate'),
+    },
+    count: {
+      type: Number,
+      default: null,
+      min: [1, 'count must be at least 1'],
+    },
+    startTime: {
+      type: String,
+      required: [true, 'startTime is required'],
+      trim: true,
+    },
+    endTime: {
+      type: String,
+      required: [true, 'endTime is required'],
+      trim: true,
+    },
+    specialRequests: {
+      type: String,
+      default: '',
+      maxlength: [2000, 'specialRequests must be 2000 characters or less'],
+    },
+    occurrences: {
+      type: [OccurrenceSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: SERIES_STATUS_ENUM,
+      default: 'active',
+    },
+    cancelledBy: {
+      type: String,
+      enum: ['customer', 'provider', 'admin'],
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+BookingSeriesSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+BookingSeriesSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  if (obj.createdAt instanceof Date) {
+    obj.createdAt = obj.createdAt.toISOString();
+  }
+  if (obj.updatedAt instanceof Date) {
+    obj.updatedAt = obj.updatedAt.toISOString();
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('BookingSeries', BookingSeriesSchema);
+module.exports.FREQUENCY_ENUM = FREQUENCY_ENUM;
@@ -0,0 +1,97 @@
+// models/CancellationPolicy.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+// Refund `refundPercent` when the customer cancels at least `minHoursBefore`
+// hours before the booking starts
+const CancellationRuleSchema = new mongoose.Schema(
+  {
+    minHoursBefore: {
+      type: Number,
+      required: [true, 'minHoursBefore is required'],
+      min: [0, 'minHoursBefore cannot be negative'],
+    },
+    refundPercent: {
+      type: Number,
+      required: [true, 'refundPercent is required'],
+      min: [0, 'refundPercent must be between 0 and 100'],
+      max: [100, 'refundPercent must be between 0 and 100'],
+    },
+  },
+  { _id: false }
+);
+
+const CancellationPolicySchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, 'name is required'],
+      maxlength: [120, 'name must be 120 characters or less'],
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: [1000, 'description must be 1000 characters or less'],
+    },
+    rules: {
+      type: [CancellationRuleSchema],
+      validate: {
+        validator: (rules) =>
+          Array.isArray(rules) &&
+          rules.length > 0 &&
+          new Set(rules.map((rule) => rule.minHoursBefore)).size === rules.length,
+        message: 'rules must be a non-empty list with distinct minHoursBefore values',
+      },
+    },
+    // The platform default applies to services without a policy of their own
+    isDefault: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CancellationPolicySchema.pre('validate', function (next) {
+  if (Array.isArray(this.rules)) {
+    this.rules.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+  }
+  next();
+});
+
+CancellationPolicySchema.virtual('id').get(function () {
+  return this._id;
+});
+
+CancellationPolicySchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  if (obj.createdAt instanceof Date) {
+    obj.createdAt = obj.createdAt.toISOString();
+  }
+  if (obj.updatedAt instanceof Date) {
+    obj.updatedAt = obj.updatedAt.toISOString();
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('CancellationPolicy', CancellationPolicySchema);
+module.exports.CancellationRuleSchema = CancellationRuleSchema;
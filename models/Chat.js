@@ -1,16 +1,63 @@
 const mongoose = require('mongoose');
 const {randomUUID} = require('crypto');
 
+const MESSAGE_TYPE_ENUM = ['text', 'offer'];
+const OFFER_STATUS_ENUM = ['pending', 'accepted', 'declined', 'expired'];
+
+// Terms a provider proposes in the chat; accepting one books them
+const OfferSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+    },
+    serviceId: { type: String, ref: 'Service', required: true },
+    serviceName: { type: String, required: true, trim: true },
+    date: { type: String, required: true },
+    endDate: { type: String, default: null },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+    timezone: { type: String, default: 'Asia/Bangkok' },
+    // Agreed total for the booking, replacing the service rates
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: [1, 'totalAmount must be at least 1'],
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: [500, 'note must be 500 characters or less'],
+    },
+    expiresAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: OFFER_STATUS_ENUM,
+      default: 'pending',
+    },
+    respondedAt: { type: Date, default: null },
+    // The booking the offer created or updated once accepted
+    bookingId: { type: String, ref: 'Booking', default: null },
+  }
+);
+
+OfferSchema.virtual('id').get(function () {
+  return this._id;
+});
+
 const MessageSchema = new mongoose.Schema(
   {
     senderId: {
       type: String,
       ref: 'User',
-      required: true,
+      // system messages (e.g. automatic cancellations) have no sender
+      required: function () {
+        return this.senderType !== 'system';
+      },
     },
     senderType: {
       type: String,
-      enum: ['customer', 'provider'],
+      enum: ['customer', 'provider', 'system'],
       required: true,
     },
     content: {
@@ -18,6 +65,16 @@ const MessageSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    type: {
+      type: String,
+      enum: MESSAGE_TYPE_ENUM,
+      default: 'text',
+    },
+    // Only on offer messages
+    offer: {
+      type: OfferSchema,
+      default: undefined,
+    },
     sentAt: {
       type: Date,
       default: Date.now,
@@ -76,3 +133,4 @@ ChatSchema.methods.toJSON = function () {
 };
 
 module.exports = mongoose.model('Chat', ChatSchema);
+module.exports.OFFER_STATUS_ENUM = OFFER_STATUS_ENUM;
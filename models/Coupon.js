@@ -0,0 +1,129 @@
+// models/Coupon.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const DISCOUNT_TYPE_ENUM = ['percent', 'fixed'];
+
+const CouponSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    // What customers type in; stored upper case
+    code: {
+      type: String,
+      required: [true, 'code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'code must be 3-32 letters, digits, "-" or "_"'],
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: [500, 'description must be 500 characters or less'],
+    },
+    discountType: {
+      type: String,
+      enum: DISCOUNT_TYPE_ENUM,
+      required: [true, 'discountType is required'],
+    },
+    // Percent off (0-100] or baht off, depending on discountType
+    discountValue: {
+      type: Number,
+      required: [true, 'discountValue is required'],
+      min: [0.01, 'discountValue must be greater than zero'],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== 'percent' || value <= 100;
+        },
+        message: 'a percent discount cannot be more than 100',
+      },
+    },
+    // Upper bound for percent discounts; null for no cap
+    maxDiscountAmount: {
+      type: Number,
+      default: null,
+      min: [0, 'maxDiscountAmount cannot be negative'],
+    },
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: [0, 'minSpend cannot be negative'],
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    // Redemptions across all customers; null for no limit
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'usageLimit must be at least 1'],
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, 'perUserLimit must be at least 1'],
+    },
+    // Active redemptions; cancelled bookings give theirs back
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Empty lists mean the coupon applies to every service
+    serviceIds: {
+      type: [String],
+      default: [],
+    },
+    categories: {
+      type: [String],
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CouponSchema.pre('validate', function (next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+CouponSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+CouponSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  if (obj.createdAt instanceof Date) {
+    obj.createdAt = obj.createdAt.toISOString();
+  }
+  if (obj.updatedAt instanceof Date) {
+    obj.updatedAt = obj.updatedAt.toISOString();
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
+module.exports.DISCOUNT_TYPE_ENUM = DISCOUNT_TYPE_ENUM;
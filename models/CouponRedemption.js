@@ -0,0 +1,80 @@
+// models/CouponRedemption.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const REDEMPTION_STATUS_ENUM = ['active', 'released'];
+
+// One coupon use by one booking
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    couponId: {
+      type: String,
+      ref: 'Coupon',
+      required: [true, 'couponId is required'],
+    },
+    code: {
+      type: String,
+      required: [true, 'code is required'],
+    },
+    userId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'userId is required'],
+    },
+    bookingId: {
+      type: String,
+      ref: 'Booking',
+      required: [true, 'bookingId is required'],
+      unique: true,
+    },
+    discountAmount: {
+      type: Number,
+      required: [true, 'discountAmount is required'],
+      min: [0, 'discountAmount cannot be negative'],
+    },
+    // Which of the user's perUserLimit uses this is, from 0
+    slot: {
+      type: Number,
+      required: [true, 'slot is required'],
+      min: [0, 'slot cannot be negative'],
+    },
+    // Released when the booking is cancelled, which frees the usage again
+    status: {
+      type: String,
+      enum: REDEMPTION_STATUS_ENUM,
+      default: 'active',
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Per-user limit checks
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+// One active redemption per slot, so parallel bookings cannot share a use
+CouponRedemptionSchema.index(
+  { couponId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+CouponRedemptionSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+CouponRedemptionSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
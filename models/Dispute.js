@@ -0,0 +1,166 @@
+// models/Dispute.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const DISPUTE_CATEGORY_ENUM = [
+  'no_show',
+  'late_arrival',
+  'service_not_as_agreed',
+  'misconduct',
+  'payment',
+  'other',
+];
+const DISPUTE_STATUS_ENUM = ['open', 'resolved'];
+const DISPUTE_OUTCOME_ENUM = [
+  'full_refund',
+  'partial_refund',
+  'release_to_provider',
+];
+const PARTY_ROLE_ENUM = ['customer', 'provider', 'admin'];
+
+const MAX_EVIDENCE = 10;
+
+// One side's account of what happened
+const StatementSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, 'statement must be 2000 characters or less'],
+    },
+    submittedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const EvidenceSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+    },
+    submittedBy: { type: String, ref: 'User', required: true },
+    submittedByRole: { type: String, enum: PARTY_ROLE_ENUM, required: true },
+    // Data URI, validated with utils/images.js before it is stored
+    image: { type: String, required: true },
+    caption: {
+      type: String,
+      default: '',
+      maxlength: [300, 'caption must be 300 characters or less'],
+    },
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+const ResolutionSchema = new mongoose.Schema(
+  {
+    outcome: { type: String, enum: DISPUTE_OUTCOME_ENUM, required: true },
+    refundAmount: { type: Number, min: 0, default: 0 },
+    note: {
+      type: String,
+      default: '',
+      maxlength: [2000, 'note must be 2000 characters or less'],
+    },
+    resolvedBy: { type: String, ref: 'User', required: true },
+    resolvedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const DisputeSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    bookingId: {
+      type: String,
+      ref: 'Booking',
+      required: [true, 'bookingId is required'],
+      index: true,
+    },
+    customerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'customerId is required'],
+      index: true,
+    },
+    providerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'providerId is required'],
+      index: true,
+    },
+    openedBy: {
+      type: String,
+      ref: 'User',
+      required: [true, 'openedBy is required'],
+    },
+    openedByRole: {
+      type: String,
+      enum: PARTY_ROLE_ENUM,
+      required: [true, 'openedByRole is required'],
+    },
+    category: {
+      type: String,
+      enum: DISPUTE_CATEGORY_ENUM,
+      required: [true, 'category is required'],
+    },
+    customerStatement: {
+      type: StatementSchema,
+      default: undefined,
+    },
+    providerStatement: {
+      type: StatementSchema,
+      default: undefined,
+    },
+    evidence: {
+      type: [EvidenceSchema],
+      default: [],
+      validate: {
+        validator: (arr) => arr.length <= MAX_EVIDENCE,
+        message: `a dispute can have at most ${MAX_EVIDENCE} evidence attachments`,
+      },
+    },
+    status: {
+      type: String,
+      enum: DISPUTE_STATUS_ENUM,
+      default: 'open',
+      index: true,
+    },
+    resolution: {
+      type: ResolutionSchema,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DisputeSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+EvidenceSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+DisputeSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  if (obj.createdAt instanceof Date) {
+    obj.createdAt = obj.createdAt.toISOString();
+  }
+  if (obj.updatedAt instanceof Date) {
+    obj.updatedAt = obj.updatedAt.toISOString();
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
+module.exports.DISPUTE_CATEGORY_ENUM = DISPUTE_CATEGORY_ENUM;
+module.exports.DISPUTE_OUTCOME_ENUM = DISPUTE_OUTCOME_ENUM;
+module.exports.MAX_EVIDENCE = MAX_EVIDENCE;
@@ -0,0 +1,117 @@
+// models/EscrowHold.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+// held until the booking is settled, then where the money went
+const ESCROW_STATUS_ENUM = ['held', 'released', 'refunded', 'split'];
+const MOVEMENT_KIND_ENUM = ['hold', 'release', 'commission', 'refund', 'compensation'];
+
+// One step of the money's way into or out of the hold
+const MovementSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: MOVEMENT_KIND_ENUM,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'amount must be non-negative'],
+    },
+    // The Transaction or journal entry that moved the money, if any
+    transactionId: {
+      type: String,
+      ref: 'Transaction',
+      default: null,
+    },
+    journalEntryId: {
+      type: String,
+      ref: 'JournalEntry',
+      default: null,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
+
+const EscrowHoldSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    bookingId: {
+      type: String,
+      ref: 'Booking',
+      required: [true, 'bookingId is required'],
+      unique: true,
+    },
+    customerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'customerId is required'],
+      index: true,
+    },
+    providerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'providerId is required'],
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'amount is required'],
+      min: [0, 'amount must be non-negative'],
+    },
+    currency: {
+      type: String,
+      default: 'THB',
+      uppercase: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ESCROW_STATUS_ENUM,
+      default: 'held',
+      index: true,
+    },
+    releasedAmount: {type: Number, default: 0},
+    commissionAmount: {type: Number, default: 0},
+    refundedAmount: {type: Number, default: 0},
+    compensationAmount: {type: Number, default: 0},
+    movements: {
+      type: [MovementSchema],
+      default: [],
+    },
+    heldAt: {
+      type: Date,
+      default: Date.now,
+    },
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+EscrowHoldSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+EscrowHoldSchema.methods.toJSON = function () {
+  const obj = this.toObject({virtuals: true});
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('EscrowHold', EscrowHoldSchema);
+module.exports.ESCROW_STATUS_ENUM = ESCROW_STATUS_ENUM;
+module.exports.MOVEMENT_KIND_ENUM = MOVEMENT_KIND_ENUM;
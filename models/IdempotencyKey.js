@@ -0,0 +1,65 @@
+// models/IdempotencyKey.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const IDEMPOTENCY_STATUS_ENUM = ['in_progress', 'completed'];
+
+// The first response to a POST sent with an Idempotency-Key header
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    userId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'userId is required'],
+    },
+    key: {
+      type: String,
+      required: [true, 'key is required'],
+      maxlength: [255, 'key must be 255 characters or less'],
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // Hash of method, path and body; a replay must match it
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: IDEMPOTENCY_STATUS_ENUM,
+      default: 'in_progress',
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // MongoDB removes the record once this passes
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,122 @@
+// models/JournalEntry.js
+const mongoose = require("mongoose");
+const { randomUUID } = require("crypto");
+
+const ENTRY_KIND_ENUM = [
+  "topup",
+  "payment",
+  "refund",
+  "compensation",
+  "earning",
+  "commission",
+  "withdrawal",
+];
+const DIRECTION_ENUM = ["debit", "credit"];
+
+// Amounts are in baht with at most two decimals; compare in satang
+const toSatang = (amount) => Math.round(amount * 100);
+
+const PostingSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: String,
+      ref: "LedgerAccount",
+      required: true,
+    },
+    accountCode: { type: String, required: true },
+    direction: { type: String, enum: DIRECTION_ENUM, required: true },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "posting amount must be greater than zero"],
+    },
+  },
+  { _id: false }
+);
+
+const JournalEntrySchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ENTRY_KIND_ENUM,
+      required: [true, "kind is required"],
+    },
+    // Posting the same key twice returns the first entry instead
+    idempotencyKey: {
+      type: String,
+      required: [true, "idempotencyKey is required"],
+      unique: true,
+    },
+    postings: {
+      type: [PostingSchema],
+      validate: [
+        {
+          validator: (postings) => postings.length >= 2,
+          message: "a journal entry needs at least two postings",
+        },
+        {
+          validator: (postings) => {
+            const sum = (direction) =>
+              postings
+                .filter((posting) => posting.direction === direction)
+                .reduce((total, posting) => total + toSatang(posting.amount), 0);
+            return sum("debit") === sum("credit");
+          },
+          message: "journal entry debits and credits must balance",
+        },
+      ],
+    },
+    bookingId: {
+      type: String,
+      ref: "Booking",
+      default: null,
+      index: true,
+    },
+    // The Transaction shown in the user's history for this entry, if any
+    transactionId: {
+      type: String,
+      ref: "Transaction",
+      default: null,
+      index: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    currency: {
+      type: String,
+      default: "THB",
+      uppercase: true,
+      trim: true,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+JournalEntrySchema.index({ "postings.accountId": 1, occurredAt: -1 });
+
+JournalEntrySchema.virtual("id").get(function () {
+  return this._id;
+});
+
+JournalEntrySchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model("JournalEntry", JournalEntrySchema);
+module.exports.ENTRY_KIND_ENUM = ENTRY_KIND_ENUM;
+module.exports.toSatang = toSatang;
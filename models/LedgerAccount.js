@@ -0,0 +1,76 @@
+// models/LedgerAccount.js
+const mongoose = require("mongoose");
+const { randomUUID } = require("crypto");
+
+// What the account holds. Wallets are per user; the others are platform-wide.
+const ACCOUNT_KIND_ENUM = [
+  "user_wallet",
+  "escrow",
+  "platform_revenue",
+  "payouts",
+  "gateway",
+];
+// Decides which side of the postings counts as the account's balance
+const ACCOUNT_TYPE_ENUM = ["asset", "liability", "revenue"];
+
+const LedgerAccountSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    // "wallet:<userId>" for wallets, the kind for platform accounts
+    code: {
+      type: String,
+      required: [true, "code is required"],
+      unique: true,
+      trim: true,
+    },
+    kind: {
+      type: String,
+      enum: ACCOUNT_KIND_ENUM,
+      required: [true, "kind is required"],
+    },
+    type: {
+      type: String,
+      enum: ACCOUNT_TYPE_ENUM,
+      required: [true, "type is required"],
+    },
+    userId: {
+      type: String,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 120,
+    },
+    currency: {
+      type: String,
+      default: "THB",
+      uppercase: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LedgerAccountSchema.virtual("id").get(function () {
+  return this._id;
+});
+
+LedgerAccountSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model("LedgerAccount", LedgerAccountSchema);
+module.exports.ACCOUNT_KIND_ENUM = ACCOUNT_KIND_ENUM;
+module.exports.ACCOUNT_TYPE_ENUM = ACCOUNT_TYPE_ENUM;
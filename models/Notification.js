@@ -0,0 +1,68 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const NOTIFICATION_TYPE_ENUM = [
+  'waitlist_offer',
+  'waitlist_offer_expired',
+];
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    userId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'userId is required'],
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPE_ENUM,
+      required: [true, 'type is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'title is required'],
+      maxlength: [200, 'title must be 200 characters or less'],
+    },
+    message: {
+      type: String,
+      default: '',
+      maxlength: [2000, 'message must be 2000 characters or less'],
+    },
+    // Ids the client needs to act on the notification
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+
+NotificationSchema.virtual('id').get(function () {
+  return this._id;
+});
+
+NotificationSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  if (obj.createdAt instanceof Date) {
+    obj.createdAt = obj.createdAt.toISOString();
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_TYPE_ENUM = NOTIFICATION_TYPE_ENUM;
@@ -44,10 +44,32 @@ const PaymentSchema = new mongoose.Schema(
       enum: PAYMENT_STATUS_ENUM,
       default: 'pending',
     },
+    // Gateway that took the payment; null for wallet payments
+    gateway: {
+      type: String,
+      default: null,
+    },
+    // The gateway's charge id, or the wallet Transaction's id
     transactionId: {
       type: String,
       default: '',
     },
+    // What the customer does next to pay: open a redirect url or scan a QR code
+    nextAction: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Carried in the PromptPay QR code to match the transfer back to this payment
+    reference: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    failureReason: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
     refundAmount: {
       type: Number,
       default: 0,
@@ -72,6 +94,8 @@ const PaymentSchema = new mongoose.Schema(
   }
 );
 
+PaymentSchema.index({gateway: 1, transactionId: 1});
+
 PaymentSchema.virtual('id').get(function () {
   return this._id;
 });
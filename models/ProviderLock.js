@@ -0,0 +1,28 @@
+// models/ProviderLock.js
+const mongoose = require('mongoose');
+
+// Held while a booking is written to a provider's calendar; see utils/providerLock.js
+const ProviderLockSchema = new mongoose.Schema(
+  {
+    // The provider's user id
+    _id: {
+      type: String,
+      required: true,
+    },
+    // Who holds it, so only the holder releases it
+    token: {
+      type: String,
+      default: null,
+    },
+    // A holder that died frees the lock at this time
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('ProviderLock', ProviderLockSchema);
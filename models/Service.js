@@ -2,6 +2,57 @@
 const mongoose = require('mongoose');
 const {randomUUID} = require('crypto');
 
+// How an add-on price is multiplied: once per booking, per hour or per day
+const ADD_ON_UNIT_ENUM = ['booking', 'hour', 'day'];
+
+// A priced extra customers can pick when booking the service
+const ServiceAddOnSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, 'add-on name is required'],
+      maxlength: [120, 'add-on name must be 120 characters or less'],
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: [500, 'add-on description must be 500 characters or less'],
+    },
+    price: {
+      type: Number,
+      required: [true, 'add-on price is required'],
+      min: [0, 'add-on price must be equal or above 0'],
+    },
+    unit: {
+      type: String,
+      enum: ADD_ON_UNIT_ENUM,
+      default: 'booking',
+    },
+    maxQuantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'add-on maxQuantity must be at least 1'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'add-on maxQuantity must be a whole number',
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  }
+);
+
+ServiceAddOnSchema.virtual('id').get(function () {
+  return this._id;
+});
+
 const ServiceSchema = new mongoose.Schema(
   {
     _id: {
@@ -71,6 +122,20 @@ const ServiceSchema = new mongoose.Schema(
       min: [0, 'bookingCount cannot be negative'],
       default: 0,
     },
+    addOns: {
+      type: [ServiceAddOnSchema],
+      default: [],
+      validate: {
+        validator: (arr) => arr.length <= 20,
+        message: 'a service can have at most 20 add-ons',
+      },
+    },
+    // Falls back to the platform default policy when null
+    cancellationPolicyId: {
+      type: String,
+      ref: 'CancellationPolicy',
+      default: null,
+    },
     active: {
       type: Boolean,
       default: true,
@@ -98,3 +163,4 @@ ServiceSchema.methods.toJSON = function () {
 };
 
 module.exports = mongoose.model('Service', ServiceSchema);
+module.exports.ADD_ON_UNIT_ENUM = ADD_ON_UNIT_ENUM;
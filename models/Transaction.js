@@ -17,6 +17,12 @@ const TransactionSchema = new mongoose.Schema(
       required: [true, "customerId is required"],
       index: true,
     },
+    bookingId: {
+      type: String,
+      ref: "Booking",
+      default: null,
+      index: true,
+    },
     amount: {
       type: Number,
       required: [true, "amount is required"],
@@ -50,12 +56,33 @@ const TransactionSchema = new mongoose.Schema(
       maxlength: 500,
       default: "",
     },
+    // Gateway a customer's top-up is paid through; null for everything else
+    gateway: {
+      type: String,
+      default: null,
+    },
+    // The gateway's charge id for the top-up
+    chargeId: {
+      type: String,
+      default: "",
+    },
+    // What the customer does next to pay the top-up: open a redirect url or scan a QR code
+    nextAction: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: "",
+    },
   },
   {
     timestamps: true,
   }
 );
 
+TransactionSchema.index({ gateway: 1, chargeId: 1 });
+
 TransactionSchema.virtual("id").get(function () {
   return this._id;
 });
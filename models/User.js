@@ -105,10 +105,21 @@ const UserSchema = new mongoose.Schema(
       default: null,
       select: false,
     },
+    // sha256 of the secret in the user's calendar feed URL
+    calendarTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
     verified: {
       type: Boolean,
       default: AUTO_VERIFY_USER,
     },
+    // Upheld no-shows, as customer or provider; only the system updates it
+    reliability: {
+      noShowCount: { type: Number, default: 0, min: 0 },
+      lastNoShowAt: { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
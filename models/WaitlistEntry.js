@@ -0,0 +1,126 @@
+// models/WaitlistEntry.js
+const mongoose = require('mongoose');
+const {randomUUID} = require('crypto');
+
+const WAITLIST_STATUS_ENUM = [
+  'waiting',
+  'offered',
+  'claimed',
+  'expired',
+  'cancelled',
+];
+const OFFER_STATUS_ENUM = ['open', 'claimed', 'expired'];
+
+const isoDateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// A freed slot offered to this entry for a limited time
+const WaitlistOfferSchema = new mongoose.Schema(
+  {
+    // The cancelled or moved booking that freed the slot
+    sourceBookingId: { type: String, ref: 'Booking', required: true },
+    date: { type: String, required: true },
+    // What is offered: the freed time within the entry's window
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true },
+    // All of the freed time, passed on if the offer is not claimed
+    freedStartTime: { type: String, required: true },
+    freedEndTime: { type: String, required: true },
+    status: { type: String, enum: OFFER_STATUS_ENUM, default: 'open' },
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    customerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'customerId is required'],
+      index: true,
+    },
+    providerId: {
+      type: String,
+      ref: 'User',
+      required: [true, 'providerId is required'],
+    },
+    serviceId: {
+      type: String,
+      ref: 'Service',
+      required: [true, 'serviceId is required'],
+    },
+    serviceName: {
+      type: String,
+      required: [true, 'serviceName is required'],
+      trim: true,
+    },
+    // The window the customer is willing to take a booking in
+    date: {
+      type: String,
+      required: [true, 'date is required'],
+      validate: {
+        validator: (value) => isoDateRegex.test(value),
+        message: 'date must be in YYYY-MM-DD format',
+      },
+    },
+    startTime: {
+      type: String,
+      required: [true, 'startTime is required'],
+      trim: true,
+    },
+    endTime: {
+      type: String,
+      required: [true, 'endTime is required'],
+      trim: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: [500, 'note must be 500 characters or less'],
+    },
+    status: {
+      type: String,
+      enum: WAITLIST_STATUS_ENUM,
+      default: 'waiting',
+    },
+    offers: {
+      type: [WaitlistOfferSchema],
+      default: [],
+    },
+    bookingId: {
+      type: String,
+      ref: 'Booking',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Waiters for a provider's day, first come first served
+WaitlistEntrySchema.index({ providerId: 1, date: 1, status: 1, createdAt: 1 });
+
+WaitlistEntrySchema.virtual('id').get(function () {
+  return this._id;
+});
+
+WaitlistEntrySchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  if (obj.createdAt instanceof Date) {
+    obj.createdAt = obj.createdAt.toISOString();
+  }
+  if (obj.updatedAt instanceof Date) {
+    obj.updatedAt = obj.updatedAt.toISOString();
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,54 @@
+// models/Wallet.js
+const mongoose = require("mongoose");
+const { randomUUID } = require("crypto");
+
+// A user's spendable balance, kept in step with the ledger by utils/ledger.js.
+// Stored in satang so $inc never accumulates rounding errors.
+const WalletSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: randomUUID,
+      required: true,
+    },
+    userId: {
+      type: String,
+      ref: "User",
+      required: [true, "userId is required"],
+      unique: true,
+    },
+    balanceSatang: {
+      type: Number,
+      default: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: "balanceSatang must be a whole number",
+      },
+    },
+    currency: {
+      type: String,
+      default: "THB",
+      uppercase: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WalletSchema.virtual("balance").get(function () {
+  return this.balanceSatang / 100;
+});
+
+WalletSchema.virtual("id").get(function () {
+  return this._id;
+});
+
+WalletSchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model("Wallet", WalletSchema);
@@ -0,0 +1,304 @@
+// routes/bookingSeries.js
+const express = require("express");
+const {
+  listBookingSeries,
+  getBookingSeries,
+  createBookingSeries,
+  cancelBookingSeries,
+} = require("../controllers/bookingSeries");
+const { protect } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingSeriesOccurrence:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [booked, conflict]
+ *         bookingId:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           description: Why the occurrence could not be booked
+ *         conflict:
+ *           $ref: '#/components/schemas/BookingConflict'
+ *     BookingSeries:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         customerId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *         serviceId:
+ *           type: string
+ *         serviceName:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, biweekly]
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         untilDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         count:
+ *           type: integer
+ *           nullable: true
+ *         startTime:
+ *           type: string
+ *         endTime:
+ *           type: string
+ *         specialRequests:
+ *           type: string
+ *         occurrences:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BookingSeriesOccurrence'
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled]
+ *         cancelledBy:
+ *           type: string
+ *           enum: [customer, provider, admin]
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ * tags:
+ *   - name: BookingSeries
+ *     description: Recurring bookings generated from a weekly or biweekly rule
+ */
+
+/**
+ * @swagger
+ * /booking-series:
+ *   get:
+ *     summary: List booking series (own series for customers and providers)
+ *     tags: [BookingSeries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated series
+ *   post:
+ *     summary: Create a recurring booking series (customer or admin)
+ *     description: |
+ *       One booking is created per date of the rule, each checked against the provider's
+ *       availability. Dates that are not available are reported in `conflicts` and skipped.
+ *       Each booking must be paid BOOKING_SERIES_PAYMENT_LEAD_HOURS before it starts
+ *       (see paymentDueAt), otherwise it is cancelled automatically.
+ *     tags: [BookingSeries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               serviceId:
+ *                 type: string
+ *               customerId:
+ *                 type: string
+ *                 description: Only admins can book on behalf of a customer
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               untilDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last possible date (inclusive); use either untilDate or count
+ *               count:
+ *                 type: integer
+ *                 description: Number of occurrences (max 52); use either untilDate or count
+ *               startTime:
+ *                 type: string
+ *                 example: "18:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "20:00"
+ *                 description: When not after startTime (e.g. 22:00-02:00) each occurrence ends the next day
+ *               specialRequests:
+ *                 type: string
+ *             required:
+ *               - serviceId
+ *               - frequency
+ *               - startDate
+ *               - startTime
+ *               - endTime
+ *     responses:
+ *       201:
+ *         description: Series created with its bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BookingSeries'
+ *                     - type: object
+ *                       properties:
+ *                         bookings:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Booking'
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BookingSeriesOccurrence'
+ *       400:
+ *         description: Invalid recurrence rule or times
+ *       409:
+ *         description: None of the occurrences are available
+ */
+router
+  .route("/")
+  .get(protect, listBookingSeries)
+  .post(protect, createBookingSeries);
+
+/**
+ * @swagger
+ * /booking-series/{id}:
+ *   get:
+ *     summary: Get a booking series with its bookings
+ *     tags: [BookingSeries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Series and its bookings ordered by date
+ *       403:
+ *         description: Not a participant
+ *       404:
+ *         description: Series not found
+ */
+router.get("/:id", protect, getBookingSeries);
+
+/**
+ * @swagger
+ * /booking-series/{id}/cancel:
+ *   post:
+ *     summary: Cancel every upcoming booking of a series
+ *     description: |
+ *       Each pending or confirmed booking is cancelled with the normal refund rules of its
+ *       cancellation policy. Bookings that can no longer be cancelled (for example because
+ *       they have started) are listed in `skipped`. To cancel a single occurrence, cancel
+ *       that booking with PUT /bookings/{id}.
+ *     tags: [BookingSeries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               cancelledBy:
+ *                 type: string
+ *                 enum: [customer, provider, system]
+ *                 description: Admins only, the side the cancellation is made for
+ *     responses:
+ *       200:
+ *         description: Cancelled series with per-booking refunds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/BookingSeries'
+ *                 cancelled:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       bookingId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                       paymentStatus:
+ *                         type: string
+ *                       refundAmount:
+ *                         type: number
+ *                       refundPercent:
+ *                         type: number
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       bookingId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       409:
+ *         description: Series is already cancelled
+ */
+router.post("/:id/cancel", protect, cancelBookingSeries);
+
+module.exports = router;
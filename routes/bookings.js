@@ -6,8 +6,25 @@ const {
   createBooking,
   updateBooking,
   deleteBooking,
+  getBookingHistory,
+  getBookingEscrow,
+  getCancellationQuote,
+  reportBookingIssue,
 } = require("../controllers/bookings");
+const {
+  listRescheduleRequests,
+  createRescheduleRequest,
+  acceptRescheduleRequest,
+  declineRescheduleRequest,
+} = require("../controllers/bookingReschedules");
+const {
+  issueCheckInCode,
+  checkInBooking,
+  checkOutBooking,
+} = require("../controllers/bookingCheckIns");
+const { reportNoShow, contestNoShow } = require("../controllers/bookingNoShows");
 const { protect } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
 
 const router = express.Router();
 
@@ -37,12 +54,30 @@ const router = express.Router();
  *           type: string
  *           format: date
  *           example: "2025-03-10"
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Last day of a multi-day booking; null when it ends on `date`
+ *           example: null
  *         startTime:
  *           type: string
  *           example: "13:00"
  *         endTime:
  *           type: string
  *           example: "16:00"
+ *         timezone:
+ *           type: string
+ *           description: IANA zone date, endDate, startTime and endTime are read in
+ *           example: "Asia/Bangkok"
+ *         startAt:
+ *           type: string
+ *           format: date-time
+ *           description: UTC instant the booking starts, derived from the fields above
+ *         endAt:
+ *           type: string
+ *           format: date-time
+ *           description: UTC instant the booking ends, derived from the fields above
  *         totalHours:
  *           type: number
  *           format: float
@@ -52,6 +87,51 @@ const router = express.Router();
  *         depositAmount:
  *           type: number
  *           format: float
+ *         priceBreakdown:
+ *           $ref: '#/components/schemas/BookingPriceBreakdown'
+ *         addOns:
+ *           type: array
+ *           description: Service add-ons as priced when the booking was made
+ *           items:
+ *             type: object
+ *             properties:
+ *               addOnId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *                 enum: [booking, hour, day]
+ *               unitPrice:
+ *                 type: number
+ *               quantity:
+ *                 type: integer
+ *               units:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         seriesId:
+ *           type: string
+ *           nullable: true
+ *           description: Booking series this booking was generated from
+ *         paymentDueAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Unpaid bookings are cancelled after this; when null the payment hold applies
+ *         cancellationPolicy:
+ *           type: object
+ *           description: Snapshot of the service's cancellation policy when the booking was made
+ *           properties:
+ *             policyId:
+ *               type: string
+ *               nullable: true
+ *             name:
+ *               type: string
+ *             rules:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CancellationRule'
  *         status:
  *           type: string
  *           enum: [pending, confirmed, completed, cancelled]
@@ -62,9 +142,55 @@ const router = express.Router();
  *           type: string
  *         cancelledBy:
  *           type: string
- *           enum: [customer, provider]
+ *           enum: [customer, provider, system]
+ *         cancellationReason:
+ *           type: string
  *         refundAmount:
  *           type: number
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         issueReportedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the customer reported a problem; the booking is then not auto-completed
+ *         issueDescription:
+ *           type: string
+ *         rescheduleRequests:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RescheduleRequest'
+ *         openDisputeId:
+ *           type: string
+ *           nullable: true
+ *           description: Set while a dispute holds the booking; it is then not completed, cancelled or paid out
+ *         checkInCodeExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the customer's current check-in code stops working; null when none is issued
+ *         checkInAttempts:
+ *           type: integer
+ *           description: Wrong codes entered for the current check-in code
+ *         checkedInAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checkInLocation:
+ *           $ref: '#/components/schemas/GeoPoint'
+ *         checkedOutAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checkedOutBy:
+ *           type: string
+ *           enum: [customer, provider]
+ *         checkOutLocation:
+ *           $ref: '#/components/schemas/GeoPoint'
+ *         noShow:
+ *           $ref: '#/components/schemas/NoShowReport'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -93,16 +219,49 @@ const router = express.Router();
  *         date:
  *           type: string
  *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: |
+ *             Optional - day the booking ends for bookings spanning several days
+ *             (up to 31). Such bookings are charged per day when that is
+ *             cheaper than per hour, and block the provider on every day covered.
  *         startTime:
  *           type: string
  *         endTime:
  *           type: string
+ *           description: An endTime not after startTime without an endDate ends the next day (22:00-02:00)
+ *         timezone:
+ *           type: string
+ *           description: Optional - IANA zone the date and times are in
+ *           default: "Asia/Bangkok"
+ *         addOns:
+ *           type: array
+ *           description: Optional - service add-ons to include, priced from the service
+ *           items:
+ *             type: object
+ *             properties:
+ *               addOnId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *             required:
+ *               - addOnId
+ *         couponCode:
+ *           type: string
+ *           description: |
+ *             Optional - promo code taken off the price; preview it with POST /coupons/validate.
+ *             Rejected with 404 or 422 (and a `reason`) when it does not apply.
  *         totalHours:
  *           type: number
+ *           description: Optional - rejected if it differs from the server computed value
  *         totalAmount:
  *           type: number
+ *           description: Optional - rejected if it differs from the server computed value
  *         depositAmount:
  *           type: number
+ *           description: Optional - rejected if it differs from the server computed value
  *         specialRequests:
  *           type: string
  *         customerId:
@@ -117,9 +276,274 @@ const router = express.Router();
  *         - date
  *         - startTime
  *         - endTime
- *         - totalHours
- *         - totalAmount
- *         - depositAmount
+ *     BookingPriceBreakdown:
+ *       type: object
+ *       description: Server side price calculation stored at booking creation
+ *       properties:
+ *         unit:
+ *           type: string
+ *           enum: [hour, day]
+ *         unitPrice:
+ *           type: number
+ *         units:
+ *           type: number
+ *           description: Hours, or calendar days covered when charged per day
+ *         baseAmount:
+ *           type: number
+ *         addOnsAmount:
+ *           type: number
+ *           description: Sum of the booking's add-on lines, included in totalAmount
+ *         surcharges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         subtotal:
+ *           type: number
+ *           description: Base, add-ons and surcharges before the coupon discount
+ *         discountAmount:
+ *           type: number
+ *         couponCode:
+ *           type: string
+ *           nullable: true
+ *         depositPercent:
+ *           type: number
+ *         depositAmount:
+ *           type: number
+ *         platformFeePercent:
+ *           type: number
+ *         platformFee:
+ *           type: number
+ *         totalAmount:
+ *           type: number
+ *     BookingTransitionError:
+ *       type: object
+ *       description: |
+ *         status: pending -> confirmed (provider), confirmed -> completed (provider, after the end time and once paid),
+ *         pending/confirmed -> cancelled (customer or provider before the start time, admin any time).
+ *         paymentStatus: pending -> paid is set by a completed payment, paid -> refunded/partially_refunded by
+ *         cancelling under the cancellation policy; by hand only admins may make these changes.
+ *         Admins may make any of the status changes too, and may cancel after the start time.
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *         field:
+ *           type: string
+ *           enum: [status, paymentStatus]
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         allowed:
+ *           type: array
+ *           items:
+ *             type: string
+ *     BookingHistoryEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         bookingId:
+ *           type: string
+ *         actorId:
+ *           type: string
+ *           nullable: true
+ *           description: null for changes made by the system
+ *         actorRole:
+ *           type: string
+ *           enum: [customer, provider, admin, system]
+ *         action:
+ *           type: string
+ *           example: updated
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               oldValue: {}
+ *               newValue: {}
+ *         reason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     EscrowHold:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         bookingId:
+ *           type: string
+ *         customerId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           description: What the customer paid into escrow
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [held, released, refunded, split]
+ *         releasedAmount:
+ *           type: number
+ *           description: Paid out to the provider as earning
+ *         commissionAmount:
+ *           type: number
+ *         refundedAmount:
+ *           type: number
+ *         compensationAmount:
+ *           type: number
+ *           description: Paid to the provider for a cancellation or customer no-show
+ *         remainingAmount:
+ *           type: number
+ *         movements:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [hold, release, commission, refund, compensation]
+ *               amount:
+ *                 type: number
+ *               transactionId:
+ *                 type: string
+ *                 nullable: true
+ *               journalEntryId:
+ *                 type: string
+ *                 nullable: true
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         heldAt:
+ *           type: string
+ *           format: date-time
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     GeoPoint:
+ *       type: object
+ *       properties:
+ *         latitude:
+ *           type: number
+ *           example: 13.7466
+ *         longitude:
+ *           type: number
+ *           example: 100.5393
+ *         accuracy:
+ *           type: number
+ *           nullable: true
+ *           description: Accuracy reported by the device, in metres
+ *     CheckInInput:
+ *       type: object
+ *       properties:
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         accuracy:
+ *           type: number
+ *     RescheduleRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         proposedBy:
+ *           type: string
+ *         proposedByRole:
+ *           type: string
+ *           enum: [customer, provider]
+ *         date:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         startTime:
+ *           type: string
+ *         endTime:
+ *           type: string
+ *         totalAmount:
+ *           type: number
+ *           nullable: true
+ *           description: Price of the booking in the new slot when proposed; quoted again on accept
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         respondedBy:
+ *           type: string
+ *           nullable: true
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         responseNote:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     BookingConflict:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           enum: [booking_conflict, outside_working_hours, waitlist_hold, provider_busy]
+ *           description: |
+ *             waitlist_hold means the time is offered to another customer from the waitlist;
+ *             provider_busy means another booking with the provider was being made, so try again
+ *         conflict:
+ *           type: object
+ *           description: Present when reason is booking_conflict or waitlist_hold
+ *           properties:
+ *             bookingId:
+ *               type: string
+ *             date:
+ *               type: string
+ *             endDate:
+ *               type: string
+ *             startTime:
+ *               type: string
+ *             endTime:
+ *               type: string
+ *             status:
+ *               type: string
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *               description: When a waitlist offer holding the time runs out
+ *         workingHours:
+ *           type: array
+ *           description: Present when reason is outside_working_hours
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
  * tags:
  *   - name: Bookings
  *     description: Manage customer bookings
@@ -161,11 +585,13 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           format: date
+ *         description: Bookings still running on or after this day (Asia/Bangkok)
  *       - in: query
  *         name: dateTo
  *         schema:
  *           type: string
  *           format: date
+ *         description: Bookings starting on or before this day (Asia/Bangkok)
  *       - in: query
  *         name: page
  *         schema:
@@ -207,6 +633,8 @@ const router = express.Router();
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -225,8 +653,19 @@ const router = express.Router();
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Invalid input or submitted totals that do not match the service price
+ *       409:
+ *         description: Provider is not available (outside working hours or overlapping booking)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingConflict'
  */
-router.route("/").get(protect, listBookings).post(protect, createBooking);
+router
+  .route("/")
+  .get(protect, listBookings)
+  .post(protect, idempotency, createBooking);
 
 /**
  * @swagger
@@ -276,6 +715,8 @@ router.route("/").get(protect, listBookings).post(protect, createBooking);
  *             properties:
  *               date:
  *                 type: string
+ *               endDate:
+ *                 type: string
  *               startTime:
  *                 type: string
  *               endTime:
@@ -290,10 +731,20 @@ router.route("/").get(protect, listBookings).post(protect, createBooking);
  *                 type: string
  *               paymentStatus:
  *                 type: string
+ *                 description: >
+ *                   Cannot be sent together with a cancellation; cancelling a paid booking
+ *                   sets refunded or partially_refunded from the booking's cancellation policy
+ *               cancelledBy:
+ *                 type: string
+ *                 enum: [customer, provider, system]
+ *                 description: Admins only, the side an admin cancellation is made for
  *               specialRequests:
  *                 type: string
  *               refundAmount:
  *                 type: number
+ *               reason:
+ *                 type: string
+ *                 description: Stored with the change in the booking history
  *     responses:
  *       200:
  *         description: Updated booking
@@ -306,6 +757,12 @@ router.route("/").get(protect, listBookings).post(protect, createBooking);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Booking'
+ *       403:
+ *         description: Not a participant, or a non-admin tried to change amounts
+ *       422:
+ *         description: |
+ *           Status or paymentStatus change not allowed for this role (see BookingTransitionError),
+ *           paymentStatus sent together with a cancellation, or a non-admin tried to change date/startTime/endTime directly instead of using reschedule requests
  *   delete:
  *     summary: Delete booking (admin only)
  *     tags: [Bookings]
@@ -336,4 +793,670 @@ router
   .put(protect, updateBooking)
   .delete(protect, deleteBooking);
 
+/**
+ * @swagger
+ * /bookings/{id}/cancellation-quote:
+ *   get:
+ *     summary: Preview the refund for cancelling a booking now
+ *     description: |
+ *       Customers are refunded according to the booking's cancellation policy snapshot and
+ *       the remainder goes to the provider. Cancellations by the provider refund in full.
+ *       Unpaid bookings have nothing to refund.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cancelledBy
+ *         schema:
+ *           type: string
+ *           enum: [customer, provider, system]
+ *         description: Admins only, the side to quote for (default customer)
+ *     responses:
+ *       200:
+ *         description: Refund preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookingId:
+ *                       type: string
+ *                     cancellable:
+ *                       type: boolean
+ *                       description: Whether the caller may cancel the booking right now
+ *                     quotedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     cancelledBy:
+ *                       type: string
+ *                     hoursBeforeStart:
+ *                       type: number
+ *                     policy:
+ *                       $ref: '#/components/schemas/CancellationPolicy'
+ *                     refundPercent:
+ *                       type: number
+ *                     paidAmount:
+ *                       type: number
+ *                     refundAmount:
+ *                       type: number
+ *                     providerCompensation:
+ *                       type: number
+ *                     paymentStatus:
+ *                       type: string
+ *                       description: paymentStatus the booking would end up with
+ *       403:
+ *         description: Not a participant
+ *       404:
+ *         description: Booking not found
+ */
+router.get("/:id/cancellation-quote", protect, getCancellationQuote);
+
+/**
+ * @swagger
+ * /bookings/{id}/history:
+ *   get:
+ *     summary: Timeline of status, payment, time and amount changes (participants or admin)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: History entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BookingHistoryEntry'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Booking not found
+ */
+router.get("/:id/history", protect, getBookingHistory);
+
+/**
+ * @swagger
+ * /bookings/{id}/escrow:
+ *   get:
+ *     summary: Where the booking's payment is held and where it went (participants or admin)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The booking's escrow hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EscrowHold'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Booking not found, or nothing has been paid into escrow
+ */
+router.get("/:id/escrow", protect, getBookingEscrow);
+
+/**
+ * @swagger
+ * /bookings/{id}/report-issue:
+ *   post:
+ *     summary: Report a problem with a confirmed booking (customer only)
+ *     description: |
+ *       Confirmed, paid bookings are completed automatically once their end time plus
+ *       BOOKING_AUTO_COMPLETE_GRACE_HOURS has passed. Reporting a problem before then
+ *       keeps the booking (and the provider's earning) on hold for manual review.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *             required:
+ *               - description
+ *     responses:
+ *       200:
+ *         description: Booking with the reported problem
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Booking'
+ *       403:
+ *         description: Not the customer of this booking
+ *       409:
+ *         description: A problem was already reported
+ *       422:
+ *         description: Booking is not confirmed or the reporting window has closed
+ */
+router.post("/:id/report-issue", protect, reportBookingIssue);
+
+/**
+ * @swagger
+ * /bookings/{id}/reschedule-requests:
+ *   get:
+ *     summary: List reschedule proposals for a booking (participants or admin)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: All proposals, including answered and expired ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RescheduleRequest'
+ *   post:
+ *     summary: Propose a new slot for a pending or confirmed booking (customer or provider)
+ *     description: |
+ *       The new slot must be free in the provider's calendar. It is priced with the service's rates, keeping
+ *       the booking's add-ons, coupon discount or agreed offer price; a paid booking, or one with a payment
+ *       in progress, can only move to a slot with the same price.
+ *       Only one proposal can be pending at a time. It expires after RESCHEDULE_PROPOSAL_TTL_HOURS,
+ *       or earlier if the current or the proposed slot starts first.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Optional - for multi-day bookings
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *             required:
+ *               - date
+ *               - startTime
+ *               - endTime
+ *     responses:
+ *       201:
+ *         description: Proposal created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RescheduleRequest'
+ *       409:
+ *         description: Slot not available, or another proposal is already pending
+ *       422:
+ *         description: Booking cannot be rescheduled, the slot is invalid, or it would change the price of a paid booking
+ */
+router
+  .route("/:id/reschedule-requests")
+  .get(protect, listRescheduleRequests)
+  .post(protect, createRescheduleRequest);
+
+/**
+ * @swagger
+ * /bookings/{id}/reschedule-requests/{requestId}/accept:
+ *   post:
+ *     summary: Accept a reschedule proposal (the party that did not propose it)
+ *     description: |
+ *       Availability and the price are checked again before the booking is moved. The booking takes the
+ *       new price, which for a paid booking must be the price it was paid at.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rescheduled booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Booking'
+ *       409:
+ *         description: The proposed slot is no longer available
+ *       422:
+ *         description: Proposal is no longer pending, or the new price cannot be taken
+ */
+router.post(
+  "/:id/reschedule-requests/:requestId/accept",
+  protect,
+  acceptRescheduleRequest
+);
+
+/**
+ * @swagger
+ * /bookings/{id}/reschedule-requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline a reschedule proposal (the party that did not propose it)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Declined proposal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RescheduleRequest'
+ */
+router.post(
+  "/:id/reschedule-requests/:requestId/decline",
+  protect,
+  declineRescheduleRequest
+);
+
+/**
+ * @swagger
+ * /bookings/{id}/check-in-code:
+ *   post:
+ *     summary: Issue the one-time check-in code for a confirmed booking (customer only)
+ *     description: |
+ *       The customer shows this code to the provider when they meet. Only a hash is stored,
+ *       so the code is returned once; issuing again replaces the previous code. The code
+ *       works until the booking ends and is invalidated after 5 wrong attempts.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookingId:
+ *                       type: string
+ *                     code:
+ *                       type: string
+ *                       example: "042917"
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     checkInOpensAt:
+ *                       type: string
+ *                       format: date-time
+ *       403:
+ *         description: Not the customer of this booking
+ *       409:
+ *         description: Already checked in
+ *       422:
+ *         description: Booking is not confirmed or has ended
+ */
+router.post("/:id/check-in-code", protect, issueCheckInCode);
+
+/**
+ * @swagger
+ * /bookings/{id}/check-in:
+ *   post:
+ *     summary: Check in with the customer's code when meeting (provider only)
+ *     description: |
+ *       Possible from CHECK_IN_EARLY_MINUTES before the start until the booking ends.
+ *       Coordinates are optional and are stored with the check-in time.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CheckInInput'
+ *               - type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                 required:
+ *                   - code
+ *     responses:
+ *       200:
+ *         description: Checked-in booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Wrong code; the response includes attemptsRemaining
+ *       403:
+ *         description: Not the provider of this booking
+ *       409:
+ *         description: Already checked in
+ *       422:
+ *         description: Outside the check-in window, or no valid code has been issued
+ */
+router.post("/:id/check-in", protect, checkInBooking);
+
+/**
+ * @swagger
+ * /bookings/{id}/check-out:
+ *   post:
+ *     summary: Close a checked-in session (customer or provider)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckInInput'
+ *     responses:
+ *       200:
+ *         description: Checked-out booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Booking'
+ *       409:
+ *         description: Already checked out
+ *       422:
+ *         description: The booking has not been checked in
+ */
+router.post("/:id/check-out", protect, checkOutBooking);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NoShowReport:
+ *       type: object
+ *       description: Only on bookings where a no-show was reported
+ *       properties:
+ *         absentParty:
+ *           type: string
+ *           enum: [customer, provider]
+ *         reportedBy:
+ *           type: string
+ *         reportedAt:
+ *           type: string
+ *           format: date-time
+ *         note:
+ *           type: string
+ *         contestDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: Uncontested reports are upheld once this passes
+ *         status:
+ *           type: string
+ *           enum: [reported, contested, upheld, overturned]
+ *         disputeId:
+ *           type: string
+ *           nullable: true
+ *           description: The no_show dispute opened when the report was contested
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /bookings/{id}/no-show:
+ *   post:
+ *     summary: Report that the other party did not turn up (customer or provider)
+ *     description: |
+ *       Possible on a confirmed, paid booking that was not checked in, from
+ *       NO_SHOW_GRACE_MINUTES after the start until NO_SHOW_REPORT_WINDOW_HOURS after it.
+ *       Unless the absent party contests within NO_SHOW_CONTEST_HOURS, the booking is
+ *       cancelled: the customer is refunded in full when the provider did not come, and
+ *       the provider keeps the payment as compensation when the customer did not. The
+ *       no-show then counts in the absent user's reliability record.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Booking with the no-show report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Booking'
+ *       403:
+ *         description: Not the customer or provider of this booking
+ *       409:
+ *         description: Already reported, or the booking has an open dispute
+ *       422:
+ *         description: Not confirmed and paid, checked in, or outside the report window
+ */
+router.post("/:id/no-show", protect, reportNoShow);
+
+/**
+ * @swagger
+ * /bookings/{id}/no-show/contest:
+ *   post:
+ *     summary: Contest a no-show report (the party reported absent only)
+ *     description: |
+ *       Opens a no_show dispute holding the booking, with the contesting party's statement
+ *       and the reporter's note. Evidence can then be added to the dispute, and the admin's
+ *       resolution settles the booking. The no-show counts against the absent party only
+ *       if the outcome agrees with the report.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - statement
+ *             properties:
+ *               statement:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: The opened dispute and the held booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dispute:
+ *                       $ref: '#/components/schemas/Dispute'
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Missing statement
+ *       403:
+ *         description: Not the party reported absent
+ *       404:
+ *         description: No no-show was reported
+ *       409:
+ *         description: Already contested or settled
+ *       422:
+ *         description: The contest deadline has passed
+ */
+router.post("/:id/no-show/contest", protect, contestNoShow);
+
 module.exports = router;
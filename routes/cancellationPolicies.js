@@ -0,0 +1,198 @@
+// routes/cancellationPolicies.js
+const express = require("express");
+const {
+  listCancellationPolicies,
+  getCancellationPolicy,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy,
+} = require("../controllers/cancellationPolicies");
+const { protect, authorize } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CancellationRule:
+ *       type: object
+ *       properties:
+ *         minHoursBefore:
+ *           type: number
+ *           example: 48
+ *         refundPercent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           example: 100
+ *       required:
+ *         - minHoursBefore
+ *         - refundPercent
+ *     CancellationPolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Flexible"
+ *         description:
+ *           type: string
+ *         rules:
+ *           type: array
+ *           description: >
+ *             Sorted by minHoursBefore, highest first. A customer cancelling gets the
+ *             refundPercent of the first rule whose minHoursBefore is still ahead of
+ *             the booking start; no matching rule means no refund.
+ *           items:
+ *             $ref: '#/components/schemas/CancellationRule'
+ *         isDefault:
+ *           type: boolean
+ *           description: Applies to services without a policy of their own
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     CancellationPolicyInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         rules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CancellationRule'
+ *         isDefault:
+ *           type: boolean
+ *         active:
+ *           type: boolean
+ * tags:
+ *   - name: CancellationPolicies
+ *     description: Refund rules applied when bookings are cancelled
+ */
+
+/**
+ * @swagger
+ * /cancellation-policies:
+ *   get:
+ *     summary: List cancellation policies (admins also see inactive ones)
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policies, plus the built-in rules used when no default is set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CancellationPolicy'
+ *                 builtInDefault:
+ *                   $ref: '#/components/schemas/CancellationPolicy'
+ *   post:
+ *     summary: Create a cancellation policy (admin only)
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicyInput'
+ *     responses:
+ *       201:
+ *         description: Created policy
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not an admin
+ */
+router
+  .route("/")
+  .get(protect, listCancellationPolicies)
+  .post(protect, authorize("admin"), createCancellationPolicy);
+
+/**
+ * @swagger
+ * /cancellation-policies/{id}:
+ *   get:
+ *     summary: Get a cancellation policy
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CancellationPolicy'
+ *       404:
+ *         description: Policy not found
+ *   put:
+ *     summary: Update a cancellation policy (admin only)
+ *     description: Bookings already made keep the policy snapshot they were created with.
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicyInput'
+ *     responses:
+ *       200:
+ *         description: Updated policy
+ *       400:
+ *         description: Validation failed
+ *   delete:
+ *     summary: Delete a cancellation policy (admin only)
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ */
+router
+  .route("/:id")
+  .get(protect, getCancellationPolicy)
+  .put(protect, authorize("admin"), updateCancellationPolicy)
+  .delete(protect, authorize("admin"), deleteCancellationPolicy);
+
+module.exports = router;
@@ -7,6 +7,11 @@ const {
   deleteChat,
   postMessage,
 } = require('../controllers/chat');
+const {
+  createChatOffer,
+  acceptChatOffer,
+  declineChatOffer,
+} = require('../controllers/chatOffers');
 const {protect, authorize} = require('../middleware/auth');
 
 const router = express.Router();
@@ -24,14 +29,64 @@ const router = express.Router();
  *       properties:
  *         senderId:
  *           type: string
+ *           description: Not set for system messages
  *         senderType:
  *           type: string
- *           enum: [customer, provider]
+ *           enum: [customer, provider, system]
+ *         type:
+ *           type: string
+ *           enum: [text, offer]
  *         content:
  *           type: string
+ *         offer:
+ *           $ref: '#/components/schemas/ChatOffer'
  *         sentAt:
  *           type: string
  *           format: date-time
+ *     ChatOffer:
+ *       type: object
+ *       description: Only on messages of type offer
+ *       properties:
+ *         _id:
+ *           type: string
+ *         serviceId:
+ *           type: string
+ *         serviceName:
+ *           type: string
+ *         date:
+ *           type: string
+ *           example: "2025-12-01"
+ *         endDate:
+ *           type: string
+ *           nullable: true
+ *         startTime:
+ *           type: string
+ *           example: "09:00"
+ *         endTime:
+ *           type: string
+ *           example: "17:00"
+ *         timezone:
+ *           type: string
+ *           example: Asia/Bangkok
+ *         totalAmount:
+ *           type: number
+ *           description: Agreed total for the booking
+ *         note:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, expired]
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         bookingId:
+ *           type: string
+ *           nullable: true
+ *           description: Booking created or updated when the offer was accepted
  *     Chat:
  *       type: object
  *       properties:
@@ -264,4 +319,137 @@ router
  */
 router.route('/:id/messages').post(postMessage);
 
+/**
+ * @swagger
+ * /chats/{id}/offers:
+ *   post:
+ *     tags: [Chats]
+ *     summary: Send a custom offer to the customer (provider of the chat only)
+ *     description: >
+ *       Only one offer can wait for an answer in a chat at a time. Offers
+ *       expire after expiresAt (default CHAT_OFFER_TTL_HOURS), and never
+ *       later than the offered start time.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, startTime, endTime, totalAmount]
+ *             properties:
+ *               serviceId:
+ *                 type: string
+ *                 description: Defaults to the service of the chat's booking
+ *               date:
+ *                 type: string
+ *               endDate:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               totalAmount:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Offer message created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatMessage'
+ *       400:
+ *         description: Invalid offer
+ *       403:
+ *         description: Not the provider in this chat
+ *       404:
+ *         description: Chat or service not found
+ *       409:
+ *         description: Another offer is pending, or the provider is not available
+ *       422:
+ *         description: The offered time has already started
+ */
+router.route('/:id/offers').post(createChatOffer);
+
+/**
+ * @swagger
+ * /chats/{id}/offers/{offerId}/accept:
+ *   post:
+ *     tags: [Chats]
+ *     summary: Accept an offer (customer of the chat only)
+ *     description: >
+ *       While the chat's booking is still pending and unpaid it takes the
+ *       offer's terms and price; otherwise a new booking is created from them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: offerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The chat's booking was updated to the offer
+ *       201:
+ *         description: A new booking was created from the offer
+ *       403:
+ *         description: Not the customer in this chat
+ *       404:
+ *         description: Chat or offer not found
+ *       409:
+ *         description: The offer is no longer pending, or the time is taken
+ */
+router.route('/:id/offers/:offerId/accept').post(acceptChatOffer);
+
+/**
+ * @swagger
+ * /chats/{id}/offers/{offerId}/decline:
+ *   post:
+ *     tags: [Chats]
+ *     summary: Decline an offer (customer of the chat only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: offerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       403:
+ *         description: Not the customer in this chat
+ *       404:
+ *         description: Chat or offer not found
+ *       409:
+ *         description: The offer is no longer pending
+ */
+router.route('/:id/offers/:offerId/decline').post(declineChatOffer);
+
 module.exports = router;
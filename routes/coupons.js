@@ -0,0 +1,321 @@
+// routes/coupons.js
+const express = require("express");
+const {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+} = require("../controllers/coupons");
+const { protect, authorize } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "SONGKRAN20"
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         discountValue:
+ *           type: number
+ *           description: Percent off (up to 100) or baht off
+ *         maxDiscountAmount:
+ *           type: number
+ *           nullable: true
+ *           description: Cap for percent discounts
+ *         minSpend:
+ *           type: number
+ *           description: Smallest booking subtotal the coupon applies to
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Uses across all customers; null for no limit
+ *         perUserLimit:
+ *           type: integer
+ *         usedCount:
+ *           type: integer
+ *           description: Uses by bookings that are not cancelled
+ *         serviceIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Services it applies to; empty for all
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Service categories it applies to; empty for all
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         discountValue:
+ *           type: number
+ *         maxDiscountAmount:
+ *           type: number
+ *         minSpend:
+ *           type: number
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: integer
+ *         perUserLimit:
+ *           type: integer
+ *         serviceIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         active:
+ *           type: boolean
+ * tags:
+ *   - name: Coupons
+ *     description: Promo codes that discount bookings
+ */
+
+/**
+ * @swagger
+ * /coupons/validate:
+ *   post:
+ *     summary: Preview the discount a code gives on a booking
+ *     description: |
+ *       Runs the checks createBooking applies to couponCode (validity dates, usage limits,
+ *       minimum spend, service and category restrictions) and returns the discounted price.
+ *       Provider availability is not checked.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               serviceId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               addOns:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     addOnId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *             required:
+ *               - code
+ *               - serviceId
+ *               - date
+ *               - startTime
+ *               - endTime
+ *     responses:
+ *       200:
+ *         description: The code applies; discounted price
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     discountAmount:
+ *                       type: number
+ *                     totalHours:
+ *                       type: number
+ *                     totalAmount:
+ *                       type: number
+ *                     depositAmount:
+ *                       type: number
+ *                     priceBreakdown:
+ *                       $ref: '#/components/schemas/BookingPriceBreakdown'
+ *       404:
+ *         description: Unknown or inactive code, or service not found
+ *       422:
+ *         description: |
+ *           The code does not apply; `reason` is one of not_started, expired,
+ *           usage_limit_reached, per_user_limit_reached, service_not_eligible, min_spend_not_met
+ */
+router.post("/validate", protect, validateCoupon);
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: List coupons (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupons, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *   post:
+ *     summary: Create a coupon (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       201:
+ *         description: Created coupon
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: The code is already taken
+ */
+router
+  .route("/")
+  .get(protect, authorize("admin"), listCoupons)
+  .post(protect, authorize("admin"), createCoupon);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Get a coupon (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon (admin only)
+ *     description: Bookings already made keep the discount they were priced with.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Updated coupon
+ *       400:
+ *         description: Validation failed
+ *   delete:
+ *     summary: Delete a coupon that has never been used (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       409:
+ *         description: The coupon has been used; deactivate it instead
+ */
+router
+  .route("/:id")
+  .get(protect, authorize("admin"), getCoupon)
+  .put(protect, authorize("admin"), updateCoupon)
+  .delete(protect, authorize("admin"), deleteCoupon);
+
+module.exports = router;
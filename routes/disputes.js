@@ -0,0 +1,333 @@
+// routes/disputes.js
+const express = require("express");
+const {
+  listDisputes,
+  getDispute,
+  openDispute,
+  submitDisputeStatement,
+  addDisputeEvidence,
+  resolveDispute,
+} = require("../controllers/disputes");
+const { protect, authorize } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DisputeStatement:
+ *       type: object
+ *       properties:
+ *         text:
+ *           type: string
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *     DisputeEvidence:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         submittedBy:
+ *           type: string
+ *         submittedByRole:
+ *           type: string
+ *           enum: [customer, provider, admin]
+ *         image:
+ *           type: string
+ *           description: Data URI; left out when listing disputes
+ *         caption:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     EvidenceInput:
+ *       type: object
+ *       properties:
+ *         image:
+ *           type: string
+ *           description: Data URI or raw base64 (png, jpeg, gif or webp, up to 5 MB)
+ *         caption:
+ *           type: string
+ *       required:
+ *         - image
+ *     Dispute:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         bookingId:
+ *           type: string
+ *         customerId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *         openedBy:
+ *           type: string
+ *         openedByRole:
+ *           type: string
+ *           enum: [customer, provider]
+ *         category:
+ *           type: string
+ *           enum: [no_show, late_arrival, service_not_as_agreed, misconduct, payment, other]
+ *         customerStatement:
+ *           $ref: '#/components/schemas/DisputeStatement'
+ *         providerStatement:
+ *           $ref: '#/components/schemas/DisputeStatement'
+ *         evidence:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DisputeEvidence'
+ *         status:
+ *           type: string
+ *           enum: [open, resolved]
+ *         resolution:
+ *           type: object
+ *           properties:
+ *             outcome:
+ *               type: string
+ *               enum: [full_refund, partial_refund, release_to_provider]
+ *             refundAmount:
+ *               type: number
+ *             note:
+ *               type: string
+ *             resolvedBy:
+ *               type: string
+ *             resolvedAt:
+ *               type: string
+ *               format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ * tags:
+ *   - name: Disputes
+ *     description: Disagreements about a booking, settled by an admin
+ */
+
+/**
+ * @swagger
+ * /disputes:
+ *   get:
+ *     summary: List disputes
+ *     description: Participants see disputes about their bookings, admins all. Evidence images are left out.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Disputes, newest first
+ *   post:
+ *     summary: Open a dispute about a confirmed, paid booking (customer or provider)
+ *     description: |
+ *       While the dispute is open the booking is not auto-completed, cannot be completed or
+ *       cancelled, and the provider's earning is not released.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bookingId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [no_show, late_arrival, service_not_as_agreed, misconduct, payment, other]
+ *               statement:
+ *                 type: string
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EvidenceInput'
+ *             required:
+ *               - bookingId
+ *               - category
+ *               - statement
+ *     responses:
+ *       201:
+ *         description: Dispute opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Dispute'
+ *       409:
+ *         description: The booking already has an open dispute
+ *       422:
+ *         description: Booking is not confirmed and paid
+ */
+router.route("/").get(protect, listDisputes).post(protect, openDispute);
+
+/**
+ * @swagger
+ * /disputes/{id}:
+ *   get:
+ *     summary: Get a dispute with its evidence (participants or admin)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The dispute
+ *       404:
+ *         description: Dispute not found
+ */
+router.get("/:id", protect, getDispute);
+
+/**
+ * @swagger
+ * /disputes/{id}/statement:
+ *   put:
+ *     summary: Give or rewrite your side's statement while the dispute is open
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               statement:
+ *                 type: string
+ *             required:
+ *               - statement
+ *     responses:
+ *       200:
+ *         description: Updated dispute
+ *       422:
+ *         description: Dispute has already been resolved
+ */
+router.put("/:id/statement", protect, submitDisputeStatement);
+
+/**
+ * @swagger
+ * /disputes/{id}/evidence:
+ *   post:
+ *     summary: Attach evidence images while the dispute is open (participants or admin)
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EvidenceInput'
+ *     responses:
+ *       201:
+ *         description: Updated dispute
+ *       422:
+ *         description: Dispute resolved or the 10 attachment limit reached
+ */
+router.post("/:id/evidence", protect, addDisputeEvidence);
+
+/**
+ * @swagger
+ * /disputes/{id}/resolve:
+ *   post:
+ *     summary: Resolve a dispute and settle the booking (admin only)
+ *     description: |
+ *       - full_refund: the booking is cancelled and the customer refunded in full.
+ *       - partial_refund: the customer gets refundAmount back, the booking is completed and the
+ *         provider is paid the rest minus the platform commission.
+ *       - release_to_provider: the booking is completed and the provider paid as usual.
+ *     tags: [Disputes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [full_refund, partial_refund, release_to_provider]
+ *               refundAmount:
+ *                 type: number
+ *                 description: Required for partial_refund; less than the booking total
+ *               note:
+ *                 type: string
+ *             required:
+ *               - outcome
+ *     responses:
+ *       200:
+ *         description: Resolved dispute and settled booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dispute:
+ *                       $ref: '#/components/schemas/Dispute'
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *       409:
+ *         description: Already resolved, or the booking is no longer held by this dispute
+ */
+router.post("/:id/resolve", protect, authorize("admin"), resolveDispute);
+
+module.exports = router;
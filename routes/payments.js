@@ -5,8 +5,11 @@ const {
   createPayment,
   updatePayment,
   deletePayment,
+  handlePaymentWebhook,
+  createPromptPayQr,
 } = require('../controllers/payments');
 const { protect } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -18,6 +21,20 @@ const router = express.Router();
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       description: |
+ *         Optional - unique value (up to 255 visible ASCII characters) per intended operation.
+ *         Retrying with the same key and body returns the first response again, marked with an
+ *         `Idempotent-Replayed: true` header, instead of repeating the operation. The same key
+ *         with a different body is rejected with 422, and a retry while the first request is
+ *         still running gets 409. Keys are kept per user for IDEMPOTENCY_KEY_TTL_HOURS.
+ *       schema:
+ *         type: string
+ *         maxLength: 255
  *   schemas:
  *     Payment:
  *       type: object
@@ -35,12 +52,35 @@ const router = express.Router();
  *           format: float
  *         paymentMethod:
  *           type: string
- *           enum: [credit_card, promptpay, bank_transfer]
+ *           enum: [credit_card, promptpay, bank_transfer, wallet]
  *         status:
  *           type: string
  *           enum: [pending, completed, failed, refunded, partially_refunded]
+ *         gateway:
+ *           type: string
+ *           nullable: true
+ *           description: Gateway that takes the payment; null for wallet payments
  *         transactionId:
  *           type: string
+ *           description: The gateway's charge id, or the wallet transaction's id
+ *         nextAction:
+ *           type: object
+ *           nullable: true
+ *           description: What the customer does to pay a pending gateway payment
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [redirect, qr]
+ *             url:
+ *               type: string
+ *             qrPayload:
+ *               type: string
+ *         reference:
+ *           type: string
+ *           nullable: true
+ *           description: Reference carried in the payment's PromptPay QR code
+ *         failureReason:
+ *           type: string
  *         refundAmount:
  *           type: number
  *           format: float
@@ -68,28 +108,21 @@ const router = express.Router();
  *         - status
  *     PaymentCreateInput:
  *       type: object
+ *       description: |
+ *         The amount is the booking's total. Wallet payments complete at once; the others
+ *         start a charge with the gateway and stay pending until its webhook reports the result.
  *       properties:
  *         bookingId:
  *           type: string
- *         customerId:
- *           type: string
- *           description: Optional - defaults to booking's customerId
- *         providerId:
- *           type: string
- *           description: Optional - defaults to booking's providerId
- *         amount:
- *           type: number
  *         paymentMethod:
  *           type: string
- *           enum: [credit_card, promptpay, bank_transfer]
- *         status:
- *           type: string
- *           enum: [pending, completed, failed]
- *         transactionId:
+ *           enum: [credit_card, promptpay, bank_transfer, wallet]
+ *         gateway:
  *           type: string
+ *           description: Optional - must be the gateway PAYMENT_GATEWAY selects
+ *           example: simulator
  *       required:
  *         - bookingId
- *         - amount
  *         - paymentMethod
  * tags:
  *   - name: Payments
@@ -154,10 +187,12 @@ const router = express.Router();
  *                   items:
  *                     $ref: '#/components/schemas/Payment'
  *   post:
- *     summary: Create a payment
+ *     summary: Pay for a booking (booking customer or admin)
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -166,7 +201,7 @@ const router = express.Router();
  *             $ref: '#/components/schemas/PaymentCreateInput'
  *     responses:
  *       201:
- *         description: Payment created
+ *         description: Payment created; follow nextAction for gateway payments
  *         content:
  *           application/json:
  *             schema:
@@ -176,11 +211,19 @@ const router = express.Router();
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Unknown gateway or not enough in the wallet
+ *       409:
+ *         description: Booking is not waiting for payment
+ *       502:
+ *         description: The gateway could not start the charge
+ *       503:
+ *         description: No payment gateway is configured for non-wallet payments
  */
 router
   .route('/')
   .get(protect, listPayments)
-  .post(protect, createPayment);
+  .post(protect, idempotency, createPayment);
 
 /**
  * @swagger
@@ -211,7 +254,7 @@ router
  *       404:
  *         description: Payment not found
  *   put:
- *     summary: Update payment
+ *     summary: Correct a payment record (admin only)
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -272,6 +315,113 @@ router
  *                 message:
  *                   type: string
  */
+/**
+ * @swagger
+ * /payments/webhooks/{provider}:
+ *   post:
+ *     summary: Payment result from a gateway
+ *     description: |
+ *       Called by the gateway, not by clients. The request must carry the gateway's HMAC
+ *       signature over the raw body (the simulator sends `X-Simulator-Signature:
+ *       t=<unix seconds>,v1=<hex HMAC-SHA256 of "t." + body>`). A completed charge marks the
+ *       booking paid and holds the money in escrow, or credits the wallet for a top-up; results
+ *       for a payment or top-up that is no longer pending are ignored.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: simulator
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event applied or ignored
+ *       401:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Unknown gateway, or no payment or top-up for the charge
+ */
+router.post('/webhooks/:provider', handlePaymentWebhook);
+
+/**
+ * @swagger
+ * /payments/{id}/promptpay-qr:
+ *   post:
+ *     summary: PromptPay QR code for a pending PromptPay payment (paying customer or admin)
+ *     description: |
+ *       Thai QR (EMVCo) payload paying the exact amount to the platform's PROMPTPAY_ID, ending
+ *       in its CRC-16 checksum. The payment's reference travels in the payload's reference label
+ *       (tag 62, sub-tag 05) and is stored on the payment, so a transfer can be matched back.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [svg, png]
+ *                 default: svg
+ *     responses:
+ *       201:
+ *         description: QR payload and image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     paymentId:
+ *                       type: string
+ *                     reference:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *                     payload:
+ *                       type: string
+ *                       example: 00020101021229370016A000000677010111011300668123456785802TH530376454071500.0062100506PAYABC63045A64
+ *                     format:
+ *                       type: string
+ *                       enum: [svg, png]
+ *                     image:
+ *                       type: string
+ *                       description: The QR code as a data URL
+ *       403:
+ *         description: Not the paying customer
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is no longer pending
+ *       422:
+ *         description: Not a PromptPay payment
+ *       503:
+ *         description: PROMPTPAY_ID is not configured
+ */
+router.post('/:id/promptpay-qr', protect, createPromptPayQr);
+
 router
   .route('/:id')
   .get(protect, getPayment)
@@ -71,6 +71,14 @@ const router = express.Router();
  *         bookingCount:
  *           type: integer
  *           example: 47
+ *         addOns:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ServiceAddOn'
+ *         cancellationPolicyId:
+ *           type: string
+ *           nullable: true
+ *           description: Cancellation policy for new bookings; null uses the platform default
  *         active:
  *           type: boolean
  *           example: true
@@ -84,6 +92,32 @@ const router = express.Router();
  *         - priceHour
  *         - priceDay
  *         - active
+ *     ServiceAddOn:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Dinner accompaniment"
+ *         description:
+ *           type: string
+ *         price:
+ *           type: number
+ *           example: 500
+ *         unit:
+ *           type: string
+ *           enum: [booking, hour, day]
+ *           description: Price is charged once per booking, per booked hour or per booked day
+ *         maxQuantity:
+ *           type: integer
+ *           example: 1
+ *         active:
+ *           type: boolean
+ *           description: Inactive add-ons are kept but can no longer be selected
+ *       required:
+ *         - name
+ *         - price
  *     ServiceCreateInput:
  *       type: object
  *       properties:
@@ -119,6 +153,17 @@ const router = express.Router();
  *           type: number
  *         active:
  *           type: boolean
+ *         addOns:
+ *           type: array
+ *           description: >
+ *             Replaces the service's add-ons. Include the `id` of an existing
+ *             add-on to keep it; entries without one are created as new add-ons.
+ *           items:
+ *             $ref: '#/components/schemas/ServiceAddOn'
+ *         cancellationPolicyId:
+ *           type: string
+ *           nullable: true
+ *           description: Id of an active cancellation policy, or null for the platform default
  *         providerId:
  *           type: string
  *           description: Only admins can override providerId
@@ -1,6 +1,7 @@
 const express = require('express');
 const {listTransactions, getTransaction, createTransaction} = require('../controllers/transactions');
 const {protect} = require('../middleware/auth');
+const {idempotency} = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -19,6 +20,10 @@ const router = express.Router();
  *           type: string
  *         customerId:
  *           type: string
+ *         bookingId:
+ *           type: string
+ *           nullable: true
+ *           description: Booking that caused the refund, compensation or earning
  *         amount:
  *           type: number
  *         currency:
@@ -30,6 +35,19 @@ const router = express.Router();
  *           enum: [pending, completed, failed]
  *         note:
  *           type: string
+ *         gateway:
+ *           type: string
+ *           nullable: true
+ *           description: Gateway a top-up is paid through
+ *         chargeId:
+ *           type: string
+ *           description: The gateway's charge id for a top-up
+ *         nextAction:
+ *           type: object
+ *           nullable: true
+ *           description: What the customer does to pay a pending top-up
+ *         failureReason:
+ *           type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -73,8 +91,14 @@ router.use(protect);
  *   post:
  *     tags: [Transactions]
  *     summary: Create a top-up transaction
+ *     description: |
+ *       Non-admins top up through the gateway PAYMENT_GATEWAY selects: the top-up is created
+ *       pending with a nextAction to pay it, and reaches the wallet once the gateway's webhook
+ *       reports it paid. Admins may set type, method and status to record money that already moved.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -89,21 +113,37 @@ router.use(protect);
  *                 type: number
  *               currency:
  *                 type: string
+ *               type:
+ *                 type: string
+ *                 description: Admin only; defaults to topup
  *               method:
  *                 type: string
+ *                 description: Admin only; defaults to topup
  *               status:
  *                 type: string
+ *                 description: Admin only; defaults to completed
  *               note:
  *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [credit_card, promptpay, bank_transfer]
+ *                 description: Non-admin top-ups only; defaults to credit_card
+ *               gateway:
+ *                 type: string
+ *                 description: Optional - must be the gateway PAYMENT_GATEWAY selects
  *     responses:
  *       201:
- *         description: Created transaction
+ *         description: Created transaction; follow nextAction to pay a top-up
  *       400:
- *         description: Invalid payload
+ *         description: Invalid payload or unknown gateway
  *       401:
  *         description: Unauthorized
+ *       502:
+ *         description: The gateway could not start the charge
+ *       503:
+ *         description: No payment gateway is configured for top-ups
  */
-router.route('/').get(listTransactions).post(createTransaction);
+router.route('/').get(listTransactions).post(idempotency, createTransaction);
 
 /**
  * @swagger
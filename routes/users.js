@@ -55,6 +55,17 @@ const { protect, authorize } = require('../middleware/auth');
  *         verified:
  *           type: boolean
  *           example: false
+ *         reliability:
+ *           type: object
+ *           description: Upheld no-shows, as customer or provider
+ *           properties:
+ *             noShowCount:
+ *               type: integer
+ *               example: 0
+ *             lastNoShowAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
  *
  *     UserCreateRequest:
  *       type: object
@@ -415,6 +426,76 @@ const { protect, authorize } = require('../middleware/auth');
  *         description: Forbidden
  *       '404':
  *         description: User not found
+ *
+ * /users/{id}/calendar-token:
+ *   post:
+ *     summary: Issue a new calendar feed URL (self or admin)
+ *     description: >
+ *       Generates a new secret token for the user's iCalendar feed. Feed URLs with the
+ *       previous token stop working. The token is only returned once.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: New token and feed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                       example: "https://api.example.com/api/v1/users/af2f33d6-72a5-4a29-9ff8-8a1aa8e3f11f/calendar.ics?token=..."
+ *       '403':
+ *         description: Forbidden
+ *       '404':
+ *         description: User not found
+ *
+ * /users/{id}/calendar.ics:
+ *   get:
+ *     summary: iCalendar (RFC 5545) feed of the user's bookings
+ *     description: >
+ *       Bookings from the last 90 days onward where the user is the provider or the
+ *       customer, with times in Asia/Bangkok. Pending bookings are tentative events and
+ *       cancelled bookings stay in the feed as cancelled events so subscribed calendars
+ *       remove them. Authenticated by the token from POST /users/{id}/calendar-token.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Calendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       '404':
+ *         description: Unknown user or wrong token
  */
 
 // Public routes
@@ -436,4 +517,10 @@ router.put('/:id/general-time-setting', protect, usersCtrl.updateGeneralTimeSett
 // Self or admin balance
 router.get('/:id/balance', protect, usersCtrl.getUserBalance);
 
+// Self or admin calendar feed token
+router.post('/:id/calendar-token', protect, usersCtrl.regenerateCalendarToken);
+
+// PUBLIC, authenticated by the feed token in the query string
+router.get('/:id/calendar.ics', usersCtrl.getUserCalendar);
+
 module.exports = router;
@@ -0,0 +1,231 @@
+// routes/waitlist.js
+const express = require("express");
+const {
+  listWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+} = require("../controllers/waitlist");
+const { protect } = require("../middleware/auth");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistOffer:
+ *       type: object
+ *       properties:
+ *         sourceBookingId:
+ *           type: string
+ *           description: The cancelled or moved booking that freed the time
+ *         date:
+ *           type: string
+ *           format: date
+ *         startTime:
+ *           type: string
+ *           description: Start of the offered time (the freed time within the waitlist window)
+ *         endTime:
+ *           type: string
+ *         freedStartTime:
+ *           type: string
+ *         freedEndTime:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, claimed, expired]
+ *         offeredAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         customerId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *         serviceId:
+ *           type: string
+ *         serviceName:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         startTime:
+ *           type: string
+ *         endTime:
+ *           type: string
+ *         note:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, claimed, expired, cancelled]
+ *         offers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WaitlistOffer'
+ *         bookingId:
+ *           type: string
+ *           nullable: true
+ *           description: Booking created when an offer was claimed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ * tags:
+ *   - name: Waitlist
+ *     description: Waiting for taken provider time to become free
+ */
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     description: Customers see their own entries, providers the entries waiting for their time, admins all.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, claimed, expired, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entries ordered by date and by when they joined
+ *   post:
+ *     summary: Join the waitlist for taken time (customers only)
+ *     description: |
+ *       When an overlapping booking is cancelled, expires or is moved, waiting customers are
+ *       offered the freed time one at a time in the order they joined. Each offer can be
+ *       claimed for WAITLIST_OFFER_MINUTES before it passes to the next customer.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               serviceId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *             required:
+ *               - serviceId
+ *               - date
+ *               - startTime
+ *               - endTime
+ *     responses:
+ *       201:
+ *         description: Entry created, with the customer's position in line for that day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WaitlistEntry'
+ *                 position:
+ *                   type: integer
+ *       409:
+ *         description: The time is free (book it directly) or the customer is already waiting
+ */
+router.route("/").get(protect, listWaitlist).post(protect, joinWaitlist);
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist (an open offer passes to the next customer)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled entry
+ *       422:
+ *         description: Entry is no longer active
+ */
+router.delete("/:id", protect, leaveWaitlist);
+
+/**
+ * @swagger
+ * /waitlist/{id}/claim:
+ *   post:
+ *     summary: Claim an open waitlist offer, creating a pending booking for the offered time
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Claimed entry and the new booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     waitlistEntry:
+ *                       $ref: '#/components/schemas/WaitlistEntry'
+ *                     booking:
+ *                       $ref: '#/components/schemas/Booking'
+ *       409:
+ *         description: The offered time was taken meanwhile or the offer was already used
+ *       422:
+ *         description: No open offer
+ */
+router.post("/:id/claim", protect, claimWaitlistOffer);
+
+module.exports = router;
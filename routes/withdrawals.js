@@ -7,6 +7,7 @@ const {
   deleteWithdrawal,
 } = require('../controllers/withdrawals');
 const { protect } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -141,6 +142,8 @@ const router = express.Router();
  *     tags: [Withdrawals]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -163,7 +166,7 @@ const router = express.Router();
 router
   .route('/')
   .get(protect, listWithdrawals)
-  .post(protect, createWithdrawal);
+  .post(protect, idempotency, createWithdrawal);
 
 /**
  * @swagger
@@ -0,0 +1,81 @@
+// Fill in timezone, startAt and endAt on bookings saved before they were
+// stored. Safe to run more than once; pass --dry-run to only report.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const path = require("path");
+
+dotenv.config({ path: path.join(__dirname, "../config/.env") });
+
+const Booking = require("../models/Booking");
+const {
+  DEFAULT_TIMEZONE,
+  bookingStartsAt,
+  bookingEndsAt,
+  resolveEndDate,
+} = require("../utils/bookingTime");
+
+/**
+ * The fields to $set on `booking`, or null when its date and time
+ * strings cannot be turned into instants.
+ */
+const instantsFor = (booking) => {
+  const timezone = booking.timezone || DEFAULT_TIMEZONE;
+  // Overnight bookings saved without an endDate end on the next day
+  const endDate = resolveEndDate(booking);
+  const derived = { ...booking, timezone, endDate };
+  const startAt = bookingStartsAt(derived);
+  const endAt = bookingEndsAt(derived);
+  if (!startAt || !endAt || endAt <= startAt) return null;
+  return { timezone, endDate, startAt, endAt };
+};
+
+const backfillBookingInstants = async ({ dryRun = false } = {}) => {
+  const cursor = Booking.find({
+    $or: [{ startAt: null }, { endAt: null }, { timezone: null }],
+  })
+    .lean()
+    .cursor();
+
+  const summary = { updated: 0, skipped: [] };
+  for await (const booking of cursor) {
+    const fields = instantsFor(booking);
+    if (!fields) {
+      summary.skipped.push(booking._id);
+      continue;
+    }
+    if (!dryRun) {
+      // updateOne so legacy documents are not held to today's validators
+      await Booking.updateOne({ _id: booking._id }, { $set: fields });
+    }
+    summary.updated += 1;
+  }
+  return summary;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    const { updated, skipped } = await backfillBookingInstants({ dryRun });
+    console.log(`${dryRun ? "Would update" : "Updated"} ${updated} booking(s)`);
+    if (skipped.length) {
+      console.warn(
+        `Skipped ${skipped.length} booking(s) with unusable dates or times: ${skipped.join(", ")}`
+      );
+    }
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling booking instants:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { instantsFor, backfillBookingInstants };
@@ -0,0 +1,92 @@
+// Post the journal entries for transactions recorded before the ledger
+// existed, moving wallets with them, plus the platform commission on each
+// booking that paid out an earning. Safe to run more than once; pass
+// --dry-run to only report.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const path = require("path");
+
+dotenv.config({ path: path.join(__dirname, "../config/.env") });
+
+const Transaction = require("../models/Transaction");
+const Booking = require("../models/Booking");
+const JournalEntry = require("../models/JournalEntry");
+const { calculatePlatformFee } = require("../utils/pricing");
+const { postTransactionEntry, recordCommission } = require("../utils/ledger");
+
+/**
+ * The commission kept from a completed booking's earning, worked out the
+ * way releaseProviderEarning() does.
+ */
+const commissionFor = (booking) =>
+  calculatePlatformFee(
+    booking.totalAmount - (booking.refundAmount || 0),
+    booking.priceBreakdown?.platformFeePercent
+  );
+
+const migrateTransactionsToLedger = async ({ dryRun = false } = {}) => {
+  // Oldest first so entries keep the order the money moved in
+  const cursor = Transaction.find({}).sort({ createdAt: 1 }).cursor();
+
+  const summary = { posted: 0, commissions: 0, skipped: [] };
+  for await (const tx of cursor) {
+    if (tx.status !== "completed") {
+      summary.skipped.push(tx._id);
+      continue;
+    }
+    const posted = await JournalEntry.exists({
+      idempotencyKey: `transaction:${tx._id}`,
+    });
+    if (!posted) {
+      // History is replayed as it happened, even where it overdrew a wallet
+      if (!dryRun) await postTransactionEntry(tx, { allowOverdraft: true });
+      summary.posted += 1;
+    }
+
+    if (tx.method !== "earning" || !tx.bookingId) continue;
+    const booking = await Booking.findById(tx.bookingId).lean();
+    if (!booking) continue;
+    const charged = await JournalEntry.exists({
+      idempotencyKey: `commission:${booking._id}`,
+    });
+    if (charged || commissionFor(booking) <= 0) continue;
+    if (!dryRun) {
+      await recordCommission({
+        booking,
+        amount: commissionFor(booking),
+        occurredAt: tx.createdAt,
+      });
+    }
+    summary.commissions += 1;
+  }
+  return summary;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    const { posted, commissions, skipped } = await migrateTransactionsToLedger({ dryRun });
+    const verb = dryRun ? "Would post" : "Posted";
+    console.log(`${verb} ${posted} transaction(s) and ${commissions} commission(s)`);
+    if (skipped.length) {
+      console.warn(
+        `Skipped ${skipped.length} transaction(s) that are not completed: ${skipped.join(", ")}`
+      );
+    }
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error migrating transactions to the ledger:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { commissionFor, migrateTransactionsToLedger };
@@ -0,0 +1,124 @@
+// Recompute every wallet from its ledger postings and report wallets whose
+// stored balance has drifted. Pass --fix to set drifted wallets to the
+// recomputed balance; a wallet that moves while this runs is left alone.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const path = require("path");
+
+dotenv.config({ path: path.join(__dirname, "../config/.env") });
+
+const JournalEntry = require("../models/JournalEntry");
+const Wallet = require("../models/Wallet");
+const { walletUserIdOf } = require("../utils/ledger");
+
+/**
+ * Wallets whose stored balance differs from their postings. `expected`
+ * maps userId to satang; wallets missing from either side count as 0.
+ */
+const findWalletDrift = ({ expected, wallets }) => {
+  const stored = new Map(wallets.map((w) => [w.userId, w.balanceSatang]));
+  const userIds = new Set([...expected.keys(), ...stored.keys()]);
+  return [...userIds]
+    .map((userId) => ({
+      userId,
+      expectedSatang: expected.get(userId) || 0,
+      storedSatang: stored.get(userId) || 0,
+      missing: !stored.has(userId),
+    }))
+    .filter((row) => row.expectedSatang !== row.storedSatang)
+    .sort((a, b) => a.userId.localeCompare(b.userId));
+};
+
+// Credits minus debits per wallet account, in satang
+const expectedWalletBalances = async (session) => {
+  const rows = await JournalEntry.aggregate([
+    { $unwind: "$postings" },
+    { $match: { "postings.accountCode": /^wallet:/ } },
+    {
+      $group: {
+        _id: "$postings.accountCode",
+        satang: {
+          $sum: {
+            $multiply: [
+              { $round: [{ $multiply: ["$postings.amount", 100] }, 0] },
+              { $cond: [{ $eq: ["$postings.direction", "credit"] }, 1, -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]).session(session);
+  return new Map(rows.map((row) => [walletUserIdOf(row._id), row.satang]));
+};
+
+const reconcileWallets = async ({ fix = false } = {}) => {
+  // Both sides are read from one snapshot, so an entry posted while this
+  // runs is counted in both or in neither
+  const session = await mongoose.startSession({ snapshot: true });
+  let expected;
+  let wallets;
+  try {
+    expected = await expectedWalletBalances(session);
+    wallets = await Wallet.find({}, { userId: 1, balanceSatang: 1 }, { session }).lean();
+  } finally {
+    await session.endSession();
+  }
+  const drift = findWalletDrift({ expected, wallets });
+
+  const summary = { checked: wallets.length, drift, fixed: 0 };
+  if (!fix) return summary;
+
+  for (const row of drift) {
+    // Only while the wallet still holds its snapshot balance; one that
+    // moved since is checked again on the next run
+    const result = row.missing
+      ? await Wallet.updateOne(
+          { userId: row.userId },
+          { $setOnInsert: { balanceSatang: row.expectedSatang } },
+          { upsert: true }
+        )
+      : await Wallet.updateOne(
+          { userId: row.userId, balanceSatang: row.storedSatang },
+          { $set: { balanceSatang: row.expectedSatang } }
+        );
+    if (result.upsertedCount || result.modifiedCount) summary.fixed += 1;
+  }
+  return summary;
+};
+
+const formatBaht = (satang) => (satang / 100).toFixed(2);
+
+const run = async () => {
+  const fix = process.argv.includes("--fix");
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    const { checked, drift, fixed } = await reconcileWallets({ fix });
+    console.log(`Checked ${checked} wallet(s)`);
+    drift.forEach((row) => {
+      console.warn(
+        `Wallet ${row.userId}: ${row.missing ? "missing" : `stored ${formatBaht(row.storedSatang)}`}, ledger ${formatBaht(row.expectedSatang)}`
+      );
+    });
+    if (!drift.length) {
+      console.log("✅ All wallets match the ledger");
+    } else if (fix) {
+      console.log(`Fixed ${fixed} of ${drift.length} drifted wallet(s)`);
+    } else {
+      console.warn(`${drift.length} wallet(s) drifted; run with --fix to correct them`);
+    }
+    await mongoose.disconnect();
+    process.exit(drift.length && !fix ? 1 : 0);
+  } catch (error) {
+    console.error("❌ Error reconciling wallets:", error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { findWalletDrift, reconcileWallets };
@@ -13,6 +13,10 @@ const Booking = require("../models/Booking");
 const Transaction = require("../models/Transaction");
 const Payment = require("../models/Payment");
 const Withdrawal = require("../models/Withdrawal");
+const LedgerAccount = require("../models/LedgerAccount");
+const JournalEntry = require("../models/JournalEntry");
+const Wallet = require("../models/Wallet");
+const { postTransactionEntry } = require("../utils/ledger");
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -369,6 +373,9 @@ const seedDatabase = async () => {
     await Transaction.deleteMany({});
     await Payment.deleteMany({});
     await Withdrawal.deleteMany({});
+    await JournalEntry.deleteMany({});
+    await LedgerAccount.deleteMany({});
+    await Wallet.deleteMany({});
 
     console.log("Seeding users...");
     await User.insertMany(sampleUsers);
@@ -383,7 +390,10 @@ const seedDatabase = async () => {
     await Booking.insertMany(sampleBookings);
 
     console.log("Seeding transactions...");
-    await Transaction.insertMany(sampleTransactions);
+    const transactions = await Transaction.insertMany(sampleTransactions);
+    for (const tx of transactions) {
+      await postTransactionEntry(tx, { allowOverdraft: true });
+    }
 
     console.log("Seeding payments...");
     await Payment.insertMany(samplePayments);
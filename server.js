@@ -9,6 +9,8 @@ const { xss } = require("express-xss-sanitizer");
 const hpp = require("hpp");
 const cors = require("cors");
 
+const { startJobs } = require("./jobs");
+
 const swaggerJsDoc = require("swagger-jsdoc");
 const swaggerUI = require("swagger-ui-express");
 
@@ -28,6 +30,12 @@ const chats = require("./routes/chats");
 const transactions = require("./routes/transactions");
 const payments = require("./routes/payments");
 const withdrawals = require("./routes/withdrawals");
+const cancellationPolicies = require("./routes/cancellationPolicies");
+const bookingSeries = require("./routes/bookingSeries");
+const waitlist = require("./routes/waitlist");
+const notifications = require("./routes/notifications");
+const disputes = require("./routes/disputes");
+const coupons = require("./routes/coupons");
 // const books = require('./routes/books');
 
 const app = express();
@@ -38,7 +46,15 @@ api.set("query parser", "extended");
 
 // Middlewares
 // Increase body size limit to 10MB for base64 images
-api.use(express.json({ limit: "10mb" }));
+api.use(
+  express.json({
+    limit: "10mb",
+    // Payment webhooks are verified against the body exactly as it was signed
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 api.use(express.urlencoded({ limit: "10mb", extended: true }));
 api.use(cookieParser());
 
@@ -101,6 +117,12 @@ api.use("/chats", chats);
 api.use("/transactions", transactions);
 api.use("/payments", payments);
 api.use("/withdrawals", withdrawals);
+api.use("/cancellation-policies", cancellationPolicies);
+api.use("/booking-series", bookingSeries);
+api.use("/waitlist", waitlist);
+api.use("/notifications", notifications);
+api.use("/disputes", disputes);
+api.use("/coupons", coupons);
 // api.use("/books", require("./routes/books"));
 
 // Mount app router to api router
@@ -150,6 +172,9 @@ const server = app.listen(
   )
 );
 
+// Background booking jobs (expiry of unpaid bookings, auto-completion)
+startJobs();
+
 process.on("unhandledRejection", (err, promise) => {
   console.log(`Error: ${err.message}`);
   server.close(() => process.exit(1));
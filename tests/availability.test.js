@@ -0,0 +1,382 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isWithinWorkingHours,
+  checkProviderAvailability,
+  bookProviderSlot,
+} = require('../utils/availability');
+
+const bookingModelStub = (bookings = []) => {
+  const calls = [];
+  return {
+    calls,
+    find: async (filter) => {
+      calls.push(filter);
+      return bookings;
+    },
+  };
+};
+
+const userModelStub = (user) => ({
+  findById: async () => user,
+});
+
+const waitlistModelStub = (entries = []) => ({
+  find: async () => entries,
+});
+
+const weekdaySetting = {
+  timezone: 'Asia/Bangkok',
+  available: [
+    {day: 'mon', from: '09:00', to: '17:00'},
+    {day: 'tue', from: '18:00', to: '23:00'},
+  ],
+};
+
+test('isWithinWorkingHours allows anything when nothing is configured', () => {
+  assert.equal(
+    isWithinWorkingHours({}, {date: '2025-03-10', startTime: '02:00', endTime: '04:00'}),
+    true
+  );
+});
+
+test('isWithinWorkingHours requires the slot to fit inside a window for that day', () => {
+  // 2025-03-10 is a Monday
+  assert.equal(
+    isWithinWorkingHours(weekdaySetting, {date: '2025-03-10', startTime: '10:00', endTime: '12:00'}),
+    true
+  );
+  assert.equal(
+    isWithinWorkingHours(weekdaySetting, {date: '2025-03-10', startTime: '16:00', endTime: '18:00'}),
+    false
+  );
+  // Wednesday has no window
+  assert.equal(
+    isWithinWorkingHours(weekdaySetting, {date: '2025-03-12', startTime: '10:00', endTime: '12:00'}),
+    false
+  );
+});
+
+test('checkProviderAvailability reports the overlapping booking', async () => {
+  const BookingModel = bookingModelStub([
+    {_id: 'b-1', date: '2025-03-10', startTime: '09:00', endTime: '10:00', status: 'confirmed'},
+    {_id: 'b-2', date: '2025-03-10', startTime: '13:00', endTime: '15:00', status: 'pending'},
+  ]);
+
+  const result = await checkProviderAvailability({
+    BookingModel,
+    UserModel: userModelStub({generalTimeSetting: weekdaySetting}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '14:00',
+    endTime: '16:00',
+  });
+
+  assert.equal(result.status, 409);
+  assert.equal(result.body.reason, 'booking_conflict');
+  assert.equal(result.body.conflict.bookingId, 'b-2');
+  assert.deepEqual(BookingModel.calls[0].status, {$in: ['pending', 'confirmed']});
+});
+
+test('checkProviderAvailability treats back-to-back bookings as free', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub([
+      {_id: 'b-1', date: '2025-03-10', startTime: '10:00', endTime: '12:00', status: 'confirmed'},
+    ]),
+    UserModel: userModelStub({generalTimeSetting: {}}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '12:00',
+    endTime: '14:00',
+  });
+
+  assert.equal(result, null);
+});
+
+test('checkProviderAvailability rejects slots outside working hours', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub({generalTimeSetting: weekdaySetting}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '19:00',
+    endTime: '21:00',
+  });
+
+  assert.equal(result.status, 409);
+  assert.equal(result.body.reason, 'outside_working_hours');
+  assert.deepEqual(result.body.workingHours, [{from: '09:00', to: '17:00'}]);
+});
+
+test('checkProviderAvailability validates the requested times', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub(null),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '15:00',
+    endTime: '14:00',
+  });
+
+  assert.equal(result.status, 400);
+});
+
+test('isWithinWorkingHours requires a working window on every day of a multi-day booking', () => {
+  const everyDay = {
+    available: ['mon', 'tue', 'wed'].map((day) => ({day, from: '08:00', to: '20:00'})),
+  };
+  const trip = {date: '2025-03-10', endDate: '2025-03-12', startTime: '09:00', endTime: '18:00'};
+
+  assert.equal(isWithinWorkingHours(everyDay, trip), true);
+  // weekdaySetting has no window on Wednesday
+  assert.equal(isWithinWorkingHours(weekdaySetting, trip), false);
+});
+
+test('checkProviderAvailability blocks every day a multi-day booking covers', async () => {
+  const trip = {
+    _id: 'trip',
+    date: '2025-03-10',
+    endDate: '2025-03-12',
+    startTime: '09:00',
+    endTime: '18:00',
+    status: 'confirmed',
+  };
+  const BookingModel = bookingModelStub([trip]);
+
+  const result = await checkProviderAvailability({
+    BookingModel,
+    UserModel: userModelStub({generalTimeSetting: {}}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-11',
+    startTime: '13:00',
+    endTime: '15:00',
+  });
+
+  assert.equal(result.status, 409);
+  assert.equal(result.body.conflict.bookingId, 'trip');
+  assert.equal(result.body.conflict.endDate, '2025-03-12');
+  // 13:00-15:00 Bangkok
+  assert.deepEqual(BookingModel.calls[0].startAt, {$lt: new Date('2025-03-11T08:00:00Z')});
+  assert.deepEqual(BookingModel.calls[0].endAt, {$gt: new Date('2025-03-11T06:00:00Z')});
+
+  const afterTrip = await checkProviderAvailability({
+    BookingModel: bookingModelStub([trip]),
+    UserModel: userModelStub({generalTimeSetting: {}}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-12',
+    startTime: '18:00',
+    endTime: '20:00',
+  });
+  assert.equal(afterTrip, null);
+});
+
+test('checkProviderAvailability accepts an overnight booking across two days', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub({generalTimeSetting: {}}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    endDate: '2025-03-11',
+    startTime: '22:00',
+    endTime: '02:00',
+  });
+
+  assert.equal(result, null);
+});
+
+test('checkProviderAvailability rejects an endDate before the date', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub(null),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    endDate: '2025-03-09',
+    startTime: '09:00',
+    endTime: '10:00',
+  });
+
+  assert.equal(result.status, 400);
+});
+
+test('checkProviderAvailability caps the span before looking at the days', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub(null),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    endDate: '9999-12-31',
+    startTime: '09:00',
+    endTime: '10:00',
+  });
+
+  assert.equal(result.status, 400);
+  assert.match(result.body.message, /at most 31 days/);
+});
+
+test('checkProviderAvailability compares bookings made in other timezones by instant', async () => {
+  // 09:00-11:00 in London is 16:00-18:00 in Bangkok
+  const london = {
+    _id: 'london',
+    date: '2025-03-10',
+    startTime: '09:00',
+    endTime: '11:00',
+    timezone: 'Europe/London',
+    status: 'confirmed',
+  };
+
+  const clash = await checkProviderAvailability({
+    BookingModel: bookingModelStub([london]),
+    UserModel: userModelStub({generalTimeSetting: {}}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '17:00',
+    endTime: '19:00',
+  });
+  assert.equal(clash.status, 409);
+  assert.equal(clash.body.conflict.bookingId, 'london');
+
+  const free = await checkProviderAvailability({
+    BookingModel: bookingModelStub([london]),
+    UserModel: userModelStub({generalTimeSetting: {}}),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '09:00',
+    endTime: '11:00',
+  });
+  assert.equal(free, null);
+});
+
+test('checkProviderAvailability rejects an unknown timezone', async () => {
+  const result = await checkProviderAvailability({
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub(null),
+    WaitlistModel: waitlistModelStub(),
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '09:00',
+    endTime: '11:00',
+    timezone: 'Mars/Olympus',
+  });
+  assert.equal(result.status, 400);
+});
+
+test('checkProviderAvailability holds an open waitlist offer for its customer', async () => {
+  const offered = {
+    customerId: 'waiting-customer',
+    offers: [
+      {
+        status: 'open',
+        date: '2025-03-10',
+        startTime: '13:00',
+        endTime: '16:00',
+        expiresAt: new Date('2099-01-01T00:00:00Z'),
+      },
+    ],
+  };
+  const check = (customerId, startTime, endTime) =>
+    checkProviderAvailability({
+      BookingModel: bookingModelStub(),
+      UserModel: userModelStub(null),
+      WaitlistModel: waitlistModelStub([offered]),
+      customerId,
+      providerId: 'prov',
+      date: '2025-03-10',
+      startTime,
+      endTime,
+    });
+
+  const taken = await check('someone-else', '15:00', '17:00');
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.reason, 'waitlist_hold');
+  assert.equal(await check('waiting-customer', '13:00', '16:00'), null);
+  assert.equal(await check('someone-else', '16:00', '18:00'), null);
+});
+
+// One lock document per provider, with the upsert collision a unique _id gives
+const lockModelStub = () => {
+  const locks = new Map();
+  return {
+    locks,
+    findOneAndUpdate: async (filter, {$set}) => {
+      const lock = locks.get(filter._id);
+      if (lock && lock.lockedUntil > filter.lockedUntil.$lte) {
+        throw Object.assign(new Error('E11000 duplicate key'), {code: 11000});
+      }
+      locks.set(filter._id, {_id: filter._id, ...$set});
+      return locks.get(filter._id);
+    },
+    updateOne: async (filter, {$set}) => {
+      const lock = locks.get(filter._id);
+      if (lock && lock.token === filter.token) Object.assign(lock, $set);
+    },
+  };
+};
+
+test('bookProviderSlot lets only one of two parallel requests book the same time', async () => {
+  const bookings = [];
+  const LockModel = lockModelStub();
+  const book = (customerId) =>
+    bookProviderSlot({
+      BookingModel: bookingModelStub(bookings),
+      UserModel: userModelStub(null),
+      WaitlistModel: waitlistModelStub(),
+      LockModel,
+      customerId,
+      providerId: 'prov',
+      date: '2025-03-10',
+      startTime: '13:00',
+      endTime: '16:00',
+      write: async () => {
+        // The insert takes a while, long enough for the other check to run
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        const booking = {_id: `booking-${customerId}`, providerId: 'prov', date: '2025-03-10', startTime: '13:00', endTime: '16:00', status: 'pending'};
+        bookings.push(booking);
+        return booking;
+      },
+    });
+
+  const [first, second] = await Promise.all([book('a'), book('b')]);
+
+  assert.equal(bookings.length, 1);
+  assert.equal(first.result._id, 'booking-a');
+  assert.equal(second.unavailable.status, 409);
+  assert.equal(second.unavailable.body.conflict.bookingId, 'booking-a');
+  assert.equal(LockModel.locks.get('prov').token, null);
+});
+
+test('bookProviderSlot releases the lock when the write fails', async () => {
+  const LockModel = lockModelStub();
+  const slot = {
+    BookingModel: bookingModelStub(),
+    UserModel: userModelStub(null),
+    WaitlistModel: waitlistModelStub(),
+    LockModel,
+    providerId: 'prov',
+    date: '2025-03-10',
+    startTime: '13:00',
+    endTime: '16:00',
+  };
+
+  await assert.rejects(
+    bookProviderSlot({
+      ...slot,
+      write: async () => {
+        throw new Error('insert failed');
+      },
+    }),
+    /insert failed/
+  );
+  const retried = await bookProviderSlot({...slot, write: async () => 'booked'});
+  assert.equal(retried.result, 'booked');
+});
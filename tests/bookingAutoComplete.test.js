@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {buildBookingAutoCompleteJob} = require('../jobs/autoCompleteBookings');
+const {bookingEndsAt} = require('../utils/bookingTime');
+
+const matches = (booking, filter) =>
+  booking.status === filter.status &&
+  booking.paymentStatus === filter.paymentStatus &&
+  (booking.issueReportedAt || null) === filter.issueReportedAt &&
+  (booking.openDisputeId || null) === filter.openDisputeId &&
+  booking.noShow?.status !== filter['noShow.status'].$ne;
+
+const bookingModelStub = (bookings) => ({
+  find: async (filter) =>
+    bookings.filter((b) => matches(b, filter) && b.endAt <= filter.endAt.$lte),
+  findOneAndUpdate: async (filter, update) => {
+    const booking = bookings.find((b) => b._id === filter._id && matches(b, filter));
+    if (!booking) return null;
+    Object.assign(booking, update.$set);
+    return booking;
+  },
+});
+
+const confirmedBooking = (overrides = {}) => {
+  const booking = {
+    _id: 'b-1',
+    date: '2025-03-10',
+    startTime: '13:00',
+    endTime: '16:00',
+    status: 'confirmed',
+    paymentStatus: 'paid',
+    issueReportedAt: null,
+    ...overrides,
+  };
+  // Stored by the Booking model on save
+  booking.endAt = bookingEndsAt(booking);
+  return booking;
+};
+
+const buildJob = (bookings, isoNow) => {
+  const settled = [];
+  const job = buildBookingAutoCompleteJob({
+    BookingModel: bookingModelStub(bookings),
+    settle: async (booking) => settled.push(booking._id),
+    notify: async () => {},
+    recordHistory: async () => {},
+    now: () => new Date(isoNow),
+    graceHours: 24,
+  });
+  return {job, settled};
+};
+
+test('auto-complete waits for the end time plus the grace period', async () => {
+  const bookings = [confirmedBooking()];
+
+  // 2025-03-11 15:00 Bangkok: 23 hours after the 16:00 end
+  const early = buildJob(bookings, '2025-03-11T08:00:00Z');
+  assert.equal((await early.job.run()).length, 0);
+  assert.equal(bookings[0].status, 'confirmed');
+
+  // 2025-03-11 16:30 Bangkok
+  const due = buildJob(bookings, '2025-03-11T09:30:00Z');
+  const completed = await due.job.run();
+
+  assert.equal(completed.length, 1);
+  assert.equal(bookings[0].status, 'completed');
+  assert.deepEqual(due.settled, ['b-1']);
+});
+
+test('auto-complete skips unpaid bookings, reported problems, disputes and no-shows', async () => {
+  const bookings = [
+    confirmedBooking({_id: 'unpaid', paymentStatus: 'pending'}),
+    confirmedBooking({_id: 'reported', issueReportedAt: new Date('2025-03-10T10:00:00Z')}),
+    confirmedBooking({_id: 'disputed', openDisputeId: 'dispute-1'}),
+    confirmedBooking({_id: 'no-show', noShow: {absentParty: 'provider', status: 'reported'}}),
+    confirmedBooking({_id: 'ok'}),
+  ];
+  const {job, settled} = buildJob(bookings, '2025-03-20T00:00:00Z');
+
+  await job.run();
+
+  assert.deepEqual(settled, ['ok']);
+  assert.equal(bookings[0].status, 'confirmed');
+  assert.equal(bookings[1].status, 'confirmed');
+  assert.equal(bookings[2].status, 'confirmed');
+  assert.equal(bookings[3].status, 'confirmed');
+});
+
+test('overnight bookings are due from their end on the next day', async () => {
+  const bookings = [
+    confirmedBooking({_id: 'night', startTime: '22:00', endTime: '02:00', endDate: '2025-03-11'}),
+  ];
+
+  // 2025-03-12 01:30 Bangkok, 23.5 hours after the 02:00 end
+  const early = buildJob(bookings, '2025-03-11T18:30:00Z');
+  assert.equal((await early.job.run()).length, 0);
+
+  const due = buildJob(bookings, '2025-03-11T19:30:00Z');
+  assert.deepEqual((await due.job.run()).map((b) => b._id), ['night']);
+});
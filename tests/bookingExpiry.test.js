@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {buildBookingExpiryJob} = require('../jobs/expirePendingBookings');
+
+const fakeClock = (iso) => {
+  let current = new Date(iso);
+  return {
+    now: () => current,
+    advance: (minutes) => {
+      current = new Date(current.getTime() + minutes * 60 * 1000);
+    },
+  };
+};
+
+// Minimal in-memory stand-in for the Booking model
+const bookingModelStub = (bookings) => ({
+  find: async (filter) =>
+    bookings.filter(
+      (b) =>
+        b.status === filter.status &&
+        b.paymentStatus === filter.paymentStatus &&
+        (filter.paymentDueAt === null
+          ? !b.paymentDueAt && b.createdAt <= filter.createdAt.$lte
+          : Boolean(b.paymentDueAt) && b.paymentDueAt <= filter.paymentDueAt.$lte)
+    ),
+  findOneAndUpdate: async (filter, update) => {
+    const booking = bookings.find(
+      (b) =>
+        b._id === filter._id &&
+        b.status === filter.status &&
+        b.paymentStatus === filter.paymentStatus
+    );
+    if (!booking) return null;
+    Object.assign(booking, update.$set);
+    return booking;
+  },
+});
+
+const buildJob = (bookings, clock) => {
+  const messages = [];
+  const history = [];
+  const freed = [];
+  const job = buildBookingExpiryJob({
+    BookingModel: bookingModelStub(bookings),
+    notify: async (booking, content) => messages.push({bookingId: booking._id, content}),
+    recordHistory: async (entry) => history.push(entry),
+    onSlotFreed: async (booking) => freed.push(booking._id),
+    releaseCoupon: async () => {},
+    now: clock.now,
+    holdMinutes: 30,
+  });
+  return {job, messages, history, freed};
+};
+
+test('expiry job leaves bookings alone until the hold window passes', async () => {
+  const clock = fakeClock('2025-03-01T10:00:00Z');
+  const bookings = [
+    {_id: 'b-1', status: 'pending', paymentStatus: 'pending', createdAt: new Date('2025-03-01T09:45:00Z')},
+  ];
+  const {job, messages} = buildJob(bookings, clock);
+
+  assert.equal((await job.run()).length, 0);
+  assert.equal(bookings[0].status, 'pending');
+
+  clock.advance(20);
+  const expired = await job.run();
+
+  assert.equal(expired.length, 1);
+  assert.equal(bookings[0].status, 'cancelled');
+  assert.equal(bookings[0].cancelledBy, 'system');
+  assert.match(bookings[0].cancellationReason, /30/);
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].bookingId, 'b-1');
+});
+
+test('expiry job skips paid and confirmed bookings', async () => {
+  const clock = fakeClock('2025-03-01T12:00:00Z');
+  const createdAt = new Date('2025-03-01T09:00:00Z');
+  const bookings = [
+    {_id: 'paid', status: 'pending', paymentStatus: 'paid', createdAt},
+    {_id: 'confirmed', status: 'confirmed', paymentStatus: 'pending', createdAt},
+    {_id: 'stale', status: 'pending', paymentStatus: 'pending', createdAt},
+  ];
+  const {job, history, freed} = buildJob(bookings, clock);
+
+  const expired = await job.run();
+
+  assert.deepEqual(expired.map((b) => b._id), ['stale']);
+  assert.deepEqual(freed, ['stale']);
+  assert.equal(bookings[0].status, 'pending');
+  assert.equal(bookings[1].status, 'confirmed');
+  assert.equal(history.length, 1);
+  assert.equal(history[0].action, 'expired');
+  assert.equal(history[0].actor.role, 'system');
+});
+
+test('expiry job keeps going when the chat message fails', async () => {
+  const clock = fakeClock('2025-03-01T12:00:00Z');
+  const bookings = [
+    {_id: 'b-1', status: 'pending', paymentStatus: 'pending', createdAt: new Date('2025-03-01T09:00:00Z')},
+    {_id: 'b-2', status: 'pending', paymentStatus: 'pending', createdAt: new Date('2025-03-01T09:00:00Z')},
+  ];
+  const job = buildBookingExpiryJob({
+    BookingModel: bookingModelStub(bookings),
+    notify: async () => {
+      throw new Error('chat unavailable');
+    },
+    recordHistory: async () => {},
+    onSlotFreed: async () => {},
+    releaseCoupon: async () => {},
+    now: clock.now,
+    holdMinutes: 30,
+  });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await job.run()).length, 2);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('bookings with a payment due date expire at that date, not after the hold', async () => {
+  const clock = fakeClock('2025-03-01T12:00:00Z');
+  const bookings = [
+    {
+      _id: 'occurrence',
+      status: 'pending',
+      paymentStatus: 'pending',
+      createdAt: new Date('2025-03-01T09:00:00Z'),
+      paymentDueAt: new Date('2025-03-07T06:00:00Z'),
+    },
+  ];
+  const {job} = buildJob(bookings, clock);
+
+  assert.equal((await job.run()).length, 0);
+
+  clock.advance(6 * 24 * 60);
+  assert.equal((await job.run()).length, 1);
+  assert.equal(bookings[0].status, 'cancelled');
+  assert.doesNotMatch(bookings[0].cancellationReason, /30/);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const BookingHistory = require('../models/BookingHistory');
+const {
+  snapshotBooking,
+  diffSnapshots,
+  recordBookingHistory,
+} = require('../utils/bookingHistory');
+const {getBookingHistory} = require('../controllers/bookings');
+
+const createRes = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+const booking = (overrides = {}) => ({
+  _id: 'booking-1',
+  customerId: 'cust',
+  providerId: 'prov',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+  status: 'pending',
+  paymentStatus: 'pending',
+  totalAmount: 1500,
+  ...overrides,
+});
+
+test('snapshotBooking keeps tracked fields only, with dates as ISO strings', () => {
+  const snapshot = snapshotBooking(
+    booking({
+      checkedInAt: new Date('2025-03-10T06:00:00Z'),
+      noShow: {status: 'reported'},
+      serviceName: 'not tracked',
+    })
+  );
+
+  assert.equal(snapshot.status, 'pending');
+  assert.equal(snapshot.checkedInAt, '2025-03-10T06:00:00.000Z');
+  assert.equal(snapshot['noShow.status'], 'reported');
+  assert.equal(snapshot.refundAmount, null);
+  assert.equal('serviceName' in snapshot, false);
+  assert.deepEqual(snapshotBooking(null), {});
+});
+
+test('diffSnapshots lists the fields that changed with old and new values', () => {
+  const before = snapshotBooking(booking());
+  const after = snapshotBooking(booking({status: 'cancelled', cancelledBy: 'customer'}));
+
+  assert.deepEqual(diffSnapshots(before, after), [
+    {field: 'status', oldValue: 'pending', newValue: 'cancelled'},
+    {field: 'cancelledBy', oldValue: null, newValue: 'customer'},
+  ]);
+  assert.deepEqual(diffSnapshots(before, before), []);
+});
+
+test('diffSnapshots tracks multi-day, timezone and add-on changes', () => {
+  const line = {
+    addOnId: 'addon-1',
+    name: 'ถ่ายรูป',
+    unit: 'booking',
+    unitPrice: 300,
+    quantity: 1,
+    units: 1,
+    amount: 300,
+  };
+  const stored = new Booking(booking({addOns: [line]}));
+  const before = snapshotBooking(stored);
+
+  assert.deepEqual(diffSnapshots(before, snapshotBooking(new Booking(booking({addOns: [line]})))), []);
+
+  stored.endDate = '2025-03-11';
+  stored.timezone = 'Asia/Tokyo';
+  stored.addOns = [{...line, quantity: 2, amount: 600}];
+  const changes = diffSnapshots(before, snapshotBooking(stored));
+
+  assert.deepEqual(
+    changes.map((change) => change.field),
+    ['endDate', 'timezone', 'addOns']
+  );
+  assert.equal(changes[1].oldValue, 'Asia/Bangkok');
+  assert.equal(changes[2].newValue[0].quantity, 2);
+});
+
+test('recordBookingHistory stores who changed what and skips no-op updates', async () => {
+  const created = [];
+  const HistoryModel = {
+    create: async (doc) => {
+      created.push(doc);
+      return doc;
+    },
+  };
+  const before = snapshotBooking(booking());
+
+  await recordBookingHistory({HistoryModel, booking: booking({serviceName: 'renamed'}), before});
+  assert.equal(created.length, 0);
+
+  await recordBookingHistory({
+    HistoryModel,
+    booking: booking({status: 'confirmed'}),
+    before,
+    actor: {id: 'prov', role: 'provider'},
+    reason: `  ${'x'.repeat(600)}  `,
+  });
+  assert.equal(created.length, 1);
+  assert.equal(created[0].bookingId, 'booking-1');
+  assert.equal(created[0].actorId, 'prov');
+  assert.equal(created[0].actorRole, 'provider');
+  assert.equal(created[0].action, 'updated');
+  assert.deepEqual(created[0].changes, [
+    {field: 'status', oldValue: 'pending', newValue: 'confirmed'},
+  ]);
+  assert.equal(created[0].reason.length, 500);
+});
+
+test('recordBookingHistory defaults to the system actor and never throws', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const created = [];
+  const before = snapshotBooking(booking());
+
+  await recordBookingHistory({
+    HistoryModel: {create: async (doc) => created.push(doc)},
+    booking: booking({status: 'cancelled'}),
+    before,
+  });
+  assert.equal(created[0].actorId, null);
+  assert.equal(created[0].actorRole, 'system');
+
+  const result = await recordBookingHistory({
+    HistoryModel: {
+      create: async () => {
+        throw new Error('write failed');
+      },
+    },
+    booking: booking({status: 'cancelled'}),
+    before,
+  });
+  assert.equal(result, null);
+});
+
+const historyRequest = async (t, user, found = booking()) => {
+  let filter;
+  t.mock.method(Booking, 'findById', async () => found);
+  t.mock.method(BookingHistory, 'find', (f) => {
+    filter = f;
+    return {sort: async () => [{_id: 'history-1', bookingId: 'booking-1'}]};
+  });
+  const res = createRes();
+  await getBookingHistory({params: {id: 'booking-1'}, user}, res);
+  return {res, filter};
+};
+
+test('getBookingHistory shows the timeline to both parties and admins', async (t) => {
+  for (const user of [
+    {id: 'cust', type: 'customer'},
+    {id: 'prov', type: 'provider'},
+    {id: 'someone', type: 'admin'},
+  ]) {
+    const {res, filter} = await historyRequest(t, user);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(filter, {bookingId: 'booking-1'});
+    assert.equal(res.body.data.length, 1);
+  }
+});
+
+test('getBookingHistory hides the timeline from everyone else', async (t) => {
+  assert.equal((await historyRequest(t, {id: 'other', type: 'customer'})).res.statusCode, 403);
+  assert.equal((await historyRequest(t, undefined)).res.statusCode, 401);
+  assert.equal(
+    (await historyRequest(t, {id: 'cust', type: 'customer'}, null)).res.statusCode,
+    404
+  );
+});
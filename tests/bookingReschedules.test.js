@@ -0,0 +1,287 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const BookingHistory = require('../models/BookingHistory');
+const Chat = require('../models/Chat');
+const Payment = require('../models/Payment');
+const ProviderLock = require('../models/ProviderLock');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  listRescheduleRequests,
+  createRescheduleRequest,
+  acceptRescheduleRequest,
+  declineRescheduleRequest,
+} = require('../controllers/bookingReschedules');
+
+const createRes = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const customer = {id: 'cust', type: 'customer'};
+const provider = {id: 'prov', type: 'provider'};
+
+// 12 hours at 500 an hour, so one day at the 3000 day rate
+const buildBooking = (overrides = {}) =>
+  new Booking({
+    _id: 'booking-1',
+    customerId: 'cust',
+    providerId: 'prov',
+    serviceId: 'service-1',
+    serviceName: 'เพื่อนเที่ยว',
+    date: daysFromNow(10),
+    startTime: '09:00',
+    endTime: '21:00',
+    status: 'confirmed',
+    paymentStatus: 'pending',
+    totalHours: 12,
+    totalAmount: 3000,
+    depositAmount: 1500,
+    priceBreakdown: {
+      unit: 'day',
+      unitPrice: 3000,
+      units: 1,
+      baseAmount: 3000,
+      subtotal: 3000,
+      depositPercent: 50,
+      platformFeePercent: 10,
+      totalAmount: 3000,
+    },
+    ...overrides,
+  });
+
+/**
+ * Stub every model the reschedule flow reads or writes. `calendar` is
+ * what the provider's calendar holds besides this booking.
+ */
+const stubModels = (t, booking, {calendar = [], pendingPayment = false} = {}) => {
+  const history = [];
+  const messages = [];
+  t.mock.method(Booking, 'findById', async () => booking);
+  t.mock.method(Booking, 'find', async () => calendar);
+  t.mock.method(booking, 'save', async () => booking);
+  t.mock.method(User, 'findById', async () => null);
+  t.mock.method(Service, 'findById', async () => ({
+    _id: 'service-1',
+    priceHour: 500,
+    priceDay: 3000,
+    addOns: [],
+  }));
+  // The provider's calendar lock is always free
+  t.mock.method(ProviderLock, 'findOneAndUpdate', async () => ({_id: 'prov'}));
+  t.mock.method(ProviderLock, 'updateOne', async () => ({}));
+  t.mock.method(Payment, 'exists', async () => (pendingPayment ? {_id: 'pay-1'} : null));
+  t.mock.method(BookingHistory, 'create', async (doc) => {
+    history.push(doc);
+    return doc;
+  });
+  t.mock.method(Chat, 'findOne', async () => ({
+    messages,
+    save: async () => {},
+  }));
+  // Open offers held against the calendar, and waiters for freed time
+  t.mock.method(WaitlistEntry, 'find', () => {
+    const query = Promise.resolve([]);
+    query.sort = async () => [];
+    return query;
+  });
+  return {history, messages};
+};
+
+const propose = async (booking, user, body) => {
+  const res = createRes();
+  await createRescheduleRequest({params: {id: booking._id}, user, body}, res);
+  return res;
+};
+
+const respond = async (handler, booking, user, requestId, body = {}) => {
+  const res = createRes();
+  await handler({params: {id: booking._id, requestId}, user, body}, res);
+  return res;
+};
+
+test('a participant proposes a free slot, priced and expiring before it starts', async (t) => {
+  const booking = buildBooking();
+  const {messages} = stubModels(t, booking);
+  const date = daysFromNow(12);
+
+  const res = await propose(booking, customer, {
+    date,
+    startTime: '10:00',
+    endTime: '22:00',
+    reason: 'ติดธุระ',
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.data.date, date);
+  assert.equal(res.body.data.proposedByRole, 'customer');
+  assert.equal(res.body.data.status, 'pending');
+  assert.equal(res.body.data.totalAmount, 3000);
+  assert.ok(new Date(res.body.data.expiresAt) <= new Date(Date.now() + 24 * 60 * 60 * 1000));
+  assert.equal(booking.date, daysFromNow(10));
+  assert.equal(messages.length, 1);
+});
+
+test('proposals are refused for admins, busy slots and a second pending proposal', async (t) => {
+  const booking = buildBooking();
+  stubModels(t, booking);
+  const slot = {date: daysFromNow(12), startTime: '10:00', endTime: '22:00'};
+
+  assert.equal((await propose(booking, {id: 'admin', type: 'admin'}, slot)).statusCode, 403);
+  assert.equal((await propose(booking, {id: 'other', type: 'customer'}, slot)).statusCode, 403);
+  assert.equal((await propose(booking, customer, slot)).statusCode, 201);
+  assert.equal((await propose(booking, provider, slot)).statusCode, 409);
+});
+
+test('a proposal for a slot that is already booked is refused', async (t) => {
+  const date = daysFromNow(12);
+  const booking = buildBooking();
+  stubModels(t, booking, {
+    calendar: [
+      {_id: 'booking-2', providerId: 'prov', date, startTime: '12:00', endTime: '14:00', status: 'confirmed'},
+    ],
+  });
+
+  const res = await propose(booking, customer, {date, startTime: '10:00', endTime: '22:00'});
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(booking.rescheduleRequests.length, 0);
+});
+
+test('accepting moves the booking and prices it again for the days it now covers', async (t) => {
+  const booking = buildBooking();
+  const {history} = stubModels(t, booking);
+  const date = daysFromNow(12);
+  // Same 12 hours, but across two days the day rate no longer caps it at 3000
+  const created = await propose(booking, provider, {date, startTime: '21:00', endTime: '09:00'});
+  assert.equal(created.body.data.totalAmount, 6000);
+
+  const res = await respond(acceptRescheduleRequest, booking, customer, created.body.data._id, {
+    note: 'ได้เลย',
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(booking.date, date);
+  assert.equal(booking.endDate, daysFromNow(13));
+  assert.equal(booking.totalHours, 12);
+  assert.equal(booking.totalAmount, 6000);
+  assert.equal(booking.depositAmount, 3000);
+  assert.equal(booking.priceBreakdown.unit, 'hour');
+  assert.equal(booking.rescheduleRequests[0].status, 'accepted');
+  assert.equal(booking.rescheduleRequests[0].respondedBy, 'cust');
+  assert.equal(history[0].action, 'rescheduled');
+  assert.deepEqual(
+    history[0].changes.map((change) => change.field),
+    ['date', 'endDate', 'startTime', 'endTime', 'totalAmount', 'depositAmount']
+  );
+});
+
+test('only the other party may accept, and only while the slot is still free', async (t) => {
+  const booking = buildBooking();
+  const date = daysFromNow(12);
+  const calendar = [];
+  stubModels(t, booking, {calendar});
+  const created = await propose(booking, provider, {date, startTime: '10:00', endTime: '22:00'});
+  const requestId = created.body.data._id;
+
+  assert.equal((await respond(acceptRescheduleRequest, booking, provider, requestId)).statusCode, 403);
+
+  calendar.push({_id: 'booking-2', providerId: 'prov', date, startTime: '12:00', endTime: '14:00', status: 'pending'});
+  assert.equal((await respond(acceptRescheduleRequest, booking, customer, requestId)).statusCode, 409);
+  assert.equal(booking.date, daysFromNow(10));
+  assert.equal(booking.rescheduleRequests[0].status, 'pending');
+});
+
+test('a paid booking only moves to a slot with the price it was paid at', async (t) => {
+  const booking = buildBooking({paymentStatus: 'paid'});
+  stubModels(t, booking);
+
+  const dearer = await propose(booking, customer, {
+    date: daysFromNow(12),
+    startTime: '21:00',
+    endTime: '09:00',
+  });
+  assert.equal(dearer.statusCode, 422);
+  assert.match(dearer.body.message, /already paid/);
+
+  const samePrice = await propose(booking, customer, {
+    date: daysFromNow(12),
+    startTime: '08:00',
+    endTime: '22:00',
+  });
+  assert.equal(samePrice.statusCode, 201);
+});
+
+test('the price cannot change under a payment in progress', async (t) => {
+  const booking = buildBooking();
+  stubModels(t, booking, {pendingPayment: true});
+
+  const res = await propose(booking, customer, {
+    date: daysFromNow(12),
+    startTime: '21:00',
+    endTime: '09:00',
+  });
+
+  assert.equal(res.statusCode, 422);
+  assert.match(res.body.message, /payment/);
+});
+
+test('declining leaves the booking where it was', async (t) => {
+  const booking = buildBooking();
+  stubModels(t, booking);
+  const created = await propose(booking, customer, {
+    date: daysFromNow(12),
+    startTime: '10:00',
+    endTime: '22:00',
+  });
+
+  const res = await respond(declineRescheduleRequest, booking, provider, created.body.data._id, {
+    note: 'ไม่สะดวก',
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.status, 'declined');
+  assert.equal(res.body.data.responseNote, 'ไม่สะดวก');
+  assert.equal(booking.date, daysFromNow(10));
+  assert.equal(
+    (await respond(acceptRescheduleRequest, booking, provider, created.body.data._id)).statusCode,
+    422
+  );
+});
+
+test('proposals past their expiry are expired and can no longer be answered', async (t) => {
+  const booking = buildBooking();
+  stubModels(t, booking);
+  booking.rescheduleRequests.push({
+    proposedBy: 'cust',
+    proposedByRole: 'customer',
+    date: daysFromNow(12),
+    startTime: '10:00',
+    endTime: '22:00',
+    expiresAt: new Date(Date.now() - 1000),
+  });
+  const requestId = booking.rescheduleRequests[0]._id;
+
+  const listed = createRes();
+  await listRescheduleRequests({params: {id: booking._id}, user: provider}, listed);
+  assert.equal(listed.body.data[0].status, 'expired');
+
+  const res = await respond(acceptRescheduleRequest, booking, provider, requestId);
+  assert.equal(res.statusCode, 422);
+  assert.match(res.body.message, /already expired/);
+});
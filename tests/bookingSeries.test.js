@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_OCCURRENCES,
+  seriesDates,
+  occurrencePaymentDueAt,
+} = require('../utils/bookingSeries');
+const Booking = require('../models/Booking');
+const BookingHistory = require('../models/BookingHistory');
+const BookingSeries = require('../models/BookingSeries');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Chat = require('../models/Chat');
+const ProviderLock = require('../models/ProviderLock');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {createBookingSeries} = require('../controllers/bookingSeries');
+
+test('weekly series with a count', () => {
+  const {dates} = seriesDates({startDate: '2025-03-10', frequency: 'weekly', count: 3});
+  assert.deepEqual(dates, ['2025-03-10', '2025-03-17', '2025-03-24']);
+});
+
+test('biweekly series until an inclusive end date across months', () => {
+  const {dates} = seriesDates({
+    startDate: '2025-01-20',
+    frequency: 'biweekly',
+    untilDate: '2025-03-03',
+  });
+  assert.deepEqual(dates, ['2025-01-20', '2025-02-03', '2025-02-17', '2025-03-03']);
+});
+
+test('recurrence rule needs exactly one bound and a known frequency', () => {
+  assert.match(
+    seriesDates({startDate: '2025-03-10', frequency: 'weekly'}).error,
+    /untilDate or count/
+  );
+  assert.match(
+    seriesDates({startDate: '2025-03-10', frequency: 'weekly', count: 2, untilDate: '2025-04-01'}).error,
+    /untilDate or count/
+  );
+  assert.match(
+    seriesDates({startDate: '2025-03-10', frequency: 'daily', count: 2}).error,
+    /frequency/
+  );
+  assert.match(
+    seriesDates({startDate: '2025-03-10', frequency: 'weekly', untilDate: '2025-03-01'}).error,
+    /untilDate/
+  );
+});
+
+test('series length is capped', () => {
+  assert.equal(
+    seriesDates({startDate: '2025-01-06', frequency: 'weekly', count: MAX_OCCURRENCES}).dates.length,
+    MAX_OCCURRENCES
+  );
+  assert.match(
+    seriesDates({startDate: '2025-01-06', frequency: 'weekly', count: MAX_OCCURRENCES + 1}).error,
+    /at most/
+  );
+});
+
+test('occurrences are due ahead of their start but never before the hold', () => {
+  const now = new Date('2025-03-01T03:00:00Z');
+
+  // 2025-03-15 18:00 Bangkok is 11:00Z; due 24 hours earlier
+  assert.equal(
+    occurrencePaymentDueAt({date: '2025-03-15', startTime: '18:00', now, holdMinutes: 30, leadHours: 24})
+      .toISOString(),
+    '2025-03-14T11:00:00.000Z'
+  );
+
+  // Starting tomorrow morning: the normal hold from now applies instead
+  assert.equal(
+    occurrencePaymentDueAt({date: '2025-03-02', startTime: '09:00', now, holdMinutes: 30, leadHours: 24})
+      .toISOString(),
+    '2025-03-01T03:30:00.000Z'
+  );
+});
+
+const createRes = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Stub the models behind createBookingSeries. `failOn` makes creating
+ * that booking (1-based) throw.
+ */
+const stubSeriesModels = (t, {failOn} = {}) => {
+  const events = [];
+  const created = [];
+  t.mock.method(Service, 'findById', async () => ({
+    _id: 'service-1',
+    providerId: 'prov',
+    name: 'เพื่อนเที่ยวกลางคืน',
+    priceHour: 500,
+    priceDay: 0,
+  }));
+  t.mock.method(Booking, 'find', async () => []);
+  t.mock.method(User, 'findById', async () => null);
+  // The provider's calendar lock is always free
+  t.mock.method(ProviderLock, 'findOneAndUpdate', async () => ({_id: 'prov'}));
+  t.mock.method(ProviderLock, 'updateOne', async () => ({}));
+  t.mock.method(WaitlistEntry, 'find', async () => []);
+  t.mock.method(CancellationPolicy, 'findOne', async () => null);
+  t.mock.method(Booking, 'create', async (doc) => {
+    if (created.length + 1 === failOn) throw new Error('write failed');
+    events.push('booking');
+    const booking = {_id: `booking-${created.length + 1}`, ...doc};
+    created.push(booking);
+    return booking;
+  });
+  t.mock.method(BookingHistory, 'create', async (doc) => doc);
+  t.mock.method(Chat, 'findOne', async () => ({_id: 'chat'}));
+  t.mock.method(BookingSeries.prototype, 'save', async function () {
+    events.push('series saved');
+    return this;
+  });
+  t.mock.method(BookingSeries.prototype, 'deleteOne', async function () {
+    events.push('series deleted');
+    return this;
+  });
+  return {events, created};
+};
+
+const seriesRequest = async () => {
+  const res = createRes();
+  await createBookingSeries(
+    {
+      user: {id: 'cust', type: 'customer'},
+      body: {
+        serviceId: 'service-1',
+        startDate: daysFromNow(7),
+        frequency: 'weekly',
+        count: 2,
+        startTime: '22:00',
+        endTime: '02:00',
+      },
+    },
+    res
+  );
+  return res;
+};
+
+test('createBookingSeries books overnight occurrences under a series saved first', async (t) => {
+  const {events, created} = stubSeriesModels(t);
+
+  const res = await seriesRequest();
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(events[0], 'series saved');
+  assert.deepEqual(
+    created.map(({date, endDate}) => [date, endDate]),
+    [
+      [daysFromNow(7), daysFromNow(8)],
+      [daysFromNow(14), daysFromNow(15)],
+    ]
+  );
+  assert.equal(created[0].totalHours, 4);
+  assert.equal(created[0].totalAmount, 2000);
+  assert.equal(created[0].seriesId, res.body.data._id);
+});
+
+test('createBookingSeries keeps the series of bookings already made when one fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const {events} = stubSeriesModels(t, {failOn: 2});
+
+  const res = await seriesRequest();
+
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(events, ['series saved', 'booking', 'series saved']);
+});
+
+test('createBookingSeries removes the series when nothing was booked', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const {events} = stubSeriesModels(t, {failOn: 1});
+
+  const res = await seriesRequest();
+
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(events, ['series saved', 'series deleted']);
+});
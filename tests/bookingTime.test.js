@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toInstant,
+  localDateOf,
+  resolveEndDate,
+  bookingStartsAt,
+  bookingEndsAt,
+  isValidTimeZone,
+  calendarDaysBetween,
+} = require('../utils/bookingTime');
+
+test('toInstant reads times in Asia/Bangkok unless told otherwise', () => {
+  assert.equal(toInstant('2025-03-10', '13:00').toISOString(), '2025-03-10T06:00:00.000Z');
+  assert.equal(
+    toInstant('2025-07-01', '12:00', 'Europe/London').toISOString(),
+    '2025-07-01T11:00:00.000Z'
+  );
+  assert.equal(toInstant('2025-03-10', '13:00', 'Nowhere/Special'), null);
+});
+
+test('toInstant follows daylight saving changes', () => {
+  // New York moves from -05:00 to -04:00 on 2025-03-09
+  assert.equal(
+    toInstant('2025-03-08', '12:00', 'America/New_York').toISOString(),
+    '2025-03-08T17:00:00.000Z'
+  );
+  assert.equal(
+    toInstant('2025-03-09', '12:00', 'America/New_York').toISOString(),
+    '2025-03-09T16:00:00.000Z'
+  );
+  // 02:30 does not exist that night and is read as 03:30
+  assert.equal(
+    toInstant('2025-03-09', '02:30', 'America/New_York').toISOString(),
+    '2025-03-09T07:30:00.000Z'
+  );
+});
+
+test('localDateOf gives the calendar date in the zone', () => {
+  const instant = new Date('2025-03-10T18:00:00Z');
+  assert.equal(localDateOf(instant), '2025-03-11');
+  assert.equal(localDateOf(instant, 'America/New_York'), '2025-03-10');
+});
+
+test('resolveEndDate rolls overnight bookings into the next day', () => {
+  const night = {date: '2025-03-31', startTime: '22:00', endTime: '02:00'};
+  assert.equal(resolveEndDate(night), '2025-04-01');
+  assert.equal(resolveEndDate({...night, endTime: '23:30'}), null);
+  assert.equal(resolveEndDate({...night, endDate: '2025-04-02'}), '2025-04-02');
+
+  const booking = {...night, endDate: resolveEndDate(night)};
+  assert.equal(bookingEndsAt(booking) - bookingStartsAt(booking), 4 * 60 * 60 * 1000);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Asia/Bangkok'), true);
+  assert.equal(isValidTimeZone('Bangkok'), false);
+  assert.equal(isValidTimeZone(''), false);
+});
+
+test('calendarDaysBetween counts both ends and crosses months and years', () => {
+  assert.equal(calendarDaysBetween('2025-03-10', '2025-03-10'), 1);
+  assert.equal(calendarDaysBetween('2024-12-31', '2025-03-01'), 61);
+  assert.equal(calendarDaysBetween('2025-03-10', '2026-03-10'), 366);
+  assert.equal(calendarDaysBetween('2025-03-10', '2025-03-09'), null);
+  assert.equal(calendarDaysBetween('2025-02-30', '2025-03-09'), null);
+});
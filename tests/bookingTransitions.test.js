@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  bookingRoleFor,
+  allowedNextStates,
+  checkBookingTransition,
+} = require('../utils/bookingTransitions');
+
+const booking = (overrides = {}) => ({
+  customerId: 'cust',
+  providerId: 'prov',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+  status: 'pending',
+  paymentStatus: 'pending',
+  ...overrides,
+});
+
+// 2025-03-10 10:00 in Bangkok
+const beforeStart = new Date('2025-03-10T03:00:00Z');
+// 2025-03-10 17:00 in Bangkok
+const afterEnd = new Date('2025-03-10T10:00:00Z');
+
+test('bookingRoleFor maps the user onto the booking', () => {
+  assert.equal(bookingRoleFor(booking(), {id: 'cust', type: 'customer'}), 'customer');
+  assert.equal(bookingRoleFor(booking(), {id: 'prov', type: 'provider'}), 'provider');
+  assert.equal(bookingRoleFor(booking(), {id: 'x', type: 'admin'}), 'admin');
+  assert.equal(bookingRoleFor(booking(), {id: 'x', type: 'customer'}), null);
+});
+
+test('only the provider can confirm a pending booking', () => {
+  const rejected = checkBookingTransition({
+    booking: booking(),
+    role: 'customer',
+    changes: {status: 'confirmed'},
+    now: beforeStart,
+  });
+  assert.equal(rejected.status, 422);
+  assert.deepEqual(rejected.body.allowed, ['cancelled']);
+
+  assert.equal(
+    checkBookingTransition({
+      booking: booking(),
+      role: 'provider',
+      changes: {status: 'confirmed'},
+      now: beforeStart,
+    }),
+    null
+  );
+});
+
+test('customers cannot complete their own booking', () => {
+  const rejected = checkBookingTransition({
+    booking: booking({status: 'confirmed', paymentStatus: 'paid'}),
+    role: 'customer',
+    changes: {status: 'completed'},
+    now: afterEnd,
+  });
+  assert.equal(rejected.status, 422);
+  assert.equal(rejected.body.field, 'status');
+});
+
+test('completion waits for the end time', () => {
+  const paid = booking({status: 'confirmed', paymentStatus: 'paid'});
+
+  const early = checkBookingTransition({
+    booking: paid,
+    role: 'provider',
+    changes: {status: 'completed'},
+    now: beforeStart,
+  });
+  assert.equal(early.status, 422);
+  assert.deepEqual(early.body.allowed, ['cancelled']);
+
+  assert.equal(
+    checkBookingTransition({
+      booking: paid,
+      role: 'provider',
+      changes: {status: 'completed'},
+      now: afterEnd,
+    }),
+    null
+  );
+});
+
+test('participants cannot cancel after the start time but admins can', () => {
+  const confirmed = booking({status: 'confirmed'});
+  const started = new Date('2025-03-10T06:30:00Z');
+
+  assert.equal(
+    checkBookingTransition({
+      booking: confirmed,
+      role: 'customer',
+      changes: {status: 'cancelled'},
+      now: started,
+    }).status,
+    422
+  );
+  assert.equal(
+    checkBookingTransition({
+      booking: confirmed,
+      role: 'admin',
+      changes: {status: 'cancelled'},
+      now: started,
+    }),
+    null
+  );
+});
+
+test('refunds require the booking to be cancelled in the same update', () => {
+  const paid = booking({status: 'confirmed', paymentStatus: 'paid'});
+
+  const rejected = checkBookingTransition({
+    booking: paid,
+    role: 'admin',
+    changes: {paymentStatus: 'refunded'},
+    now: beforeStart,
+  });
+  assert.equal(rejected.body.field, 'paymentStatus');
+  assert.deepEqual(rejected.body.allowed, []);
+
+  assert.equal(
+    checkBookingTransition({
+      booking: paid,
+      role: 'admin',
+      changes: {status: 'cancelled', paymentStatus: 'refunded'},
+      now: beforeStart,
+    }),
+    null
+  );
+});
+
+test('participants cannot set refund states by hand', () => {
+  const paid = booking({status: 'confirmed', paymentStatus: 'paid'});
+
+  const rejected = checkBookingTransition({
+    booking: paid,
+    role: 'customer',
+    changes: {status: 'cancelled', paymentStatus: 'refunded'},
+    now: beforeStart,
+  });
+  assert.equal(rejected.body.field, 'paymentStatus');
+  assert.equal(rejected.body.message, 'customer cannot change paymentStatus from paid to refunded');
+});
+
+test('only admins set paymentStatus by hand', () => {
+  const change = (role, from, to) =>
+    checkBookingTransition({
+      booking: booking({status: to === 'paid' ? 'confirmed' : 'cancelled', paymentStatus: from}),
+      role,
+      changes: {paymentStatus: to},
+      now: beforeStart,
+    });
+
+  for (const role of ['customer', 'provider']) {
+    assert.equal(change(role, 'pending', 'paid').status, 422);
+    assert.equal(change(role, 'paid', 'refunded').status, 422);
+    assert.equal(change(role, 'paid', 'partially_refunded').status, 422);
+  }
+  assert.equal(change('admin', 'pending', 'paid'), null);
+  assert.equal(change('admin', 'paid', 'partially_refunded'), null);
+});
+
+test('terminal states have no next states', () => {
+  assert.deepEqual(
+    allowedNextStates({field: 'status', booking: booking({status: 'completed'}), role: 'admin'}),
+    []
+  );
+});
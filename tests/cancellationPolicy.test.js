@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BUILT_IN_POLICY,
+  resolveCancellationPolicy,
+  quoteCancellation,
+} = require('../utils/cancellationPolicy');
+
+const policy = {
+  policyId: 'p-1',
+  name: 'Moderate',
+  rules: [
+    {minHoursBefore: 2, refundPercent: 0},
+    {minHoursBefore: 48, refundPercent: 100},
+    {minHoursBefore: 24, refundPercent: 50},
+  ],
+};
+
+// Starts 2025-03-10 13:00 Bangkok (06:00Z)
+const paidBooking = (overrides = {}) => ({
+  _id: 'b-1',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+  totalAmount: 1001,
+  paymentStatus: 'paid',
+  cancellationPolicy: policy,
+  ...overrides,
+});
+
+const hoursBeforeStart = (hours) =>
+  new Date(Date.parse('2025-03-10T06:00:00Z') - hours * 60 * 60 * 1000);
+
+test('customer refund follows the first rule still ahead of the start', () => {
+  const early = quoteCancellation({
+    booking: paidBooking(),
+    cancelledBy: 'customer',
+    now: hoursBeforeStart(72),
+  });
+  assert.equal(early.refundPercent, 100);
+  assert.equal(early.refundAmount, 1001);
+  assert.equal(early.paymentStatus, 'refunded');
+
+  const dayBefore = quoteCancellation({
+    booking: paidBooking(),
+    cancelledBy: 'customer',
+    now: hoursBeforeStart(30),
+  });
+  assert.equal(dayBefore.refundPercent, 50);
+  assert.equal(dayBefore.refundAmount, 500.5);
+  assert.equal(dayBefore.providerCompensation, 500.5);
+  assert.equal(dayBefore.paymentStatus, 'partially_refunded');
+
+  const late = quoteCancellation({
+    booking: paidBooking(),
+    cancelledBy: 'customer',
+    now: hoursBeforeStart(1),
+  });
+  assert.equal(late.refundPercent, 0);
+  assert.equal(late.providerCompensation, 1001);
+  assert.equal(late.paymentStatus, 'paid');
+});
+
+test('provider cancellations refund in full regardless of the policy', () => {
+  const quote = quoteCancellation({
+    booking: paidBooking(),
+    cancelledBy: 'provider',
+    now: hoursBeforeStart(1),
+  });
+  assert.equal(quote.refundPercent, 100);
+  assert.equal(quote.refundAmount, 1001);
+  assert.equal(quote.providerCompensation, 0);
+});
+
+test('fractional totals are refunded to the satang', () => {
+  // 1.5 hours at 333 an hour
+  const booking = paidBooking({totalAmount: 499.5});
+  const full = quoteCancellation({booking, cancelledBy: 'provider', now: hoursBeforeStart(1)});
+  assert.equal(full.refundAmount, 499.5);
+  assert.equal(full.providerCompensation, 0);
+  assert.equal(full.paymentStatus, 'refunded');
+
+  const half = quoteCancellation({booking, cancelledBy: 'customer', now: hoursBeforeStart(30)});
+  assert.equal(half.refundAmount, 249.75);
+  assert.equal(half.providerCompensation, 249.75);
+});
+
+test('unpaid bookings have nothing to refund', () => {
+  const quote = quoteCancellation({
+    booking: paidBooking({paymentStatus: 'pending'}),
+    cancelledBy: 'customer',
+    now: hoursBeforeStart(72),
+  });
+  assert.equal(quote.paidAmount, 0);
+  assert.equal(quote.refundAmount, 0);
+  assert.equal(quote.paymentStatus, 'pending');
+});
+
+test('bookings without a snapshot use the built-in policy', () => {
+  const quote = quoteCancellation({
+    booking: paidBooking({cancellationPolicy: undefined}),
+    cancelledBy: 'customer',
+    now: hoursBeforeStart(10),
+  });
+  assert.equal(quote.policy.name, BUILT_IN_POLICY.name);
+  assert.equal(quote.refundPercent, 50);
+});
+
+test('service policy wins over the platform default', async () => {
+  const stored = [
+    {_id: 'own', name: 'Strict', active: true, rules: [{minHoursBefore: 72, refundPercent: 100}]},
+    {_id: 'default', name: 'Platform', active: true, isDefault: true, rules: [{minHoursBefore: 0, refundPercent: 80}]},
+  ];
+  const PolicyModel = {
+    findOne: async (filter) =>
+      stored.find((p) =>
+        Object.entries(filter).every(([key, value]) => p[key] === value)
+      ) || null,
+  };
+
+  const own = await resolveCancellationPolicy({
+    PolicyModel,
+    service: {cancellationPolicyId: 'own'},
+  });
+  assert.equal(own.policyId, 'own');
+
+  const fallback = await resolveCancellationPolicy({
+    PolicyModel,
+    service: {cancellationPolicyId: null},
+  });
+  assert.deepEqual(fallback, {
+    policyId: 'default',
+    name: 'Platform',
+    rules: [{minHoursBefore: 0, refundPercent: 80}],
+  });
+
+  const builtIn = await resolveCancellationPolicy({
+    PolicyModel: {findOne: async () => null},
+    service: {},
+  });
+  assert.deepEqual(builtIn, BUILT_IN_POLICY);
+});
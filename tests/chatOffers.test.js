@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findOfferMessage,
+  expireChatOffers,
+  offerSummary,
+} = require('../utils/chatOffers');
+const {calculateBookingPrice} = require('../utils/pricing');
+
+const offerMessage = (overrides = {}) => ({
+  senderType: 'provider',
+  type: 'offer',
+  content: 'offer',
+  offer: {
+    _id: 'offer-1',
+    serviceName: 'Dinner date',
+    date: '2025-03-20',
+    endDate: null,
+    startTime: '18:00',
+    endTime: '21:00',
+    totalAmount: 2500,
+    expiresAt: new Date('2025-03-11T00:00:00Z'),
+    status: 'pending',
+    ...overrides,
+  },
+});
+
+test('findOfferMessage finds offers by id and skips plain messages', () => {
+  const chat = {
+    messages: [{senderType: 'customer', content: 'hi'}, offerMessage()],
+  };
+  assert.equal(findOfferMessage(chat, 'offer-1'), chat.messages[1]);
+  assert.equal(findOfferMessage(chat, 'offer-2'), null);
+});
+
+test('expireChatOffers only expires pending offers past their expiry', () => {
+  const chat = {
+    messages: [
+      offerMessage(),
+      offerMessage({_id: 'offer-2', status: 'declined'}),
+      offerMessage({_id: 'offer-3', expiresAt: new Date('2025-03-12T00:00:00Z')}),
+    ],
+  };
+
+  assert.equal(expireChatOffers(chat, new Date('2025-03-11T00:00:00Z')), true);
+  assert.deepEqual(
+    chat.messages.map((message) => message.offer.status),
+    ['expired', 'declined', 'pending']
+  );
+  assert.equal(expireChatOffers(chat, new Date('2025-03-11T00:00:00Z')), false);
+});
+
+test('offerSummary describes the terms in the chat text', () => {
+  assert.equal(
+    offerSummary(offerMessage().offer),
+    'ข้อเสนอ: Dinner date วันที่ 2025-03-20 เวลา 18:00-21:00 ราคา 2500 บาท'
+  );
+  assert.match(
+    offerSummary(offerMessage({endDate: '2025-03-21', endTime: '02:00'}).offer),
+    /ถึงวันที่ 2025-03-21/
+  );
+});
+
+test('an agreed amount replaces the subtotal with an adjustment line', () => {
+  const service = {priceHour: 500, priceDay: 0};
+  const quote = calculateBookingPrice({
+    service,
+    date: '2025-03-20',
+    startTime: '18:00',
+    endTime: '21:00',
+    agreedAmount: 1200,
+    depositPercent: 50,
+  });
+
+  assert.equal(quote.totalAmount, 1200);
+  assert.equal(quote.depositAmount, 600);
+  assert.deepEqual(quote.breakdown.surcharges, [
+    {label: 'Agreed offer price', amount: -300},
+  ]);
+});
+
+test('an agreed amount equal to the rates adds no adjustment line', () => {
+  const quote = calculateBookingPrice({
+    service: {priceHour: 500, priceDay: 0},
+    date: '2025-03-20',
+    startTime: '18:00',
+    endTime: '21:00',
+    agreedAmount: 1500,
+  });
+
+  assert.equal(quote.totalAmount, 1500);
+  assert.deepEqual(quote.breakdown.surcharges, []);
+});
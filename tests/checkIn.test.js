@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {generateCode, hashCode, verifyCode} = require('../utils/oneTimeCode');
+const {checkInWindowOf, parseCoordinates} = require('../utils/checkIn');
+
+test('generateCode returns zero-padded numeric codes', () => {
+  for (let i = 0; i < 20; i += 1) {
+    assert.match(generateCode(), /^\d{6}$/);
+  }
+  assert.match(generateCode(4), /^\d{4}$/);
+});
+
+test('verifyCode only accepts the code that was hashed', async () => {
+  const hash = await hashCode('042917');
+
+  assert.notEqual(hash, '042917');
+  assert.equal(await verifyCode('042917', hash), true);
+  assert.equal(await verifyCode('042918', hash), false);
+  assert.equal(await verifyCode('', hash), false);
+  assert.equal(await verifyCode('042917', null), false);
+});
+
+test('checkInWindowOf opens shortly before the start and closes at the end', () => {
+  const window = checkInWindowOf(
+    {date: '2025-03-10', startTime: '13:00', endTime: '16:00'},
+    30
+  );
+
+  // Bangkok is UTC+7
+  assert.equal(window.opensAt.toISOString(), '2025-03-10T05:30:00.000Z');
+  assert.equal(window.closesAt.toISOString(), '2025-03-10T09:00:00.000Z');
+  assert.equal(checkInWindowOf({date: 'soon', startTime: '13:00', endTime: '16:00'}), null);
+});
+
+test('parseCoordinates accepts an optional position', () => {
+  assert.deepEqual(parseCoordinates({}), {location: undefined});
+  assert.deepEqual(parseCoordinates({latitude: '13.7466', longitude: 100.5393}), {
+    location: {latitude: 13.7466, longitude: 100.5393, accuracy: null},
+  });
+  assert.ok(parseCoordinates({latitude: 13.7}).error);
+  assert.ok(parseCoordinates({latitude: 91, longitude: 100}).error);
+  assert.ok(parseCoordinates({latitude: 13.7, longitude: 'east'}).error);
+  assert.ok(parseCoordinates({latitude: 13.7, longitude: 100, accuracy: -5}).error);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const {
+  checkCouponEligibility,
+  recordCouponRedemption,
+  abandonCouponRedemption,
+} = require('../utils/coupons');
+const {calculateBookingPrice, couponDiscountFor} = require('../utils/pricing');
+
+const service = {_id: 'service-1', categories: ['dinner'], priceHour: 500, priceDay: 0};
+
+const coupon = (overrides = {}) => ({
+  code: 'WELCOME10',
+  discountType: 'percent',
+  discountValue: 10,
+  maxDiscountAmount: null,
+  minSpend: 0,
+  validFrom: null,
+  validUntil: null,
+  usageLimit: null,
+  perUserLimit: 1,
+  usedCount: 0,
+  serviceIds: [],
+  categories: [],
+  active: true,
+  ...overrides,
+});
+
+const reasonFor = (overrides, extra = {}) =>
+  checkCouponEligibility({
+    coupon: coupon(overrides),
+    service,
+    subtotal: 1000,
+    now: new Date('2025-03-10T00:00:00Z'),
+    ...extra,
+  })?.body.reason ?? null;
+
+test('an active unrestricted coupon applies', () => {
+  assert.equal(reasonFor({}), null);
+});
+
+test('coupons outside their validity dates are rejected', () => {
+  assert.equal(reasonFor({validFrom: new Date('2025-03-11T00:00:00Z')}), 'not_started');
+  assert.equal(reasonFor({validUntil: new Date('2025-03-10T00:00:00Z')}), 'expired');
+});
+
+test('usage limits count all customers and each customer', () => {
+  assert.equal(reasonFor({usageLimit: 5, usedCount: 5}), 'usage_limit_reached');
+  assert.equal(reasonFor({usageLimit: 5, usedCount: 4}), null);
+  assert.equal(reasonFor({perUserLimit: 2}, {userRedemptions: 1}), null);
+  assert.equal(reasonFor({perUserLimit: 2}, {userRedemptions: 2}), 'per_user_limit_reached');
+});
+
+test('minimum spend and service restrictions are enforced', () => {
+  assert.equal(reasonFor({minSpend: 1500}), 'min_spend_not_met');
+  assert.equal(reasonFor({serviceIds: ['service-2']}), 'service_not_eligible');
+  assert.equal(reasonFor({serviceIds: ['service-1']}), null);
+  assert.equal(reasonFor({categories: ['tour']}), 'service_not_eligible');
+  assert.equal(reasonFor({categories: ['tour', 'dinner']}), null);
+});
+
+test('inactive or unknown codes look the same', () => {
+  assert.equal(reasonFor({active: false}), 'not_found');
+  assert.equal(
+    checkCouponEligibility({coupon: null, service, subtotal: 1000}).status,
+    404
+  );
+});
+
+test('percent discounts are capped and fixed ones never exceed the subtotal', () => {
+  assert.equal(couponDiscountFor(coupon({discountValue: 20}), 1000), 200);
+  assert.equal(couponDiscountFor(coupon({discountValue: 20, maxDiscountAmount: 150}), 1000), 150);
+  assert.equal(couponDiscountFor(coupon({discountType: 'fixed', discountValue: 300}), 1000), 300);
+  assert.equal(couponDiscountFor(coupon({discountType: 'fixed', discountValue: 300}), 200), 200);
+});
+
+test('the discount is taken off before the deposit and platform fee', () => {
+  const quote = calculateBookingPrice({
+    service,
+    startTime: '10:00',
+    endTime: '12:00',
+    coupon: coupon({discountType: 'fixed', discountValue: 200}),
+    depositPercent: 50,
+    platformFeePercent: 10,
+  });
+
+  assert.equal(quote.breakdown.subtotal, 1000);
+  assert.equal(quote.breakdown.discountAmount, 200);
+  assert.equal(quote.breakdown.couponCode, 'WELCOME10');
+  assert.equal(quote.totalAmount, 800);
+  assert.equal(quote.depositAmount, 400);
+  assert.equal(quote.breakdown.platformFee, 80);
+});
+
+// Stand-in for the unique {couponId, userId, slot} index on active redemptions
+const redemptionStore = (t, active = []) => {
+  t.mock.method(CouponRedemption, 'create', async (doc) => {
+    if (active.some((r) => r.couponId === doc.couponId && r.userId === doc.userId && r.slot === doc.slot)) {
+      throw Object.assign(new Error('E11000 duplicate key'), {
+        code: 11000,
+        keyPattern: {couponId: 1, userId: 1, slot: 1},
+      });
+    }
+    active.push(doc);
+    return doc;
+  });
+  return active;
+};
+
+test('parallel redemptions by one customer cannot go over the per-user limit', async (t) => {
+  const active = redemptionStore(t);
+  const limited = coupon({_id: 'coupon-1', perUserLimit: 2});
+  const redeem = (bookingId) =>
+    recordCouponRedemption({coupon: limited, customerId: 'cust', bookingId, discountAmount: 100});
+
+  const results = await Promise.all(['b1', 'b2', 'b3'].map(redeem));
+
+  assert.deepEqual(results.map((r) => r && r.slot), [0, 1, null]);
+  assert.equal(active.length, 2);
+  const other = await recordCouponRedemption({coupon: limited, customerId: 'other', bookingId: 'b4'});
+  assert.equal(other.slot, 0);
+});
+
+test('redemption write errors other than a taken slot are thrown', async (t) => {
+  t.mock.method(CouponRedemption, 'create', async () => {
+    throw new Error('write failed');
+  });
+
+  await assert.rejects(
+    recordCouponRedemption({coupon: coupon({_id: 'coupon-1'}), customerId: 'cust', bookingId: 'b1'}),
+    /write failed/
+  );
+});
+
+test('an abandoned redemption is removed and its use given back', async (t) => {
+  const calls = [];
+  t.mock.method(CouponRedemption, 'deleteOne', async (filter) => calls.push(['delete', filter]));
+  t.mock.method(Coupon, 'updateOne', async (filter, update) => calls.push(['coupon', filter._id, update]));
+
+  await abandonCouponRedemption({coupon: coupon({_id: 'coupon-1'}), bookingId: 'b1'});
+
+  assert.deepEqual(calls, [
+    ['delete', {bookingId: 'b1'}],
+    ['coupon', 'coupon-1', {$inc: {usedCount: -1}}],
+  ]);
+});
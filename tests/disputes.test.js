@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {planDisputeSettlement} = require('../utils/bookingSettlement');
+const {checkBookingTransition} = require('../utils/bookingTransitions');
+
+const disputedBooking = (overrides = {}) => ({
+  customerId: 'cust',
+  providerId: 'prov',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  totalAmount: 1500,
+  openDisputeId: 'dispute-1',
+  ...overrides,
+});
+
+test('planDisputeSettlement refunds everything and cancels on full_refund', () => {
+  assert.deepEqual(planDisputeSettlement({booking: disputedBooking(), outcome: 'full_refund'}), {
+    status: 'cancelled',
+    paymentStatus: 'refunded',
+    refundAmount: 1500,
+  });
+});
+
+test('planDisputeSettlement completes the booking on release_to_provider', () => {
+  assert.deepEqual(
+    planDisputeSettlement({booking: disputedBooking(), outcome: 'release_to_provider'}),
+    {status: 'completed', paymentStatus: 'paid', refundAmount: 0}
+  );
+});
+
+test('planDisputeSettlement needs a partial refund below the paid total', () => {
+  assert.deepEqual(
+    planDisputeSettlement({booking: disputedBooking(), outcome: 'partial_refund', refundAmount: '500'}),
+    {status: 'completed', paymentStatus: 'partially_refunded', refundAmount: 500}
+  );
+  for (const refundAmount of [undefined, 0, 1500, 2000, 'half']) {
+    assert.ok(
+      planDisputeSettlement({booking: disputedBooking(), outcome: 'partial_refund', refundAmount}).error
+    );
+  }
+  assert.ok(planDisputeSettlement({booking: disputedBooking(), outcome: 'split'}).error);
+});
+
+test('an open dispute blocks completing or cancelling the booking', () => {
+  // 2025-03-10 17:00 in Bangkok, after the booking ended
+  const now = new Date('2025-03-10T10:00:00Z');
+  for (const status of ['completed', 'cancelled']) {
+    const rejected = checkBookingTransition({
+      booking: disputedBooking(),
+      role: 'admin',
+      changes: {status},
+      now,
+    });
+    assert.equal(rejected.status, 422);
+    assert.match(rejected.body.message, /open dispute/);
+  }
+
+  assert.equal(
+    checkBookingTransition({
+      booking: disputedBooking({openDisputeId: null}),
+      role: 'admin',
+      changes: {status: 'completed'},
+      now,
+    }),
+    null
+  );
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EscrowHold = require('../models/EscrowHold');
+const JournalEntry = require('../models/JournalEntry');
+const {holdConfirmedPayment} = require('../utils/payments');
+const {
+  escrowRemainingOf,
+  escrowStatusOf,
+  holdBookingFunds,
+  recordEscrowMovement,
+} = require('../utils/escrow');
+
+const booking = {_id: 'b-1', customerId: 'customer-1', providerId: 'provider-1', totalAmount: 1000};
+
+// One hold per booking, updated the way the escrow helpers ask
+const holdModelStub = () => {
+  const holds = [];
+  const find = (bookingId) => holds.find((h) => h.bookingId === bookingId);
+  return {
+    holds,
+    findOne: async ({bookingId}) => find(bookingId) || null,
+    findOneAndUpdate: async (filter, update) => {
+      let hold = find(filter.bookingId);
+      if (update.$setOnInsert) {
+        if (!hold) {
+          hold = {
+            _id: `hold-${holds.length + 1}`,
+            bookingId: filter.bookingId,
+            releasedAmount: 0,
+            commissionAmount: 0,
+            refundedAmount: 0,
+            compensationAmount: 0,
+            ...update.$setOnInsert,
+          };
+          holds.push(hold);
+        }
+        return hold;
+      }
+      const kind = filter['movements.kind'].$ne;
+      if (!hold || hold.movements.some((m) => m.kind === kind)) return null;
+      hold.movements.push(update.$push.movements);
+      Object.entries(update.$inc).forEach(([field, amount]) => {
+        hold[field] += amount;
+      });
+      return hold;
+    },
+    updateOne: async ({_id}, {$set}) => {
+      Object.assign(holds.find((h) => h._id === _id), $set);
+    },
+  };
+};
+
+test('escrowStatusOf follows where the held money went', () => {
+  const hold = (amounts) => ({
+    amount: 1000,
+    releasedAmount: 0,
+    commissionAmount: 0,
+    refundedAmount: 0,
+    compensationAmount: 0,
+    ...amounts,
+  });
+
+  assert.equal(escrowStatusOf(hold({releasedAmount: 900})), 'held');
+  assert.equal(escrowStatusOf(hold({releasedAmount: 900, commissionAmount: 100})), 'released');
+  assert.equal(escrowStatusOf(hold({refundedAmount: 1000})), 'refunded');
+  assert.equal(escrowStatusOf(hold({refundedAmount: 500, compensationAmount: 500})), 'split');
+  assert.equal(escrowRemainingOf(hold({releasedAmount: 899.9, commissionAmount: 0.1})), 100);
+});
+
+test('holdBookingFunds opens one hold per booking', async () => {
+  const HoldModel = holdModelStub();
+
+  await holdBookingFunds(booking, {HoldModel});
+  await holdBookingFunds(booking, {HoldModel, amount: 5});
+
+  assert.equal(HoldModel.holds.length, 1);
+  assert.equal(HoldModel.holds[0].amount, 1000);
+  assert.deepEqual(
+    HoldModel.holds[0].movements.map((m) => [m.kind, m.amount]),
+    [['hold', 1000]]
+  );
+});
+
+test('a booking paid by hand is held with the entry that funded escrow', async (t) => {
+  const HoldModel = holdModelStub();
+  const keys = [];
+  // The entry was posted already, so posting it again returns it
+  t.mock.method(JournalEntry, 'findOne', async ({idempotencyKey}) => {
+    keys.push(idempotencyKey);
+    return {_id: 'je-1', idempotencyKey};
+  });
+  t.mock.method(EscrowHold, 'findOneAndUpdate', HoldModel.findOneAndUpdate);
+
+  await holdConfirmedPayment(booking);
+
+  assert.deepEqual(keys, ['booking-payment:b-1']);
+  assert.deepEqual(
+    HoldModel.holds[0].movements.map((m) => [m.kind, m.amount, m.journalEntryId]),
+    [['hold', 1000, 'je-1']]
+  );
+});
+
+test('completing a booking releases the hold to the provider and the platform', async () => {
+  const HoldModel = holdModelStub();
+  await holdBookingFunds(booking, {HoldModel});
+
+  await recordEscrowMovement(booking, {kind: 'release', amount: 900, transactionId: 'tx-1', HoldModel});
+  assert.equal(HoldModel.holds[0].status, 'held');
+
+  const settled = await recordEscrowMovement(booking, {
+    kind: 'commission',
+    amount: 100,
+    journalEntryId: 'je-1',
+    HoldModel,
+  });
+
+  assert.equal(settled.status, 'released');
+  assert.ok(settled.settledAt instanceof Date);
+  assert.equal(escrowRemainingOf(settled), 0);
+});
+
+test('each movement is recorded once and a legacy booking gets its hold', async () => {
+  const HoldModel = holdModelStub();
+
+  await recordEscrowMovement(booking, {kind: 'refund', amount: 1000, transactionId: 'tx-1', HoldModel});
+  await recordEscrowMovement(booking, {kind: 'refund', amount: 1000, transactionId: 'tx-1', HoldModel});
+  await recordEscrowMovement(booking, {kind: 'compensation', amount: 0, HoldModel});
+
+  const [hold] = HoldModel.holds;
+  assert.equal(hold.refundedAmount, 1000);
+  assert.equal(hold.status, 'refunded');
+  assert.deepEqual(
+    hold.movements.map((m) => m.kind),
+    ['hold', 'refund']
+  );
+});
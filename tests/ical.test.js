@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {escapeText, foldLine, formatLocal, buildCalendar} = require('../utils/ical');
+
+const booking = (overrides = {}) => ({
+  _id: 'b-1',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+  status: 'confirmed',
+  createdAt: new Date('2025-03-01T02:00:00Z'),
+  updatedAt: new Date('2025-03-02T02:00:00Z'),
+  ...overrides,
+});
+
+const now = new Date('2025-03-05T00:00:00Z');
+
+test('text values are escaped', () => {
+  assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+});
+
+test('long lines fold at 75 octets without splitting Thai characters', () => {
+  const line = `SUMMARY:${'นัดหมาย'.repeat(10)}`;
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every((part) => Buffer.byteLength(part, 'utf8') <= 75));
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(''), line);
+});
+
+test('local times use the booking date and roll over at midnight', () => {
+  assert.equal(formatLocal('2025-03-10', '09:30'), '20250310T093000');
+  assert.equal(formatLocal('2025-03-31', '24:00'), '20250401T000000');
+});
+
+test('calendar carries Bangkok timezone data and one event per booking', () => {
+  const ics = buildCalendar({
+    name: 'Bookings',
+    events: [
+      {booking: booking(), summary: 'Dinner', description: 'Booking: b-1'},
+      {booking: booking({_id: 'b-2', status: 'cancelled'}), summary: 'Lunch', description: ''},
+      {booking: booking({_id: 'b-3', status: 'unknown'}), summary: 'Skip', description: ''},
+    ],
+    now,
+  });
+  const lines = ics.split('\r\n');
+
+  assert.ok(ics.endsWith('\r\n'));
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(lines.includes('TZID:Asia/Bangkok'));
+  assert.ok(lines.includes('TZOFFSETTO:+0700'));
+  assert.equal(lines.filter((line) => line === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('UID:b-1@rental-girlfriend'));
+  assert.ok(lines.includes('DTSTART;TZID=Asia/Bangkok:20250310T130000'));
+  assert.ok(lines.includes('DTEND;TZID=Asia/Bangkok:20250310T160000'));
+  assert.ok(lines.includes('DTSTAMP:20250305T000000Z'));
+  assert.ok(lines.includes('STATUS:CANCELLED'));
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {buildIdempotency} = require('../middleware/idempotency');
+
+// In-memory stand-in for the IdempotencyKey model with its unique index
+const keyModelStub = () => {
+  const records = [];
+  return {
+    records,
+    create: async (doc) => {
+      if (records.some((r) => r.userId === doc.userId && r.key === doc.key)) {
+        throw Object.assign(new Error('duplicate key'), {code: 11000});
+      }
+      const record = {_id: `key-${records.length + 1}`, status: 'in_progress', ...doc};
+      records.push(record);
+      return record;
+    },
+    findOne: async ({userId, key}) =>
+      records.find((r) => r.userId === userId && r.key === key) || null,
+    updateOne: async ({_id}, {$set}) => {
+      Object.assign(records.find((r) => r._id === _id), $set);
+    },
+    deleteOne: async ({_id}) => {
+      const index = records.findIndex((r) => r._id === _id);
+      if (index >= 0) records.splice(index, 1);
+    },
+  };
+};
+
+const createReq = (body, key = 'retry-1', userId = 'cust-1') => ({
+  method: 'POST',
+  baseUrl: '/api/v1/payments',
+  path: '/',
+  body,
+  user: {id: userId},
+  get: (name) => (name === 'Idempotency-Key' && key !== null ? key : undefined),
+});
+
+// Resolves once the middleware or the handler has sent a response
+const send = (middleware, req, handler) =>
+  new Promise((resolve) => {
+    const res = {statusCode: 200, headers: {}};
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    res.json = (payload) => {
+      res.body = payload;
+      resolve(res);
+      return res;
+    };
+    middleware(req, res, () => handler(req, res));
+  });
+
+const build = (current = '2025-03-10T00:00:00Z') => {
+  const KeyModel = keyModelStub();
+  let now = new Date(current);
+  const middleware = buildIdempotency({KeyModel, now: () => now, ttlHours: 24});
+  let calls = 0;
+  const handler = (req, res) => {
+    calls += 1;
+    res.status(201).json({success: true, data: {id: `payment-${calls}`, amount: req.body.amount}});
+  };
+  return {
+    KeyModel,
+    middleware,
+    handler,
+    calls: () => calls,
+    advance: (hours) => {
+      now = new Date(now.getTime() + hours * 60 * 60 * 1000);
+    },
+  };
+};
+
+test('a retry with the same key returns the stored response without running again', async () => {
+  const {middleware, handler, calls} = build();
+
+  const first = await send(middleware, createReq({amount: 500, bookingId: 'b-1'}), handler);
+  // Same body with its keys in another order
+  const retry = await send(middleware, createReq({bookingId: 'b-1', amount: 500}), handler);
+
+  assert.equal(calls(), 1);
+  assert.equal(retry.statusCode, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+});
+
+test('reusing a key with a different body is rejected', async () => {
+  const {middleware, handler, calls} = build();
+
+  await send(middleware, createReq({amount: 500}), handler);
+  const res = await send(middleware, createReq({amount: 900}), handler);
+
+  assert.equal(res.statusCode, 422);
+  assert.equal(calls(), 1);
+});
+
+test('keys are scoped per user and expire after the TTL', async () => {
+  const {middleware, handler, calls, advance} = build();
+
+  await send(middleware, createReq({amount: 500}), handler);
+  await send(middleware, createReq({amount: 500}, 'retry-1', 'cust-2'), handler);
+  assert.equal(calls(), 2);
+
+  advance(25);
+  const res = await send(middleware, createReq({amount: 500}), handler);
+  assert.equal(calls(), 3);
+  assert.equal(res.body.data.id, 'payment-3');
+});
+
+test('a retry during the first request gets 409 and server errors are not kept', async () => {
+  const {KeyModel, middleware, handler} = build();
+  let finishFirst;
+  const slow = (req, res) => {
+    finishFirst = () => handler(req, res);
+  };
+
+  const first = send(middleware, createReq({amount: 500}), slow);
+  const busy = await send(middleware, createReq({amount: 500}), handler);
+  assert.equal(busy.statusCode, 409);
+  finishFirst();
+  assert.equal((await first).statusCode, 201);
+
+  const failing = (req, res) => res.status(500).json({success: false, message: 'Server error'});
+  await send(middleware, createReq({amount: 500}, 'flaky'), failing);
+  assert.equal(KeyModel.records.some((r) => r.key === 'flaky'), false);
+});
+
+test('requests without the header pass straight through', async () => {
+  const {KeyModel, middleware, handler, calls} = build();
+
+  await send(middleware, createReq({amount: 500}, null), handler);
+  await send(middleware, createReq({amount: 500}, null), handler);
+
+  assert.equal(calls(), 2);
+  assert.equal(KeyModel.records.length, 0);
+});
@@ -0,0 +1,268 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+const Wallet = require('../models/Wallet');
+const {buildLedger, transactionKindOf} = require('../utils/ledger');
+const {findWalletDrift, reconcileWallets} = require('../scripts/reconcileWallets');
+
+// In-memory accounts, entries and wallets, enough for the ledger's queries
+const buildStores = () => {
+  const accounts = [];
+  const entries = [];
+  const wallets = [];
+  const AccountModel = {
+    findOne: async ({code}) => accounts.find((a) => a.code === code) || null,
+    findOneAndUpdate: async ({code}, {$setOnInsert}) => {
+      let account = accounts.find((a) => a.code === code);
+      if (!account) {
+        account = {_id: `acc-${accounts.length + 1}`, code, ...$setOnInsert};
+        accounts.push(account);
+      }
+      return account;
+    },
+  };
+  const EntryModel = {
+    findOne: async ({idempotencyKey}) =>
+      entries.find((e) => e.idempotencyKey === idempotencyKey) || null,
+    create: async (docs) => {
+      entries.push(...docs);
+      return docs;
+    },
+    aggregate: async ([{$match}]) => {
+      const accountId = $match['postings.accountId'];
+      const totals = {};
+      entries
+        .flatMap((e) => e.postings)
+        .filter((p) => p.accountId === accountId)
+        .forEach((p) => {
+          totals[p.direction] = (totals[p.direction] || 0) + p.amount;
+        });
+      return Object.entries(totals).map(([_id, total]) => ({_id, total}));
+    },
+  };
+  const WalletModel = {
+    findOne: async ({userId}) => wallets.find((w) => w.userId === userId) || null,
+    findOneAndUpdate: async (filter, update) => {
+      let wallet = wallets.find((w) => w.userId === filter.userId);
+      if (update.$setOnInsert) {
+        if (!wallet) {
+          wallet = {userId: filter.userId, balanceSatang: 0};
+          wallets.push(wallet);
+        }
+        return wallet;
+      }
+      const needed = filter.balanceSatang?.$gte;
+      if (!wallet || (needed !== undefined && wallet.balanceSatang < needed)) return null;
+      wallet.balanceSatang += update.$inc.balanceSatang;
+      return wallet;
+    },
+  };
+  return {accounts, entries, wallets, AccountModel, EntryModel, WalletModel};
+};
+
+const buildTestLedger = ({TransactionModel} = {}) => {
+  const stores = buildStores();
+  const ledger = buildLedger({
+    AccountModel: stores.AccountModel,
+    EntryModel: stores.EntryModel,
+    WalletModel: stores.WalletModel,
+    TransactionModel,
+    runInTransaction: (work) => work(null),
+  });
+  return {...stores, ledger};
+};
+
+const tx = (overrides) => ({
+  _id: `tx-${overrides.type}-${overrides.method || ''}`,
+  customerId: 'user-1',
+  currency: 'THB',
+  status: 'completed',
+  createdAt: new Date('2025-03-01T00:00:00Z'),
+  ...overrides,
+});
+
+test('transactionKindOf tells earnings and compensation apart from topups', () => {
+  assert.equal(transactionKindOf({type: 'topup', method: 'promptpay'}), 'topup');
+  assert.equal(transactionKindOf({type: 'topup', method: 'earning'}), 'earning');
+  assert.equal(transactionKindOf({type: 'topup', method: 'compensation'}), 'compensation');
+  assert.equal(transactionKindOf({type: 'withdrawal', method: 'bank_transfer'}), 'withdrawal');
+});
+
+test('journal entries must balance', () => {
+  const entry = (postings) =>
+    new JournalEntry({kind: 'topup', idempotencyKey: 'k', postings}).validateSync();
+  const posting = (direction, amount) => ({
+    accountId: 'a',
+    accountCode: 'gateway',
+    direction,
+    amount,
+  });
+
+  assert.equal(entry([posting('debit', 0.3), posting('credit', 0.1), posting('credit', 0.2)]), undefined);
+  assert.match(
+    entry([posting('debit', 100), posting('credit', 99.99)]).errors.postings.message,
+    /must balance/
+  );
+  assert.match(entry([posting('debit', 100)]).errors.postings.message, /at least two/);
+});
+
+test('wallet balances follow the money through a booking', async () => {
+  const {ledger} = buildTestLedger();
+
+  await ledger.postTransactionEntry(tx({type: 'topup', method: 'promptpay', amount: 2000}));
+  await ledger.postTransactionEntry(tx({type: 'payment', method: 'wallet', amount: 1500}));
+  await ledger.postTransactionEntry(tx({type: 'refund', method: 'refund', amount: 500}));
+  await ledger.postTransactionEntry(
+    tx({type: 'topup', method: 'earning', amount: 900, customerId: 'provider-1'})
+  );
+  await ledger.recordCommission({
+    booking: {_id: 'b-1', serviceName: 'ทำความสะอาด'},
+    amount: 100,
+  });
+  await ledger.postTransactionEntry(
+    tx({type: 'withdrawal', method: 'bank_transfer', amount: 400, customerId: 'provider-1'})
+  );
+
+  const customer = await ledger.walletBalance('user-1');
+  assert.deepEqual(
+    [customer.credits, customer.debits, customer.balance],
+    [2500, 1500, 1000]
+  );
+  assert.equal((await ledger.walletBalance('provider-1')).balance, 500);
+  assert.equal((await ledger.accountBalance('escrow')).balance, 0);
+  assert.equal((await ledger.accountBalance('platform_revenue')).balance, 100);
+  // Money paid out to banks leaves the platform's assets
+  assert.equal((await ledger.accountBalance('payouts')).balance, -400);
+  // What came in and stayed is what the platform owes users plus what it earned
+  assert.equal((await ledger.accountBalance('gateway')).balance - 400, 1000 + 500 + 100);
+  assert.equal((await ledger.walletBalance('nobody')).balance, 0);
+});
+
+test('each transaction is posted once and only when completed', async () => {
+  const {ledger, entries} = buildTestLedger();
+  const topup = tx({type: 'topup', method: 'promptpay', amount: 100});
+
+  await ledger.postTransactionEntry(topup);
+  await ledger.postTransactionEntry(topup);
+  await ledger.postTransactionEntry(tx({type: 'payment', amount: 50, status: 'pending'}));
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].idempotencyKey, 'transaction:tx-topup-promptpay');
+});
+
+test('wallets cannot be debited below zero', async () => {
+  const {ledger, wallets} = buildTestLedger();
+  await ledger.postTransactionEntry(tx({type: 'topup', method: 'promptpay', amount: 300}));
+
+  await assert.rejects(
+    ledger.postTransactionEntry(tx({type: 'withdrawal', method: 'bank_transfer', amount: 300.01})),
+    {name: 'InsufficientBalanceError'}
+  );
+  assert.equal(wallets[0].balanceSatang, 30000);
+
+  await ledger.postTransactionEntry(tx({type: 'payment', method: 'wallet', amount: 300}));
+  assert.equal((await ledger.walletBalance('user-1')).balance, 0);
+});
+
+test('replayed history may overdraw a wallet', async () => {
+  const {ledger} = buildTestLedger();
+
+  await ledger.postTransactionEntry(tx({type: 'payment', method: 'wallet', amount: 50}), {
+    allowOverdraft: true,
+  });
+
+  assert.equal((await ledger.walletBalance('user-1')).balance, -50);
+});
+
+test('recordTransaction creates the transaction and its entry together', async () => {
+  const sessions = [];
+  const TransactionModel = {
+    create: async ([payload], {session}) => {
+      sessions.push(session);
+      return [{_id: 'tx-1', ...payload}];
+    },
+  };
+  const {ledger, entries} = buildTestLedger({TransactionModel});
+
+  await assert.rejects(
+    ledger.recordTransaction({type: 'gift', status: 'completed', amount: 10}, {session: 's-1'}),
+    /Unknown transaction type/
+  );
+  await ledger.recordTransaction(
+    {type: 'topup', status: 'completed', amount: 10, customerId: 'user-1'},
+    {session: 's-1'}
+  );
+
+  assert.deepEqual(sessions, ['s-1', 's-1']);
+  assert.equal(entries[0].transactionId, 'tx-1');
+});
+
+test('escrow is funded by gateway and admin-confirmed payments before it pays out', async () => {
+  const {ledger, entries} = buildTestLedger();
+  const booking = {_id: 'b-1', serviceName: 'ทำความสะอาด', totalAmount: 1000};
+
+  await ledger.recordGatewayPayment({
+    payment: {_id: 'pay-1', bookingId: 'b-2', amount: 500, gateway: 'omise', transactionId: 'chrg_1'},
+  });
+  await ledger.recordConfirmedPayment({booking});
+  await ledger.recordConfirmedPayment({booking});
+  assert.equal((await ledger.accountBalance('escrow')).balance, 1500);
+
+  await ledger.postTransactionEntry(
+    tx({type: 'topup', method: 'earning', amount: 900, customerId: 'provider-1', bookingId: 'b-1'})
+  );
+  await ledger.recordCommission({booking, amount: 100});
+  assert.equal((await ledger.accountBalance('escrow')).balance, 500);
+  assert.equal(entries.filter((e) => e.idempotencyKey === 'booking-payment:b-1').length, 1);
+});
+
+test('findWalletDrift reports wallets that differ from their postings', () => {
+  const drift = findWalletDrift({
+    expected: new Map([
+      ['a', 1000],
+      ['b', 500],
+      ['c', 250],
+    ]),
+    wallets: [
+      {userId: 'a', balanceSatang: 1000},
+      {userId: 'b', balanceSatang: 700},
+      {userId: 'd', balanceSatang: 0},
+    ],
+  });
+
+  assert.deepEqual(drift, [
+    {userId: 'b', expectedSatang: 500, storedSatang: 700, missing: false},
+    {userId: 'c', expectedSatang: 250, storedSatang: 0, missing: true},
+  ]);
+});
+
+test('reconcileWallets reads the ledger and the wallets from one snapshot', async (t) => {
+  const session = {ended: false, endSession: async () => (session.ended = true)};
+  const reads = [];
+  t.mock.method(mongoose, 'startSession', async (options) => {
+    assert.deepEqual(options, {snapshot: true});
+    return session;
+  });
+  t.mock.method(JournalEntry, 'aggregate', () => ({
+    session: async (used) => {
+      reads.push(['ledger', used]);
+      return [{_id: 'wallet:a', satang: 1000}];
+    },
+  }));
+  t.mock.method(Wallet, 'find', (filter, projection, options) => ({
+    lean: async () => {
+      reads.push(['wallets', options.session]);
+      return [{userId: 'a', balanceSatang: 1000}];
+    },
+  }));
+
+  const summary = await reconcileWallets();
+
+  assert.deepEqual(reads, [
+    ['ledger', session],
+    ['wallets', session],
+  ]);
+  assert.equal(session.ended, true);
+  assert.deepEqual(summary, {checked: 1, drift: [], fixed: 0});
+});
@@ -0,0 +1,281 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  noShowReportWindowOf,
+  checkNoShowReport,
+  quoteNoShow,
+  isNoShowUpheld,
+  recordNoShow,
+} = require('../utils/noShow');
+const {checkBookingTransition} = require('../utils/bookingTransitions');
+const Booking = require('../models/Booking');
+const {getCancellationQuote} = require('../controllers/bookings');
+const {buildNoShowSettlementJob} = require('../jobs/settleNoShows');
+
+// 2025-03-10 13:00-16:00 Bangkok is 06:00-09:00 UTC
+const paidBooking = (overrides = {}) => ({
+  _id: 'b-1',
+  customerId: 'customer-1',
+  providerId: 'provider-1',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  totalAmount: 1500,
+  openDisputeId: null,
+  checkedInAt: null,
+  ...overrides,
+});
+
+const createRes = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+const reasonFor = (booking, role, iso) =>
+  checkNoShowReport({booking, role, now: new Date(iso)})?.body.message ?? null;
+
+test('noShowReportWindowOf opens after the grace period and closes after the window', () => {
+  const window = noShowReportWindowOf(paidBooking(), {graceMinutes: 15, windowHours: 24});
+
+  assert.equal(window.opensAt.toISOString(), '2025-03-10T06:15:00.000Z');
+  assert.equal(window.closesAt.toISOString(), '2025-03-11T06:00:00.000Z');
+  assert.equal(noShowReportWindowOf(paidBooking({date: 'soon'})), null);
+});
+
+test('either party can report a no-show inside the window', () => {
+  assert.equal(reasonFor(paidBooking(), 'customer', '2025-03-10T06:30:00Z'), null);
+  assert.equal(reasonFor(paidBooking(), 'provider', '2025-03-10T06:30:00Z'), null);
+  assert.match(reasonFor(paidBooking(), 'admin', '2025-03-10T06:30:00Z'), /customer or provider/);
+  assert.match(reasonFor(paidBooking(), 'customer', '2025-03-10T06:10:00Z'), /can be reported from/);
+  assert.match(reasonFor(paidBooking(), 'customer', '2025-03-11T06:01:00Z'), /has passed/);
+});
+
+test('no-shows cannot be reported on unpaid, checked-in or already reported bookings', () => {
+  const at = '2025-03-10T06:30:00Z';
+  assert.match(reasonFor(paidBooking({paymentStatus: 'pending'}), 'customer', at), /confirmed, paid/);
+  assert.match(
+    reasonFor(paidBooking({checkedInAt: new Date('2025-03-10T06:00:00Z')}), 'customer', at),
+    /checked in/
+  );
+  assert.match(
+    reasonFor(paidBooking({noShow: {status: 'reported'}}), 'provider', at),
+    /already been reported/
+  );
+  assert.match(reasonFor(paidBooking({openDisputeId: 'd-1'}), 'customer', at), /open dispute/);
+});
+
+test('a provider no-show refunds the customer in full', () => {
+  const quote = quoteNoShow(paidBooking({noShow: {absentParty: 'provider'}}));
+
+  assert.equal(quote.refundAmount, 1500);
+  assert.equal(quote.providerCompensation, 0);
+  assert.equal(quote.paymentStatus, 'refunded');
+
+  // 1.5 hours at 333 an hour: the fraction goes back too
+  const fractional = quoteNoShow(paidBooking({totalAmount: 499.5, noShow: {absentParty: 'provider'}}));
+  assert.equal(fractional.refundAmount, 499.5);
+  assert.equal(fractional.providerCompensation, 0);
+});
+
+test('a customer no-show compensates the provider with the whole payment', () => {
+  const quote = quoteNoShow(paidBooking({noShow: {absentParty: 'customer'}}));
+
+  assert.equal(quote.refundAmount, 0);
+  assert.equal(quote.providerCompensation, 1500);
+  assert.equal(quote.paymentStatus, 'paid');
+});
+
+test('dispute outcomes uphold a no-show only when they agree with the report', () => {
+  assert.equal(isNoShowUpheld('provider', 'full_refund'), true);
+  assert.equal(isNoShowUpheld('provider', 'partial_refund'), false);
+  assert.equal(isNoShowUpheld('customer', 'release_to_provider'), true);
+  assert.equal(isNoShowUpheld('customer', 'full_refund'), false);
+});
+
+test('recordNoShow counts the no-show on the user', async () => {
+  const calls = [];
+  const at = new Date('2025-03-11T07:00:00Z');
+  await recordNoShow({
+    UserModel: {updateOne: async (...args) => calls.push(args)},
+    userId: 'provider-1',
+    at,
+  });
+
+  assert.deepEqual(calls, [
+    [
+      {_id: 'provider-1'},
+      {$inc: {'reliability.noShowCount': 1}, $set: {'reliability.lastNoShowAt': at}},
+    ],
+  ]);
+});
+
+test('a reported no-show holds the booking from completion and cancellation', () => {
+  const rejected = checkBookingTransition({
+    booking: paidBooking({noShow: {status: 'reported'}}),
+    role: 'provider',
+    changes: {status: 'completed'},
+    now: new Date('2025-03-10T10:00:00Z'),
+  });
+
+  assert.equal(rejected.status, 422);
+  assert.match(rejected.body.message, /no-show report/);
+});
+
+test('a reported no-show makes the cancellation quote not cancellable', async (t) => {
+  const stored = new Booking({
+    ...paidBooking({_id: 'b-quote', date: '2099-03-10'}),
+    serviceId: 'service-1',
+    noShow: {absentParty: 'provider', status: 'reported'},
+  });
+  t.mock.method(Booking, 'findById', async () => stored);
+  const quoteFor = async () => {
+    const res = createRes();
+    await getCancellationQuote(
+      {params: {id: 'b-quote'}, query: {}, user: {id: 'customer-1', type: 'customer'}},
+      res
+    );
+    assert.equal(res.statusCode, 200);
+    return res.body.data;
+  };
+
+  assert.equal((await quoteFor()).cancellable, false);
+
+  stored.noShow.status = 'overturned';
+  assert.equal((await quoteFor()).cancellable, true);
+});
+
+const valueAt = (booking, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), booking);
+
+const matches = (booking, filter) =>
+  Object.entries(filter).every(([path, expected]) => {
+    const value = valueAt(booking, path);
+    if (expected && expected.$lte) return value <= expected.$lte;
+    return (value ?? null) === expected;
+  });
+
+const bookingModelStub = (bookings) => {
+  const apply = (booking, update) => {
+    Object.entries(update.$set).forEach(([path, value]) => {
+      const keys = path.split('.');
+      const last = keys.pop();
+      keys.reduce((target, key) => target[key], booking)[last] = value;
+    });
+  };
+  return {
+    find: async (filter) => bookings.filter((b) => matches(b, filter)),
+    findOneAndUpdate: async (filter, update) => {
+      const booking = bookings.find((b) => matches(b, filter));
+      if (!booking) return null;
+      apply(booking, update);
+      return booking;
+    },
+    updateOne: async (filter, update) => {
+      const booking = bookings.find((b) => matches(b, filter));
+      if (booking) apply(booking, update);
+    },
+  };
+};
+
+const reportedBooking = (overrides = {}) =>
+  paidBooking({
+    noShow: {
+      absentParty: 'provider',
+      status: 'reported',
+      contestDeadline: new Date('2025-03-11T07:00:00Z'),
+      disputeId: null,
+      settledAt: null,
+    },
+    ...overrides,
+  });
+
+const buildJob = (bookings, isoNow, {settle} = {}) => {
+  const settled = [];
+  const counted = [];
+  const job = buildNoShowSettlementJob({
+    BookingModel: bookingModelStub(bookings),
+    settle:
+      settle ||
+      (async (booking) => {
+        booking.status = 'cancelled';
+        settled.push(booking._id);
+      }),
+    recordReliability: async ({userId}) => counted.push(userId),
+    releaseCoupon: async () => {},
+    notify: async () => {},
+    recordHistory: async () => {},
+    now: () => new Date(isoNow),
+  });
+  return {job, settled, counted};
+};
+
+test('uncontested no-shows are upheld once the contest deadline passes', async () => {
+  const bookings = [reportedBooking()];
+
+  const early = buildJob(bookings, '2025-03-11T06:59:00Z');
+  assert.equal((await early.job.run()).length, 0);
+  assert.equal(bookings[0].noShow.status, 'reported');
+
+  const due = buildJob(bookings, '2025-03-11T07:00:00Z');
+  const upheld = await due.job.run();
+
+  assert.equal(upheld.length, 1);
+  assert.equal(bookings[0].noShow.status, 'upheld');
+  assert.deepEqual(due.settled, ['b-1']);
+  assert.deepEqual(due.counted, ['provider-1']);
+});
+
+test('contested and disputed no-shows are left to their dispute', async () => {
+  const bookings = [
+    reportedBooking({_id: 'contested', openDisputeId: 'd-1'}),
+    reportedBooking({
+      _id: 'customer-absent',
+      noShow: {
+        absentParty: 'customer',
+        status: 'reported',
+        contestDeadline: new Date('2025-03-11T07:00:00Z'),
+      },
+    }),
+  ];
+  bookings[0].noShow.status = 'contested';
+  const {job, settled, counted} = buildJob(bookings, '2025-03-12T00:00:00Z');
+
+  await job.run();
+
+  assert.deepEqual(settled, ['customer-absent']);
+  assert.deepEqual(counted, ['customer-1']);
+  assert.equal(bookings[0].noShow.status, 'contested');
+});
+
+test('a no-show whose settlement fails goes back to reported', async () => {
+  const bookings = [reportedBooking()];
+  const {job, counted} = buildJob(bookings, '2025-03-12T00:00:00Z', {
+    settle: async () => {
+      throw new Error('payment store down');
+    },
+  });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await job.run()).length, 0);
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(bookings[0].noShow.status, 'reported');
+  assert.equal(bookings[0].noShow.settledAt, null);
+  assert.deepEqual(counted, []);
+});
@@ -0,0 +1,258 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const {
+  buildSimulatorGateway,
+  getSimulatorSecret,
+  SIGNATURE_HEADER,
+} = require('../utils/paymentGateways/simulator');
+const {
+  registerGateway,
+  unregisterGateway,
+  getGateway,
+  getConfiguredGateway,
+} = require('../utils/paymentGateways');
+const {checkBookingTransition} = require('../utils/bookingTransitions');
+const {createPayment} = require('../controllers/payments');
+const {receiveGatewayEvent} = require('../utils/payments');
+
+const now = new Date('2025-03-10T06:00:00Z');
+
+const buildGateway = (overrides = {}) => {
+  const scheduled = [];
+  const gateway = buildSimulatorGateway({
+    secret: 'test-secret',
+    delayMs: 1000,
+    outcome: 'completed',
+    schedule: (fn, ms) => scheduled.push({fn, ms}),
+    now: () => now,
+    ...overrides,
+  });
+  return {gateway, scheduled};
+};
+
+const payment = (overrides = {}) => ({
+  _id: 'pay-1',
+  amount: 1500,
+  currency: 'THB',
+  paymentMethod: 'credit_card',
+  ...overrides,
+});
+
+test('simulator webhooks verify only with an intact body, the right key and a fresh timestamp', () => {
+  const {gateway} = buildGateway();
+  const rawBody = Buffer.from('{"id":"evt_1"}');
+  const headers = {[SIGNATURE_HEADER]: gateway.signPayload(rawBody)};
+
+  assert.equal(gateway.verifyWebhook({rawBody, headers}), true);
+  assert.equal(gateway.verifyWebhook({rawBody: Buffer.from('{"id":"evt_2"}'), headers}), false);
+  assert.equal(gateway.verifyWebhook({rawBody, headers: {}}), false);
+  assert.equal(gateway.verifyWebhook({rawBody, headers: {[SIGNATURE_HEADER]: 't=1,v1=zz'}}), false);
+
+  const {gateway: otherKey} = buildGateway({secret: 'other-secret'});
+  assert.equal(otherKey.verifyWebhook({rawBody, headers}), false);
+
+  const stale = gateway.signPayload(rawBody, Math.floor(now.getTime() / 1000) - 10 * 60);
+  assert.equal(gateway.verifyWebhook({rawBody, headers: {[SIGNATURE_HEADER]: stale}}), false);
+});
+
+test('simulator is disabled without a signing key', () => {
+  const {gateway} = buildGateway({secret: null});
+
+  assert.equal(gateway.enabled, false);
+  assert.equal(gateway.verifyWebhook({rawBody: Buffer.from('{}'), headers: {}}), false);
+});
+
+// Run `fn` with the given environment variables, undefined ones unset
+const withEnv = async (vars, fn) => {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  const apply = (values) =>
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  apply(vars);
+  try {
+    return await fn();
+  } finally {
+    apply(saved);
+  }
+};
+
+test('simulator is only on when PAYMENT_GATEWAY selects it and a key is set', async () => {
+  const secretWith = (vars) => withEnv(vars, getSimulatorSecret);
+
+  assert.equal(await secretWith({PAYMENT_GATEWAY: undefined, PAYMENT_SIMULATOR_SECRET: undefined}), null);
+  assert.equal(await secretWith({PAYMENT_GATEWAY: undefined, PAYMENT_SIMULATOR_SECRET: 'k'}), null);
+  assert.equal(await secretWith({PAYMENT_GATEWAY: 'simulator', PAYMENT_SIMULATOR_SECRET: undefined}), null);
+  assert.equal(await secretWith({PAYMENT_GATEWAY: 'simulator', PAYMENT_SIMULATOR_SECRET: 'k'}), 'k');
+});
+
+test('simulator charges send PromptPay to a QR code and cards to a checkout page', async () => {
+  const {gateway} = buildGateway();
+
+  const qr = await gateway.createCharge({payment: payment({paymentMethod: 'promptpay'}), deliver: () => {}});
+  const card = await gateway.createCharge({payment: payment(), deliver: () => {}});
+
+  assert.equal(qr.nextAction.type, 'qr');
+  assert.match(qr.chargeId, /^sim_ch_/);
+  assert.equal(card.nextAction.type, 'redirect');
+  assert.notEqual(qr.chargeId, card.chargeId);
+});
+
+test('simulator reports the charge result later as a signed webhook', async () => {
+  const {gateway, scheduled} = buildGateway();
+  const delivered = [];
+  const {chargeId} = await gateway.createCharge({
+    payment: payment(),
+    deliver: async (rawBody, headers) => delivered.push({rawBody, headers}),
+  });
+
+  assert.equal(delivered.length, 0);
+  assert.equal(scheduled[0].ms, 1000);
+  await scheduled[0].fn();
+
+  const [{rawBody, headers}] = delivered;
+  assert.equal(gateway.verifyWebhook({rawBody, headers}), true);
+  assert.deepEqual(
+    {...gateway.parseEvent(JSON.parse(rawBody)), eventId: undefined},
+    {eventId: undefined, chargeId, status: 'completed', amount: 1500, failureReason: ''}
+  );
+});
+
+test('simulator can be set to decline every charge', async () => {
+  const {gateway, scheduled} = buildGateway({outcome: 'failed'});
+  let event;
+  await gateway.createCharge({
+    payment: payment(),
+    deliver: async (rawBody) => {
+      event = gateway.parseEvent(JSON.parse(rawBody));
+    },
+  });
+  await scheduled[0].fn();
+
+  assert.equal(event.status, 'failed');
+  assert.match(event.failureReason, /Declined/);
+  assert.equal(gateway.parseEvent({type: 'charge.refunded', data: {chargeId: 'x'}}), null);
+});
+
+test('customers can no longer mark their own booking paid', () => {
+  const booking = {
+    customerId: 'cust',
+    providerId: 'prov',
+    date: '2025-03-12',
+    startTime: '13:00',
+    endTime: '16:00',
+    status: 'confirmed',
+    paymentStatus: 'pending',
+  };
+  const change = (role) =>
+    checkBookingTransition({booking, role, changes: {paymentStatus: 'paid'}, now});
+
+  assert.equal(change('customer').status, 422);
+  assert.equal(change('admin'), null);
+});
+
+const createRes = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.body = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+};
+
+const pay = async (t, body) => {
+  t.mock.method(Booking, 'findById', async () => ({
+    _id: 'booking-1',
+    customerId: 'cust',
+    providerId: 'prov',
+    status: 'confirmed',
+    paymentStatus: 'pending',
+    totalAmount: 1500,
+  }));
+  const res = createRes();
+  await createPayment(
+    {user: {id: 'cust', type: 'customer'}, body: {bookingId: 'booking-1', paymentMethod: 'credit_card', ...body}},
+    res
+  );
+  return res;
+};
+
+test('gateway payments need a configured gateway and cannot pick another one', async (t) => {
+  registerGateway({name: 'test-gateway', enabled: true});
+  t.after(() => unregisterGateway('test-gateway'));
+
+  await withEnv({PAYMENT_GATEWAY: undefined}, async () => {
+    assert.equal(getConfiguredGateway(), null);
+    assert.equal((await pay(t, {})).statusCode, 503);
+  });
+  await withEnv({PAYMENT_GATEWAY: 'test-gateway'}, async () => {
+    assert.equal(getConfiguredGateway().name, 'test-gateway');
+    const res = await pay(t, {gateway: 'simulator'});
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Unknown payment gateway/);
+  });
+});
+
+test('gateways registered by a test are gone after it', () => {
+  assert.equal(getGateway('test-gateway'), null);
+});
+
+// Settle the pending top-up tx-1 of 100 with a webhook for `amount`
+const settleTopUp = async (t, amount) => {
+  const {gateway} = buildGateway();
+  registerGateway({...gateway, name: 'test-webhooks'});
+  t.after(() => unregisterGateway('test-webhooks'));
+
+  const topUp = {_id: 'tx-1', customerId: 'cust', amount: 100, type: 'topup', status: 'pending'};
+  const updates = [];
+  const keys = [];
+  t.mock.method(Payment, 'findOne', async () => null);
+  t.mock.method(Transaction, 'findOne', async () => topUp);
+  t.mock.method(Transaction, 'findOneAndUpdate', async (filter, {$set}) => {
+    updates.push({filter, $set});
+    return {...topUp, ...$set};
+  });
+  // The entry was posted already, so posting it again returns it
+  t.mock.method(JournalEntry, 'findOne', async ({idempotencyKey}) => {
+    keys.push(idempotencyKey);
+    return {_id: 'je-1', idempotencyKey};
+  });
+
+  const rawBody = Buffer.from(
+    JSON.stringify({id: 'evt-1', type: 'charge.succeeded', data: {chargeId: 'ch-1', amount}})
+  );
+  const result = await receiveGatewayEvent({
+    provider: 'test-webhooks',
+    rawBody,
+    headers: {[SIGNATURE_HEADER]: gateway.signPayload(rawBody)},
+  });
+  return {result, updates, keys};
+};
+
+test('a paid top-up charge completes the top-up and posts it to the wallet', async (t) => {
+  const {result, updates, keys} = await settleTopUp(t, 100);
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.data.status, 'completed');
+  assert.deepEqual(updates[0].filter, {_id: 'tx-1', type: 'topup', status: 'pending'});
+  assert.deepEqual(keys, ['transaction:tx-1']);
+});
+
+test('a top-up charged for a different amount fails and credits nothing', async (t) => {
+  const {result, keys} = await settleTopUp(t, 90);
+
+  assert.equal(result.body.data.status, 'failed');
+  assert.match(result.body.data.failureReason, /charged 90 instead of 100/);
+  assert.deepEqual(keys, []);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveAddOnSelections,
+  calculateBookingPrice,
+  calculatePlatformFee,
+  findPriceMismatches,
+} = require('../utils/pricing');
+
+const service = {priceHour: 500, priceDay: 3000};
+
+test('calculateBookingPrice charges per hour for short bookings', () => {
+  const quote = calculateBookingPrice({
+    service,
+    startTime: '13:00',
+    endTime: '16:30',
+    depositPercent: 50,
+    platformFeePercent: 10,
+  });
+
+  assert.equal(quote.totalHours, 3.5);
+  assert.equal(quote.totalAmount, 1750);
+  assert.equal(quote.depositAmount, 875);
+  assert.equal(quote.breakdown.unit, 'hour');
+  assert.equal(quote.breakdown.baseAmount, 1750);
+  assert.equal(quote.breakdown.platformFee, 175);
+});
+
+test('calculateBookingPrice caps long days at the day rate', () => {
+  const quote = calculateBookingPrice({
+    service,
+    startTime: '09:00',
+    endTime: '19:00',
+    depositPercent: 30,
+    platformFeePercent: 10,
+  });
+
+  assert.equal(quote.totalHours, 10);
+  assert.equal(quote.totalAmount, 3000);
+  assert.equal(quote.depositAmount, 900);
+  assert.equal(quote.breakdown.unit, 'day');
+  assert.equal(quote.breakdown.units, 1);
+});
+
+test('calculateBookingPrice ignores a zero day rate', () => {
+  const quote = calculateBookingPrice({
+    service: {priceHour: 400, priceDay: 0},
+    startTime: '09:00',
+    endTime: '19:00',
+  });
+
+  assert.equal(quote.totalAmount, 4000);
+  assert.equal(quote.breakdown.unit, 'hour');
+});
+
+test('calculateBookingPrice charges each day covered by a multi-day booking', () => {
+  const quote = calculateBookingPrice({
+    service,
+    date: '2025-03-10',
+    endDate: '2025-03-12',
+    startTime: '09:00',
+    endTime: '18:00',
+    depositPercent: 50,
+    platformFeePercent: 10,
+  });
+
+  assert.equal(quote.totalHours, 57);
+  assert.equal(quote.totalAmount, 9000);
+  assert.equal(quote.breakdown.unit, 'day');
+  assert.equal(quote.breakdown.units, 3);
+  assert.equal(quote.breakdown.unitPrice, 3000);
+});
+
+test('calculateBookingPrice keeps short overnight bookings hourly', () => {
+  const quote = calculateBookingPrice({
+    service,
+    date: '2025-03-10',
+    endDate: '2025-03-11',
+    startTime: '22:00',
+    endTime: '02:00',
+  });
+
+  assert.equal(quote.totalHours, 4);
+  assert.equal(quote.totalAmount, 2000);
+  assert.equal(quote.breakdown.unit, 'hour');
+});
+
+test('calculateBookingPrice rejects invalid ranges', () => {
+  assert.equal(
+    calculateBookingPrice({service, date: '2025-03-12', endDate: '2025-03-10', startTime: '09:00', endTime: '10:00'}),
+    null
+  );
+  assert.equal(calculateBookingPrice({service, startTime: '10:00', endTime: '09:00'}), null);
+  assert.equal(calculateBookingPrice({service, startTime: 'soon', endTime: '09:00'}), null);
+});
+
+const serviceWithAddOns = {
+  priceHour: 500,
+  priceDay: 3000,
+  addOns: [
+    {_id: 'dinner', name: 'Dinner', price: 800, unit: 'booking', maxQuantity: 1, active: true},
+    {_id: 'travel', name: 'Travel', price: 100, unit: 'hour', maxQuantity: 2, active: true},
+    {_id: 'old', name: 'Retired', price: 50, unit: 'booking', maxQuantity: 1, active: false},
+  ],
+};
+
+test('resolveAddOnSelections only accepts active add-ons within their quantity', () => {
+  assert.equal(resolveAddOnSelections({service: serviceWithAddOns}).addOns.length, 0);
+  assert.ok(resolveAddOnSelections({service: serviceWithAddOns, selections: [{addOnId: 'old'}]}).error);
+  assert.ok(
+    resolveAddOnSelections({service: serviceWithAddOns, selections: [{addOnId: 'travel', quantity: 3}]}).error
+  );
+  assert.ok(
+    resolveAddOnSelections({service: serviceWithAddOns, selections: [{addOnId: 'dinner'}, {addOnId: 'dinner'}]})
+      .error
+  );
+
+  const {addOns} = resolveAddOnSelections({
+    service: serviceWithAddOns,
+    selections: [{addOnId: 'travel', quantity: 2}],
+  });
+  assert.equal(addOns[0].addOn.name, 'Travel');
+  assert.equal(addOns[0].quantity, 2);
+});
+
+test('calculateBookingPrice adds selected add-ons to the totals', () => {
+  const {addOns} = resolveAddOnSelections({
+    service: serviceWithAddOns,
+    selections: [{addOnId: 'dinner'}, {addOnId: 'travel', quantity: 2}],
+  });
+  const quote = calculateBookingPrice({
+    service: serviceWithAddOns,
+    startTime: '13:00',
+    endTime: '16:00',
+    addOns,
+    depositPercent: 50,
+    platformFeePercent: 10,
+  });
+
+  // 3h x 500 + 800 + 2 x 3h x 100
+  assert.equal(quote.breakdown.baseAmount, 1500);
+  assert.equal(quote.breakdown.addOnsAmount, 1400);
+  assert.equal(quote.totalAmount, 2900);
+  assert.equal(quote.depositAmount, 1450);
+  assert.equal(quote.breakdown.platformFee, 290);
+  assert.deepEqual(quote.addOns[1], {
+    addOnId: 'travel',
+    name: 'Travel',
+    unit: 'hour',
+    unitPrice: 100,
+    quantity: 2,
+    units: 3,
+    amount: 600,
+  });
+});
+
+test('calculatePlatformFee keeps whole baht', () => {
+  assert.equal(calculatePlatformFee(1555, 10), 155);
+});
+
+test('findPriceMismatches only checks submitted fields', () => {
+  const quote = {totalHours: 5, totalAmount: 2500, depositAmount: 1250};
+
+  assert.deepEqual(findPriceMismatches({}, quote), []);
+  assert.deepEqual(findPriceMismatches({totalHours: 5, totalAmount: 2500}, quote), []);
+  assert.deepEqual(findPriceMismatches({totalHours: 5, totalAmount: 1}, quote), ['totalAmount']);
+});
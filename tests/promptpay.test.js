@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  crc16,
+  promptPayTargetOf,
+  buildPromptPayPayload,
+  paymentReferenceOf,
+  renderQrDataUrl,
+} = require('../utils/promptpay');
+
+// Split an EMVCo payload into its top-level tag -> value fields
+const fieldsOf = (payload) => {
+  const fields = {};
+  for (let i = 0; i < payload.length; ) {
+    const tag = payload.slice(i, i + 2);
+    const length = Number(payload.slice(i + 2, i + 4));
+    fields[tag] = payload.slice(i + 4, i + 4 + length);
+    i += 4 + length;
+  }
+  return fields;
+};
+
+test('crc16 is CRC-16/CCITT-FALSE', () => {
+  assert.equal(crc16('123456789'), '29B1');
+  // Published PromptPay sample: 4.22 baht to 000-000-0000
+  assert.equal(
+    crc16('00020101021229370016A000000677010111011300660000000005802TH530376454044.226304'),
+    'E469'
+  );
+});
+
+test('promptPayTargetOf encodes mobile numbers, national ids and e-wallets', () => {
+  assert.equal(promptPayTargetOf('081-234-5678'), '01130066812345678');
+  assert.equal(promptPayTargetOf('1234567890123'), '02131234567890123');
+  assert.equal(promptPayTargetOf('123456789012345'), '0315123456789012345');
+  assert.equal(promptPayTargetOf('12345'), null);
+  assert.equal(promptPayTargetOf(null), null);
+});
+
+test('buildPromptPayPayload carries the amount and reference and ends in its CRC', () => {
+  const payload = buildPromptPayPayload({
+    promptpayId: '0812345678',
+    amount: 1500,
+    reference: 'PAYABC123',
+  });
+  const fields = fieldsOf(payload);
+
+  assert.equal(fields['00'], '01');
+  assert.equal(fields['01'], '12');
+  assert.equal(fields['29'], '0016A000000677010111' + '01130066812345678');
+  assert.equal(fields['53'], '764');
+  assert.equal(fields['54'], '1500.00');
+  assert.equal(fields['58'], 'TH');
+  assert.equal(fields['62'], '0509PAYABC123');
+  assert.equal(fields['63'], crc16(payload.slice(0, -4)));
+});
+
+test('buildPromptPayPayload refuses what a Thai QR cannot carry', () => {
+  const valid = {promptpayId: '0812345678', amount: 100, reference: 'PAY1'};
+
+  assert.equal(buildPromptPayPayload({...valid, promptpayId: 'someone'}), null);
+  assert.equal(buildPromptPayPayload({...valid, amount: 0}), null);
+  assert.equal(buildPromptPayPayload({...valid, reference: 'PAY-1'}), null);
+  assert.equal(buildPromptPayPayload({...valid, reference: 'P'.repeat(26)}), null);
+});
+
+test('paymentReferenceOf fits the reference label', () => {
+  const reference = paymentReferenceOf({_id: '3f0c2a9e-51b4-4d8e-9a1f-6c2b7d4e8f10'});
+
+  assert.equal(reference, 'PAY3F0C2A9E51B44D8E9A1F6C');
+  assert.match(reference, /^[A-Z0-9]{1,25}$/);
+});
+
+test('renderQrDataUrl draws the payload as SVG or PNG', async () => {
+  const payload = buildPromptPayPayload({promptpayId: '0812345678', amount: 1, reference: 'PAY1'});
+
+  const svg = await renderQrDataUrl(payload, 'svg');
+  assert.match(svg, /^data:image\/svg\+xml;base64,/);
+  assert.match(Buffer.from(svg.split(',')[1], 'base64').toString(), /<svg/);
+  assert.match(await renderQrDataUrl(payload, 'png'), /^data:image\/png;base64,iVBORw0KGgo/);
+});
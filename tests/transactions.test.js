@@ -1,6 +1,7 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const {buildTransactionController} = require('../controllers/transactions');
+const {buildLedger} = require('../utils/ledger');
 
 const createRes = () => {
   const res = {};
@@ -47,22 +48,156 @@ test('getTransaction enforces ownership', async () => {
   assert.equal(res.statusCode, 403);
 });
 
-test('createTransaction validates amount and sets customerId', async () => {
+const ledgerStub = (TransactionModel) => {
+  const entries = [];
+  const ledger = buildLedger({
+    TransactionModel,
+    AccountModel: {
+      findOneAndUpdate: async ({code}, {$setOnInsert}) => ({_id: `acc-${code}`, code, ...$setOnInsert}),
+    },
+    EntryModel: {
+      findOne: async () => null,
+      create: async (docs) => {
+        entries.push(...docs);
+        return docs;
+      },
+    },
+    WalletModel: {findOneAndUpdate: async () => ({})},
+    runInTransaction: (work) => work(null),
+  });
+  return {ledger, entries};
+};
+
+// A gateway that starts every charge and records what it was asked to charge
+const gatewayStub = () => {
+  const charges = [];
+  const gateway = {
+    name: 'test-gateway',
+    createCharge: async ({payment, deliver}) => {
+      charges.push({payment, deliver});
+      return {chargeId: `ch-${charges.length}`, nextAction: {type: 'redirect', url: 'test://pay'}};
+    },
+  };
+  return {gateway, charges};
+};
+
+const topUpModelStub = () => {
   const payloads = [];
   const TransactionModel = {
-    create: async (payload) => {
-      payloads.push(payload);
-      return payload;
+    create: async ([payload]) => {
+      payloads.push({_id: `tx-${payloads.length + 1}`, ...payload});
+      return [payloads[payloads.length - 1]];
     },
+    findByIdAndUpdate: async (id, update) => Object.assign(payloads.find((p) => p._id === id), update),
+    updateOne: async ({_id}, {$set}) => Object.assign(payloads.find((p) => p._id === _id), $set),
   };
-  const {createTransaction} = buildTransactionController(TransactionModel);
+  return {TransactionModel, payloads};
+};
+
+test('customers top up through the configured gateway and start out pending', async () => {
+  const {TransactionModel, payloads} = topUpModelStub();
+  const {ledger, entries} = ledgerStub(TransactionModel);
+  const {gateway, charges} = gatewayStub();
+  const received = [];
+  const {createTransaction} = buildTransactionController(TransactionModel, ledger, {
+    getConfiguredGateway: () => gateway,
+    receiveGatewayEvent: async (event) => received.push(event),
+  });
 
   const resBad = createRes();
   await createTransaction({user: {type: 'customer', id: 'cust'}, body: {amount: 0}}, resBad);
   assert.equal(resBad.statusCode, 400);
 
   const resGood = createRes();
-  await createTransaction({user: {type: 'customer', id: 'cust'}, body: {amount: 100}}, resGood);
-  assert.equal(payloads[0].customerId, 'cust');
+  await createTransaction(
+    {
+      user: {type: 'customer', id: 'cust'},
+      body: {amount: 100, customerId: 'other', type: 'refund', method: 'refund', status: 'completed'},
+    },
+    resGood
+  );
   assert.equal(resGood.statusCode, 201);
+  assert.deepEqual(
+    [payloads[0].customerId, payloads[0].type, payloads[0].method, payloads[0].status],
+    ['cust', 'topup', 'topup', 'pending']
+  );
+  assert.deepEqual(charges[0].payment, {
+    _id: 'tx-1',
+    amount: 100,
+    currency: 'THB',
+    paymentMethod: 'credit_card',
+  });
+  assert.equal(resGood.body.data.gateway, 'test-gateway');
+  assert.equal(resGood.body.data.chargeId, 'ch-1');
+  assert.equal(resGood.body.data.nextAction.type, 'redirect');
+  // Nothing reaches the wallet until the gateway reports it paid
+  assert.equal(entries.length, 0);
+
+  await charges[0].deliver(Buffer.from('{}'), {signature: 'sig'});
+  assert.deepEqual(received, [
+    {provider: 'test-gateway', rawBody: Buffer.from('{}'), headers: {signature: 'sig'}},
+  ]);
+});
+
+test('customer top-ups need a configured gateway that can start the charge', async () => {
+  const {TransactionModel, payloads} = topUpModelStub();
+  const {ledger} = ledgerStub(TransactionModel);
+  const customer = {user: {type: 'customer', id: 'cust'}, body: {amount: 100}};
+
+  const none = buildTransactionController(TransactionModel, ledger, {getConfiguredGateway: () => null});
+  const resNone = createRes();
+  await none.createTransaction(customer, resNone);
+  assert.equal(resNone.statusCode, 503);
+  assert.equal(payloads.length, 0);
+
+  const {gateway} = gatewayStub();
+  const controller = buildTransactionController(TransactionModel, ledger, {
+    getConfiguredGateway: () => gateway,
+  });
+  const resMethod = createRes();
+  await controller.createTransaction({...customer, body: {amount: 100, paymentMethod: 'wallet'}}, resMethod);
+  assert.equal(resMethod.statusCode, 400);
+
+  gateway.createCharge = async () => {
+    throw new Error('gateway down');
+  };
+  const originalError = console.error;
+  console.error = () => {};
+  const resDown = createRes();
+  try {
+    await controller.createTransaction(customer, resDown);
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(resDown.statusCode, 502);
+  assert.equal(payloads[0].status, 'failed');
+});
+
+test('admins record completed transactions for any customer', async () => {
+  const payloads = [];
+  const TransactionModel = {
+    create: async ([payload]) => {
+      payloads.push(payload);
+      return [{_id: `tx-${payloads.length}`, ...payload}];
+    },
+  };
+  const {ledger, entries} = ledgerStub(TransactionModel);
+  const {createTransaction} = buildTransactionController(TransactionModel, ledger);
+
+  const res = createRes();
+  await createTransaction(
+    {user: {type: 'admin', id: 'admin'}, body: {amount: 100, customerId: 'cust'}},
+    res
+  );
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(payloads[0].customerId, 'cust');
+  assert.equal(payloads[0].status, 'completed');
+  assert.deepEqual(
+    entries[0].postings.map((p) => [p.accountCode, p.direction, p.amount]),
+    [
+      ['gateway', 'debit', 100],
+      ['wallet:cust', 'credit', 100],
+    ]
+  );
 });
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {buildWaitlist, overlapOf} = require('../utils/waitlist');
+
+// In-memory stand-in for the WaitlistEntry model, enough for the offer flow
+const waitlistModelStub = (entries) => ({
+  find: (filter) => {
+    let result;
+    if (filter.offers) {
+      // Lapsed offers for the expiry job, live ones for availability checks
+      const {expiresAt} = filter.offers.$elemMatch;
+      const matches = (o) =>
+        o.status === 'open' &&
+        (expiresAt.$lte ? o.expiresAt <= expiresAt.$lte : o.expiresAt > expiresAt.$gt);
+      result = entries.filter(
+        (e) =>
+          e.status === filter.status &&
+          (!filter.providerId || e.providerId === filter.providerId) &&
+          (!filter.date || filter.date.$in.includes(e.date)) &&
+          e.offers.some(matches)
+      );
+    } else {
+      result = entries.filter(
+        (e) =>
+          e.providerId === filter.providerId &&
+          e.date === filter.date &&
+          e.status === filter.status
+      );
+    }
+    const query = Promise.resolve(result);
+    query.sort = () => Promise.resolve([...result].sort((a, b) => a.createdAt - b.createdAt));
+    return query;
+  },
+  findOneAndUpdate: async (filter, update) => {
+    const entry = entries.find((e) => e._id === filter._id && e.status === filter.status);
+    if (!entry) return null;
+    if (update.$push) entry.offers.push(update.$push.offers);
+    entry.status = update.$set.status;
+    if (update.$set['offers.$.status']) {
+      entry.offers.find((o) => o.status === 'open').status = update.$set['offers.$.status'];
+    }
+    return entry;
+  },
+  updateMany: async () => ({modifiedCount: 0}),
+});
+
+const entry = (id, minutesAgo, overrides = {}) => ({
+  _id: id,
+  customerId: `customer-${id}`,
+  providerId: 'provider-1',
+  serviceName: 'Dinner',
+  date: '2025-03-10',
+  startTime: '12:00',
+  endTime: '18:00',
+  status: 'waiting',
+  offers: [],
+  createdAt: new Date(Date.parse('2025-03-01T00:00:00Z') - minutesAgo * 60 * 1000),
+  ...overrides,
+});
+
+const freedSlot = {
+  sourceBookingId: 'cancelled-1',
+  providerId: 'provider-1',
+  date: '2025-03-10',
+  startTime: '13:00',
+  endTime: '16:00',
+};
+
+const buildFor = (entries, isoNow, bookings = []) => {
+  const sent = [];
+  let current = new Date(isoNow);
+  const waitlist = buildWaitlist({
+    WaitlistModel: waitlistModelStub(entries),
+    BookingModel: {find: async () => bookings},
+    UserModel: {findById: async () => ({generalTimeSetting: null})},
+    notify: async (notification) => sent.push(notification),
+    now: () => current,
+    offerMinutes: 30,
+  });
+  const advance = (minutes) => {
+    current = new Date(current.getTime() + minutes * 60 * 1000);
+  };
+  return {waitlist, sent, advance};
+};
+
+test('overlapOf offers only the freed time inside the waitlist window', () => {
+  assert.deepEqual(
+    overlapOf({startTime: '14:00', endTime: '20:00'}, freedSlot),
+    {startTime: '14:00', endTime: '16:00'}
+  );
+  assert.equal(overlapOf({startTime: '15:45', endTime: '20:00'}, freedSlot), null);
+});
+
+test('freed time goes to the earliest waiter with an overlapping window', async () => {
+  const entries = [
+    entry('late', 10),
+    entry('early', 60),
+    entry('elsewhere', 120, {startTime: '18:00', endTime: '20:00'}),
+  ];
+  const {waitlist, sent} = buildFor(entries, '2025-03-05T00:00:00Z');
+
+  const offered = await waitlist.offerFreedSlot(freedSlot);
+
+  assert.equal(offered._id, 'early');
+  assert.equal(entries[1].status, 'offered');
+  assert.equal(entries[0].status, 'waiting');
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].userId, 'customer-early');
+  assert.equal(sent[0].type, 'waitlist_offer');
+  assert.equal(
+    entries[1].offers[0].expiresAt.toISOString(),
+    '2025-03-05T00:30:00.000Z'
+  );
+});
+
+test('an unclaimed offer expires and passes to the next waiter', async () => {
+  const entries = [entry('first', 60), entry('second', 10)];
+  const {waitlist, sent, advance} = buildFor(entries, '2025-03-05T00:00:00Z');
+
+  await waitlist.offerFreedSlot(freedSlot);
+  advance(31);
+  const reoffered = await waitlist.expireOffers();
+
+  assert.deepEqual(reoffered.map((e) => e._id), ['second']);
+  assert.equal(entries[0].status, 'waiting');
+  assert.equal(entries[0].offers[0].status, 'expired');
+  assert.equal(entries[1].status, 'offered');
+  assert.deepEqual(
+    sent.map((n) => `${n.type}:${n.userId}`),
+    [
+      'waitlist_offer:customer-first',
+      'waitlist_offer_expired:customer-first',
+      'waitlist_offer:customer-second',
+    ]
+  );
+
+  // The first waiter is not offered the same slot again
+  advance(31);
+  assert.deepEqual(await waitlist.expireOffers(), []);
+});
+
+test('nothing is offered when the freed time is already taken again', async () => {
+  const entries = [entry('first', 60)];
+  const taken = [{_id: 'new', date: '2025-03-10', startTime: '13:00', endTime: '16:00', status: 'pending'}];
+  const {waitlist, sent} = buildFor(entries, '2025-03-05T00:00:00Z', taken);
+
+  assert.equal(await waitlist.offerFreedSlot(freedSlot), null);
+  assert.equal(entries[0].status, 'waiting');
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,363 @@
+// utils/availability.js
+const WaitlistEntry = require("../models/WaitlistEntry");
+const ProviderLock = require("../models/ProviderLock");
+const { withProviderLock } = require("./providerLock");
+const {
+  DEFAULT_TIMEZONE,
+  parseTimeToMinutes,
+  isValidDate,
+  isValidTimeZone,
+  dayKeyOf,
+  calendarDaysBetween,
+  datesBetween,
+  toInstant,
+  bookingStartsAt,
+  bookingEndsAt,
+  rangesOverlap,
+} = require("./bookingTime");
+
+// Bookings in these states hold the provider's calendar
+const BLOCKING_STATUSES = ["pending", "confirmed"];
+
+// Longest multi-day booking, in calendar days
+const MAX_BOOKING_DAYS = 31;
+
+// Accept "mon", "Mon", "monday" ... in generalTimeSetting.available[].day
+const normalizeDayKey = (value) =>
+  typeof value === "string" ? value.trim().toLowerCase().slice(0, 3) : "";
+
+/**
+ * Working windows (in minutes) configured for the weekday of `date`.
+ * Returns null when the provider has not configured any availability,
+ * which means the provider accepts bookings at any time.
+ */
+const workingWindowsFor = (generalTimeSetting, date) => {
+  const available = generalTimeSetting && generalTimeSetting.available;
+  if (!Array.isArray(available) || available.length === 0) return null;
+
+  const day = dayKeyOf(date);
+  return available
+    .filter((entry) => entry && normalizeDayKey(entry.day) === day)
+    .map((entry) => ({
+      from: entry.from,
+      to: entry.to,
+      start: parseTimeToMinutes(entry.from),
+      end: parseTimeToMinutes(entry.to),
+    }))
+    .filter((w) => w.start !== null && w.end !== null && w.end > w.start);
+};
+
+/**
+ * A single-day booking must fit inside one working window. A multi-day
+ * booking must start and end inside working windows and the provider
+ * must work on every day in between.
+ */
+const isWithinWorkingHours = (
+  generalTimeSetting,
+  { date, endDate, startTime, endTime }
+) => {
+  const dates = datesBetween(date, endDate || date);
+  if (!dates) return false;
+  const windowsByDay = dates.map((day) => workingWindowsFor(generalTimeSetting, day));
+  if (windowsByDay[0] === null) return true;
+
+  const start = parseTimeToMinutes(startTime);
+  const end = parseTimeToMinutes(endTime);
+  if (dates.length === 1) {
+    return windowsByDay[0].some((w) => start >= w.start && end <= w.end);
+  }
+
+  const first = windowsByDay[0];
+  const last = windowsByDay[windowsByDay.length - 1];
+  return (
+    first.some((w) => start >= w.start && start < w.end) &&
+    last.some((w) => end > w.start && end <= w.end) &&
+    windowsByDay.every((windows) => windows.length > 0)
+  );
+};
+
+/**
+ * First blocking booking of the provider that overlaps the requested time.
+ * Bookings are compared by their stored UTC instants, so multi-day and
+ * overnight bookings block every day they cover and bookings made in
+ * another timezone still clash.
+ */
+const findConflictingBooking = async (
+  BookingModel,
+  {
+    providerId,
+    date,
+    endDate,
+    startTime,
+    endTime,
+    timezone = DEFAULT_TIMEZONE,
+    excludeBookingId,
+  }
+) => {
+  const start = toInstant(date, startTime, timezone);
+  const end = toInstant(endDate || date, endTime, timezone);
+  const filter = {
+    providerId,
+    startAt: { $lt: end },
+    endAt: { $gt: start },
+    status: { $in: BLOCKING_STATUSES },
+  };
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+
+  const candidates = await BookingModel.find(filter);
+
+  return (
+    candidates.find((booking) => {
+      const bStart = bookingStartsAt(booking);
+      const bEnd = bookingEndsAt(booking);
+      if (!bStart || !bEnd) return false;
+      return rangesOverlap(start, end, bStart, bEnd);
+    }) || null
+  );
+};
+
+/**
+ * Open waitlist offer of another customer that overlaps the requested
+ * time. Until it is claimed or runs out the offered time is held for
+ * that customer, so nobody else can book it.
+ */
+const findHoldingOffer = async (
+  WaitlistModel,
+  {
+    providerId,
+    date,
+    endDate,
+    startTime,
+    endTime,
+    timezone = DEFAULT_TIMEZONE,
+    customerId,
+    now = new Date(),
+  }
+) => {
+  const start = toInstant(date, startTime, timezone);
+  const end = toInstant(endDate || date, endTime, timezone);
+  const entries = await WaitlistModel.find({
+    providerId,
+    date: { $in: datesBetween(date, endDate || date) },
+    status: "offered",
+    offers: { $elemMatch: { status: "open", expiresAt: { $gt: now } } },
+  });
+
+  for (const entry of entries) {
+    if (customerId && entry.customerId === customerId) continue;
+    const offer = entry.offers.find(
+      (candidate) => candidate.status === "open" && candidate.expiresAt > now
+    );
+    if (!offer) continue;
+    // Waitlist windows are on the platform's clock
+    const offerStart = toInstant(offer.date, offer.startTime);
+    const offerEnd = toInstant(offer.date, offer.endTime);
+    if (offerStart && offerEnd && rangesOverlap(start, end, offerStart, offerEnd)) {
+      return offer;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that a provider can take the requested slot.
+ * Returns null when the slot is free, otherwise `{ status, body }`
+ * ready to be sent with res.status(status).json(body). `customerId` is
+ * who would book it: time offered to them from the waitlist is free for
+ * them and taken for everyone else.
+ */
+const checkProviderAvailability = async ({
+  BookingModel,
+  UserModel,
+  WaitlistModel = WaitlistEntry,
+  customerId,
+  providerId,
+  date,
+  endDate,
+  startTime,
+  endTime,
+  timezone = DEFAULT_TIMEZONE,
+  excludeBookingId,
+}) => {
+  if (!isValidTimeZone(timezone)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: "timezone must be an IANA timezone such as Asia/Bangkok",
+      },
+    };
+  }
+  if (!isValidDate(date)) {
+    return {
+      status: 400,
+      body: { success: false, message: "date must be in YYYY-MM-DD format" },
+    };
+  }
+  const lastDate = endDate || date;
+  if (!isValidDate(lastDate)) {
+    return {
+      status: 400,
+      body: { success: false, message: "endDate must be in YYYY-MM-DD format" },
+    };
+  }
+  if (lastDate < date) {
+    return {
+      status: 400,
+      body: { success: false, message: "endDate cannot be before date" },
+    };
+  }
+  if (calendarDaysBetween(date, lastDate) > MAX_BOOKING_DAYS) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: `A booking can cover at most ${MAX_BOOKING_DAYS} days`,
+      },
+    };
+  }
+
+  const start = parseTimeToMinutes(startTime);
+  const end = parseTimeToMinutes(endTime);
+  if (start === null || end === null) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: "startTime and endTime must be in HH:mm format",
+      },
+    };
+  }
+  if (
+    toInstant(lastDate, endTime, timezone) <= toInstant(date, startTime, timezone)
+  ) {
+    return {
+      status: 400,
+      body: { success: false, message: "endTime must be after startTime" },
+    };
+  }
+
+  const provider = await UserModel.findById(providerId);
+  if (
+    provider &&
+    !isWithinWorkingHours(provider.generalTimeSetting, {
+      date,
+      endDate: lastDate,
+      startTime,
+      endTime,
+    })
+  ) {
+    const windows = workingWindowsFor(provider.generalTimeSetting, date) || [];
+    return {
+      status: 409,
+      body: {
+        success: false,
+        message: "Requested time is outside the provider's working hours",
+        reason: "outside_working_hours",
+        workingHours: windows.map((w) => ({ from: w.from, to: w.to })),
+      },
+    };
+  }
+
+  const clash = await findConflictingBooking(BookingModel, {
+    providerId,
+    date,
+    endDate: lastDate,
+    startTime,
+    endTime,
+    timezone,
+    excludeBookingId,
+  });
+  if (clash) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        message: "Provider already has a booking that overlaps this time",
+        reason: "booking_conflict",
+        conflict: {
+          bookingId: clash._id,
+          date: clash.date,
+          endDate: clash.endDate || clash.date,
+          startTime: clash.startTime,
+          endTime: clash.endTime,
+          status: clash.status,
+        },
+      },
+    };
+  }
+
+  const hold = await findHoldingOffer(WaitlistModel, {
+    providerId,
+    date,
+    endDate: lastDate,
+    startTime,
+    endTime,
+    timezone,
+    customerId,
+  });
+  if (hold) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        message: "This time is offered to a waitlisted customer and held until the offer is claimed or runs out",
+        reason: "waitlist_hold",
+        conflict: {
+          date: hold.date,
+          startTime: hold.startTime,
+          endTime: hold.endTime,
+          expiresAt: hold.expiresAt,
+        },
+      },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check the slot again and run `write` (which stores the booking) while
+ * holding the provider's calendar lock, so two requests for the same time
+ * cannot both pass the check. The rest of the arguments are those of
+ * checkProviderAvailability(). Returns `{ unavailable }` (a `{ status,
+ * body }`) when the slot is taken, otherwise `{ result }` from `write`.
+ */
+const bookProviderSlot = async ({ LockModel = ProviderLock, write, ...slot }) => {
+  try {
+    return await withProviderLock(
+      slot.providerId,
+      async () => {
+        const unavailable = await checkProviderAvailability(slot);
+        if (unavailable) return { unavailable };
+        return { result: await write() };
+      },
+      { LockModel }
+    );
+  } catch (err) {
+    if (!err || err.name !== "ProviderBusyError") throw err;
+    return {
+      unavailable: {
+        status: 409,
+        body: {
+          success: false,
+          message: "Another booking with this provider is being made; please try again",
+          reason: "provider_busy",
+        },
+      },
+    };
+  }
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  MAX_BOOKING_DAYS,
+  workingWindowsFor,
+  isWithinWorkingHours,
+  findConflictingBooking,
+  findHoldingOffer,
+  checkProviderAvailability,
+  bookProviderSlot,
+};
@@ -0,0 +1,106 @@
+// utils/bookingHistory.js
+const BookingHistory = require("../models/BookingHistory");
+
+// Fields whose changes end up in the booking timeline
+const TRACKED_FIELDS = [
+  "status",
+  "paymentStatus",
+  "cancelledBy",
+  "date",
+  "endDate",
+  "startTime",
+  "endTime",
+  "timezone",
+  "totalHours",
+  "totalAmount",
+  "depositAmount",
+  "refundAmount",
+  "addOns",
+  "issueReportedAt",
+  "checkedInAt",
+  "checkedOutAt",
+  "openDisputeId",
+  "noShow.status",
+];
+
+const SYSTEM_ACTOR = { id: null, role: "system" };
+
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  // Subdocument arrays such as addOns are kept as plain copies
+  if (Array.isArray(value)) {
+    return value.map((item) =>
+      item && typeof item.toObject === "function" ? item.toObject() : item
+    );
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Tracked fields may be paths into subdocuments, e.g. "noShow.status"
+const valueAt = (booking, field) =>
+  field.split(".").reduce((value, key) => (value == null ? value : value[key]), booking);
+
+const snapshotBooking = (booking) => {
+  const snapshot = {};
+  if (!booking) return snapshot;
+  TRACKED_FIELDS.forEach((field) => {
+    snapshot[field] = normalize(valueAt(booking, field));
+  });
+  return snapshot;
+};
+
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => !sameValue(normalize(before[field]), normalize(after[field]))
+  ).map((field) => ({
+    field,
+    oldValue: normalize(before[field]),
+    newValue: normalize(after[field]),
+  }));
+
+const reasonFrom = (value) =>
+  typeof value === "string" ? value.trim().slice(0, 500) : "";
+
+/**
+ * Store one timeline entry for the tracked fields that differ between
+ * `before` (a snapshotBooking() taken before the change) and `booking`.
+ * Nothing is written for updates that did not touch a tracked field.
+ * Failures are logged rather than thrown: the booking change itself has
+ * already been saved by the time this runs.
+ */
+const recordBookingHistory = async ({
+  HistoryModel = BookingHistory,
+  booking,
+  before = {},
+  actor = SYSTEM_ACTOR,
+  action = "updated",
+  reason,
+}) => {
+  try {
+    const changes = diffSnapshots(before, snapshotBooking(booking));
+    if (!changes.length) return null;
+
+    return await HistoryModel.create({
+      bookingId: booking._id,
+      actorId: actor.id || null,
+      actorRole: actor.role,
+      action,
+      changes,
+      reason: reasonFrom(reason),
+    });
+  } catch (err) {
+    console.error("recordBookingHistory error:", err);
+    return null;
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  SYSTEM_ACTOR,
+  snapshotBooking,
+  diffSnapshots,
+  recordBookingHistory,
+};
@@ -0,0 +1,117 @@
+// utils/bookingLifecycle.js
+// Creating and cancelling bookings, shared by single bookings and series.
+const Booking = require("../models/Booking");
+const { ensureChatForBooking } = require("../controllers/chat");
+const { checkBookingTransition } = require("./bookingTransitions");
+const { resolveCancellationPolicy, quoteCancellation } = require("./cancellationPolicy");
+const { processCancellationRefund } = require("./bookingSettlement");
+const { snapshotBooking, recordBookingHistory } = require("./bookingHistory");
+const { releaseBookingSlot } = require("./waitlist");
+const { releaseCouponUsage } = require("./coupons");
+
+/**
+ * Store a booking for `service` priced by `quote` (a calculateBookingPrice()
+ * result) with the service's cancellation policy snapshot, record it in
+ * the history and open its chat. Call it as the `write` of
+ * bookProviderSlot(), which checks the slot under the provider's lock.
+ * `extra` holds any further Booking fields (status, seriesId, ...).
+ */
+const createServiceBooking = async ({
+  service,
+  customerId,
+  date,
+  endDate = null,
+  startTime,
+  endTime,
+  timezone,
+  quote,
+  specialRequests,
+  extra = {},
+  actor,
+}) => {
+  const cancellationPolicy = await resolveCancellationPolicy({ service });
+
+  const booking = await Booking.create({
+    customerId,
+    providerId: service.providerId,
+    serviceId: service.id || service._id,
+    serviceName: service.name,
+    date,
+    endDate,
+    startTime,
+    endTime,
+    timezone,
+    totalHours: quote.totalHours,
+    totalAmount: quote.totalAmount,
+    depositAmount: quote.depositAmount,
+    priceBreakdown: quote.breakdown,
+    addOns: quote.addOns,
+    cancellationPolicy,
+    specialRequests,
+    ...extra,
+  });
+  await recordBookingHistory({ booking, actor, action: "created" });
+
+  let chat = null;
+  try {
+    chat = await ensureChatForBooking(booking);
+  } catch (chatError) {
+    console.error("Failed to auto-create chat for booking:", chatError);
+  }
+  return { booking, chat };
+};
+
+/**
+ * Mark `booking` cancelled by `cancelledBy` and derive its paymentStatus
+ * from the cancellation policy. Returns the quote for processCancellationRefund().
+ */
+const applyCancellation = (booking, { cancelledBy, reason, now = new Date() }) => {
+  // Quote first: it needs the paymentStatus from before the cancellation
+  const quote = quoteCancellation({ booking, cancelledBy, now });
+  booking.status = "cancelled";
+  booking.cancelledBy = cancelledBy;
+  if (typeof reason === "string") {
+    booking.cancellationReason = reason.trim().slice(0, 500);
+  }
+  booking.paymentStatus = quote.paymentStatus;
+  return quote;
+};
+
+/**
+ * Cancel a booking on behalf of `role`, refunding per its policy, give
+ * back its coupon use and offer the freed time to the waitlist.
+ * Returns `{ rejected }` (a `{ status, body }`) when the transition is not
+ * allowed, otherwise `{ booking, quote }`.
+ */
+const cancelBooking = async ({
+  booking,
+  role,
+  cancelledBy = role,
+  reason,
+  actor,
+  action = "updated",
+  now = new Date(),
+}) => {
+  const rejected = checkBookingTransition({
+    booking,
+    role,
+    changes: { status: "cancelled" },
+    now,
+  });
+  if (rejected) return { rejected };
+
+  const before = snapshotBooking(booking);
+  const quote = applyCancellation(booking, { cancelledBy, reason, now });
+  await processCancellationRefund(booking, quote);
+  await booking.save();
+  await recordBookingHistory({ booking, before, actor, action, reason });
+  await releaseCouponUsage(booking);
+  await releaseBookingSlot(booking);
+  return { booking, quote };
+};
+
+module.exports = {
+  createServiceBooking,
+  applyCancellation,
+  cancelBooking,
+};
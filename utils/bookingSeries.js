@@ -0,0 +1,75 @@
+// utils/bookingSeries.js
+const { addDays, isValidDate, toInstant } = require("./bookingTime");
+
+const MAX_OCCURRENCES = 52;
+const DEFAULT_PAYMENT_LEAD_HOURS = 24;
+
+const STEP_DAYS = {
+  weekly: 7,
+  biweekly: 14,
+};
+
+const getPaymentLeadHours = () => {
+  const value = Number(process.env.BOOKING_SERIES_PAYMENT_LEAD_HOURS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_PAYMENT_LEAD_HOURS;
+};
+
+/**
+ * Dates of a recurrence rule, starting at `startDate` and bounded by
+ * `untilDate` (inclusive) or `count`. Returns `{ dates }` or `{ error }`.
+ */
+const seriesDates = ({ startDate, frequency, untilDate, count }) => {
+  const step = STEP_DAYS[frequency];
+  if (!step) {
+    return { error: `frequency must be one of: ${Object.keys(STEP_DAYS).join(", ")}` };
+  }
+  if (!isValidDate(startDate)) {
+    return { error: "startDate must be a valid YYYY-MM-DD date" };
+  }
+  const hasUntil = untilDate !== undefined && untilDate !== null;
+  const hasCount = count !== undefined && count !== null;
+  if (hasUntil === hasCount) {
+    return { error: "Provide either untilDate or count" };
+  }
+  if (hasUntil && (!isValidDate(untilDate) || untilDate < startDate)) {
+    return { error: "untilDate must be a valid date on or after startDate" };
+  }
+  if (hasCount && !(Number.isInteger(count) && count >= 1)) {
+    return { error: "count must be a positive whole number" };
+  }
+
+  const dates = [];
+  let date = startDate;
+  while (hasCount ? dates.length < count : date <= untilDate) {
+    if (dates.length === MAX_OCCURRENCES) {
+      return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences` };
+    }
+    dates.push(date);
+    date = addDays(date, step);
+  }
+  return { dates };
+};
+
+/**
+ * When an occurrence has to be paid by: `leadHours` before it starts, but
+ * never sooner than the normal payment hold from now.
+ */
+const occurrencePaymentDueAt = ({
+  date,
+  startTime,
+  now = new Date(),
+  holdMinutes,
+  leadHours = getPaymentLeadHours(),
+}) => {
+  const startsAt = toInstant(date, startTime);
+  const earliest = now.getTime() + holdMinutes * 60 * 1000;
+  const due = startsAt ? startsAt.getTime() - leadHours * 60 * 60 * 1000 : earliest;
+  return new Date(Math.max(due, earliest));
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  seriesDates,
+  occurrencePaymentDueAt,
+  getPaymentLeadHours,
+};
@@ -0,0 +1,288 @@
+// utils/bookingSettlement.js
+// Money movements that follow a booking reaching a final state.
+const Booking = require("../models/Booking");
+const Service = require("../models/Service");
+const Transaction = require("../models/Transaction");
+const Payment = require("../models/Payment");
+const { calculatePlatformFee, roundMoney } = require("./pricing");
+const { noShowReason, quoteNoShow } = require("./noShow");
+const { recordTransaction, recordCommission } = require("./ledger");
+const { recordEscrowMovement } = require("./escrow");
+
+const CANCELLED_BY_LABELS = {
+  customer: "ลูกค้า",
+  provider: "ผู้ให้บริการ",
+  system: "ระบบ",
+};
+
+const cancelledByLabel = (booking) =>
+  CANCELLED_BY_LABELS[booking.cancelledBy] || CANCELLED_BY_LABELS.customer;
+
+// Why the money moved, for transaction notes and the payment record
+const cancellationCauseOf = (booking) =>
+  booking.noShow?.status === "upheld"
+    ? noShowReason(booking.noShow.absentParty)
+    : `ยกเลิกโดย${cancelledByLabel(booking)}`;
+
+/**
+ * Move the money for a cancelled booking according to `quote`, a
+ * quoteCancellation() result taken before the booking's paymentStatus was
+ * changed: refund the customer and compensate the provider with the rest.
+ * Sets booking.refundAmount; the caller saves the booking. Safe to call
+ * more than once per booking.
+ */
+const processCancellationRefund = async (booking, quote) => {
+  if (booking.status !== "cancelled" || !quote || quote.paidAmount <= 0) {
+    return;
+  }
+
+  const alreadyProcessed = await Transaction.findOne({
+    bookingId: booking._id,
+    method: { $in: ["refund", "compensation"] },
+  });
+  if (alreadyProcessed) return;
+
+  const { refundAmount, providerCompensation } = quote;
+  booking.refundAmount = refundAmount;
+
+  if (refundAmount > 0) {
+    const refund = await recordTransaction({
+      customerId: booking.customerId,
+      bookingId: booking._id,
+      amount: refundAmount,
+      currency: "THB",
+      method: "refund",
+      type: "refund",
+      status: "completed",
+      note: `คืนเงิน ${quote.refundPercent}% - ${booking.serviceName} (${cancellationCauseOf(booking)})`,
+    });
+    await recordEscrowMovement(booking, {
+      kind: "refund",
+      amount: refundAmount,
+      transactionId: refund._id,
+    });
+
+    // Update payment record if exists
+    const payment = await Payment.findOne({ bookingId: booking._id });
+    if (payment && !payment.refundedAt) {
+      payment.status = booking.paymentStatus;
+      payment.refundAmount = refundAmount;
+      payment.refundReason = cancellationCauseOf(booking);
+      payment.refundedAt = new Date();
+      await payment.save();
+    }
+  }
+
+  if (providerCompensation > 0) {
+    const compensation = await recordTransaction({
+      customerId: booking.providerId,
+      bookingId: booking._id,
+      amount: providerCompensation,
+      currency: "THB",
+      method: "compensation",
+      type: "topup",
+      status: "completed",
+      note: `ค่าชดเชยการยกเลิก - ${booking.serviceName} (${
+        booking.noShow?.status === "upheld" ? noShowReason("customer") : "ลูกค้ายกเลิก"
+      })`,
+    });
+    await recordEscrowMovement(booking, {
+      kind: "compensation",
+      amount: providerCompensation,
+      transactionId: compensation._id,
+    });
+  }
+};
+
+/**
+ * Cancel a booking whose no-show has been upheld and move the payment per
+ * quoteNoShow(). The caller has already marked booking.noShow upheld.
+ * Saves the booking.
+ */
+const settleNoShow = async (booking) => {
+  const quote = quoteNoShow(booking);
+  booking.status = "cancelled";
+  booking.cancelledBy = "system";
+  booking.cancellationReason = noShowReason(booking.noShow.absentParty);
+  booking.paymentStatus = quote.paymentStatus;
+  await processCancellationRefund(booking, quote);
+  await booking.save();
+  return quote;
+};
+
+/**
+ * Pay the provider for a completed, paid booking out of its escrow hold,
+ * less the platform commission, and keep the service's bookingCount in
+ * sync. A booking with an open dispute is held back, and one partially
+ * refunded by a dispute pays out what the customer kept.
+ * Safe to call more than once per booking.
+ * Call it after the completed booking has been saved.
+ */
+const releaseProviderEarning = async (booking) => {
+  if (
+    booking.status !== "completed" ||
+    !["paid", "partially_refunded"].includes(booking.paymentStatus) ||
+    booking.openDisputeId
+  ) {
+    return null;
+  }
+
+  // Provider earning is the amount kept minus the platform commission
+  const earnedAmount = booking.totalAmount - (booking.refundAmount || 0);
+  const platformCommission = calculatePlatformFee(
+    earnedAmount,
+    booking.priceBreakdown?.platformFeePercent
+  );
+  const providerEarning = earnedAmount - platformCommission;
+
+  let earning = await Transaction.findOne({
+    bookingId: booking._id,
+    method: "earning",
+  });
+
+  if (!earning) {
+    if (providerEarning <= 0) return null;
+
+    earning = await recordTransaction({
+      customerId: booking.providerId,
+      bookingId: booking._id,
+      amount: providerEarning,
+      currency: "THB",
+      method: "earning",
+      type: "topup",
+      status: "completed",
+      note: `รายได้จากการให้บริการ - ${booking.serviceName}`,
+    });
+  }
+  // Keyed by booking, so a retry after a failure here posts it once
+  const commission = await recordCommission({ booking, amount: platformCommission });
+
+  await recordEscrowMovement(booking, {
+    kind: "release",
+    amount: earning.amount,
+    transactionId: earning._id,
+  });
+  if (commission) {
+    await recordEscrowMovement(booking, {
+      kind: "commission",
+      amount: platformCommission,
+      journalEntryId: commission._id,
+    });
+  }
+
+  // Update service bookingCount (sync with actual completed bookings count)
+  const service = await Service.findById(booking.serviceId);
+  if (service) {
+    const completedBookingsCount = await Booking.countDocuments({
+      serviceId: booking.serviceId,
+      status: "completed",
+    });
+
+    if (completedBookingsCount !== service.bookingCount) {
+      service.bookingCount = completedBookingsCount;
+      await service.save();
+    }
+  }
+
+  return earning;
+};
+
+const DISPUTE_OUTCOME_LABELS = {
+  full_refund: "คืนเงินเต็มจำนวน",
+  partial_refund: "คืนเงินบางส่วน",
+  release_to_provider: "โอนเงินให้ผู้ให้บริการ",
+};
+
+/**
+ * Work out what a dispute outcome does to a paid booking.
+ * `refundAmount` is only used for partial_refund and must leave the
+ * provider something. Returns `{ status, paymentStatus, refundAmount }`
+ * or `{ error }`.
+ */
+const planDisputeSettlement = ({ booking, outcome, refundAmount }) => {
+  const paidAmount = booking.totalAmount;
+  if (outcome === "full_refund") {
+    return { status: "cancelled", paymentStatus: "refunded", refundAmount: paidAmount };
+  }
+  if (outcome === "release_to_provider") {
+    return { status: "completed", paymentStatus: booking.paymentStatus, refundAmount: 0 };
+  }
+  if (outcome === "partial_refund") {
+    const amount = roundMoney(Number(refundAmount));
+    if (!Number.isFinite(amount) || amount <= 0 || amount >= paidAmount) {
+      return {
+        error: `refundAmount must be more than 0 and less than the paid ${paidAmount}`,
+      };
+    }
+    return { status: "completed", paymentStatus: "partially_refunded", refundAmount: amount };
+  }
+  return { error: "outcome must be full_refund, partial_refund or release_to_provider" };
+};
+
+/**
+ * Settle a disputed booking according to `plan` (a planDisputeSettlement()
+ * result): lift the dispute hold, refund the customer and pay the provider
+ * whatever the customer did not get back. Saves the booking.
+ */
+const settleDisputedBooking = async (booking, { outcome, plan, note }) => {
+  const label = DISPUTE_OUTCOME_LABELS[outcome];
+  booking.openDisputeId = null;
+  booking.status = plan.status;
+  booking.paymentStatus = plan.paymentStatus;
+  if (plan.status === "cancelled") {
+    booking.cancelledBy = "system";
+    booking.cancellationReason = `ผลการพิจารณาข้อพิพาท: ${label}`;
+  } else {
+    booking.completedAt = booking.completedAt || new Date();
+  }
+  if (plan.refundAmount > 0) {
+    booking.refundAmount = plan.refundAmount;
+  }
+  await booking.save();
+
+  if (plan.refundAmount > 0) {
+    const alreadyRefunded = await Transaction.findOne({
+      bookingId: booking._id,
+      method: "refund",
+    });
+    if (!alreadyRefunded) {
+      const refund = await recordTransaction({
+        customerId: booking.customerId,
+        bookingId: booking._id,
+        amount: plan.refundAmount,
+        currency: "THB",
+        method: "refund",
+        type: "refund",
+        status: "completed",
+        note: `${label} - ${booking.serviceName} (ผลการพิจารณาข้อพิพาท)`,
+      });
+      await recordEscrowMovement(booking, {
+        kind: "refund",
+        amount: plan.refundAmount,
+        transactionId: refund._id,
+      });
+    }
+
+    const payment = await Payment.findOne({ bookingId: booking._id });
+    if (payment && !payment.refundedAt) {
+      payment.status = booking.paymentStatus;
+      payment.refundAmount = plan.refundAmount;
+      payment.refundReason = `ผลการพิจารณาข้อพิพาท${note ? `: ${note}` : ""}`.slice(0, 500);
+      payment.refundedAt = new Date();
+      await payment.save();
+    }
+  }
+
+  if (booking.status === "completed") {
+    await releaseProviderEarning(booking);
+  }
+  return booking;
+};
+
+module.exports = {
+  processCancellationRefund,
+  settleNoShow,
+  releaseProviderEarning,
+  planDisputeSettlement,
+  settleDisputedBooking,
+};
@@ -0,0 +1,205 @@
+// utils/bookingTime.js
+// Helpers for the "YYYY-MM-DD" + "HH:mm" strings stored on bookings and
+// the UTC instants derived from them in the booking's timezone.
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Bookings that do not declare a timezone are in Thailand local time
+const DEFAULT_TIMEZONE = "Asia/Bangkok";
+
+// Building an Intl.DateTimeFormat is slow, so keep one per zone
+const zoneFormatters = new Map();
+
+const zoneFormatterFor = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      });
+    } catch (err) {
+      // RangeError for an unknown zone
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+const isValidTimeZone = (value) =>
+  typeof value === "string" && value.length > 0 && zoneFormatterFor(value) !== null;
+
+/**
+ * Milliseconds `timeZone` is ahead of UTC at `instant` (negative west of
+ * Greenwich), or null for an unknown zone.
+ */
+const timeZoneOffsetMs = (instant, timeZone) => {
+  const formatter = zoneFormatterFor(timeZone);
+  if (!formatter) return null;
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(instant)) {
+    parts[type] = Number(value);
+  }
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * "13:30" -> 810. "24:00" is accepted as the end of the day.
+ * Returns null for anything that is not a valid time of day.
+ */
+const parseTimeToMinutes = (value) => {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (trimmed === "24:00") return 24 * 60;
+  const match = trimmed.match(TIME_REGEX);
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const isValidDate = (value) => {
+  if (typeof value !== "string" || !DATE_REGEX.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * "2025-03-10" -> "mon" (same keys as generalTimeSetting.available[].day)
+ */
+const dayKeyOf = (date) => {
+  if (!isValidDate(date)) return null;
+  return DAY_KEYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * Calendar date `days` after `date` ("YYYY-MM-DD"), or null if invalid.
+ */
+const addDays = (date, days) => {
+  if (!isValidDate(date)) return null;
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Absolute instant for a date and time of day on the wall clock of
+ * `timeZone`, or null if any of them is invalid.
+ */
+const toInstant = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+  const minutes = parseTimeToMinutes(time);
+  if (!isValidDate(date) || minutes === null) return null;
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+  const guess = timeZoneOffsetMs(new Date(wallClock), timeZone);
+  if (guess === null) return null;
+  const first = wallClock - guess;
+  // Near a DST change the offset at the result can differ from the guess
+  const offset = timeZoneOffsetMs(new Date(first), timeZone);
+  if (offset === guess) return new Date(first);
+  const second = wallClock - offset;
+  // A time skipped by the clocks going forward keeps the first answer
+  return new Date(
+    timeZoneOffsetMs(new Date(second), timeZone) === offset ? second : first
+  );
+};
+
+const bookingTimeZoneOf = (booking) => booking.timezone || DEFAULT_TIMEZONE;
+
+const bookingStartsAt = (booking) =>
+  toInstant(booking.date, booking.startTime, bookingTimeZoneOf(booking));
+
+/**
+ * Last calendar date a booking covers. Single-day bookings may not
+ * store endDate, in which case it is the booking date.
+ */
+const bookingEndDateOf = (booking) => booking.endDate || booking.date;
+
+const bookingEndsAt = (booking) =>
+  toInstant(
+    bookingEndDateOf(booking),
+    booking.endTime,
+    bookingTimeZoneOf(booking)
+  );
+
+/**
+ * endDate to store for a booking: the given one when it is a later day,
+ * the next day when the end time is not after the start time (an
+ * overnight booking such as 22:00-02:00), otherwise null.
+ */
+const resolveEndDate = ({ date, endDate, startTime, endTime }) => {
+  if (endDate && endDate !== date) return endDate;
+  const start = parseTimeToMinutes(startTime);
+  const end = parseTimeToMinutes(endTime);
+  if (start !== null && end !== null && end <= start && isValidDate(date)) {
+    return addDays(date, 1);
+  }
+  return null;
+};
+
+/**
+ * Number of calendar days from `date` to `endDate` inclusive, worked out
+ * without walking the days, or null when either is invalid or endDate is
+ * before date.
+ */
+const calendarDaysBetween = (date, endDate) => {
+  if (!isValidDate(date) || !isValidDate(endDate) || endDate < date) return null;
+  const ms = Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`);
+  return Math.round(ms / (24 * 60 * 60 * 1000)) + 1;
+};
+
+/**
+ * Calendar dates from `date` to `endDate` inclusive, or null when either
+ * is invalid or endDate is before date.
+ */
+const datesBetween = (date, endDate) => {
+  if (!isValidDate(date) || !isValidDate(endDate) || endDate < date) return null;
+  const dates = [];
+  for (let day = date; day <= endDate; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+  return dates;
+};
+
+/**
+ * Calendar date ("YYYY-MM-DD") of an instant on the wall clock of `timeZone`.
+ */
+const localDateOf = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  const offsetMs = timeZoneOffsetMs(instant, timeZone) || 0;
+  return new Date(instant.getTime() + offsetMs).toISOString().slice(0, 10);
+};
+
+const rangesOverlap = (aStart, aEnd, bStart, bEnd) =>
+  aStart < bEnd && bStart < aEnd;
+
+module.exports = {
+  DAY_KEYS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseTimeToMinutes,
+  isValidDate,
+  dayKeyOf,
+  addDays,
+  toInstant,
+  bookingStartsAt,
+  bookingEndDateOf,
+  bookingEndsAt,
+  resolveEndDate,
+  calendarDaysBetween,
+  datesBetween,
+  localDateOf,
+  rangesOverlap,
+};
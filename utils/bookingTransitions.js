@@ -0,0 +1,177 @@
+// utils/bookingTransitions.js
+const { bookingStartsAt, bookingEndsAt } = require("./bookingTime");
+
+// from -> to -> roles allowed to make the change
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ["provider", "admin"],
+    cancelled: ["customer", "provider", "admin"],
+  },
+  confirmed: {
+    completed: ["provider", "admin"],
+    cancelled: ["customer", "provider", "admin"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+const PAYMENT_STATUS_TRANSITIONS = {
+  // Payments mark bookings paid (utils/payments.js); by hand it is an admin correction
+  pending: {
+    paid: ["admin"],
+  },
+  // Cancelling a paid booking sets these from the cancellation policy;
+  // setting them by hand is an admin correction
+  paid: {
+    refunded: ["admin"],
+    partially_refunded: ["admin"],
+  },
+  partially_refunded: {
+    refunded: ["admin"],
+  },
+  refunded: {},
+};
+
+/**
+ * Extra conditions on top of the role table. Each guard receives the
+ * booking as it would look after the update and returns an error message
+ * when the change is not allowed.
+ */
+const DISPUTED_MESSAGE =
+  "Booking has an open dispute and is settled by its resolution";
+
+const NO_SHOW_MESSAGE =
+  "Booking has a no-show report waiting to be contested or settled";
+
+const STATUS_GUARDS = {
+  completed: ({ next, now }) => {
+    if (next.openDisputeId) return DISPUTED_MESSAGE;
+    if (next.noShowStatus === "reported") return NO_SHOW_MESSAGE;
+    const endsAt = bookingEndsAt(next);
+    if (!endsAt || now < endsAt) {
+      return "Booking can only be completed after its end time";
+    }
+    if (next.paymentStatus !== "paid") {
+      return "Booking must be paid before it can be completed";
+    }
+    return null;
+  },
+  cancelled: ({ next, role, now }) => {
+    if (next.openDisputeId) return DISPUTED_MESSAGE;
+    if (next.noShowStatus === "reported") return NO_SHOW_MESSAGE;
+    if (role === "admin") return null;
+    const startsAt = bookingStartsAt(next);
+    if (startsAt && now >= startsAt) {
+      return "Booking can no longer be cancelled after it has started";
+    }
+    return null;
+  },
+};
+
+const PAYMENT_STATUS_GUARDS = {
+  paid: ({ next }) =>
+    next.status === "cancelled"
+      ? "Cancelled bookings cannot be marked as paid"
+      : null,
+  refunded: ({ next }) =>
+    next.status !== "cancelled" ? "Only cancelled bookings can be refunded" : null,
+  partially_refunded: ({ next }) =>
+    next.status !== "cancelled" ? "Only cancelled bookings can be refunded" : null,
+};
+
+/**
+ * Role of the requesting user on this booking, or null for outsiders.
+ */
+const bookingRoleFor = (booking, user) => {
+  if (!user) return null;
+  if (user.type === "admin") return "admin";
+  const id = String(user.id || user._id || "");
+  if (booking.customerId === id) return "customer";
+  if (booking.providerId === id) return "provider";
+  return null;
+};
+
+const FIELDS = {
+  status: { table: STATUS_TRANSITIONS, guards: STATUS_GUARDS },
+  paymentStatus: { table: PAYMENT_STATUS_TRANSITIONS, guards: PAYMENT_STATUS_GUARDS },
+};
+
+const rejectionFor = ({ field, from, to, role, next, now }) => {
+  const { table, guards } = FIELDS[field];
+  const roles = (table[from] || {})[to];
+  if (!roles || !roles.includes(role)) {
+    return `${role} cannot change ${field} from ${from} to ${to}`;
+  }
+  const guard = guards[to];
+  return guard ? guard({ next, role, now }) : null;
+};
+
+/**
+ * States `field` may move to from its current value, for this role.
+ */
+const allowedNextStates = ({ field, booking, role, next = booking, now = new Date() }) => {
+  const from = booking[field];
+  return Object.keys(FIELDS[field].table[from] || {}).filter(
+    (to) =>
+      !rejectionFor({ field, from, to, role, next: { ...next, [field]: to }, now })
+  );
+};
+
+/**
+ * The fields of `booking` the transition rules and guards look at, for
+ * allowedNextStates() and checkBookingTransition().
+ */
+const transitionStateOf = (booking) => ({
+  date: booking.date,
+  endDate: booking.endDate,
+  startTime: booking.startTime,
+  endTime: booking.endTime,
+  timezone: booking.timezone,
+  status: booking.status,
+  paymentStatus: booking.paymentStatus,
+  openDisputeId: booking.openDisputeId,
+  noShowStatus: booking.noShow?.status || null,
+});
+
+/**
+ * Validate a requested status / paymentStatus change.
+ * Returns null when allowed, otherwise `{ status: 422, body }`.
+ */
+const checkBookingTransition = ({ booking, role, changes, now = new Date() }) => {
+  const current = transitionStateOf(booking);
+  const next = { ...current };
+  Object.keys(changes).forEach((key) => {
+    if (changes[key] !== undefined) next[key] = changes[key];
+  });
+
+  for (const field of Object.keys(FIELDS)) {
+    const from = current[field];
+    const to = next[field];
+    if (to === undefined || to === from) continue;
+
+    const reason = rejectionFor({ field, from, to, role, next, now });
+    if (reason) {
+      return {
+        status: 422,
+        body: {
+          success: false,
+          message: reason,
+          field,
+          from,
+          to,
+          allowed: allowedNextStates({ field, booking: current, role, next, now }),
+        },
+      };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  bookingRoleFor,
+  transitionStateOf,
+  allowedNextStates,
+  checkBookingTransition,
+};
@@ -0,0 +1,109 @@
+// utils/cancellationPolicy.js
+const CancellationPolicy = require("../models/CancellationPolicy");
+const { bookingStartsAt } = require("./bookingTime");
+const { roundMoney } = require("./pricing");
+
+// Used when no policy is stored: full refund two days ahead, half until
+// two hours before the start, nothing after that
+const BUILT_IN_POLICY = {
+  policyId: null,
+  name: "Standard",
+  rules: [
+    { minHoursBefore: 48, refundPercent: 100 },
+    { minHoursBefore: 2, refundPercent: 50 },
+    { minHoursBefore: 0, refundPercent: 0 },
+  ],
+};
+
+// Only money that was collected can be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ["paid"];
+
+const toSnapshot = (policy) => ({
+  policyId: policy._id || policy.policyId || null,
+  name: policy.name,
+  rules: [...policy.rules]
+    .map(({ minHoursBefore, refundPercent }) => ({ minHoursBefore, refundPercent }))
+    .sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+});
+
+/**
+ * The policy a new booking of `service` is made under: the service's own
+ * active policy, else the active platform default, else BUILT_IN_POLICY.
+ * Returns a plain snapshot to store on the booking.
+ */
+const resolveCancellationPolicy = async ({
+  PolicyModel = CancellationPolicy,
+  service,
+}) => {
+  if (service && service.cancellationPolicyId) {
+    const own = await PolicyModel.findOne({
+      _id: service.cancellationPolicyId,
+      active: true,
+    });
+    if (own) return toSnapshot(own);
+  }
+  const platformDefault = await PolicyModel.findOne({
+    isDefault: true,
+    active: true,
+  });
+  return toSnapshot(platformDefault || BUILT_IN_POLICY);
+};
+
+/**
+ * Refund percent of the first rule whose threshold has not passed yet.
+ */
+const refundPercentFor = (policy, hoursBeforeStart) => {
+  const rule = toSnapshot(policy).rules.find(
+    (entry) => hoursBeforeStart >= entry.minHoursBefore
+  );
+  return rule ? rule.refundPercent : 0;
+};
+
+/**
+ * What cancelling `booking` now would refund. Customers get the percent
+ * from the booking's policy snapshot and the rest goes to the provider as
+ * compensation; any other canceller refunds the customer in full.
+ * `paymentStatus` is the status the booking ends up with.
+ */
+const quoteCancellation = ({ booking, cancelledBy, now = new Date() }) => {
+  const policy = booking.cancellationPolicy?.rules?.length
+    ? booking.cancellationPolicy
+    : BUILT_IN_POLICY;
+  const startsAt = bookingStartsAt(booking);
+  const hoursBeforeStart = startsAt
+    ? roundMoney((startsAt.getTime() - now.getTime()) / (60 * 60 * 1000))
+    : 0;
+
+  const refundPercent =
+    cancelledBy === "customer" ? refundPercentFor(policy, hoursBeforeStart) : 100;
+
+  const paid = REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus);
+  const paidAmount = paid ? booking.totalAmount : 0;
+  // To the satang, and a full refund is exactly what was paid
+  const refundAmount =
+    refundPercent >= 100 ? paidAmount : roundMoney((paidAmount * refundPercent) / 100);
+  const providerCompensation = roundMoney(paidAmount - refundAmount);
+
+  let paymentStatus = booking.paymentStatus;
+  if (paid && refundAmount > 0) {
+    paymentStatus = refundAmount >= paidAmount ? "refunded" : "partially_refunded";
+  }
+
+  return {
+    cancelledBy,
+    hoursBeforeStart,
+    policy: toSnapshot(policy),
+    refundPercent,
+    paidAmount,
+    refundAmount,
+    providerCompensation,
+    paymentStatus,
+  };
+};
+
+module.exports = {
+  BUILT_IN_POLICY,
+  resolveCancellationPolicy,
+  refundPercentFor,
+  quoteCancellation,
+};
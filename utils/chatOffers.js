@@ -0,0 +1,45 @@
+// utils/chatOffers.js
+// Custom booking offers a provider sends inside a booking chat.
+
+const DEFAULT_OFFER_TTL_HOURS = 24;
+
+const getOfferTtlHours = () => {
+  const value = Number(process.env.CHAT_OFFER_TTL_HOURS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_OFFER_TTL_HOURS;
+};
+
+const offerMessages = (chat) =>
+  (chat?.messages || []).filter((message) => message.offer);
+
+const findOfferMessage = (chat, offerId) =>
+  offerMessages(chat).find((message) => String(message.offer._id) === String(offerId)) ||
+  null;
+
+/**
+ * Mark pending offers whose expiresAt has passed as expired.
+ * Returns true when something changed and the chat needs saving.
+ */
+const expireChatOffers = (chat, now = new Date()) => {
+  let changed = false;
+  for (const { offer } of offerMessages(chat)) {
+    if (offer.status === "pending" && offer.expiresAt <= now) {
+      offer.status = "expired";
+      changed = true;
+    }
+  }
+  return changed;
+};
+
+// Chat text shown with an offer, for clients that only render content
+const offerSummary = (offer) => {
+  const until =
+    offer.endDate && offer.endDate !== offer.date ? ` ถึงวันที่ ${offer.endDate}` : "";
+  return `ข้อเสนอ: ${offer.serviceName} วันที่ ${offer.date}${until} เวลา ${offer.startTime}-${offer.endTime} ราคา ${offer.totalAmount} บาท`;
+};
+
+module.exports = {
+  getOfferTtlHours,
+  findOfferMessage,
+  expireChatOffers,
+  offerSummary,
+};
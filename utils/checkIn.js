@@ -0,0 +1,69 @@
+// utils/checkIn.js
+// Rules for checking in to and out of a booking when the two parties meet.
+const { bookingStartsAt, bookingEndsAt } = require("./bookingTime");
+
+const DEFAULT_EARLY_MINUTES = 30;
+// Wrong codes allowed before the customer has to issue a new one
+const MAX_CHECK_IN_ATTEMPTS = 5;
+
+const getCheckInEarlyMinutes = () => {
+  const value = Number(process.env.CHECK_IN_EARLY_MINUTES);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_EARLY_MINUTES;
+};
+
+/**
+ * When the provider may check in: from a little before the start until
+ * the booking ends. Returns null when the booking times are invalid.
+ */
+const checkInWindowOf = (booking, earlyMinutes = getCheckInEarlyMinutes()) => {
+  const startsAt = bookingStartsAt(booking);
+  const endsAt = bookingEndsAt(booking);
+  if (!startsAt || !endsAt) return null;
+  return {
+    opensAt: new Date(startsAt.getTime() - earlyMinutes * 60 * 1000),
+    closesAt: endsAt,
+  };
+};
+
+const toCoordinate = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : NaN;
+};
+
+/**
+ * Optional `latitude` / `longitude` (and `accuracy` in metres) from a
+ * request body. Returns `{ location }` (undefined when none was sent)
+ * or `{ error }`.
+ */
+const parseCoordinates = (body = {}) => {
+  const latitude = toCoordinate(body.latitude);
+  const longitude = toCoordinate(body.longitude);
+  const accuracy = toCoordinate(body.accuracy);
+
+  if (latitude === undefined && longitude === undefined) {
+    return { location: undefined };
+  }
+  if (latitude === undefined || longitude === undefined) {
+    return { error: "latitude and longitude must be sent together" };
+  }
+  if (Number.isNaN(latitude) || latitude < -90 || latitude > 90) {
+    return { error: "latitude must be a number between -90 and 90" };
+  }
+  if (Number.isNaN(longitude) || longitude < -180 || longitude > 180) {
+    return { error: "longitude must be a number between -180 and 180" };
+  }
+  if (Number.isNaN(accuracy) || accuracy < 0) {
+    return { error: "accuracy must be a positive number of metres" };
+  }
+  return {
+    location: { latitude, longitude, accuracy: accuracy === undefined ? null : accuracy },
+  };
+};
+
+module.exports = {
+  MAX_CHECK_IN_ATTEMPTS,
+  getCheckInEarlyMinutes,
+  checkInWindowOf,
+  parseCoordinates,
+};
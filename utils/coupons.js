@@ -0,0 +1,203 @@
+// utils/coupons.js
+// Checking, reserving and giving back coupon usage for bookings.
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+
+const normalizeCouponCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+const reject = (status, reason, message) => ({
+  status,
+  body: { success: false, reason, message },
+});
+
+/**
+ * Check whether `coupon` can be used on a booking of `service` worth
+ * `subtotal` by a customer who already holds `userRedemptions` active
+ * redemptions of it.
+ * Returns null when it can, otherwise `{ status, body }` with a `reason`.
+ */
+const checkCouponEligibility = ({
+  coupon,
+  service,
+  subtotal,
+  userRedemptions = 0,
+  now = new Date(),
+}) => {
+  if (!coupon || !coupon.active) {
+    return reject(404, "not_found", "Coupon not found");
+  }
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return reject(422, "not_started", "This coupon is not valid yet");
+  }
+  if (coupon.validUntil && now >= coupon.validUntil) {
+    return reject(422, "expired", "This coupon has expired");
+  }
+  if (
+    coupon.usageLimit !== null &&
+    coupon.usageLimit !== undefined &&
+    coupon.usedCount >= coupon.usageLimit
+  ) {
+    return reject(422, "usage_limit_reached", "This coupon has been fully used");
+  }
+  if (userRedemptions >= (coupon.perUserLimit || 1)) {
+    return reject(
+      422,
+      "per_user_limit_reached",
+      "You have already used this coupon the maximum number of times"
+    );
+  }
+
+  const serviceIds = coupon.serviceIds || [];
+  const categories = coupon.categories || [];
+  if (serviceIds.length && !serviceIds.includes(String(service.id || service._id))) {
+    return reject(422, "service_not_eligible", "This coupon does not apply to this service");
+  }
+  if (
+    categories.length &&
+    !(service.categories || []).some((category) => categories.includes(category))
+  ) {
+    return reject(422, "service_not_eligible", "This coupon does not apply to this service");
+  }
+  if (subtotal < (coupon.minSpend || 0)) {
+    return reject(
+      422,
+      "min_spend_not_met",
+      `This coupon needs a booking of at least ${coupon.minSpend}`
+    );
+  }
+  return null;
+};
+
+/**
+ * Look up `code` and check it for `customerId` booking `service` for
+ * `subtotal`. Returns `{ coupon }` or `{ rejected }` (a `{ status, body }`).
+ */
+const findUsableCoupon = async ({
+  code,
+  service,
+  customerId,
+  subtotal,
+  now = new Date(),
+}) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  const userRedemptions = coupon
+    ? await CouponRedemption.countDocuments({
+        couponId: coupon._id,
+        userId: customerId,
+        status: "active",
+      })
+    : 0;
+  const rejected = checkCouponEligibility({
+    coupon,
+    service,
+    subtotal,
+    userRedemptions,
+    now,
+  });
+  return rejected ? { rejected } : { coupon };
+};
+
+/**
+ * Take one use of `coupon`. The conditional update keeps parallel
+ * bookings from going over the usage limit; false when none are left.
+ */
+const reserveCouponUsage = async (coupon) => {
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  return Boolean(reserved);
+};
+
+// Give back a use taken by reserveCouponUsage() that was not redeemed
+const unreserveCouponUsage = (coupon) =>
+  Coupon.updateOne(
+    { _id: coupon._id, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+const isSlotTaken = (err) =>
+  Boolean(err && err.code === 11000 && err.keyPattern && "slot" in err.keyPattern);
+
+/**
+ * Record the use of `coupon` by `customerId` for the booking that will be
+ * saved as `bookingId`. Each active redemption takes one of the user's
+ * perUserLimit slots and the unique index on them refuses a second
+ * writer, so parallel bookings cannot go over the per-user limit.
+ * Returns the redemption, or null when every slot is taken.
+ */
+const recordCouponRedemption = async ({
+  coupon,
+  customerId,
+  bookingId,
+  discountAmount = 0,
+}) => {
+  for (let slot = 0; slot < (coupon.perUserLimit || 1); slot += 1) {
+    try {
+      return await CouponRedemption.create({
+        couponId: coupon._id,
+        code: coupon.code,
+        userId: customerId,
+        bookingId,
+        discountAmount,
+        slot,
+      });
+    } catch (err) {
+      if (!isSlotTaken(err)) throw err;
+    }
+  }
+  return null;
+};
+
+// Undo reserveCouponUsage() and recordCouponRedemption() for a booking
+// that was never saved
+const abandonCouponRedemption = async ({ coupon, bookingId }) => {
+  await CouponRedemption.deleteOne({ bookingId });
+  await unreserveCouponUsage(coupon);
+};
+
+/**
+ * Return the coupon use of a cancelled booking so the customer (and the
+ * usage limit) get it back. Never throws: the cancellation has already
+ * been saved.
+ */
+const releaseCouponUsage = async (booking) => {
+  try {
+    if (!booking?.priceBreakdown?.couponCode) return null;
+    // Only the first release of a redemption gives the use back
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { bookingId: booking._id, status: "active" },
+      { $set: { status: "released", releasedAt: new Date() } },
+      { new: true }
+    );
+    if (!redemption) return null;
+    await Coupon.updateOne(
+      { _id: redemption.couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    return redemption;
+  } catch (err) {
+    console.error("releaseCouponUsage error:", err);
+    return null;
+  }
+};
+
+module.exports = {
+  normalizeCouponCode,
+  checkCouponEligibility,
+  findUsableCoupon,
+  reserveCouponUsage,
+  unreserveCouponUsage,
+  recordCouponRedemption,
+  abandonCouponRedemption,
+  releaseCouponUsage,
+};
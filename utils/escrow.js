@@ -0,0 +1,124 @@
+// utils/escrow.js
+// The per-booking view of the escrow account: what a paid booking put in
+// and where each part of it went once the booking was settled.
+const EscrowHold = require("../models/EscrowHold");
+const { toSatang } = require("../models/JournalEntry");
+const { roundMoney } = require("./pricing");
+
+// Movement kind -> the running total it adds to
+const MOVEMENT_FIELDS = {
+  release: "releasedAmount",
+  commission: "commissionAmount",
+  refund: "refundedAmount",
+  compensation: "compensationAmount",
+};
+
+/**
+ * What is still held, in baht.
+ */
+const escrowRemainingOf = (hold) =>
+  roundMoney(
+    Object.values(MOVEMENT_FIELDS).reduce(
+      (remaining, field) => remaining - (hold[field] || 0),
+      hold.amount
+    )
+  );
+
+/**
+ * held while anything remains; otherwise whether the money went to the
+ * provider, back to the customer, or some to each.
+ */
+const escrowStatusOf = (hold) => {
+  if (toSatang(escrowRemainingOf(hold)) > 0) return "held";
+  const toProvider =
+    (hold.releasedAmount || 0) +
+    (hold.commissionAmount || 0) +
+    (hold.compensationAmount || 0);
+  if (!hold.refundedAmount) return "released";
+  if (!toProvider) return "refunded";
+  return "split";
+};
+
+/**
+ * Open the hold for a paid booking. Bookings paid before holds existed
+ * get theirs when they are settled. Safe to call more than once.
+ * `journalEntryId` is the ledger entry that moved the money into escrow.
+ */
+const holdBookingFunds = async (
+  booking,
+  {
+    amount = booking.totalAmount,
+    journalEntryId = null,
+    at = new Date(),
+    HoldModel = EscrowHold,
+  } = {}
+) => {
+  const filter = { bookingId: booking._id };
+  try {
+    return await HoldModel.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          customerId: booking.customerId,
+          providerId: booking.providerId,
+          amount,
+          status: "held",
+          heldAt: at,
+          movements: [{ kind: "hold", amount, journalEntryId, at }],
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err && err.code === 11000) return HoldModel.findOne(filter);
+    throw err;
+  }
+};
+
+/**
+ * Record money leaving the booking's hold. Each kind is recorded once per
+ * booking, so retrying a settlement does not count it twice.
+ */
+const recordEscrowMovement = async (
+  booking,
+  {
+    kind,
+    amount,
+    transactionId = null,
+    journalEntryId = null,
+    at = new Date(),
+    HoldModel = EscrowHold,
+  }
+) => {
+  const moved = roundMoney(amount);
+  if (!(moved > 0)) return null;
+  const hold = await holdBookingFunds(booking, { HoldModel });
+
+  const updated = await HoldModel.findOneAndUpdate(
+    { bookingId: booking._id, "movements.kind": { $ne: kind } },
+    {
+      $push: { movements: { kind, amount: moved, transactionId, journalEntryId, at } },
+      $inc: { [MOVEMENT_FIELDS[kind]]: moved },
+    },
+    { new: true }
+  );
+  if (!updated) return hold;
+
+  const status = escrowStatusOf(updated);
+  if (status !== updated.status) {
+    await HoldModel.updateOne(
+      { _id: updated._id },
+      { $set: { status, settledAt: status === "held" ? null : at } }
+    );
+    updated.status = status;
+    updated.settledAt = status === "held" ? null : at;
+  }
+  return updated;
+};
+
+module.exports = {
+  escrowRemainingOf,
+  escrowStatusOf,
+  holdBookingFunds,
+  recordEscrowMovement,
+};
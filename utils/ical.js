@@ -0,0 +1,161 @@
+// utils/ical.js
+// Minimal RFC 5545 writer for booking calendar feeds.
+const {
+  DEFAULT_TIMEZONE,
+  addDays,
+  parseTimeToMinutes,
+  bookingStartsAt,
+  bookingEndsAt,
+  bookingEndDateOf,
+} = require("./bookingTime");
+
+const PRODUCT_ID = "-//Rental Girlfriend//Bookings//TH";
+const UID_DOMAIN = "rental-girlfriend";
+const MAX_LINE_OCTETS = 75;
+
+// Thailand has had a fixed +07:00 offset without daylight saving since 1920
+const VTIMEZONES = {
+  "Asia/Bangkok": [
+    "BEGIN:VTIMEZONE",
+    "TZID:Asia/Bangkok",
+    "X-LIC-LOCATION:Asia/Bangkok",
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    "TZOFFSETFROM:+0700",
+    "TZOFFSETTO:+0700",
+    "TZNAME:ICT",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ],
+};
+
+// Event status per booking status; anything else is left out of the feed
+const EVENT_STATUS = {
+  pending: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  completed: "CONFIRMED",
+  cancelled: "CANCELLED",
+};
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Split a content line into 75-octet chunks joined by CRLF + space,
+ * never cutting a UTF-8 character in half.
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// 2025-03-10T06:00:00.000Z -> 20250310T060000Z
+const formatUtc = (instant) =>
+  new Date(instant).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// ("2025-03-10", "13:00") -> 20250310T130000, with "24:00" rolling over
+const formatLocal = (date, time) => {
+  const minutes = parseTimeToMinutes(time);
+  const day = addDays(date, Math.floor(minutes / 1440));
+  const minuteOfDay = minutes % 1440;
+  return `${day.replace(/-/g, "")}T${pad(Math.floor(minuteOfDay / 60))}${pad(minuteOfDay % 60)}00`;
+};
+
+/**
+ * DTSTART and DTEND in the feed's zone, or in UTC for a booking made in
+ * another timezone.
+ */
+const eventTimes = (booking, timezone) => {
+  if ((booking.timezone || DEFAULT_TIMEZONE) !== timezone) {
+    return [
+      `DTSTART:${formatUtc(bookingStartsAt(booking))}`,
+      `DTEND:${formatUtc(bookingEndsAt(booking))}`,
+    ];
+  }
+  return [
+    `DTSTART;TZID=${timezone}:${formatLocal(booking.date, booking.startTime)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(bookingEndDateOf(booking), booking.endTime)}`,
+  ];
+};
+
+/**
+ * VEVENT lines for one booking. `summary` and `description` are supplied
+ * by the caller so the feed can be worded for its owner.
+ */
+const bookingEvent = ({ booking, summary, description, timezone, now }) => {
+  const status = EVENT_STATUS[booking.status];
+  if (!status) return [];
+
+  const updatedAt = booking.updatedAt || booking.createdAt || now;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${booking._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `CREATED:${formatUtc(booking.createdAt || now)}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    // Clients only take an update when the sequence grows
+    `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`,
+    ...eventTimes(booking, timezone),
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${status}`,
+    `TRANSP:${status === "CANCELLED" ? "TRANSPARENT" : "OPAQUE"}`,
+    "END:VEVENT",
+  ];
+};
+
+/**
+ * Full VCALENDAR text (CRLF line endings, folded) for `events`, each an
+ * object accepted by bookingEvent().
+ */
+const buildCalendar = ({
+  name,
+  events,
+  timezone = DEFAULT_TIMEZONE,
+  now = new Date(),
+}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    ...(VTIMEZONES[timezone] || []),
+    ...events.flatMap((event) => bookingEvent({ ...event, timezone, now })),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  EVENT_STATUS,
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  buildCalendar,
+};
@@ -0,0 +1,68 @@
+// utils/images.js
+// Images are stored inline as data URIs; this checks what clients upload.
+
+/**
+ * Validate a single base64 or data URI image.
+ * Returns { ok: true, dataUri, size, mimeType } or { ok: false, message }.
+ *
+ * Accepts:
+ *  - data URI: data:image/png;base64,AAAA...
+ *  - raw base64 string: AAAA... (assumed image/png unless mimeHint provided)
+ *
+ * Options:
+ *  - maxBytes (default 5MB)
+ *  - mimeHint (optional)
+ */
+const validateBase64Image = (input, options = {}) => {
+  const MAX_BYTES = options.maxBytes || 5 * 1024 * 1024; // 5 MB default
+  const mimeHint = options.mimeHint || null;
+
+  if (!input || typeof input !== "string") {
+    return { ok: false, message: "image must be a non-empty string" };
+  }
+
+  const trimmed = input.trim();
+
+  // Reject if looks like URL — we only accept inline base64/data URIs here
+  if (/^https?:\/\//i.test(trimmed)) {
+    return { ok: false, message: "image must be base64 or data URI, not a remote URL" };
+  }
+
+  const dataUriMatch = trimmed.match(/^data:(image\/[a-zA-Z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/);
+  let mimeType = null;
+  let b64 = null;
+
+  if (dataUriMatch) {
+    mimeType = dataUriMatch[1].toLowerCase();
+    b64 = dataUriMatch[2].replace(/\s+/g, "");
+  } else {
+    // treat as raw base64
+    b64 = trimmed.replace(/\s+/g, "");
+    if (!/^[A-Za-z0-9+/=]+$/.test(b64)) {
+      return { ok: false, message: "image must be valid base64 or a data URI" };
+    }
+    mimeType = mimeHint || "image/png";
+  }
+
+  // Normalize common variant
+  if (mimeType === "image/jpg") mimeType = "image/jpeg";
+
+  const allowed = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+  if (!allowed.has(mimeType)) {
+    return { ok: false, message: `unsupported image type: ${mimeType}. allowed: png, jpeg, gif, webp` };
+  }
+
+  // Estimate bytes from base64 length: bytes = (len * 3)/4 - padding
+  const padding = (b64.endsWith("==") ? 2 : (b64.endsWith("=") ? 1 : 0));
+  const approxBytes = Math.floor((b64.length * 3) / 4) - padding;
+  if (approxBytes > MAX_BYTES) {
+    return { ok: false, message: `image too large: ${approxBytes} bytes (max ${MAX_BYTES} bytes)` };
+  }
+
+  const dataUri = `data:${mimeType};base64,${b64}`;
+  return { ok: true, dataUri, size: approxBytes, mimeType };
+};
+
+module.exports = {
+  validateBase64Image,
+};
@@ -0,0 +1,362 @@
+// utils/ledger.js
+// Double-entry bookkeeping for every movement of money on the platform.
+// Each journal entry moves an amount between accounts and always balances;
+// balances are the sum of an account's postings. Each user's spendable
+// balance is also kept on their Wallet, moved in the same MongoDB
+// transaction as the entry, so a wallet can never be overdrawn.
+const mongoose = require("mongoose");
+const LedgerAccount = require("../models/LedgerAccount");
+const JournalEntry = require("../models/JournalEntry");
+const Transaction = require("../models/Transaction");
+const Wallet = require("../models/Wallet");
+const { roundMoney } = require("./pricing");
+
+const { toSatang } = JournalEntry;
+
+// Platform-wide accounts, created on first use
+const PLATFORM_ACCOUNTS = {
+  escrow: {
+    kind: "escrow",
+    type: "liability",
+    name: "Customer payments held for bookings",
+  },
+  platform_revenue: {
+    kind: "platform_revenue",
+    type: "revenue",
+    name: "Platform commission",
+  },
+  payouts: {
+    kind: "payouts",
+    type: "asset",
+    name: "Withdrawals paid out to bank accounts",
+  },
+  gateway: {
+    kind: "gateway",
+    type: "asset",
+    name: "Money received through payment gateways",
+  },
+};
+
+const WALLET_PREFIX = "wallet:";
+
+const walletCode = (userId) => `${WALLET_PREFIX}${userId}`;
+
+const accountSpecFor = (code) => {
+  if (PLATFORM_ACCOUNTS[code]) return PLATFORM_ACCOUNTS[code];
+  if (typeof code === "string" && code.startsWith(WALLET_PREFIX)) {
+    return {
+      kind: "user_wallet",
+      type: "liability",
+      userId: code.slice(WALLET_PREFIX.length),
+      name: "User wallet",
+    };
+  }
+  return null;
+};
+
+const walletUserIdOf = (code) =>
+  code.startsWith(WALLET_PREFIX) ? code.slice(WALLET_PREFIX.length) : null;
+
+// Thrown when an entry would take a wallet below zero
+const insufficientBalance = (userId) => {
+  const err = new Error(`Insufficient balance in the wallet of ${userId}`);
+  err.name = "InsufficientBalanceError";
+  return err;
+};
+
+// Assets grow with debits; what the platform owes or has earned grows with credits
+const balanceFor = (type, debits, credits) =>
+  roundMoney(type === "asset" ? debits - credits : credits - debits);
+
+/**
+ * The journal entry kind a Transaction belongs to. Earnings and
+ * compensation are stored as topups and told apart by their method.
+ */
+const transactionKindOf = (tx) => {
+  if (tx.type === "topup") {
+    if (tx.method === "earning") return "earning";
+    if (tx.method === "compensation") return "compensation";
+    return "topup";
+  }
+  return tx.type;
+};
+
+// Which account each kind of Transaction debits and credits
+const TRANSACTION_ACCOUNTS = {
+  topup: (tx) => ({ debit: "gateway", credit: walletCode(tx.customerId) }),
+  payment: (tx) => ({ debit: walletCode(tx.customerId), credit: "escrow" }),
+  refund: (tx) => ({ debit: "escrow", credit: walletCode(tx.customerId) }),
+  compensation: (tx) => ({ debit: "escrow", credit: walletCode(tx.customerId) }),
+  earning: (tx) => ({ debit: "escrow", credit: walletCode(tx.customerId) }),
+  withdrawal: (tx) => ({ debit: walletCode(tx.customerId), credit: "payouts" }),
+};
+
+const transfer = ({ debit, credit }, amount) => [
+  { account: debit, direction: "debit", amount },
+  { account: credit, direction: "credit", amount },
+];
+
+const buildLedger = ({
+  AccountModel = LedgerAccount,
+  EntryModel = JournalEntry,
+  TransactionModel = Transaction,
+  WalletModel = Wallet,
+  runInTransaction = (work) => mongoose.connection.transaction(work),
+} = {}) => {
+  // Upsert, where two first uses racing lose to each other's insert
+  const upsertOnce = async (Model, filter, fields) => {
+    try {
+      return await Model.findOneAndUpdate(
+        filter,
+        { $setOnInsert: fields },
+        { upsert: true, new: true }
+      );
+    } catch (err) {
+      if (err && err.code === 11000) return Model.findOne(filter);
+      throw err;
+    }
+  };
+
+  // Created outside any transaction, so postings only ever update them
+  const ensureAccount = async (code) => {
+    const spec = accountSpecFor(code);
+    if (!spec) throw new Error(`Unknown ledger account: ${code}`);
+    const account = await upsertOnce(AccountModel, { code }, spec);
+    if (spec.userId) await upsertOnce(WalletModel, { userId: spec.userId }, {});
+    return account;
+  };
+
+  /**
+   * Move each wallet touched by `postings` by its net amount. A wallet
+   * is only debited while it holds enough, checked by the update itself.
+   */
+  const applyWalletChanges = async (postings, { session, allowOverdraft }) => {
+    const changes = new Map();
+    for (const posting of postings) {
+      const userId = walletUserIdOf(posting.accountCode);
+      if (!userId) continue;
+      const amount = toSatang(posting.amount);
+      const change = posting.direction === "credit" ? amount : -amount;
+      changes.set(userId, (changes.get(userId) || 0) + change);
+    }
+
+    for (const [userId, change] of changes) {
+      if (change === 0) continue;
+      const filter =
+        change > 0 || allowOverdraft
+          ? { userId }
+          : { userId, balanceSatang: { $gte: -change } };
+      const wallet = await WalletModel.findOneAndUpdate(
+        filter,
+        { $inc: { balanceSatang: change } },
+        { new: true, session }
+      );
+      if (!wallet) throw insufficientBalance(userId);
+    }
+  };
+
+  /**
+   * Post one balanced entry. `lines` are `{ account, direction, amount }`
+   * with account codes; zero lines are left out. Posting an
+   * `idempotencyKey` that was already used returns the earlier entry.
+   * Runs in its own MongoDB transaction unless given the caller's
+   * `session`; `allowOverdraft` is only for replaying history.
+   */
+  const postEntry = async ({
+    kind,
+    lines,
+    idempotencyKey,
+    bookingId = null,
+    transactionId = null,
+    description = "",
+    occurredAt = new Date(),
+    session = null,
+    allowOverdraft = false,
+  }) => {
+    const existing = await EntryModel.findOne({ idempotencyKey }, null, { session });
+    if (existing) return existing;
+
+    const postings = [];
+    for (const line of lines) {
+      const amount = roundMoney(line.amount);
+      if (!(amount > 0)) continue;
+      const account = await ensureAccount(line.account);
+      postings.push({
+        accountId: account._id,
+        accountCode: account.code,
+        direction: line.direction,
+        amount,
+      });
+    }
+    if (!postings.length) return null;
+
+    const write = async (txSession) => {
+      const [entry] = await EntryModel.create(
+        [
+          {
+            kind,
+            idempotencyKey,
+            postings,
+            bookingId,
+            transactionId,
+            description: String(description || "").slice(0, 500),
+            occurredAt,
+          },
+        ],
+        { session: txSession }
+      );
+      await applyWalletChanges(postings, { session: txSession, allowOverdraft });
+      return entry;
+    };
+
+    // Inside the caller's transaction a duplicate aborts the whole of it
+    if (session) return write(session);
+    try {
+      return await runInTransaction(write);
+    } catch (err) {
+      if (err && err.code === 11000) {
+        const raced = await EntryModel.findOne({ idempotencyKey });
+        if (raced) return raced;
+      }
+      throw err;
+    }
+  };
+
+  /**
+   * Post the entry for a Transaction. Only completed ones moved money.
+   */
+  const postTransactionEntry = (tx, options = {}) => {
+    if (tx.status !== "completed") return null;
+    const kind = transactionKindOf(tx);
+    const accounts = TRANSACTION_ACCOUNTS[kind];
+    if (!accounts) throw new Error(`Unknown transaction type: ${tx.type}`);
+    return postEntry({
+      kind,
+      lines: transfer(accounts(tx), tx.amount),
+      idempotencyKey: `transaction:${tx._id}`,
+      bookingId: tx.bookingId || null,
+      transactionId: tx._id,
+      description: tx.note,
+      occurredAt: tx.createdAt || new Date(),
+      ...options,
+    });
+  };
+
+  /**
+   * Create a Transaction for the user's history together with its
+   * journal entry, atomically. Pass `session` to make them part of a
+   * larger transaction.
+   */
+  const recordTransaction = (payload, { session = null } = {}) => {
+    const record = async (txSession) => {
+      const [tx] = await TransactionModel.create([payload], { session: txSession });
+      await postTransactionEntry(tx, { session: txSession });
+      return tx;
+    };
+    return session ? record(session) : runInTransaction(record);
+  };
+
+  /**
+   * Money a gateway collected for a booking, held in escrow until the
+   * booking is settled.
+   */
+  const recordGatewayPayment = ({ payment, session = null }) =>
+    postEntry({
+      kind: "payment",
+      lines: transfer({ debit: "gateway", credit: "escrow" }, payment.amount),
+      idempotencyKey: `payment:${payment._id}`,
+      bookingId: payment.bookingId,
+      description: `ชำระเงินผ่าน ${payment.gateway} (${payment.transactionId})`,
+      occurredAt: payment.completedAt || new Date(),
+      session,
+    });
+
+  /**
+   * Money an admin confirmed was paid for a booking outside the payment
+   * flow. It is held in escrow like a gateway payment, once per booking.
+   */
+  const recordConfirmedPayment = ({ booking, session = null }) =>
+    postEntry({
+      kind: "payment",
+      lines: transfer({ debit: "gateway", credit: "escrow" }, booking.totalAmount),
+      idempotencyKey: `booking-payment:${booking._id}`,
+      bookingId: booking._id,
+      description: `ยืนยันการชำระเงินโดยผู้ดูแลระบบ - ${booking.serviceName}`,
+      session,
+    });
+
+  /**
+   * The platform's cut of a booking's earning, moved out of escrow.
+   */
+  const recordCommission = ({ booking, amount, occurredAt }) =>
+    postEntry({
+      kind: "commission",
+      lines: transfer({ debit: "escrow", credit: "platform_revenue" }, amount),
+      idempotencyKey: `commission:${booking._id}`,
+      bookingId: booking._id,
+      description: `ค่าคอมมิชชันแพลตฟอร์ม - ${booking.serviceName}`,
+      occurredAt,
+    });
+
+  /**
+   * Totals of an account's postings and its balance on its normal side.
+   */
+  const accountBalance = async (code) => {
+    const spec = accountSpecFor(code);
+    const account = await AccountModel.findOne({ code });
+    if (!account) {
+      return { code, debits: 0, credits: 0, balance: 0, type: spec?.type || null };
+    }
+    const totals = await EntryModel.aggregate([
+      { $match: { "postings.accountId": account._id } },
+      { $unwind: "$postings" },
+      { $match: { "postings.accountId": account._id } },
+      { $group: { _id: "$postings.direction", total: { $sum: "$postings.amount" } } },
+    ]);
+    const sum = (direction) =>
+      roundMoney(totals.find((row) => row._id === direction)?.total || 0);
+    const debits = sum("debit");
+    const credits = sum("credit");
+    return {
+      code,
+      debits,
+      credits,
+      balance: balanceFor(account.type, debits, credits),
+      type: account.type,
+    };
+  };
+
+  /**
+   * A user's spendable balance from their wallet, with the totals of
+   * everything credited to and debited from it.
+   */
+  const walletBalance = async (userId) => {
+    const totals = await accountBalance(walletCode(userId));
+    const wallet = await WalletModel.findOne({ userId });
+    return { ...totals, balance: wallet ? wallet.balanceSatang / 100 : 0 };
+  };
+
+  return {
+    runInTransaction,
+    ensureAccount,
+    postEntry,
+    postTransactionEntry,
+    recordTransaction,
+    recordGatewayPayment,
+    recordConfirmedPayment,
+    recordCommission,
+    accountBalance,
+    walletBalance,
+  };
+};
+
+const ledger = buildLedger();
+
+module.exports = {
+  PLATFORM_ACCOUNTS,
+  walletCode,
+  walletUserIdOf,
+  transactionKindOf,
+  buildLedger,
+  ...ledger,
+};
@@ -0,0 +1,172 @@
+// utils/noShow.js
+// Reporting that the other party never turned up, and what follows from it.
+const User = require("../models/User");
+const { bookingStartsAt } = require("./bookingTime");
+
+const DEFAULT_GRACE_MINUTES = 15;
+const DEFAULT_REPORT_WINDOW_HOURS = 24;
+const DEFAULT_CONTEST_HOURS = 24;
+
+const numberSetting = (raw, fallback) => {
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getNoShowGraceMinutes = () =>
+  numberSetting(process.env.NO_SHOW_GRACE_MINUTES, DEFAULT_GRACE_MINUTES);
+
+const getNoShowReportWindowHours = () =>
+  numberSetting(process.env.NO_SHOW_REPORT_WINDOW_HOURS, DEFAULT_REPORT_WINDOW_HOURS);
+
+const getNoShowContestHours = () =>
+  numberSetting(process.env.NO_SHOW_CONTEST_HOURS, DEFAULT_CONTEST_HOURS);
+
+const PARTY_LABELS = {
+  customer: "ลูกค้า",
+  provider: "ผู้ให้บริการ",
+};
+
+const noShowReason = (absentParty) => `${PARTY_LABELS[absentParty]}ไม่มาตามนัด`;
+
+const otherParty = (role) => (role === "customer" ? "provider" : "customer");
+
+const absentUserIdOf = (booking) =>
+  booking.noShow.absentParty === "customer" ? booking.customerId : booking.providerId;
+
+/**
+ * When a no-show can be reported: from `graceMinutes` after the start
+ * until `windowHours` after it. Returns null when the booking times are
+ * invalid.
+ */
+const noShowReportWindowOf = (
+  booking,
+  {
+    graceMinutes = getNoShowGraceMinutes(),
+    windowHours = getNoShowReportWindowHours(),
+  } = {}
+) => {
+  const startsAt = bookingStartsAt(booking);
+  if (!startsAt) return null;
+  return {
+    opensAt: new Date(startsAt.getTime() + graceMinutes * 60 * 1000),
+    closesAt: new Date(startsAt.getTime() + windowHours * 60 * 60 * 1000),
+  };
+};
+
+const reject = (status, message) => ({ status, body: { success: false, message } });
+
+/**
+ * Check whether `role` can report the other party of `booking` as a
+ * no-show at `now`. Returns null when it can, otherwise `{ status, body }`.
+ */
+const checkNoShowReport = ({ booking, role, now = new Date() }) => {
+  if (role !== "customer" && role !== "provider") {
+    return reject(403, "Only the customer or provider of this booking can report a no-show");
+  }
+  // Money has to be held for the outcome to be settled from it
+  if (booking.status !== "confirmed" || booking.paymentStatus !== "paid") {
+    return reject(422, "Only confirmed, paid bookings can have a no-show reported");
+  }
+  if (booking.noShow) {
+    return reject(409, "A no-show has already been reported for this booking");
+  }
+  if (booking.openDisputeId) {
+    return reject(409, "This booking has an open dispute");
+  }
+  if (booking.checkedInAt) {
+    return reject(422, "This booking was checked in, so both parties met");
+  }
+  const reportWindow = noShowReportWindowOf(booking);
+  if (!reportWindow) {
+    return reject(422, "This booking has invalid dates or times");
+  }
+  if (now < reportWindow.opensAt) {
+    return reject(
+      422,
+      `A no-show can be reported from ${reportWindow.opensAt.toISOString()}`
+    );
+  }
+  if (now > reportWindow.closesAt) {
+    return reject(422, "The time to report a no-show for this booking has passed");
+  }
+  return null;
+};
+
+/**
+ * What an upheld no-show does with the payment: the customer gets it all
+ * back when the provider did not come, and the provider keeps it all as
+ * compensation when the customer did not. Same shape as
+ * quoteCancellation(), for processCancellationRefund().
+ */
+const quoteNoShow = (booking) => {
+  const absentParty = booking.noShow.absentParty;
+  const paid = booking.paymentStatus === "paid";
+  const paidAmount = paid ? booking.totalAmount : 0;
+  const refundPercent = absentParty === "provider" ? 100 : 0;
+  // All or nothing, so nothing is lost to rounding
+  const refundAmount = refundPercent === 100 ? paidAmount : 0;
+
+  return {
+    absentParty,
+    refundPercent,
+    paidAmount,
+    refundAmount,
+    providerCompensation: paidAmount - refundAmount,
+    paymentStatus: paid && refundAmount > 0 ? "refunded" : booking.paymentStatus,
+  };
+};
+
+/**
+ * Whether an admin's dispute outcome agrees with the no-show report.
+ */
+const isNoShowUpheld = (absentParty, outcome) =>
+  absentParty === "provider"
+    ? outcome === "full_refund"
+    : outcome === "release_to_provider";
+
+/**
+ * Count an upheld no-show against the user who did not turn up.
+ */
+const recordNoShow = ({ UserModel = User, userId, at = new Date() }) =>
+  UserModel.updateOne(
+    { _id: userId },
+    {
+      $inc: { "reliability.noShowCount": 1 },
+      $set: { "reliability.lastNoShowAt": at },
+    }
+  );
+
+/**
+ * Close a contested no-show once the admin has resolved its dispute.
+ * It counts against the absent party only when the outcome agrees with
+ * the report. Saves the booking; returns whether it was upheld.
+ */
+const concludeContestedNoShow = async (
+  booking,
+  { outcome, now = new Date(), UserModel = User }
+) => {
+  const upheld = isNoShowUpheld(booking.noShow.absentParty, outcome);
+  booking.noShow.status = upheld ? "upheld" : "overturned";
+  booking.noShow.settledAt = now;
+  await booking.save();
+  if (upheld) {
+    await recordNoShow({ UserModel, userId: absentUserIdOf(booking), at: now });
+  }
+  return upheld;
+};
+
+module.exports = {
+  getNoShowGraceMinutes,
+  getNoShowReportWindowHours,
+  getNoShowContestHours,
+  PARTY_LABELS,
+  noShowReason,
+  otherParty,
+  absentUserIdOf,
+  noShowReportWindowOf,
+  checkNoShowReport,
+  quoteNoShow,
+  isNoShowUpheld,
+  recordNoShow,
+  concludeContestedNoShow,
+};
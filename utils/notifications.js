@@ -0,0 +1,26 @@
+// utils/notifications.js
+const Notification = require("../models/Notification");
+
+/**
+ * Store an in-app notification for `userId`. Failures are logged rather
+ * than thrown so they never undo the change being notified about.
+ */
+const notifyUser = async ({
+  NotificationModel = Notification,
+  userId,
+  type,
+  title,
+  message,
+  data = {},
+}) => {
+  try {
+    return await NotificationModel.create({ userId, type, title, message, data });
+  } catch (err) {
+    console.error("notifyUser error:", err);
+    return null;
+  }
+};
+
+module.exports = {
+  notifyUser,
+};
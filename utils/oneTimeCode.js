@@ -0,0 +1,29 @@
+// utils/oneTimeCode.js
+// Short numeric codes that are handed out once and only stored hashed.
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+
+const SALT_ROUNDS = 10;
+const DEFAULT_CODE_LENGTH = 6;
+
+// Zero-padded numeric string, e.g. "042917"
+const generateCode = (length = DEFAULT_CODE_LENGTH) =>
+  String(crypto.randomInt(0, 10 ** length)).padStart(length, "0");
+
+const hashCode = (code) => bcrypt.hash(String(code), SALT_ROUNDS);
+
+/**
+ * Compare a submitted code with the stored hash.
+ * Returns false when either is missing.
+ */
+const verifyCode = async (code, hash) => {
+  if (code === undefined || code === null || code === "" || !hash) return false;
+  return bcrypt.compare(String(code), hash);
+};
+
+module.exports = {
+  DEFAULT_CODE_LENGTH,
+  generateCode,
+  hashCode,
+  verifyCode,
+};
@@ -0,0 +1,43 @@
+// utils/paymentGateways/index.js
+// Registry of payment gateway adapters. Every adapter has the same shape:
+//   name                               key used in Payment.gateway and the webhook URL
+//   enabled                            false when it is missing its configuration
+//   createCharge({ payment, deliver }) -> { chargeId, nextAction }
+//   verifyWebhook({ rawBody, headers }) -> true when the signature is valid
+//   parseEvent(body)                   -> { eventId, chargeId, status, amount, failureReason } or null
+// `deliver` is for gateways that report results in-process, like the simulator.
+const { buildSimulatorGateway } = require("./simulator");
+
+const gateways = new Map();
+
+const registerGateway = (gateway) => {
+  gateways.set(gateway.name, gateway);
+  return gateway;
+};
+
+// Takes `name` out of the registry again, for tests that register their own
+const unregisterGateway = (name) => gateways.delete(name);
+
+registerGateway(buildSimulatorGateway());
+
+/**
+ * The enabled gateway called `name`, or null.
+ */
+const getGateway = (name) => {
+  const gateway = gateways.get(name);
+  return gateway && gateway.enabled ? gateway : null;
+};
+
+/**
+ * The gateway PAYMENT_GATEWAY selects, or null when it names none that
+ * is enabled. Payments only ever go through this one.
+ */
+const getConfiguredGateway = () =>
+  process.env.PAYMENT_GATEWAY ? getGateway(process.env.PAYMENT_GATEWAY) : null;
+
+module.exports = {
+  registerGateway,
+  unregisterGateway,
+  getGateway,
+  getConfiguredGateway,
+};
@@ -0,0 +1,137 @@
+// utils/paymentGateways/simulator.js
+// A local stand-in for a real payment gateway. Charges get a redirect or a
+// QR code like a real one would, then the result arrives a little later
+// as a signed webhook, delivered in-process instead of over HTTP.
+const crypto = require("crypto");
+
+const NAME = "simulator";
+const SIGNATURE_HEADER = "x-simulator-signature";
+// Reject webhooks signed more than this long ago, so they cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const DEFAULT_DELAY_MS = 3000;
+const OUTCOMES = ["completed", "failed"];
+
+// The simulator completes charges nobody paid, so it is only on when
+// PAYMENT_GATEWAY selects it and a signing key is configured
+const getSimulatorSecret = () =>
+  process.env.PAYMENT_GATEWAY === NAME && process.env.PAYMENT_SIMULATOR_SECRET
+    ? process.env.PAYMENT_SIMULATOR_SECRET
+    : null;
+
+const getSimulatorDelayMs = () => {
+  const value = Number(process.env.PAYMENT_SIMULATOR_DELAY_MS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_DELAY_MS;
+};
+
+const getSimulatorOutcome = () =>
+  OUTCOMES.includes(process.env.PAYMENT_SIMULATOR_OUTCOME)
+    ? process.env.PAYMENT_SIMULATOR_OUTCOME
+    : "completed";
+
+const hmac = (secret, timestamp, rawBody) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest("hex");
+
+const buildSimulatorGateway = ({
+  secret = getSimulatorSecret(),
+  delayMs = getSimulatorDelayMs(),
+  outcome = getSimulatorOutcome(),
+  schedule = (fn, ms) => setTimeout(fn, ms).unref(),
+  now = () => new Date(),
+} = {}) => {
+  /**
+   * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t." + body>`
+   */
+  const signPayload = (rawBody, timestamp = Math.floor(now().getTime() / 1000)) =>
+    `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+
+  const verifyWebhook = ({ rawBody, headers }) => {
+    const header = headers?.[SIGNATURE_HEADER];
+    if (!secret || !rawBody || typeof header !== "string") return false;
+    const parts = Object.fromEntries(
+      header.split(",").map((part) => part.trim().split("="))
+    );
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || "")) {
+      return false;
+    }
+    const age = Math.abs(now().getTime() / 1000 - timestamp);
+    if (age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = Buffer.from(hmac(secret, timestamp, rawBody), "hex");
+    return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, "hex"));
+  };
+
+  /**
+   * The gateway-neutral result carried by a webhook body, or null when
+   * it is not a charge result.
+   */
+  const parseEvent = (body) => {
+    const status = {
+      "charge.succeeded": "completed",
+      "charge.failed": "failed",
+    }[body?.type];
+    if (!status || !body.data?.chargeId) return null;
+    return {
+      eventId: body.id,
+      chargeId: body.data.chargeId,
+      status,
+      amount: body.data.amount,
+      failureReason: body.data.failureReason || "",
+    };
+  };
+
+  /**
+   * Start a charge for `payment`. PromptPay is paid by scanning a QR code,
+   * everything else through the gateway's checkout page. The result is
+   * handed to `deliver(rawBody, headers)` after `delayMs`.
+   */
+  const createCharge = async ({ payment, deliver }) => {
+    const chargeId = `sim_ch_${crypto.randomUUID()}`;
+    const nextAction =
+      payment.paymentMethod === "promptpay"
+        ? { type: "qr", qrPayload: `simulator:${chargeId}` }
+        : { type: "redirect", url: `simulator://checkout/${chargeId}` };
+
+    const event = {
+      id: `sim_evt_${crypto.randomUUID()}`,
+      type: outcome === "completed" ? "charge.succeeded" : "charge.failed",
+      data: {
+        chargeId,
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency || "THB",
+        ...(outcome === "failed" ? { failureReason: "Declined by the simulator" } : {}),
+      },
+    };
+    schedule(async () => {
+      const rawBody = Buffer.from(JSON.stringify(event));
+      try {
+        await deliver(rawBody, { [SIGNATURE_HEADER]: signPayload(rawBody) });
+      } catch (err) {
+        console.error("Simulator webhook delivery failed:", err);
+      }
+    }, delayMs);
+
+    return { chargeId, nextAction };
+  };
+
+  return {
+    name: NAME,
+    enabled: Boolean(secret),
+    createCharge,
+    verifyWebhook,
+    parseEvent,
+    signPayload,
+  };
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  getSimulatorSecret,
+  buildSimulatorGateway,
+};
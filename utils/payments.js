@@ -0,0 +1,198 @@
+// utils/payments.js
+// What happens once a payment's result is known: the Payment, the booking's
+// paymentStatus, the ledger and the escrow hold all follow from it. Wallet
+// top-ups paid through a gateway are settled here too.
+const Payment = require("../models/Payment");
+const Booking = require("../models/Booking");
+const Transaction = require("../models/Transaction");
+const { toSatang } = require("../models/JournalEntry");
+const { getGateway } = require("./paymentGateways");
+const {
+  recordGatewayPayment,
+  recordConfirmedPayment,
+  recordTransaction,
+  postTransactionEntry,
+} = require("./ledger");
+const { holdBookingFunds } = require("./escrow");
+const { snapshotBooking, recordBookingHistory } = require("./bookingHistory");
+
+const PAYMENT_METHOD_LABELS = {
+  credit_card: "บัตรเครดิต",
+  promptpay: "พร้อมเพย์",
+  bank_transfer: "โอนผ่านธนาคาร",
+  wallet: "กระเป๋าเงิน",
+};
+
+// Money for a booking that can no longer take it goes back to the wallet
+const RETURN_REASON = "การจองถูกยกเลิกหรือชำระเงินแล้วก่อนที่การชำระเงินนี้จะสำเร็จ";
+
+const returnToWallet = async (payment) => {
+  await recordTransaction({
+    customerId: payment.customerId,
+    bookingId: payment.bookingId,
+    amount: payment.amount,
+    currency: "THB",
+    // Not "refund": that method marks a booking's cancellation as refunded
+    method: "payment_return",
+    type: "refund",
+    status: "completed",
+    note: `คืนเงินเข้ากระเป๋าเงิน (${RETURN_REASON})`,
+  });
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        status: "refunded",
+        refundAmount: payment.amount,
+        refundReason: RETURN_REASON,
+        refundedAt: new Date(),
+      },
+    }
+  );
+};
+
+/**
+ * Mark a completed payment's booking paid and hold the money in escrow.
+ * A booking that was cancelled or paid some other way in the meantime
+ * does not take it; the customer gets it back in their wallet.
+ */
+const markBookingPaid = async (payment) => {
+  const booking = await Booking.findById(payment.bookingId);
+  const paid =
+    booking &&
+    (await Booking.findOneAndUpdate(
+      { _id: booking._id, status: { $ne: "cancelled" }, paymentStatus: "pending" },
+      { $set: { paymentStatus: "paid" } },
+      { new: true }
+    ));
+  if (!paid) {
+    await returnToWallet(payment);
+    return null;
+  }
+
+  await recordBookingHistory({
+    booking: paid,
+    before: snapshotBooking(booking),
+    reason: `ชำระเงินด้วย${PAYMENT_METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod}`,
+  });
+  await holdBookingFunds(paid);
+  return paid;
+};
+
+/**
+ * Hold the money of a booking an admin marked paid by hand, together
+ * with the ledger entry that brings it into escrow.
+ */
+const holdConfirmedPayment = async (booking) => {
+  const entry = await recordConfirmedPayment({ booking });
+  return holdBookingFunds(booking, { journalEntryId: entry ? entry._id : null });
+};
+
+/**
+ * Settle a pending gateway payment as completed or failed. Results for a
+ * payment that is no longer pending are ignored and return null, so a
+ * webhook delivered twice changes nothing the second time.
+ */
+const applyPaymentResult = async (payment, { status, failureReason = "" }) => {
+  const update =
+    status === "completed"
+      ? { status: "completed", completedAt: new Date() }
+      : { status: "failed", failureReason: String(failureReason).slice(0, 500) };
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "pending" },
+    { $set: update },
+    { new: true }
+  );
+  if (!settled) return null;
+
+  if (settled.status === "completed") {
+    await recordGatewayPayment({ payment: settled });
+    await markBookingPaid(settled);
+  }
+  return settled;
+};
+
+/**
+ * Settle a customer's pending gateway top-up. A completed one is posted
+ * to the ledger, which credits the wallet; like applyPaymentResult, a
+ * top-up that is no longer pending is left alone and returns null.
+ */
+const applyTopUpResult = async (topUp, { status, failureReason = "" }) => {
+  const update =
+    status === "completed"
+      ? { status: "completed" }
+      : { status: "failed", failureReason: String(failureReason).slice(0, 500) };
+  const settled = await Transaction.findOneAndUpdate(
+    { _id: topUp._id, type: "topup", status: "pending" },
+    { $set: update },
+    { new: true }
+  );
+  if (!settled) return null;
+
+  if (settled.status === "completed") await postTransactionEntry(settled);
+  return settled;
+};
+
+// A charge for a different amount is not the payment or top-up it names
+const resultFor = (event, expectedAmount) =>
+  event.status === "completed" &&
+  event.amount !== undefined &&
+  toSatang(event.amount) !== toSatang(expectedAmount)
+    ? {
+        status: "failed",
+        failureReason: `Gateway charged ${event.amount} instead of ${expectedAmount}`,
+      }
+    : event;
+
+const reject = (status, message) => ({ status, body: { success: false, message } });
+
+/**
+ * Verify and apply one webhook from `provider`. `rawBody` is the request
+ * body exactly as received, which is what the signature covers.
+ * Returns `{ status, body }` for the response.
+ */
+const receiveGatewayEvent = async ({ provider, rawBody, headers }) => {
+  const gateway = getGateway(provider);
+  if (!gateway) return reject(404, "Unknown payment gateway");
+  if (!gateway.verifyWebhook({ rawBody, headers })) {
+    return reject(401, "Invalid webhook signature");
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString("utf8"));
+  } catch (parseError) {
+    return reject(400, "Webhook body must be JSON");
+  }
+  const event = gateway.parseEvent(body);
+  if (!event) {
+    return { status: 200, body: { success: true, message: "Event ignored" } };
+  }
+
+  const payment = await Payment.findOne({
+    gateway: gateway.name,
+    transactionId: event.chargeId,
+  });
+  if (payment) {
+    const settled = await applyPaymentResult(payment, resultFor(event, payment.amount));
+    return { status: 200, body: { success: true, data: settled || payment } };
+  }
+
+  // Charges that are not for a booking top up a wallet
+  const topUp = await Transaction.findOne({
+    gateway: gateway.name,
+    chargeId: event.chargeId,
+  });
+  if (!topUp) return reject(404, "No payment for this charge");
+  const settled = await applyTopUpResult(topUp, resultFor(event, topUp.amount));
+
+  return { status: 200, body: { success: true, data: settled || topUp } };
+};
+
+module.exports = {
+  markBookingPaid,
+  holdConfirmedPayment,
+  applyPaymentResult,
+  applyTopUpResult,
+  receiveGatewayEvent,
+};
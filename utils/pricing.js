@@ -0,0 +1,202 @@
+// utils/pricing.js
+const { parseTimeToMinutes, calendarDaysBetween } = require("./bookingTime");
+
+const DEFAULT_DEPOSIT_PERCENT = 50;
+const DEFAULT_PLATFORM_FEE_PERCENT = 10;
+
+// Client totals may differ from ours by rounding only
+const PRICE_TOLERANCE = 0.01;
+
+const percentFromEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 && value <= 100 ? value : fallback;
+};
+
+const getDepositPercent = () =>
+  percentFromEnv("BOOKING_DEPOSIT_PERCENT", DEFAULT_DEPOSIT_PERCENT);
+
+const getPlatformFeePercent = () =>
+  percentFromEnv("PLATFORM_COMMISSION_PERCENT", DEFAULT_PLATFORM_FEE_PERCENT);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Commission is kept in whole baht, the provider receives the remainder
+const calculatePlatformFee = (amount, percent = getPlatformFeePercent()) =>
+  Math.floor((amount * percent) / 100);
+
+/**
+ * Match the add-ons a customer picked (`[{ addOnId, quantity }]`) with the
+ * service's active add-ons. Quantity defaults to 1.
+ * Returns `{ addOns: [{ addOn, quantity }] }` or `{ error }`.
+ */
+const resolveAddOnSelections = ({ service, selections }) => {
+  if (selections === undefined || selections === null) return { addOns: [] };
+  if (!Array.isArray(selections)) {
+    return { error: "addOns must be an array of { addOnId, quantity }" };
+  }
+
+  const available = (service.addOns || []).filter((addOn) => addOn.active !== false);
+  const addOns = [];
+  for (const selection of selections) {
+    const addOnId = selection && (selection.addOnId || selection.id);
+    const addOn = available.find((candidate) => String(candidate._id) === String(addOnId));
+    if (!addOn) {
+      return { error: `Add-on ${addOnId} is not offered by this service` };
+    }
+    if (addOns.some((picked) => picked.addOn === addOn)) {
+      return { error: `Add-on ${addOn.name} was selected more than once` };
+    }
+    const quantity =
+      selection.quantity === undefined ? 1 : Number(selection.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > addOn.maxQuantity) {
+      return {
+        error: `Quantity for ${addOn.name} must be a whole number from 1 to ${addOn.maxQuantity}`,
+      };
+    }
+    addOns.push({ addOn, quantity });
+  }
+  return { addOns };
+};
+
+/**
+ * Discount a coupon gives on `subtotal`: a percentage (optionally capped)
+ * or a fixed amount, never more than the subtotal itself.
+ */
+const couponDiscountFor = (coupon, subtotal) => {
+  if (!coupon || subtotal <= 0) return 0;
+  let discount =
+    coupon.discountType === "percent"
+      ? roundMoney((subtotal * coupon.discountValue) / 100)
+      : Number(coupon.discountValue) || 0;
+  if (coupon.discountType === "percent" && coupon.maxDiscountAmount > 0) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+  return roundMoney(Math.min(Math.max(discount, 0), subtotal));
+};
+
+/**
+ * Price a booking from the service rates.
+ * A booking is charged per hour, capped at the day rate for every
+ * calendar day it covers. Pass `endDate` for bookings that end on a later
+ * day than `date`. `addOns` are resolveAddOnSelections() results; they
+ * are charged on top and returned as the lines to store on the booking.
+ * A `coupon` (already checked for eligibility) is taken off the subtotal.
+ * `agreedAmount` (a price agreed in a chat offer) replaces the subtotal;
+ * the difference is shown as a surcharge line.
+ * Returns null when the dates or times cannot be parsed.
+ */
+const calculateBookingPrice = ({
+  service,
+  date,
+  endDate,
+  startTime,
+  endTime,
+  addOns = [],
+  coupon = null,
+  agreedAmount = null,
+  depositPercent = getDepositPercent(),
+  platformFeePercent = getPlatformFeePercent(),
+}) => {
+  const start = parseTimeToMinutes(startTime);
+  const end = parseTimeToMinutes(endTime);
+  if (start === null || end === null) return null;
+
+  let days = 1;
+  if (endDate && endDate !== date) {
+    days = calendarDaysBetween(date, endDate);
+    if (!days) return null;
+  }
+  const minutes = (days - 1) * 24 * 60 + end - start;
+  if (minutes <= 0) return null;
+
+  const totalHours = roundMoney(minutes / 60);
+  const priceHour = Number(service.priceHour) || 0;
+  const priceDay = Number(service.priceDay) || 0;
+
+  const hourlyAmount = roundMoney(totalHours * priceHour);
+  const dailyAmount = roundMoney(days * priceDay);
+  const useDayRate = priceDay > 0 && dailyAmount < hourlyAmount;
+
+  const baseAmount = useDayRate ? dailyAmount : hourlyAmount;
+
+  const addOnLines = addOns.map(({ addOn, quantity }) => {
+    const units =
+      addOn.unit === "hour" ? totalHours : addOn.unit === "day" ? days : 1;
+    return {
+      addOnId: String(addOn._id),
+      name: addOn.name,
+      unit: addOn.unit,
+      unitPrice: addOn.price,
+      quantity,
+      units,
+      amount: roundMoney(addOn.price * quantity * units),
+    };
+  });
+  const addOnsAmount = roundMoney(
+    addOnLines.reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  const surcharges = [];
+  if (agreedAmount !== null && agreedAmount !== undefined) {
+    const adjustment = roundMoney(agreedAmount - baseAmount - addOnsAmount);
+    if (adjustment !== 0) {
+      surcharges.push({ label: "Agreed offer price", amount: adjustment });
+    }
+  }
+  const surchargeTotal = surcharges.reduce((sum, line) => sum + line.amount, 0);
+
+  const subtotal = roundMoney(baseAmount + addOnsAmount + surchargeTotal);
+  const discountAmount = couponDiscountFor(coupon, subtotal);
+
+  const totalAmount = roundMoney(subtotal - discountAmount);
+  const depositAmount = roundMoney((totalAmount * depositPercent) / 100);
+  const platformFee = calculatePlatformFee(totalAmount, platformFeePercent);
+
+  return {
+    totalHours,
+    totalAmount,
+    depositAmount,
+    addOns: addOnLines,
+    breakdown: {
+      unit: useDayRate ? "day" : "hour",
+      unitPrice: useDayRate ? priceDay : priceHour,
+      units: useDayRate ? days : totalHours,
+      baseAmount,
+      addOnsAmount,
+      surcharges,
+      subtotal,
+      discountAmount,
+      couponCode: coupon ? coupon.code : null,
+      depositPercent,
+      depositAmount,
+      platformFeePercent,
+      platformFee,
+      totalAmount,
+    },
+  };
+};
+
+/**
+ * Compare the totals a client submitted with the server price.
+ * Fields the client left out are not checked.
+ * Returns the list of mismatching field names.
+ */
+const findPriceMismatches = (submitted, quote) =>
+  ["totalHours", "totalAmount", "depositAmount"].filter(
+    (field) =>
+      submitted[field] !== undefined &&
+      Math.abs(submitted[field] - quote[field]) > PRICE_TOLERANCE
+  );
+
+module.exports = {
+  getDepositPercent,
+  getPlatformFeePercent,
+  roundMoney,
+  calculatePlatformFee,
+  resolveAddOnSelections,
+  couponDiscountFor,
+  calculateBookingPrice,
+  findPriceMismatches,
+};
@@ -0,0 +1,105 @@
+// utils/promptpay.js
+// Thai QR (EMVCo merchant-presented) payloads for PromptPay credit transfers.
+const QRCode = require("qrcode");
+
+// Application id for a PromptPay credit transfer
+const PROMPTPAY_AID = "A000000677010111";
+const THB_NUMERIC_CODE = "764";
+const MAX_REFERENCE_LENGTH = 25;
+
+const getPromptPayId = () => process.env.PROMPTPAY_ID || null;
+
+// One field: two-digit tag, two-digit length, value
+const tlv = (tag, value) => `${tag}${String(value.length).padStart(2, "0")}${value}`;
+
+/**
+ * CRC-16/CCITT-FALSE (polynomial 0x1021, initial 0xFFFF) as four
+ * uppercase hex digits, the checksum Thai QR uses.
+ */
+const crc16 = (text) => {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(text, "utf8")) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+};
+
+/**
+ * The merchant account sub-field for a PromptPay id: a mobile number, a
+ * 13-digit national or tax id, or a 15-digit e-wallet id. Null when the
+ * id is none of those.
+ */
+const promptPayTargetOf = (promptpayId) => {
+  const digits = String(promptpayId || "").replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(digits)) return null;
+  if (digits.length === 15) return tlv("03", digits);
+  if (digits.length === 13) return tlv("02", digits);
+  if (digits.length === 10 && digits.startsWith("0")) {
+    // Mobile numbers go in international form, zero-padded to 13 digits
+    return tlv("01", `66${digits.slice(1)}`.padStart(13, "0"));
+  }
+  return null;
+};
+
+/**
+ * A one-time Thai QR payload paying `amount` baht to `promptpayId`, with
+ * `reference` as the reference label so the transfer can be matched back.
+ * Returns null when the id, amount or reference cannot be encoded.
+ */
+const buildPromptPayPayload = ({ promptpayId, amount, reference }) => {
+  const target = promptPayTargetOf(promptpayId);
+  const value = Number(amount);
+  if (!target || !Number.isFinite(value) || value <= 0) return null;
+  if (!/^[A-Za-z0-9]+$/.test(reference || "") || reference.length > MAX_REFERENCE_LENGTH) {
+    return null;
+  }
+
+  const payload = [
+    tlv("00", "01"),
+    // 12: dynamic, for one payment of this amount
+    tlv("01", "12"),
+    tlv("29", tlv("00", PROMPTPAY_AID) + target),
+    tlv("58", "TH"),
+    tlv("53", THB_NUMERIC_CODE),
+    tlv("54", value.toFixed(2)),
+    tlv("62", tlv("05", reference)),
+    "6304",
+  ].join("");
+  return payload + crc16(payload);
+};
+
+/**
+ * Reference carried in a payment's QR code: letters and digits only, as
+ * the reference label allows.
+ */
+const paymentReferenceOf = (payment) =>
+  `PAY${String(payment._id).replace(/[^A-Za-z0-9]/g, "").toUpperCase()}`.slice(
+    0,
+    MAX_REFERENCE_LENGTH
+  );
+
+const QR_FORMATS = ["svg", "png"];
+
+/**
+ * The payload drawn as a QR code, as a data URL.
+ */
+const renderQrDataUrl = async (payload, format) => {
+  if (format === "png") {
+    return QRCode.toDataURL(payload, { type: "image/png", errorCorrectionLevel: "M", margin: 2 });
+  }
+  const svg = await QRCode.toString(payload, { type: "svg", errorCorrectionLevel: "M", margin: 2 });
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+};
+
+module.exports = {
+  QR_FORMATS,
+  getPromptPayId,
+  crc16,
+  promptPayTargetOf,
+  buildPromptPayPayload,
+  paymentReferenceOf,
+  renderQrDataUrl,
+};
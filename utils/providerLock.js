@@ -0,0 +1,65 @@
+// utils/providerLock.js
+// One writer at a time per provider calendar, so checking that a slot is
+// free and booking it cannot interleave with another booking of the same
+// provider.
+const { randomUUID } = require("crypto");
+const ProviderLock = require("../models/ProviderLock");
+
+// A holder that crashed frees the lock after this long
+const LOCK_TTL_MS = 15 * 1000;
+const RETRY_DELAY_MS = 50;
+const MAX_WAIT_MS = 5 * 1000;
+
+// Thrown when the lock stays taken for longer than the caller waits
+const providerBusy = (providerId) => {
+  const err = new Error(`The calendar of ${providerId} is busy`);
+  err.name = "ProviderBusyError";
+  return err;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Take the lock if it is free or its holder's time ran out
+const tryAcquire = async (LockModel, providerId, token, at) => {
+  try {
+    const lock = await LockModel.findOneAndUpdate(
+      { _id: providerId, lockedUntil: { $lte: at } },
+      { $set: { token, lockedUntil: new Date(at.getTime() + LOCK_TTL_MS) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (err) {
+    // The upsert ran into a lock somebody holds
+    if (err && err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Run `work` holding the lock of `providerId` and return its result.
+ * Waits up to `maxWaitMs` for another holder, then throws ProviderBusyError.
+ */
+const withProviderLock = async (
+  providerId,
+  work,
+  { LockModel = ProviderLock, maxWaitMs = MAX_WAIT_MS, now = () => new Date() } = {}
+) => {
+  const token = randomUUID();
+  const giveUpAt = Date.now() + maxWaitMs;
+  while (!(await tryAcquire(LockModel, providerId, token, now()))) {
+    if (Date.now() >= giveUpAt) throw providerBusy(providerId);
+    await sleep(RETRY_DELAY_MS);
+  }
+  try {
+    return await work();
+  } finally {
+    await LockModel.updateOne(
+      { _id: providerId, token },
+      { $set: { token: null, lockedUntil: new Date(0) } }
+    );
+  }
+};
+
+module.exports = {
+  withProviderLock,
+};
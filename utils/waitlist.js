@@ -0,0 +1,214 @@
+// utils/waitlist.js
+const Booking = require("../models/Booking");
+const User = require("../models/User");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { checkProviderAvailability } = require("./availability");
+const {
+  parseTimeToMinutes,
+  toInstant,
+  localDateOf,
+  bookingEndDateOf,
+  datesBetween,
+} = require("./bookingTime");
+const { notifyUser } = require("./notifications");
+
+const DEFAULT_OFFER_MINUTES = 30;
+// Bookings are at least half an hour long
+const MIN_OFFER_MINUTES = 30;
+
+const getOfferMinutes = () => {
+  const value = Number(process.env.WAITLIST_OFFER_MINUTES);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_OFFER_MINUTES;
+};
+
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * Part of the freed slot that falls inside the entry's window, or null
+ * when they share less than MIN_OFFER_MINUTES.
+ */
+const overlapOf = (entry, slot) => {
+  const times = [entry.startTime, entry.endTime, slot.startTime, slot.endTime].map(
+    parseTimeToMinutes
+  );
+  if (times.includes(null)) return null;
+  const [entryStart, entryEnd, slotStart, slotEnd] = times;
+  const start = Math.max(entryStart, slotStart);
+  const end = Math.min(entryEnd, slotEnd);
+  if (end - start < MIN_OFFER_MINUTES) return null;
+  return { startTime: formatMinutes(start), endTime: formatMinutes(end) };
+};
+
+/**
+ * The time a cancellation or a move gives back, one slot per day since
+ * waitlist windows lie within a single day.
+ */
+const slotsOf = (booking) => {
+  const dates = datesBetween(booking.date, bookingEndDateOf(booking)) || [];
+  return dates.map((date, index) => ({
+    sourceBookingId: booking._id,
+    providerId: booking.providerId,
+    date,
+    startTime: index === 0 ? booking.startTime : "00:00",
+    endTime: index === dates.length - 1 ? booking.endTime : "24:00",
+  }));
+};
+
+// The freed slot behind an entry's offer, to hand on to the next waiter
+const offeredSlotOf = (entry, offer) => ({
+  sourceBookingId: offer.sourceBookingId,
+  providerId: entry.providerId,
+  date: offer.date,
+  startTime: offer.freedStartTime,
+  endTime: offer.freedEndTime,
+});
+
+/**
+ * Offers freed provider time to waitlisted customers one at a time, in
+ * the order they joined. An offer that is not claimed in time passes to
+ * the next customer waiting for an overlapping window.
+ */
+const buildWaitlist = ({
+  WaitlistModel = WaitlistEntry,
+  BookingModel = Booking,
+  UserModel = User,
+  notify = notifyUser,
+  now = () => new Date(),
+  offerMinutes = getOfferMinutes(),
+} = {}) => {
+  const offerFreedSlot = async (slot) => {
+    const current = now();
+    const waiting = await WaitlistModel.find({
+      providerId: slot.providerId,
+      date: slot.date,
+      status: "waiting",
+    }).sort({ createdAt: 1 });
+
+    for (const entry of waiting) {
+      // Each waiter gets a given freed slot at most once
+      if (entry.offers.some((offer) => offer.sourceBookingId === slot.sourceBookingId)) {
+        continue;
+      }
+      const window = overlapOf(entry, slot);
+      if (!window) continue;
+
+      const startsAt = toInstant(slot.date, window.startTime);
+      if (!startsAt || startsAt <= current) continue;
+
+      const unavailable = await checkProviderAvailability({
+        BookingModel,
+        UserModel,
+        WaitlistModel,
+        customerId: entry.customerId,
+        providerId: slot.providerId,
+        date: slot.date,
+        ...window,
+      });
+      if (unavailable) continue;
+
+      const expiresAt = new Date(
+        Math.min(current.getTime() + offerMinutes * 60 * 1000, startsAt.getTime())
+      );
+      const offer = {
+        sourceBookingId: slot.sourceBookingId,
+        date: slot.date,
+        ...window,
+        freedStartTime: slot.startTime,
+        freedEndTime: slot.endTime,
+        status: "open",
+        offeredAt: current,
+        expiresAt,
+      };
+
+      // Conditional update: the customer may have left the waitlist meanwhile
+      const offered = await WaitlistModel.findOneAndUpdate(
+        { _id: entry._id, status: "waiting" },
+        { $set: { status: "offered" }, $push: { offers: offer } },
+        { new: true }
+      );
+      if (!offered) continue;
+
+      await notify({
+        userId: offered.customerId,
+        type: "waitlist_offer",
+        title: "มีคิวว่างตามที่คุณรอ",
+        message: `${offered.serviceName} วันที่ ${offer.date} เวลา ${offer.startTime}-${offer.endTime} ว่างแล้ว กรุณายืนยันภายใน ${offerMinutes} นาที`,
+        data: { waitlistEntryId: offered._id, ...offer },
+      });
+      return offered;
+    }
+    return null;
+  };
+
+  /**
+   * Close offers that ran out, hand each slot to the next waiter and drop
+   * entries whose date has passed.
+   */
+  const expireOffers = async () => {
+    const current = now();
+    const lapsed = await WaitlistModel.find({
+      status: "offered",
+      offers: { $elemMatch: { status: "open", expiresAt: { $lte: current } } },
+    });
+
+    const reoffered = [];
+    for (const entry of lapsed) {
+      const offer = entry.offers.find((o) => o.status === "open");
+      const updated = await WaitlistModel.findOneAndUpdate(
+        { _id: entry._id, status: "offered", "offers.status": "open" },
+        { $set: { status: "waiting", "offers.$.status": "expired" } },
+        { new: true }
+      );
+      if (!updated || !offer) continue;
+
+      await notify({
+        userId: updated.customerId,
+        type: "waitlist_offer_expired",
+        title: "คิวที่เสนอหมดเวลาแล้ว",
+        message: `คุณยังอยู่ในรายการรอสำหรับ ${updated.serviceName} วันที่ ${updated.date}`,
+        data: { waitlistEntryId: updated._id, sourceBookingId: offer.sourceBookingId },
+      });
+
+      const next = await offerFreedSlot(offeredSlotOf(updated, offer));
+      if (next) reoffered.push(next);
+    }
+
+    await WaitlistModel.updateMany(
+      { status: "waiting", date: { $lt: localDateOf(current) } },
+      { $set: { status: "expired" } }
+    );
+
+    return reoffered;
+  };
+
+  return { offerFreedSlot, expireOffers };
+};
+
+/**
+ * Offer the time of a cancelled or moved booking to the waitlist.
+ * Never throws: the booking change has already been saved.
+ */
+const releaseBookingSlot = async (booking) => {
+  try {
+    const waitlist = buildWaitlist();
+    const offered = [];
+    for (const slot of slotsOf(booking)) {
+      const entry = await waitlist.offerFreedSlot(slot);
+      if (entry) offered.push(entry);
+    }
+    return offered;
+  } catch (err) {
+    console.error("releaseBookingSlot error:", err);
+    return [];
+  }
+};
+
+module.exports = {
+  buildWaitlist,
+  overlapOf,
+  slotsOf,
+  offeredSlotOf,
+  releaseBookingSlot,
+  getOfferMinutes,
+};